@@ -133,7 +133,7 @@
         nekoEl.style.zIndex = '999999';
 
         // --- MODIFIED: Use local file path ---
-        const onekoSpriteUrl = "oneko.gif";
+        const onekoSpriteUrl = "/oneko.gif";
         nekoEl.style.backgroundImage = `url('${onekoSpriteUrl}')`;
 
         document.body.appendChild(nekoEl);
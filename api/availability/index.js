@@ -0,0 +1,129 @@
+const nodeFetch = require('node-fetch');
+const { sharedCache, createCachedResponse, createEndpointKey, createEtag, getEndpointTtl } = require('../shared/cache');
+const { HttpError, createErrorResponse } = require('../shared/errors');
+const { getClientKey, sharedRateLimiter } = require('../shared/rate-limit');
+const { fetchTmdbEndpoint, getUpstreamUrls } = require('../shared/tmdb-api');
+const { validateAvailabilityRequest } = require('../shared/validation');
+
+// --- Public Availability API ---
+// A read-only route for partner sites and the embed script: `/api/v1/availability/{movie|tv}/{id}?country=XX`.
+// The response shape below is version 1 of a public contract. Fields may be added, but none are renamed or
+// removed without a new `/api/v2/` route.
+//
+// {
+//   "schemaVersion": 1,
+//   "title": { "mediaType": "movie", "id": 603, "name": "The Matrix", "year": 1999, "url": "https://streamkey.tech/movie/603" },
+//   "countries": {
+//     "US": {
+//       "stream": [{ "id": 8, "name": "Netflix", "logoUrl": "https://image.tmdb.org/t/p/w92/....jpg" }],
+//       "free": [], "ads": [], "rent": [...], "buy": [...]
+//     }
+//   },
+//   "attribution": "Availability data from JustWatch via TMDB."
+// }
+//
+// `countries` is keyed by two-letter country code and lists only countries with at least one provider; with
+// `?country=XX` it holds at most that country. Every country has all five offer lists, ordered by TMDB's display
+// priority. `year` is null if the title has no release date yet. Errors use the envelope in shared/errors.js.
+
+const SCHEMA_VERSION = 1;
+const SITE_URL = 'https://streamkey.tech';
+const LOGO_BASE_URL = 'https://image.tmdb.org/t/p/w92';
+const ATTRIBUTION = 'Availability data from JustWatch via TMDB.';
+
+// TMDB's offer keys and the public names they are published under.
+const OFFER_NAMES = { flatrate: 'stream', free: 'free', ads: 'ads', rent: 'rent', buy: 'buy' };
+
+// How long browsers and partner caches may reuse a response, in seconds. Matches the provider lists' cache.
+const AVAILABILITY_TTL = 6 * 60 * 60;
+
+/**
+ * Creates the handler for the public availability route.
+ * @param {object} [options]
+ * @param {Function} [options.fetch] - The fetch implementation used for every upstream request.
+ * @param {ResponseCache} [options.cache] - The cache for TMDB responses. Defaults to the one shared by all routes.
+ * @param {RateLimiter} [options.rateLimiter] - The per-client limiter. Defaults to the one shared by all routes.
+ * @param {{apiUrl: string, webUrl: string}} [options.upstream] - Where TMDB's API and website are reached. Defaults to getUpstreamUrls().
+ * @returns {Function} The `(context, req)` handler.
+ */
+function createHandler({ fetch = nodeFetch, cache = sharedCache, rateLimiter = sharedRateLimiter, upstream = getUpstreamUrls() } = {}) {
+    return async function (context, req) {
+        const TMDB_API_KEY = process.env.TMDB_API_KEY;
+        if (!TMDB_API_KEY) {
+            context.res = withCors(new HttpError(500, 'server_misconfigured', 'Server configuration error: TMDB_API_KEY is not set.', { retryable: false }).toResponse());
+            return;
+        }
+
+        try {
+            rateLimiter.consume('endpoint', getClientKey(req));
+            const { mediaType, tmdbId, country } = validateAvailabilityRequest(req.params || {}, req.query);
+            const load = (endpoint) => cache.getOrLoad(
+                createEndpointKey(endpoint, {}),
+                getEndpointTtl(endpoint),
+                () => fetchTmdbEndpoint({ fetch, apiKey: TMDB_API_KEY, apiUrl: upstream.apiUrl }, endpoint)
+            );
+            const [details, providers] = await Promise.all([load(`${mediaType}/${tmdbId}`), load(`${mediaType}/${tmdbId}/watch/providers`)]);
+
+            const body = normalizeAvailability(mediaType, details.body, providers.body.results || {}, country);
+            context.res = withCors(createCachedResponse(req, { body, etag: createEtag(body), hit: details.hit && providers.hit }, AVAILABILITY_TTL));
+        } catch (error) {
+            context.res = withCors(createErrorResponse(error, context));
+        }
+    };
+}
+
+/**
+ * Builds the version 1 response from TMDB's title details and watch providers.
+ * @param {string} mediaType - 'movie' or 'tv'.
+ * @param {object} details - TMDB's movie or TV details.
+ * @param {object} results - The `results` of TMDB's watch/providers response, keyed by country code.
+ * @param {string|null} country - The only country to include, or null for all of them.
+ * @returns {object} The response body, as documented at the top of this file.
+ */
+function normalizeAvailability(mediaType, details, results, country) {
+    const releaseDate = details.release_date || details.first_air_date;
+    const countries = {};
+    Object.keys(results).sort().forEach(code => {
+        if (country && code !== country) return;
+        const offers = {};
+        let providerCount = 0;
+        Object.entries(OFFER_NAMES).forEach(([offerKey, name]) => {
+            offers[name] = (results[code][offerKey] || [])
+                .slice()
+                .sort((a, b) => (a.display_priority ?? Infinity) - (b.display_priority ?? Infinity))
+                .map(provider => ({
+                    id: provider.provider_id,
+                    name: provider.provider_name,
+                    logoUrl: provider.logo_path ? `${LOGO_BASE_URL}${provider.logo_path}` : null
+                }));
+            providerCount += offers[name].length;
+        });
+        if (providerCount > 0) countries[code] = offers;
+    });
+
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        title: {
+            mediaType,
+            id: details.id,
+            name: details.title || details.name,
+            year: releaseDate ? Number(releaseDate.slice(0, 4)) : null,
+            url: `${SITE_URL}/${mediaType}/${details.id}`
+        },
+        countries,
+        attribution: ATTRIBUTION
+    };
+}
+
+/**
+ * Lets any site read the response from the browser, so partners can call the route from their pages.
+ * @param {object} res - The Azure Function response.
+ * @returns {object} The response with CORS headers.
+ */
+function withCors(res) {
+    return { ...res, headers: { ...res.headers, 'Access-Control-Allow-Origin': '*', 'Access-Control-Expose-Headers': 'ETag, Retry-After' } };
+}
+
+// Azure calls the module export directly; createHandler is exposed so the handler can be built with fakes.
+module.exports = createHandler();
+module.exports.createHandler = createHandler;
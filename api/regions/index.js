@@ -0,0 +1,74 @@
+const nodeFetch = require('node-fetch');
+const { sharedCache, createCachedResponse, createEndpointKey, createEtag, getEndpointTtl } = require('../shared/cache');
+const { HttpError, createErrorResponse } = require('../shared/errors');
+const { sharedJustWatchLocales } = require('../shared/justwatch-locales');
+const { getClientKey, sharedRateLimiter } = require('../shared/rate-limit');
+const { fetchTmdbEndpoint, getUpstreamUrls } = require('../shared/tmdb-api');
+
+// How long browsers may reuse the region list, in seconds. Shorter than TMDB's lists are cached for,
+// so what recent scrapes learned about JustWatch links reaches clients the same day.
+const REGIONS_TTL = 60 * 60;
+
+/**
+ * Creates the handler for the regions route: `/api/regions`.
+ * It combines TMDB's country list, the regions TMDB has streaming data for, and the countries whose scraped
+ * watch pages linked to JustWatch, responding with
+ * `{ regions: [{ code, name, providers, justWatch }, ...] }` sorted by code, where `providers` tells whether
+ * TMDB lists streaming services there and `justWatch` whether the country's watch pages link to JustWatch.
+ * Until enough pages have been scraped, a country is assumed to link to JustWatch if TMDB has providers for it.
+ * @param {object} [options]
+ * @param {Function} [options.fetch] - The fetch implementation used for every upstream request.
+ * @param {ResponseCache} [options.cache] - The cache for TMDB responses. Defaults to the one shared by all routes.
+ * @param {RateLimiter} [options.rateLimiter] - The per-client limiter. Defaults to the one shared by all routes.
+ * @param {JustWatchLocaleLog} [options.justWatchLocales] - What past scrapes found. Defaults to the one shared by all routes.
+ * @param {{apiUrl: string, webUrl: string}} [options.upstream] - Where TMDB's API and website are reached. Defaults to getUpstreamUrls().
+ * @returns {Function} The `(context, req)` handler.
+ */
+function createHandler({
+    fetch = nodeFetch,
+    cache = sharedCache,
+    rateLimiter = sharedRateLimiter,
+    justWatchLocales = sharedJustWatchLocales,
+    upstream = getUpstreamUrls()
+} = {}) {
+    return async function (context, req) {
+        const TMDB_API_KEY = process.env.TMDB_API_KEY;
+        if (!TMDB_API_KEY) {
+            context.res = new HttpError(500, 'server_misconfigured', 'Server configuration error: TMDB_API_KEY is not set.', { retryable: false }).toResponse();
+            return;
+        }
+
+        try {
+            rateLimiter.consume('endpoint', getClientKey(req));
+            const load = (endpoint) => cache.getOrLoad(
+                createEndpointKey(endpoint, {}),
+                getEndpointTtl(endpoint),
+                () => fetchTmdbEndpoint({ fetch, apiKey: TMDB_API_KEY, apiUrl: upstream.apiUrl }, endpoint)
+            );
+            const [countries, providerRegions] = await Promise.all([load('configuration/countries'), load('watch/providers/regions')]);
+
+            const names = new Map();
+            (Array.isArray(countries.body) ? countries.body : []).forEach(country => names.set(country.iso_3166_1, country.english_name));
+            const withProviders = new Set();
+            (providerRegions.body.results || []).forEach(region => {
+                withProviders.add(region.iso_3166_1);
+                if (!names.has(region.iso_3166_1)) names.set(region.iso_3166_1, region.english_name);
+            });
+
+            const regions = Array.from(names.keys()).sort().map(code => {
+                const providers = withProviders.has(code);
+                const linked = justWatchLocales.isSupported(code);
+                return { code, name: names.get(code), providers, justWatch: linked === null ? providers : linked };
+            });
+
+            const body = { regions };
+            context.res = createCachedResponse(req, { body, etag: createEtag(body), hit: countries.hit && providerRegions.hit }, REGIONS_TTL);
+        } catch (error) {
+            context.res = createErrorResponse(error, context);
+        }
+    };
+}
+
+// Azure calls the module export directly; createHandler is exposed so the handler can be built with fakes.
+module.exports = createHandler();
+module.exports.createHandler = createHandler;
@@ -0,0 +1,83 @@
+// --- Async Helpers ---
+
+/**
+ * Runs an async function over every item with at most `limit` calls in flight at once.
+ * @param {Array} items - The items to process.
+ * @param {number} limit - The maximum number of concurrent calls.
+ * @param {function(*, number): Promise<*>} fn - Called with each item and its index.
+ * @returns {Promise<Array>} The results, in the same order as the items.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Calls an async function, retrying with exponential backoff when it throws.
+ * Errors with a 4xx status other than 429, or marked `retryable: false`, are not retried, since repeating the request won't help.
+ * @param {function(): Promise<*>} fn - The function to call.
+ * @param {number} [retries=2] - How many times to retry after the first failure.
+ * @param {number} [baseDelayMs=250] - The delay before the first retry, doubled after each attempt.
+ * @returns {Promise<*>} The function's result.
+ */
+async function withRetry(fn, retries = 2, baseDelayMs = 250) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            const isClientError = error.status >= 400 && error.status < 500 && error.status !== 429;
+            if (attempt >= retries || isClientError || error.retryable === false) throw error;
+            await new Promise(resolve => setTimeout(resolve, baseDelayMs * 2 ** attempt));
+        }
+    }
+}
+
+/**
+ * Limits how many async tasks run at once; the rest wait in line.
+ */
+class Semaphore {
+    /**
+     * @param {number} limit - The maximum number of tasks running at once.
+     */
+    constructor(limit) {
+        this.limit = limit;
+        this.active = 0;
+        this.waiting = [];
+    }
+
+    /**
+     * Runs a task once a slot is free. A finished task hands its slot straight to the next waiting task,
+     * so a new caller can't take it in between.
+     * @param {function(): Promise<*>} task - The task to run.
+     * @returns {Promise<*>} The task's result.
+     */
+    async run(task) {
+        if (this.active >= this.limit) {
+            await new Promise(resolve => this.waiting.push(resolve));
+        } else {
+            this.active++;
+        }
+        try {
+            return await task();
+        } finally {
+            const next = this.waiting.shift();
+            if (next) next();
+            else this.active--;
+        }
+    }
+}
+
+module.exports = {
+    Semaphore,
+    mapWithConcurrency,
+    withRetry
+};
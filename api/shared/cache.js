@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const { PARSER_VERSION } = require('./watch-page-parser');
+
+// How long (in seconds) responses are cached, matched against the TMDB endpoint path in order.
+// Searches change as people type, so they expire quickly; provider lists and scraped pages change rarely.
+const ENDPOINT_TTLS = [
+    { pattern: /^search\//, ttl: 5 * 60 },
+    { pattern: /\/watch\/providers$/, ttl: 6 * 60 * 60 },
+    // Browse mode's option lists: countries, genres and the providers in a region.
+    { pattern: /^(configuration|genre|watch\/providers)\//, ttl: 24 * 60 * 60 }
+];
+const DEFAULT_TTL = 60 * 60;
+const SCRAPE_TTL = 12 * 60 * 60;
+
+/**
+ * The default storage adapter: an in-memory LRU that expires entries after their TTL.
+ * Any object with the same async `get(key)` and `set(key, value, ttlSeconds)` methods
+ * (e.g., a Redis or Table Storage client wrapper) can be passed to ResponseCache instead.
+ */
+class MemoryLruStore {
+    /**
+     * @param {number} [maxEntries=500] - The number of entries kept before the least recently used are evicted.
+     */
+    constructor(maxEntries = 500) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map(); // A Map iterates in insertion order, so the first key is the least recently used.
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+        this.entries.delete(key);
+        if (entry.expiresAt <= Date.now()) return undefined;
+        this.entries.set(key, entry); // Re-insert to mark it as recently used.
+        return entry.value;
+    }
+
+    async set(key, value, ttlSeconds) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+}
+
+/**
+ * Caches response bodies along with an ETag, and shares one upstream request between concurrent misses.
+ */
+class ResponseCache {
+    /**
+     * @param {object} [store] - The storage adapter. Defaults to an in-memory LRU.
+     */
+    constructor(store = new MemoryLruStore()) {
+        this.store = store;
+        this.pending = new Map();
+    }
+
+    /**
+     * Returns the cached entry for a key, or loads, caches and returns it on a miss.
+     * @param {string} key - The cache key.
+     * @param {number} ttl - How long to keep the entry, in seconds.
+     * @param {function(): Promise<object>} load - Fetches the body on a cache miss.
+     * @param {function(object): boolean} [isCacheable] - Decides whether a loaded body should be stored.
+     * @returns {Promise<{body: object, etag: string, hit: boolean}>} The body and its ETag.
+     */
+    async getOrLoad(key, ttl, load, isCacheable = () => true) {
+        const cached = await this.store.get(key);
+        if (cached) return { ...cached, hit: true };
+
+        if (!this.pending.has(key)) {
+            const loading = (async () => {
+                const body = await load();
+                const entry = { body, etag: createEtag(body) };
+                if (isCacheable(body)) await this.store.set(key, entry, ttl);
+                return entry;
+            })();
+            this.pending.set(key, loading);
+            loading.then(() => this.pending.delete(key), () => this.pending.delete(key));
+        }
+        return { ...(await this.pending.get(key)), hit: false };
+    }
+}
+
+/**
+ * Builds a JSON response with caching headers, or an empty 304 if the browser already has this version.
+ * @param {object} req - The incoming request.
+ * @param {{body: object, etag: string, hit: boolean}} cached - The entry returned by the response cache.
+ * @param {number} ttl - How long browsers may reuse the response, in seconds.
+ * @returns {object} The Azure Function response.
+ */
+function createCachedResponse(req, cached, ttl) {
+    const headers = {
+        'Cache-Control': `public, max-age=${ttl}`,
+        'ETag': cached.etag,
+        'X-Cache': cached.hit ? 'HIT' : 'MISS'
+    };
+    const ifNoneMatch = req.headers && req.headers['if-none-match'];
+    if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).includes(cached.etag)) {
+        return { status: 304, headers };
+    }
+    return {
+        status: 200,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: cached.body
+    };
+}
+
+/**
+ * Builds the cache key for a TMDB API request. Parameters are sorted so their order doesn't matter.
+ * @param {string} endpoint - The TMDB endpoint path (e.g., 'search/multi').
+ * @param {object} params - The query parameters forwarded to TMDB.
+ * @returns {string} The cache key.
+ */
+function createEndpointKey(endpoint, params) {
+    const sortedParams = new URLSearchParams(Object.entries(params).sort(([a], [b]) => a.localeCompare(b)));
+    return `endpoint:${endpoint}?${sortedParams}`;
+}
+
+/**
+ * Builds the cache key for a scraped page. The key includes the parser version, so pages parsed by an
+ * older parser are never served after an upgrade.
+ * @param {string} url - The scraped URL.
+ * @returns {string} The cache key.
+ */
+function createScrapeKey(url) {
+    return `scrape:v${PARSER_VERSION}:${url}`;
+}
+
+/**
+ * Looks up the TTL for a TMDB endpoint.
+ * @param {string} endpoint - The TMDB endpoint path.
+ * @returns {number} The TTL in seconds.
+ */
+function getEndpointTtl(endpoint) {
+    const match = ENDPOINT_TTLS.find(route => route.pattern.test(endpoint));
+    return match ? match.ttl : DEFAULT_TTL;
+}
+
+/**
+ * Creates a strong ETag from a response body's JSON.
+ * @param {object} body - The response body.
+ * @returns {string} The quoted ETag value.
+ */
+function createEtag(body) {
+    return `"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64')}"`;
+}
+
+// One cache per function host, shared by every route so a page scraped by one is reused by the others.
+const sharedCache = new ResponseCache();
+
+module.exports = {
+    SCRAPE_TTL,
+    MemoryLruStore,
+    ResponseCache,
+    sharedCache,
+    createCachedResponse,
+    createEndpointKey,
+    createEtag,
+    createScrapeKey,
+    getEndpointTtl
+};
@@ -0,0 +1,112 @@
+// --- Error Envelope ---
+// Every error response has the JSON body `{ error: { code, message, retryable, upstreamStatus } }`, where
+// `retryable` tells the browser whether repeating the request may help and `upstreamStatus` is the status
+// TMDB answered with (null if the error didn't come from TMDB).
+
+// How TMDB's error statuses are passed on: upstream rate limits and outages may clear up on their own,
+// while a missing title or a rejected request won't.
+const UPSTREAM_ERRORS = {
+    404: { status: 404, code: 'not_found', retryable: false },
+    429: { status: 503, code: 'upstream_rate_limited', retryable: true }
+};
+const UPSTREAM_CLIENT_ERROR = { status: 502, code: 'upstream_rejected', retryable: false };
+const UPSTREAM_UNAVAILABLE = { status: 502, code: 'upstream_unavailable', retryable: true };
+
+/**
+ * An error that maps to a specific HTTP response with the JSON error envelope.
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - The HTTP status to respond with.
+     * @param {string} code - A short machine-readable error code.
+     * @param {string} message - A human-readable description.
+     * @param {object} [options]
+     * @param {object} [options.headers] - Extra response headers (e.g., Retry-After).
+     * @param {boolean} [options.retryable] - Whether the same request may succeed later. Defaults to true for 429 and 5xx.
+     * @param {number|null} [options.upstreamStatus] - TMDB's status, if the error came from TMDB.
+     */
+    constructor(status, code, message, { headers = {}, retryable = status === 429 || status >= 500, upstreamStatus = null } = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+        this.headers = headers;
+        this.retryable = retryable;
+        this.upstreamStatus = upstreamStatus;
+    }
+
+    /**
+     * Builds the JSON error response for this error.
+     * @returns {object} The Azure Function response.
+     */
+    toResponse() {
+        return {
+            status: this.status,
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            body: { error: { code: this.code, message: this.message, retryable: this.retryable, upstreamStatus: this.upstreamStatus } }
+        };
+    }
+}
+
+/**
+ * TMDB (the API or its website) answered with an error status or couldn't be reached.
+ */
+class UpstreamError extends HttpError {
+    /**
+     * @param {number|null} upstreamStatus - TMDB's status, or null if the request never got an answer.
+     * @param {string} message - A human-readable description.
+     * @param {string|null} [retryAfter] - TMDB's Retry-After header, passed on when TMDB is rate limiting us.
+     */
+    constructor(upstreamStatus, message, retryAfter = null) {
+        const mapping = UPSTREAM_ERRORS[upstreamStatus]
+            || (upstreamStatus >= 400 && upstreamStatus < 500 ? UPSTREAM_CLIENT_ERROR : UPSTREAM_UNAVAILABLE);
+        super(mapping.status, mapping.code, message, {
+            headers: retryAfter ? { 'Retry-After': retryAfter } : {},
+            retryable: mapping.retryable,
+            upstreamStatus
+        });
+        this.name = 'UpstreamError';
+    }
+}
+
+/**
+ * Requests a TMDB URL, turning network failures and error statuses into UpstreamErrors.
+ * @param {Function} fetch - The fetch implementation.
+ * @param {string} url - The URL to request.
+ * @param {object} [options] - The fetch options.
+ * @returns {Promise<Response>} The successful response.
+ * @throws {UpstreamError} If TMDB couldn't be reached or didn't answer with a 2xx status.
+ */
+async function fetchUpstream(fetch, url, options) {
+    let response;
+    try {
+        response = await fetch(url, options);
+    } catch (error) {
+        throw new UpstreamError(null, `TMDB could not be reached: ${error.message}`);
+    }
+    if (!response.ok) {
+        const retryAfter = response.headers && typeof response.headers.get === 'function' ? response.headers.get('Retry-After') : null;
+        throw new UpstreamError(response.status, `TMDB responded with status ${response.status}.`, retryAfter);
+    }
+    return response;
+}
+
+/**
+ * Builds the error response for anything a handler throws. Errors other than HttpErrors are unexpected,
+ * so they are logged and answered with a generic 500.
+ * @param {Error} error - The thrown error.
+ * @param {object} context - The Azure Function context, for logging.
+ * @returns {object} The Azure Function response.
+ */
+function createErrorResponse(error, context) {
+    if (error instanceof HttpError) return error.toResponse();
+    context.log.error(error); // Log the error in Azure for debugging.
+    return new HttpError(500, 'internal_error', 'An unexpected error occurred.').toResponse();
+}
+
+module.exports = {
+    HttpError,
+    UpstreamError,
+    createErrorResponse,
+    fetchUpstream
+};
@@ -0,0 +1,50 @@
+// --- JustWatch Locales ---
+// Which countries' TMDB watch pages actually link to JustWatch, learned from the pages scraped on this function host.
+// TMDB's availability data comes from JustWatch, so a country with providers usually has a JustWatch page,
+// but not always; the record settles it once a country's pages have been scraped a few times.
+
+// A country whose pages listed offers this many times without ever linking to JustWatch is treated as unsupported.
+const MIN_UNLINKED_SCRAPES = 3;
+
+/**
+ * Counts, per country, the scraped pages with offers that did and didn't include a JustWatch link.
+ * The counts live in memory, so they start over when the function host restarts.
+ */
+class JustWatchLocaleLog {
+    constructor() {
+        this.locales = new Map();
+    }
+
+    /**
+     * Records one scraped page. Pages without offers say nothing about the country, only that the title isn't there.
+     * @param {string} locale - The two-letter country code the page was scraped for.
+     * @param {object} page - The parsed page (see parseWatchPage).
+     */
+    record(locale, page) {
+        if (!page.justWatchUrl && Object.keys(page.providersInfo).length === 0) return;
+        const counts = this.locales.get(locale) || { linked: 0, unlinked: 0 };
+        if (page.justWatchUrl) counts.linked++;
+        else counts.unlinked++;
+        this.locales.set(locale, counts);
+    }
+
+    /**
+     * Tells whether a country's pages link to JustWatch.
+     * @param {string} locale - The two-letter country code.
+     * @returns {boolean|null} True once a page has linked, false once enough pages haven't, null if it's too early to say.
+     */
+    isSupported(locale) {
+        const counts = this.locales.get(locale);
+        if (!counts) return null;
+        if (counts.linked > 0) return true;
+        return counts.unlinked >= MIN_UNLINKED_SCRAPES ? false : null;
+    }
+}
+
+// One record per function host, filled in by every route that scrapes.
+const sharedJustWatchLocales = new JustWatchLocaleLog();
+
+module.exports = {
+    JustWatchLocaleLog,
+    sharedJustWatchLocales
+};
@@ -0,0 +1,110 @@
+const { HttpError } = require('./errors');
+
+// Token-bucket budgets per client. Each request takes one token; tokens refill continuously.
+// Direct API calls allow bursts of autocomplete keystrokes, while scrapes are far more expensive.
+const RATE_LIMITS = {
+    endpoint: { capacity: 60, refillPerSecond: 2 },
+    scrape: { capacity: 20, refillPerSecond: 0.2 },
+    // Caps how often batches are requested; each page a batch actually scrapes also takes a 'scrape' token.
+    batch: { capacity: 12, refillPerSecond: 1 / 5 }
+};
+
+// Once this many clients are tracked for a budget, clients whose buckets have refilled completely are forgotten.
+const MAX_TRACKED_CLIENTS = 10000;
+
+/**
+ * The client made too many requests. Responds with 429 and a Retry-After header.
+ */
+class RateLimitError extends HttpError {
+    /**
+     * @param {number} retryAfter - The number of seconds until the next request will be allowed.
+     */
+    constructor(retryAfter) {
+        super(429, 'rate_limited', `Too many requests. Please try again in ${retryAfter} ${retryAfter === 1 ? 'second' : 'seconds'}.`, {
+            headers: { 'Retry-After': String(retryAfter) }
+        });
+        this.name = 'RateLimitError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Tracks a token bucket per client for each budget in RATE_LIMITS.
+ */
+class RateLimiter {
+    /**
+     * @param {object} [limits] - The budgets, keyed by name. Defaults to RATE_LIMITS.
+     * @param {function(): number} [now] - Returns the current time in milliseconds.
+     */
+    constructor(limits = RATE_LIMITS, now = Date.now) {
+        this.limits = limits;
+        this.now = now;
+        this.buckets = {};
+        for (const name of Object.keys(limits)) this.buckets[name] = new Map();
+    }
+
+    /**
+     * Takes a token from a client's bucket.
+     * @param {string} budget - The budget name (e.g., 'endpoint').
+     * @param {string} clientKey - Identifies the client, usually by IP address.
+     * @throws {RateLimitError} If the bucket is empty.
+     */
+    consume(budget, clientKey) {
+        const { capacity, refillPerSecond } = this.limits[budget];
+        const buckets = this.buckets[budget];
+        const now = this.now();
+
+        const bucket = buckets.get(clientKey) || { tokens: capacity, updatedAt: now };
+        bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+        bucket.updatedAt = now;
+
+        if (bucket.tokens < 1) {
+            buckets.set(clientKey, bucket);
+            throw new RateLimitError(Math.ceil((1 - bucket.tokens) / refillPerSecond));
+        }
+        bucket.tokens -= 1;
+        buckets.set(clientKey, bucket);
+
+        if (buckets.size > MAX_TRACKED_CLIENTS) this.prune(budget);
+    }
+
+    /**
+     * Forgets the clients of a budget whose buckets would be full by now.
+     * @param {string} budget - The budget name.
+     */
+    prune(budget) {
+        const { capacity, refillPerSecond } = this.limits[budget];
+        const now = this.now();
+        for (const [clientKey, bucket] of this.buckets[budget]) {
+            if (bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond >= capacity) {
+                this.buckets[budget].delete(clientKey);
+            }
+        }
+    }
+}
+
+/**
+ * Identifies the client of a request by IP address, as seen by Azure's own proxies.
+ * Clients can send any X-Forwarded-For header, and proxies append to it, so only the platform's client IP header
+ * or the rightmost address (the one the last proxy added) can be trusted.
+ * @param {object} req - The incoming request.
+ * @returns {string} The client's IP address, or 'unknown'.
+ */
+function getClientKey(req) {
+    const headers = req.headers || {};
+    const forwardedFor = headers['x-azure-clientip'] || headers['x-forwarded-for'] || headers['x-client-ip'] || '';
+    const lastAddress = forwardedFor.split(',').pop().trim();
+    // Strip the port from IPv4 addresses ("203.0.113.7:51234").
+    return lastAddress.replace(/^(\d+\.\d+\.\d+\.\d+):\d+$/, '$1') || 'unknown';
+}
+
+// One limiter per function host, shared by every route.
+const sharedRateLimiter = new RateLimiter();
+
+module.exports = {
+    RATE_LIMITS,
+    RateLimitError,
+    RateLimiter,
+    sharedRateLimiter,
+    getClientKey
+};
@@ -0,0 +1,44 @@
+const { Semaphore } = require('./async');
+const { fetchUpstream } = require('./errors');
+const { sharedJustWatchLocales } = require('./justwatch-locales');
+const { parseWatchPage } = require('./watch-page-parser');
+
+// The most watch pages fetched from TMDB at once across all requests on this function host.
+const MAX_CONCURRENT_SCRAPES = 8;
+const scrapeSlots = new Semaphore(MAX_CONCURRENT_SCRAPES);
+
+/**
+ * Fetches and parses a TMDB watch page. Unlike the tmdb route's wrapper, failures are thrown
+ * so callers can decide whether to retry. Fetches queue up once MAX_CONCURRENT_SCRAPES are in flight.
+ * Every parsed page is recorded in the shared JustWatch locale log for the regions route.
+ * @param {string} url - The validated TMDB watch page URL. Its path and query are requested from `webUrl`.
+ * @param {Function} fetch - The fetch implementation to request the page with.
+ * @param {string} webUrl - The TMDB website's base URL, from getUpstreamUrls.
+ * @returns {Promise<object>} The parsed page (see parseWatchPage).
+ * @throws {UpstreamError} If the page couldn't be fetched.
+ * @throws {WatchPageParseError} If the page layout isn't recognized.
+ */
+async function scrapeWatchPage(url, fetch, webUrl) {
+    const { pathname, search, searchParams } = new URL(url);
+    const htmlContent = await scrapeSlots.run(async () => {
+        const response = await fetchUpstream(fetch, `${webUrl}${pathname}${search}`);
+        return response.text();
+    });
+    const page = parseWatchPage(htmlContent);
+    sharedJustWatchLocales.record(searchParams.get('locale'), page);
+    return page;
+}
+
+/**
+ * Tells whether a scraped page produced any data. Empty results are not cached.
+ * @param {object} data - The parsed page.
+ * @returns {boolean}
+ */
+function hasWatchPageData(data) {
+    return Boolean(data.justWatchUrl) || Object.keys(data.providersInfo).length > 0;
+}
+
+module.exports = {
+    hasWatchPageData,
+    scrapeWatchPage
+};
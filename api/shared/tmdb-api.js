@@ -0,0 +1,50 @@
+const { fetchUpstream } = require('./errors');
+const { withRetry } = require('./async');
+
+// --- TMDB API ---
+
+// Where TMDB's API and website are reached. The TMDB_API_URL and TMDB_WEB_URL settings override them,
+// e.g. to run the functions against the local mock in test/mock-tmdb.js.
+const DEFAULT_API_URL = 'https://api.themoviedb.org/3';
+const DEFAULT_WEB_URL = 'https://www.themoviedb.org';
+
+/**
+ * Reads the upstream base URLs from the environment.
+ * @param {object} [env] - The environment variables. Defaults to process.env.
+ * @returns {{apiUrl: string, webUrl: string}} The API and website base URLs, without a trailing slash.
+ */
+function getUpstreamUrls(env = process.env) {
+    return {
+        apiUrl: (env.TMDB_API_URL || DEFAULT_API_URL).replace(/\/+$/, ''),
+        webUrl: (env.TMDB_WEB_URL || DEFAULT_WEB_URL).replace(/\/+$/, '')
+    };
+}
+
+/**
+ * Requests a TMDB API endpoint with the server's API key, retrying TMDB outages.
+ * @param {object} client
+ * @param {Function} client.fetch - The fetch implementation to request the endpoint with.
+ * @param {string} client.apiKey - The TMDB API read access token.
+ * @param {string} client.apiUrl - The API base URL, from getUpstreamUrls.
+ * @param {string} endpoint - The TMDB endpoint path (e.g., 'search/multi').
+ * @param {object} [params] - The query parameters to send.
+ * @returns {Promise<object>} The parsed JSON response.
+ * @throws {UpstreamError} If TMDB couldn't be reached or answered with an error.
+ */
+function fetchTmdbEndpoint({ fetch, apiKey, apiUrl }, endpoint, params = {}) {
+    return withRetry(async () => {
+        const endpointUrl = `${apiUrl}/${endpoint}?${new URLSearchParams(params)}`;
+        const apiResponse = await fetchUpstream(fetch, endpointUrl, {
+            headers: {
+                'Authorization': `Bearer ${apiKey}`, // Securely add the API key here.
+                'Accept': 'application/json'
+            }
+        });
+        return apiResponse.json();
+    });
+}
+
+module.exports = {
+    fetchTmdbEndpoint,
+    getUpstreamUrls
+};
@@ -0,0 +1,170 @@
+const { HttpError } = require('./errors');
+
+// --- Request Validation ---
+// The tmdb function only forwards requests that the front end actually needs, so it can't be used
+// as an open proxy to TMDB (with our API key) or to arbitrary URLs.
+
+// Accepted values for every query parameter that may be forwarded to TMDB.
+const PARAM_RULES = {
+    query: /^[^\u0000-\u001f]{1,200}$/,
+    include_adult: /^(true|false)$/,
+    language: /^[a-z]{2}(-[A-Z]{2})?$/,
+    page: /^[1-9]\d{0,2}$/,
+    // Only the extras the title detail panel shows, so appends can't reach other TMDB data.
+    append_to_response: /^(credits|videos|recommendations|similar)(,(credits|videos|recommendations|similar)){0,3}$/,
+    // Browse mode's discover filters.
+    watch_region: /^[A-Z]{2}$/,
+    with_watch_providers: /^\d{1,6}$/,
+    with_genres: /^\d{1,6}$/,
+    sort_by: /^popularity\.desc$/,
+    'primary_release_date.gte': /^\d{4}-\d{2}-\d{2}$/,
+    'primary_release_date.lte': /^\d{4}-\d{2}-\d{2}$/,
+    'first_air_date.gte': /^\d{4}-\d{2}-\d{2}$/,
+    'first_air_date.lte': /^\d{4}-\d{2}-\d{2}$/,
+    'vote_average.gte': /^(10|\d)$/,
+    'vote_count.gte': /^\d{1,4}$/,
+    // Looking a title up by its IMDb or TVDB ID.
+    external_source: /^(imdb_id|tvdb_id)$/
+};
+
+// The TMDB endpoints the front end may call, each with the query parameters it may send.
+// The front end sends the user's language with every request.
+const ENDPOINT_ALLOWLIST = [
+    { pattern: /^search\/(multi|movie|tv)$/, params: ['query', 'include_adult', 'language', 'page'] },
+    { pattern: /^(movie|tv)\/\d+\/watch\/providers$/, params: ['language'] },
+    { pattern: /^(movie|tv)\/\d+$/, params: ['language', 'append_to_response'] },
+    { pattern: /^tv\/\d+\/season\/\d+\/watch\/providers$/, params: ['language'] },
+    { pattern: /^watch\/providers\/(movie|tv)$/, params: ['language', 'watch_region'] },
+    { pattern: /^configuration\/countries$/, params: ['language'] },
+    { pattern: /^genre\/(movie|tv)\/list$/, params: ['language'] },
+    { pattern: /^find\/(tt\d{7,10}|\d{1,10})$/, params: ['language', 'external_source'] },
+    {
+        pattern: /^discover\/(movie|tv)$/,
+        params: [
+            'language', 'page', 'include_adult', 'watch_region', 'with_watch_providers', 'with_genres', 'sort_by',
+            'primary_release_date.gte', 'primary_release_date.lte', 'first_air_date.gte', 'first_air_date.lte',
+            'vote_average.gte', 'vote_count.gte'
+        ]
+    }
+];
+
+const SCRAPE_HOSTS = ['www.themoviedb.org', 'themoviedb.org'];
+const SCRAPE_PATH_PATTERN = /^\/(movie|tv)\/(\d+)\/watch$/;
+const LOCALE_PATTERN = /^[A-Z]{2}$/;
+// Each locale is a page scrape, so a batch stays well inside the function timeout. The front end sends
+// larger lists in several batches (WATCH_PAGE_BATCH_SIZE in script.js).
+const MAX_BATCH_LOCALES = 25;
+
+/**
+ * An invalid or forbidden request, answered with a 400 or 403 JSON error.
+ */
+class ValidationError extends HttpError {
+    constructor(status, code, message) {
+        super(status, code, message);
+        this.name = 'ValidationError';
+    }
+}
+
+/**
+ * Checks that a TMDB endpoint is allowlisted and that every parameter is allowed for it and well-formed.
+ * @param {string} endpoint - The TMDB endpoint path (e.g., 'search/multi').
+ * @param {object} params - The query parameters to forward.
+ * @throws {ValidationError} 403 if the endpoint isn't allowed, 400 if a parameter isn't.
+ */
+function validateEndpointRequest(endpoint, params) {
+    const rule = ENDPOINT_ALLOWLIST.find(entry => entry.pattern.test(endpoint));
+    if (!rule) {
+        throw new ValidationError(403, 'endpoint_not_allowed', `The endpoint '${endpoint}' is not allowed.`);
+    }
+
+    for (const [name, value] of Object.entries(params)) {
+        if (!rule.params.includes(name)) {
+            throw new ValidationError(400, 'parameter_not_allowed', `The parameter '${name}' is not allowed for '${endpoint}'.`);
+        }
+        if (typeof value !== 'string' || !PARAM_RULES[name].test(value)) {
+            throw new ValidationError(400, 'invalid_parameter', `The parameter '${name}' has an invalid value.`);
+        }
+    }
+}
+
+/**
+ * Checks that a scrape target is a TMDB watch page (`https://www.themoviedb.org/{movie|tv}/{id}/watch?locale=XX`)
+ * and rebuilds it from its validated parts, so nothing else in the original string reaches the fetch.
+ * @param {string} url - The URL supplied by the client.
+ * @returns {string} The normalized watch page URL.
+ * @throws {ValidationError} 400 if the URL is malformed, 403 if it points anywhere but a TMDB watch page.
+ */
+function validateScrapeUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new ValidationError(400, 'invalid_url', 'The url parameter is not a valid URL.');
+    }
+
+    if (parsed.protocol !== 'https:' || !SCRAPE_HOSTS.includes(parsed.hostname) || parsed.port || parsed.username || parsed.password) {
+        throw new ValidationError(403, 'url_not_allowed', 'Only TMDB watch pages can be scraped.');
+    }
+
+    const pathMatch = SCRAPE_PATH_PATTERN.exec(parsed.pathname);
+    const locale = parsed.searchParams.get('locale');
+    const paramNames = Array.from(parsed.searchParams.keys());
+    if (!pathMatch || paramNames.length !== 1 || paramNames[0] !== 'locale' || !LOCALE_PATTERN.test(locale) || parsed.hash) {
+        throw new ValidationError(400, 'invalid_url', 'The url must look like https://www.themoviedb.org/{movie|tv}/{id}/watch?locale=XX.');
+    }
+
+    return `https://www.themoviedb.org/${pathMatch[1]}/${pathMatch[2]}/watch?locale=${locale}`;
+}
+
+/**
+ * Checks the query of a batch watch page request: `?type=movie|tv&id=123&locales=US,GB,...`.
+ * @param {object} query - The request's query parameters.
+ * @returns {{mediaType: string, tmdbId: string, locales: string[]}} The validated, de-duplicated request.
+ * @throws {ValidationError} 400 if any parameter is missing or malformed.
+ */
+function validateWatchPageBatch(query) {
+    const { type, id, locales } = query;
+    if (type !== 'movie' && type !== 'tv') {
+        throw new ValidationError(400, 'invalid_parameter', "The type parameter must be 'movie' or 'tv'.");
+    }
+    if (!/^\d+$/.test(id || '')) {
+        throw new ValidationError(400, 'invalid_parameter', 'The id parameter must be a TMDB ID.');
+    }
+
+    const localeList = Array.from(new Set(String(locales || '').split(',').map(locale => locale.trim()).filter(Boolean)));
+    if (localeList.length === 0 || localeList.length > MAX_BATCH_LOCALES || !localeList.every(locale => LOCALE_PATTERN.test(locale))) {
+        throw new ValidationError(400, 'invalid_parameter', `The locales parameter must list 1 to ${MAX_BATCH_LOCALES} two-letter country codes.`);
+    }
+
+    return { mediaType: type, tmdbId: id, locales: localeList };
+}
+
+/**
+ * Checks a public availability request: `/api/v1/availability/{movie|tv}/{id}?country=XX`.
+ * @param {object} params - The route parameters, `mediaType` and `id`.
+ * @param {object} query - The request's query parameters.
+ * @returns {{mediaType: string, tmdbId: string, country: string|null}} The validated request.
+ * @throws {ValidationError} 400 if any parameter is malformed.
+ */
+function validateAvailabilityRequest(params, query) {
+    const { mediaType, id } = params;
+    if (mediaType !== 'movie' && mediaType !== 'tv') {
+        throw new ValidationError(400, 'invalid_parameter', "The media type must be 'movie' or 'tv'.");
+    }
+    if (!/^\d{1,10}$/.test(id || '')) {
+        throw new ValidationError(400, 'invalid_parameter', 'The id must be a TMDB ID.');
+    }
+    const { country } = query;
+    if (country !== undefined && !LOCALE_PATTERN.test(country)) {
+        throw new ValidationError(400, 'invalid_parameter', 'The country parameter must be a two-letter country code.');
+    }
+    return { mediaType, tmdbId: id, country: country || null };
+}
+
+module.exports = {
+    ValidationError,
+    validateAvailabilityRequest,
+    validateEndpointRequest,
+    validateScrapeUrl,
+    validateWatchPageBatch
+};
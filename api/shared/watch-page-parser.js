@@ -0,0 +1,230 @@
+const { JSDOM } = require('jsdom');
+const { HttpError } = require('./errors');
+
+// --- TMDB Watch Page Parser ---
+// TMDB has no API for JustWatch links or per-offer quality, so they are read from the watch page's markup.
+// Every field is found with a list of strategies, tried in order, so a markup change degrades to a
+// fallback instead of silently returning nothing. Pages that match none of them throw a WatchPageParseError.
+
+// Bumped whenever the output changes, so cached pages from an older parser are not served (see createScrapeKey).
+const PARSER_VERSION = 2;
+
+// The offer sections on a TMDB watch page, keyed by their lowercased heading text.
+const SCRAPED_OFFER_TYPES = ['stream', 'free', 'ads', 'rent', 'buy'];
+
+// Where the title's JustWatch page is linked, most specific first. Per-offer links go through
+// click.justwatch.com, so the looser fallbacks skip those.
+const JUSTWATCH_LINK_SELECTORS = [
+    '.ott_title + p a[href*="justwatch.com"]',
+    'a[href^="https://www.justwatch.com/"]',
+    'a[href*="justwatch.com"]:not([href*="click.justwatch.com"])'
+];
+
+// Ways to find the offer sections: each returns `{ heading, items }` pairs, where `heading` names the offer type.
+const OFFER_SECTION_STRATEGIES = [
+    // Current layout: one .ott_provider block per offer type.
+    doc => Array.from(doc.querySelectorAll('.ott_provider'), section => ({
+        heading: section.querySelector('h3'),
+        items: section.querySelectorAll('ul.providers > li')
+    })),
+    // Any heading that names an offer type, followed by its list of providers.
+    doc => Array.from(doc.querySelectorAll('h2, h3, h4'), heading => {
+        let list = heading.nextElementSibling;
+        while (list && list.tagName !== 'UL' && !/^H[2-4]$/.test(list.tagName)) list = list.nextElementSibling;
+        return { heading, items: list && list.tagName === 'UL' ? list.children : [] };
+    })
+];
+
+// Ways to read a provider's name from its list item.
+const PROVIDER_NAME_STRATEGIES = [
+    // The link title, e.g. "Watch The Matrix on Netflix".
+    li => {
+        const link = li.querySelector('a[title]');
+        const match = link && /\bon (.+)$/.exec(link.title.trim());
+        return match && match[1];
+    },
+    li => {
+        const logo = li.querySelector('img[alt]');
+        return logo && logo.alt.trim();
+    },
+    li => {
+        const link = li.querySelector('a[aria-label]');
+        return link && link.getAttribute('aria-label').trim();
+    }
+];
+
+// The quality classes TMDB puts on each list item.
+const QUALITY_CLASSES = { ott_filter_4k: '4K', ott_filter_hd: 'HD', ott_filter_sd: 'SD' };
+const QUALITY_TEXT_PATTERN = /\b(4K|UHD|HD|SD)\b/g;
+
+// A price with a currency symbol or code on either side, e.g. "$3.99", "3,99 €" or "399 INR".
+const PRICE_PATTERN = /(?:[$€£¥₹₩]|R\$|[A-Z]{3}\s)\s?\d[\d.,]*|\d[\d.,]*\s?(?:[$€£¥₹₩]|kr|zł|[A-Z]{3}\b)/;
+
+// Text that only appears on a watch page that has no offers, which is not a parse failure.
+const NO_OFFERS_PATTERN = /no (?:official )?(?:streaming|watch) (?:data|offers|providers)|not available to (?:stream|watch)/i;
+
+/**
+ * The page doesn't match any known watch page layout, so the parser needs updating. Sent as a 502 JSON
+ * error, and not retried since the same markup would fail again.
+ */
+class WatchPageParseError extends HttpError {
+    constructor(message) {
+        super(502, 'parse_failed', message, { retryable: false });
+        this.name = 'WatchPageParseError';
+        this.parserVersion = PARSER_VERSION;
+    }
+}
+
+/**
+ * Reads the JustWatch link and every offer from a TMDB watch page.
+ * @param {string} htmlContent - The watch page HTML.
+ * @returns {object} The parsed page:
+ * - `parserVersion`: PARSER_VERSION.
+ * - `justWatchUrl`: the title's JustWatch page for the locale, or null.
+ * - `providersInfo`: the qualities keyed by provider name and then offer type (e.g. `{ Netflix: { stream: ['4K', 'HD'] } }`).
+ * - `offers`: one entry per listed offer: `{ providerName, type, link, price, presentationTypes }`, where `link` is the
+ *   provider's deep link and `price` the displayed price text (both null if missing).
+ * @throws {WatchPageParseError} If the page has no JustWatch link, no offer sections and no "no offers" message.
+ */
+function parseWatchPage(htmlContent) {
+    const doc = new JSDOM(htmlContent).window.document;
+    const justWatchUrl = findJustWatchUrl(doc);
+    const sections = findOfferSections(doc);
+
+    if (!justWatchUrl && sections.length === 0 && !isNoOffersPage(doc)) {
+        throw new WatchPageParseError('The TMDB watch page layout was not recognized.');
+    }
+
+    const offers = [];
+    sections.forEach(({ type, items }) => {
+        Array.from(items).forEach(li => {
+            const providerName = firstResult(PROVIDER_NAME_STRATEGIES, li);
+            if (!providerName) return;
+            offers.push({ providerName, type, link: findDeepLink(li), price: findPrice(li), presentationTypes: findPresentationTypes(li) });
+        });
+    });
+
+    return { parserVersion: PARSER_VERSION, justWatchUrl, providersInfo: summarizeQualities(offers), offers };
+}
+
+/**
+ * @param {Document} doc - The parsed page.
+ * @returns {string|null} The JustWatch URL from the first selector that matches.
+ */
+function findJustWatchUrl(doc) {
+    for (const selector of JUSTWATCH_LINK_SELECTORS) {
+        const link = doc.querySelector(selector);
+        if (link) return link.href;
+    }
+    return null;
+}
+
+/**
+ * Finds the offer sections with the first strategy that finds any, keeping only known offer types.
+ * @param {Document} doc - The parsed page.
+ * @returns {Array<{type: string, items: Iterable<Element>}>} The sections.
+ */
+function findOfferSections(doc) {
+    for (const strategy of OFFER_SECTION_STRATEGIES) {
+        const sections = strategy(doc)
+            .filter(section => section.heading)
+            .map(section => ({ type: section.heading.textContent.trim().toLowerCase(), items: section.items }))
+            .filter(section => SCRAPED_OFFER_TYPES.includes(section.type));
+        if (sections.length > 0) return sections;
+    }
+    return [];
+}
+
+/**
+ * Only the explicit message counts: the rest of a watch page's layout, such as .ott_title, is also on pages with
+ * offers, so matching it would report changed offer markup as an empty page.
+ * @param {Document} doc - The parsed page.
+ * @returns {boolean} Whether the page says the title has no offers.
+ */
+function isNoOffersPage(doc) {
+    return NO_OFFERS_PATTERN.test(doc.body ? doc.body.textContent : '');
+}
+
+/**
+ * @param {Array<function(Element): ?string>} strategies - The strategies to try.
+ * @param {Element} element - The element to read.
+ * @returns {string|null} The first non-empty result.
+ */
+function firstResult(strategies, element) {
+    for (const strategy of strategies) {
+        const result = strategy(element);
+        if (result) return result;
+    }
+    return null;
+}
+
+/**
+ * @param {Element} li - An offer's list item.
+ * @returns {string|null} The provider's deep link, if it is a web link.
+ */
+function findDeepLink(li) {
+    const link = li.querySelector('a[href]');
+    return link && /^https?:\/\//.test(link.href) ? link.href : null;
+}
+
+/**
+ * @param {Element} li - An offer's list item.
+ * @returns {string|null} The displayed price, from a price element or any price-like text.
+ */
+function findPrice(li) {
+    const priceElement = li.querySelector('.price, [class*="price"]');
+    const match = PRICE_PATTERN.exec(getSpacedText(priceElement || li));
+    return match ? match[0].trim() : null;
+}
+
+/**
+ * Reads the qualities an offer comes in, from TMDB's filter classes or, failing that, from badge text.
+ * @param {Element} li - An offer's list item.
+ * @returns {string[]} The qualities, e.g. ['4K', 'HD'].
+ */
+function findPresentationTypes(li) {
+    const qualities = new Set();
+    for (const [className, quality] of Object.entries(QUALITY_CLASSES)) {
+        if (li.classList.contains(className)) qualities.add(quality);
+    }
+    if (qualities.size === 0) {
+        for (const [, quality] of getSpacedText(li).matchAll(QUALITY_TEXT_PATTERN)) {
+            qualities.add(quality === 'UHD' ? '4K' : quality);
+        }
+    }
+    return Array.from(qualities);
+}
+
+/**
+ * Reads an element's text with a space between text nodes, so adjacent badges like `<span>HD</span><span>$3.99</span>`
+ * don't run together.
+ * @param {Element} element - The element to read.
+ * @returns {string} The text, with whitespace collapsed.
+ */
+function getSpacedText(element) {
+    const walker = element.ownerDocument.createTreeWalker(element, 4 /* NodeFilter.SHOW_TEXT */);
+    const parts = [];
+    while (walker.nextNode()) parts.push(walker.currentNode.nodeValue);
+    return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Collects every offer's qualities by provider and offer type, the shape the front end reads.
+ * @param {Array<object>} offers - The parsed offers.
+ * @returns {object} E.g. `{ Netflix: { stream: ['4K', 'HD'] } }`.
+ */
+function summarizeQualities(offers) {
+    const providersInfo = {};
+    offers.forEach(({ providerName, type, presentationTypes }) => {
+        const provider = providersInfo[providerName] || (providersInfo[providerName] = {});
+        provider[type] = Array.from(new Set([...(provider[type] || []), ...presentationTypes]));
+    });
+    return providersInfo;
+}
+
+module.exports = {
+    PARSER_VERSION,
+    SCRAPED_OFFER_TYPES,
+    WatchPageParseError,
+    parseWatchPage
+};
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, settle } = require('./load-app');
+
+const RESULTS = [
+    { id: 603, media_type: 'movie', title: 'The Matrix', release_date: '1999-03-31' },
+    { id: 604, media_type: 'movie', title: 'The Matrix Reloaded', release_date: '2003-05-15' },
+    { id: 605, media_type: 'movie', title: 'The Matrix Revolutions', release_date: '2003-11-05' }
+];
+const NETFLIX = { provider_id: 8, provider_name: 'Netflix', logo_path: '/n.png' };
+const APPLE = { provider_id: 2, provider_name: 'Apple TV', logo_path: '/a.png' };
+const PROVIDERS = { US: { flatrate: [NETFLIX], rent: [APPLE], buy: [APPLE] } };
+
+/**
+ * Loads the page with a fake API that suggests the titles above and knows their providers.
+ */
+function loadPage() {
+    return loadApp(url => {
+        const endpoint = new URLSearchParams(url.split('?')[1]).get('endpoint') || '';
+        if (url.startsWith('/api/watch-pages')) return { results: {}, failed: [], errors: {} };
+        if (endpoint.endsWith('/watch/providers')) return { results: PROVIDERS };
+        if (endpoint.startsWith('search/')) return { page: 1, total_pages: 1, results: RESULTS };
+        return { results: {} };
+    });
+}
+
+/**
+ * Presses a key on an element.
+ */
+function press(window, element, key) {
+    element.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+}
+
+test('the autocomplete options are chosen with the arrow keys and Enter, and closed with Escape', async () => {
+    const window = loadPage();
+    const { document } = window;
+    const input = document.getElementById('search-input');
+    window.fetchAutocomplete('matrix');
+    await settle();
+
+    const options = document.querySelectorAll('#autocomplete [role="option"]');
+    assert.strictEqual(options.length, 3);
+    assert.strictEqual(input.getAttribute('aria-expanded'), 'true');
+
+    press(window, input, 'ArrowDown');
+    press(window, input, 'ArrowDown');
+    assert.strictEqual(input.getAttribute('aria-activedescendant'), options[1].id);
+    assert.deepStrictEqual(Array.from(options, option => option.getAttribute('aria-selected')), ['false', 'true', 'false']);
+    press(window, input, 'ArrowUp');
+    press(window, input, 'ArrowUp'); // Wraps around to the last option.
+    assert.strictEqual(input.getAttribute('aria-activedescendant'), options[2].id);
+
+    press(window, input, 'Escape');
+    assert.strictEqual(input.getAttribute('aria-expanded'), 'false');
+    assert.strictEqual(input.hasAttribute('aria-activedescendant'), false);
+
+    window.fetchAutocomplete('matrix');
+    await settle();
+    press(window, input, 'ArrowDown');
+    press(window, input, 'Enter');
+    await settle();
+    assert.strictEqual(document.querySelector('.title-name').textContent, 'The Matrix (1999)');
+});
+
+test('the offer tabs follow the tab pattern and move with the arrow keys', async () => {
+    const window = loadPage();
+    const { document } = window;
+    window.fetchAutocomplete('matrix');
+    await settle();
+    document.querySelector('#autocomplete [role="option"]').click();
+    await settle();
+
+    const tabs = Array.from(document.querySelectorAll('[role="tablist"] [role="tab"]'));
+    assert.deepStrictEqual(tabs.map(tab => tab.tabIndex), [0, -1, -1]);
+    assert.strictEqual(document.getElementById(tabs[0].getAttribute('aria-controls')).getAttribute('aria-labelledby'), tabs[0].id);
+
+    tabs[0].focus();
+    press(window, tabs[0], 'ArrowRight');
+    assert.strictEqual(document.activeElement, tabs[1]);
+    assert.deepStrictEqual(tabs.map(tab => tab.getAttribute('aria-selected')), ['false', 'true', 'false']);
+    assert.ok(document.getElementById('offer-panel-rent').classList.contains('active'));
+
+    press(window, tabs[1], 'ArrowLeft');
+    press(window, tabs[0], 'ArrowLeft'); // Wraps around to the last tab.
+    assert.strictEqual(document.activeElement, tabs[2]);
+    assert.deepStrictEqual(tabs.map(tab => tab.tabIndex), [-1, -1, 0]);
+});
+
+test('a country dropdown is a menu opened with ArrowDown and closed with Escape', async () => {
+    const window = loadPage();
+    const { document } = window;
+    window.fetchAutocomplete('matrix');
+    await settle();
+    document.querySelector('#autocomplete [role="option"]').click();
+    await settle();
+
+    const button = document.querySelector('#offer-panel-flatrate .country-button');
+    const menu = document.getElementById(button.getAttribute('aria-controls'));
+    assert.strictEqual(menu.getAttribute('role'), 'menu');
+    assert.strictEqual(button.getAttribute('aria-expanded'), 'false');
+
+    button.focus();
+    press(window, button, 'ArrowDown');
+    const items = Array.from(menu.querySelectorAll('[role="menuitem"]'));
+    assert.ok(menu.classList.contains('show'));
+    assert.strictEqual(button.getAttribute('aria-expanded'), 'true');
+    assert.strictEqual(document.activeElement, items[0]);
+
+    press(window, items[0], 'ArrowDown');
+    assert.strictEqual(document.activeElement, items[1]);
+    press(window, items[1], 'ArrowUp');
+    press(window, items[0], 'ArrowUp'); // Wraps around to the last link.
+    assert.strictEqual(document.activeElement, items[items.length - 1]);
+
+    press(window, document.activeElement, 'Escape');
+    assert.ok(!menu.classList.contains('show'));
+    assert.strictEqual(button.getAttribute('aria-expanded'), 'false');
+    assert.strictEqual(document.activeElement, button);
+});
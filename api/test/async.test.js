@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Semaphore } = require('../shared/async');
+
+test('a semaphore never runs more tasks than its limit and serves waiting tasks first', async () => {
+    const semaphore = new Semaphore(2);
+    const started = [];
+    const finishers = [];
+    let running = 0;
+    let peak = 0;
+    const task = name => () => new Promise(resolve => {
+        started.push(name);
+        running++;
+        peak = Math.max(peak, running);
+        finishers.push(() => {
+            running--;
+            resolve();
+        });
+    });
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+
+    const runs = ['a', 'b', 'c', 'd'].map(name => semaphore.run(task(name)));
+    await settle();
+    assert.deepStrictEqual(started, ['a', 'b']);
+
+    // A new caller arriving as a slot is released must queue behind the tasks already waiting.
+    finishers.shift()();
+    runs.push(semaphore.run(task('e')));
+    await settle();
+    assert.deepStrictEqual(started, ['a', 'b', 'c']);
+
+    while (finishers.length > 0) {
+        finishers.shift()();
+        await settle();
+    }
+    await Promise.all(runs);
+    assert.deepStrictEqual(started, ['a', 'b', 'c', 'd', 'e']);
+    assert.strictEqual(peak, 2);
+    assert.strictEqual(semaphore.active, 0);
+});
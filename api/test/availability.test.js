@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MemoryLruStore, ResponseCache } = require('../shared/cache');
+const { createHandler } = require('../availability');
+
+const noRateLimit = { consume() {} };
+
+const DETAILS = { id: 603, title: 'The Matrix', release_date: '1999-03-31' };
+const PROVIDERS = {
+    id: 603,
+    results: {
+        US: {
+            link: 'https://www.themoviedb.org/movie/603-the-matrix/watch?locale=US',
+            flatrate: [
+                { provider_id: 9, provider_name: 'Prime Video', logo_path: '/prime.jpg', display_priority: 2 },
+                { provider_id: 8, provider_name: 'Netflix', logo_path: '/netflix.jpg', display_priority: 1 }
+            ],
+            rent: [{ provider_id: 2, provider_name: 'Apple TV', logo_path: null, display_priority: 4 }]
+        },
+        GB: { ads: [{ provider_id: 3, provider_name: 'Tubi', logo_path: '/tubi.jpg', display_priority: 10 }] },
+        FR: { link: 'https://www.themoviedb.org/movie/603-the-matrix/watch?locale=FR' }
+    }
+};
+
+/**
+ * Builds a fetch that serves TMDB's details and providers for The Matrix, or the given status for every request.
+ */
+function createTmdbFetch(status = 200) {
+    const calls = [];
+    const fetch = async (url) => {
+        calls.push(url);
+        const body = url.includes('/watch/providers') ? PROVIDERS : DETAILS;
+        return { ok: status === 200, status, headers: { get: () => null }, json: async () => body };
+    };
+    return { fetch, calls };
+}
+
+/**
+ * Runs one request through a fresh handler and returns the response.
+ */
+async function request(fetch, params, query = {}) {
+    process.env.TMDB_API_KEY = 'test-key';
+    const handler = createHandler({ fetch, cache: new ResponseCache(new MemoryLruStore()), rateLimiter: noRateLimit });
+    const context = { log: { error() {} } };
+    await handler(context, { params, query, headers: {} });
+    return context.res;
+}
+
+test('returns every country with providers in the documented shape', async () => {
+    const { fetch, calls } = createTmdbFetch();
+    const res = await request(fetch, { mediaType: 'movie', id: '603' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers['Access-Control-Allow-Origin'], '*');
+    assert.deepStrictEqual(calls.sort(), [
+        'https://api.themoviedb.org/3/movie/603/watch/providers?',
+        'https://api.themoviedb.org/3/movie/603?'
+    ]);
+    assert.deepStrictEqual(res.body, {
+        schemaVersion: 1,
+        title: { mediaType: 'movie', id: 603, name: 'The Matrix', year: 1999, url: 'https://streamkey.tech/movie/603' },
+        countries: {
+            GB: { stream: [], free: [], ads: [{ id: 3, name: 'Tubi', logoUrl: 'https://image.tmdb.org/t/p/w92/tubi.jpg' }], rent: [], buy: [] },
+            US: {
+                stream: [
+                    { id: 8, name: 'Netflix', logoUrl: 'https://image.tmdb.org/t/p/w92/netflix.jpg' },
+                    { id: 9, name: 'Prime Video', logoUrl: 'https://image.tmdb.org/t/p/w92/prime.jpg' }
+                ],
+                free: [],
+                ads: [],
+                rent: [{ id: 2, name: 'Apple TV', logoUrl: null }],
+                buy: []
+            }
+        },
+        attribution: 'Availability data from JustWatch via TMDB.'
+    });
+});
+
+test('the country parameter narrows the response to one country', async () => {
+    const { fetch } = createTmdbFetch();
+    assert.deepStrictEqual(Object.keys((await request(fetch, { mediaType: 'movie', id: '603' }, { country: 'GB' })).body.countries), ['GB']);
+    assert.deepStrictEqual((await request(fetch, { mediaType: 'movie', id: '603' }, { country: 'FR' })).body.countries, {});
+});
+
+test('malformed requests are rejected before reaching TMDB', async () => {
+    const { fetch, calls } = createTmdbFetch();
+    for (const [params, query] of [[{ mediaType: 'person', id: '1' }, {}], [{ mediaType: 'tv', id: 'abc' }, {}], [{ mediaType: 'tv', id: '1399' }, { country: 'usa' }]]) {
+        const res = await request(fetch, params, query);
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.error.code, 'invalid_parameter');
+        assert.strictEqual(res.headers['Access-Control-Allow-Origin'], '*');
+    }
+    assert.strictEqual(calls.length, 0);
+});
+
+test('an unknown title is a 404 not_found error', async () => {
+    const { fetch } = createTmdbFetch(404);
+    const res = await request(fetch, { mediaType: 'movie', id: '999999999' });
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual(res.body.error.code, 'not_found');
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { MemoryLruStore, ResponseCache } = require('../shared/cache');
+const { createHandler } = require('../tmdb');
+
+const noRateLimit = { consume() {} };
+const WATCH_PAGES = path.join(__dirname, 'fixtures', 'watch-pages');
+const PROVIDERS_QUERY = { endpoint: 'movie/603/watch/providers' };
+const WATCH_URL = 'https://www.themoviedb.org/movie/603/watch?locale=US';
+
+/**
+ * Builds a local fake of TMDB that answers every API request with the same JSON and every watch page with the given
+ * HTML, and counts the upstream calls. Responses can be held back with `pause()` until `resume()` is called.
+ */
+function createFakeTmdb(html = '') {
+    let release = null;
+    let paused = null;
+    const fake = {
+        calls: 0,
+        fetch: async () => {
+            fake.calls++;
+            await paused;
+            return {
+                ok: true,
+                status: 200,
+                headers: { get: () => null },
+                json: async () => ({ id: 603, results: { US: { flatrate: [] } } }),
+                text: async () => html
+            };
+        },
+        pause: () => {
+            paused = new Promise(resolve => { release = resolve; });
+        },
+        resume: () => release()
+    };
+    return fake;
+}
+
+/**
+ * Builds a tmdb handler around the fake and the cache, and returns a function that sends it one request.
+ */
+function createClient(fake, cache) {
+    const handler = createHandler({ fetch: fake.fetch, cache, rateLimiter: noRateLimit });
+    return async (query, headers = {}) => {
+        const context = { log: { error() {} } };
+        await handler(context, { query, headers });
+        return context.res;
+    };
+}
+
+/**
+ * Sets the API key the handler needs for the length of one test.
+ */
+function useApiKey(t) {
+    const previousApiKey = process.env.TMDB_API_KEY;
+    process.env.TMDB_API_KEY = 'test-key';
+    t.after(() => {
+        if (previousApiKey === undefined) delete process.env.TMDB_API_KEY;
+        else process.env.TMDB_API_KEY = previousApiKey;
+    });
+}
+
+test('the LRU store evicts the least recently used entry past its limit', async () => {
+    const store = new MemoryLruStore();
+    for (let index = 0; index < 500; index++) await store.set(`key-${index}`, index, 60);
+    await store.get('key-0'); // Reading an entry makes it the most recently used.
+    await store.set('key-500', 500, 60);
+
+    assert.strictEqual(store.entries.size, 500);
+    assert.strictEqual(await store.get('key-0'), 0);
+    assert.strictEqual(await store.get('key-1'), undefined);
+    assert.strictEqual(await store.get('key-500'), 500);
+});
+
+test('the LRU store forgets entries once their TTL has passed', async (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const store = new MemoryLruStore();
+    await store.set('search', 'results', 300);
+
+    now += 299 * 1000;
+    assert.strictEqual(await store.get('search'), 'results');
+    now += 1000;
+    assert.strictEqual(await store.get('search'), undefined);
+    assert.strictEqual(store.entries.size, 0);
+});
+
+test('a repeated request is answered from the cache with X-Cache HIT', async (t) => {
+    useApiKey(t);
+    const fake = createFakeTmdb();
+    const request = createClient(fake, new ResponseCache(new MemoryLruStore()));
+
+    const first = await request(PROVIDERS_QUERY);
+    const second = await request(PROVIDERS_QUERY);
+    assert.strictEqual(fake.calls, 1);
+    assert.strictEqual(first.headers['X-Cache'], 'MISS');
+    assert.strictEqual(second.headers['X-Cache'], 'HIT');
+    assert.strictEqual(second.headers['Cache-Control'], 'public, max-age=21600');
+    assert.deepStrictEqual(second.body, first.body);
+});
+
+test('requests that miss at the same time share one upstream request', async (t) => {
+    useApiKey(t);
+    const fake = createFakeTmdb();
+    const request = createClient(fake, new ResponseCache(new MemoryLruStore()));
+
+    fake.pause();
+    const responses = [request(PROVIDERS_QUERY), request(PROVIDERS_QUERY)];
+    await new Promise(resolve => setImmediate(resolve));
+    fake.resume();
+    const [first, second] = await Promise.all(responses);
+
+    assert.strictEqual(fake.calls, 1);
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(second.status, 200);
+    assert.strictEqual(first.headers.ETag, second.headers.ETag);
+});
+
+test('a request with the current ETag in If-None-Match gets an empty 304', async (t) => {
+    useApiKey(t);
+    const fake = createFakeTmdb();
+    const request = createClient(fake, new ResponseCache(new MemoryLruStore()));
+
+    const { headers } = await request(PROVIDERS_QUERY);
+    assert.match(headers.ETag, /^"[^"]+"$/);
+
+    const revalidated = await request(PROVIDERS_QUERY, { 'if-none-match': `"stale", ${headers.ETag}` });
+    assert.strictEqual(revalidated.status, 304);
+    assert.strictEqual(revalidated.body, undefined);
+    assert.strictEqual(revalidated.headers.ETag, headers.ETag);
+
+    const changed = await request(PROVIDERS_QUERY, { 'if-none-match': '"stale"' });
+    assert.strictEqual(changed.status, 200);
+    assert.strictEqual(fake.calls, 1);
+});
+
+test('watch pages without data are not cached, and pages with data are', async (t) => {
+    useApiKey(t);
+    const cache = new ResponseCache(new MemoryLruStore());
+    const empty = createFakeTmdb(fs.readFileSync(path.join(WATCH_PAGES, 'no-offers.html'), 'utf8'));
+    const requestEmpty = createClient(empty, cache);
+
+    await requestEmpty({ url: WATCH_URL });
+    const retried = await requestEmpty({ url: WATCH_URL });
+    assert.strictEqual(empty.calls, 2);
+    assert.strictEqual(retried.headers['X-Cache'], 'MISS');
+
+    const filled = createFakeTmdb(fs.readFileSync(path.join(WATCH_PAGES, 'current-layout.html'), 'utf8'));
+    const requestFilled = createClient(filled, cache);
+    await requestFilled({ url: WATCH_URL });
+    const cached = await requestFilled({ url: WATCH_URL });
+    assert.strictEqual(filled.calls, 1);
+    assert.strictEqual(cached.headers['X-Cache'], 'HIT');
+    assert.strictEqual(cached.body.justWatchUrl, 'https://www.justwatch.com/us/movie/the-matrix');
+});
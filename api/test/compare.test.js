@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// The front end lives at the repository root as plain browser scripts.
+const SITE_ROOT = path.join(__dirname, '..', '..');
+const OFFER_KEYS = ['flatrate', 'free', 'ads', 'rent', 'buy'];
+
+/**
+ * Loads compare.js (and i18n.js, for sorting by name) into an empty page.
+ * @returns {Window} The page's window.
+ */
+function loadComparison() {
+    const dom = new JSDOM('', { url: 'http://localhost/', runScripts: 'dangerously' });
+    ['i18n.js', 'compare.js'].forEach(file => dom.window.eval(fs.readFileSync(path.join(SITE_ROOT, file), 'utf8')));
+    return dom.window;
+}
+
+// Results come from the page's realm, so they are copied into plain values before deep comparisons.
+const plain = value => JSON.parse(JSON.stringify(value));
+const provider = (id, name) => ({ provider_id: id, provider_name: name });
+const PROVIDERS = {
+    'movie/603': { US: { flatrate: [provider(8, 'Netflix')], rent: [provider(2, 'Apple TV')] } },
+    'movie/604': { US: { flatrate: [provider(9, 'Prime Video')], buy: [provider(2, 'Apple TV')] }, GB: { flatrate: [provider(8, 'Netflix')] } },
+    'tv/1399': { US: { flatrate: [provider(9, 'Prime Video')], ads: [provider(8, 'Netflix')] } }
+};
+const KEYS = Object.keys(PROVIDERS);
+
+test('the matrix lists every provider in the country with its offers per title', () => {
+    const { buildComparisonMatrix } = loadComparison();
+    const matrix = buildComparisonMatrix(KEYS, PROVIDERS, 'US', OFFER_KEYS);
+    assert.deepStrictEqual(plain(matrix.map(row => row.name)), ['Netflix', 'Prime Video', 'Apple TV']);
+    assert.deepStrictEqual(plain(matrix[0]), { id: 8, name: 'Netflix', offers: { 'movie/603': ['flatrate'], 'tv/1399': ['ads'] }, included: ['movie/603', 'tv/1399'] });
+    assert.deepStrictEqual(plain(matrix[2]), { id: 2, name: 'Apple TV', offers: { 'movie/603': ['rent'], 'movie/604': ['buy'] }, included: [] });
+});
+
+test('the best service includes the most titles and prefers the user\'s own on a tie', () => {
+    const { buildComparisonMatrix, findBestService } = loadComparison();
+    const matrix = buildComparisonMatrix(KEYS, PROVIDERS, 'US', OFFER_KEYS);
+    assert.strictEqual(findBestService(matrix, []).name, 'Netflix');
+    assert.strictEqual(findBestService(matrix, [9]).name, 'Prime Video');
+    assert.strictEqual(findBestService(buildComparisonMatrix(KEYS, PROVIDERS, 'GB', OFFER_KEYS), []).name, 'Netflix');
+    assert.strictEqual(findBestService(buildComparisonMatrix(KEYS, PROVIDERS, 'FR', OFFER_KEYS), []), null);
+});
+
+test('rent and buy offers never make a service the best one', () => {
+    const { buildComparisonMatrix, findBestService } = loadComparison();
+    const rentOnly = { 'movie/603': { US: { rent: [provider(2, 'Apple TV')] } } };
+    const matrix = buildComparisonMatrix(['movie/603'], rentOnly, 'US', OFFER_KEYS);
+    assert.strictEqual(matrix.length, 1);
+    assert.strictEqual(findBestService(matrix, [2]), null);
+});
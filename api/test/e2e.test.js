@@ -0,0 +1,233 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const nodeFetch = require('node-fetch');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+const { MemoryLruStore, ResponseCache } = require('../shared/cache');
+const { startMockTmdb } = require('./mock-tmdb');
+
+// End to end: the site's static files and every function run on a local server, the functions talk to the mock
+// TMDB over HTTP, and the page is driven in jsdom the way a visitor would use it. Nothing leaves this machine.
+
+const SITE_ROOT = path.join(__dirname, '..', '..');
+const WATCH_PAGE_FIXTURES = path.join(__dirname, 'fixtures', 'watch-pages');
+const CONTENT_TYPES = { '.html': 'text/html', '.js': 'text/javascript', '.css': 'text/css', '.json': 'application/json', '.svg': 'image/svg+xml' };
+const noRateLimit = { consume() {} };
+
+/**
+ * Starts a local copy of the site: the static files from the repository root, and the functions under /api as
+ * staticwebapp.config.json and the function.json routes map them. Every function gets its own empty cache.
+ * @param {object} upstream - The mock TMDB's `{ apiUrl, webUrl }`.
+ * @returns {Promise<{origin: string, close: Function}>} The site's origin and a function that stops it.
+ */
+async function startSite(upstream) {
+    const build = name => require(`../${name}`).createHandler({
+        fetch: nodeFetch,
+        cache: new ResponseCache(new MemoryLruStore()),
+        rateLimiter: noRateLimit,
+        upstream
+    });
+    const routes = [
+        { pattern: /^\/api\/tmdb$/, handler: build('tmdb') },
+        { pattern: /^\/api\/watch-pages$/, handler: build('watch-pages') },
+        { pattern: /^\/api\/regions$/, handler: build('regions') },
+        { pattern: /^\/api\/v1\/availability\/(?<mediaType>[^/]+)\/(?<id>[^/]+)$/, handler: build('availability') }
+    ];
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const route = routes.find(entry => entry.pattern.test(url.pathname));
+        if (route) {
+            const context = { log: { error() {} } };
+            const params = route.pattern.exec(url.pathname).groups || {};
+            await route.handler(context, { method: req.method, params, query: Object.fromEntries(url.searchParams), headers: req.headers });
+            const { status = 200, headers = {}, body } = context.res;
+            res.writeHead(status, headers);
+            return res.end(body === undefined || typeof body === 'string' ? body : JSON.stringify(body));
+        }
+        // Paths that aren't files, such as /movie/603, get the page itself, like the navigation fallback.
+        const file = path.join(SITE_ROOT, path.normalize(url.pathname));
+        const isFile = file.startsWith(SITE_ROOT + path.sep) && !file.includes(`${path.sep}api${path.sep}`) && fs.existsSync(file) && fs.statSync(file).isFile();
+        const served = isFile ? file : path.join(SITE_ROOT, 'index.html');
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(served)] || 'application/octet-stream' });
+        res.end(fs.readFileSync(served));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        origin: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Loads the site in jsdom with its scripts running. Scripts and styles only load from the local site, so fonts and
+ * other third-party resources are skipped, and the page's fetch goes to the local site too. The background
+ * animation is skipped as well, since jsdom has no canvas to draw on.
+ * @param {string} origin - The local site's origin.
+ * @returns {Promise<{window: Window, errors: string[]}>} The page's window once it has loaded, and the script errors it reported.
+ */
+async function openPage(origin) {
+    class LocalResourceLoader extends ResourceLoader {
+        fetch(url, options) {
+            return url.startsWith(`${origin}/`) && !url.endsWith('/animation.js') ? super.fetch(url, options) : null;
+        }
+    }
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error.message));
+
+    const dom = await JSDOM.fromURL(`${origin}/`, {
+        runScripts: 'dangerously',
+        resources: new LocalResourceLoader(),
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            window.fetch = (url, options) => nodeFetch(new URL(url, origin).href, options);
+            window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+            window.HTMLElement.prototype.scrollIntoView = function () {};
+        }
+    });
+    await waitFor(() => dom.window.document.readyState === 'complete', 'the page to load');
+    return { window: dom.window, errors };
+}
+
+/**
+ * Polls until a condition holds.
+ * @param {Function} condition - Returns a truthy value once the wait is over.
+ * @param {string} description - What is being waited for, for the failure message.
+ * @returns {Promise<*>} The condition's value.
+ */
+async function waitFor(condition, description) {
+    const deadline = Date.now() + 5000;
+    for (;;) {
+        const value = condition();
+        if (value) return value;
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${description}.`);
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+/**
+ * Types into the search box the way a visitor would, firing the input event the autocomplete listens for.
+ */
+function typeQuery(window, query) {
+    const input = window.document.getElementById('search-input');
+    input.value = query;
+    input.dispatchEvent(new window.Event('input', { bubbles: true }));
+}
+
+/**
+ * Reads one saved watch page's expected parse result.
+ */
+function readExpectedPage(name) {
+    return JSON.parse(fs.readFileSync(path.join(WATCH_PAGE_FIXTURES, `${name}.json`), 'utf8'));
+}
+
+test('the functions and the front end run against the mock TMDB', async (t) => {
+    const previousApiKey = process.env.TMDB_API_KEY;
+    process.env.TMDB_API_KEY = 'test-key';
+    const mock = await startMockTmdb();
+    const site = await startSite({ apiUrl: mock.apiUrl, webUrl: mock.webUrl });
+    t.after(async () => {
+        await site.close();
+        await mock.close();
+        // Put the key back the way it was found, so nothing else run in this process sees the test key.
+        if (previousApiKey === undefined) delete process.env.TMDB_API_KEY;
+        else process.env.TMDB_API_KEY = previousApiKey;
+    });
+    const get = async (pathAndQuery) => {
+        const response = await nodeFetch(`${site.origin}${pathAndQuery}`);
+        return { status: response.status, body: await response.json() };
+    };
+
+    await t.test('tmdb proxies allowlisted endpoints with the API key', async () => {
+        const { status, body } = await get('/api/tmdb?endpoint=search/multi&query=matrix&include_adult=false&page=1');
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body.results.map(item => item.id), [603, 604]);
+        const request = mock.requests.find(entry => entry.path === '/3/search/multi');
+        assert.deepStrictEqual(request, { path: '/3/search/multi', query: { query: 'matrix', include_adult: 'false', page: '1' }, authorized: true });
+    });
+
+    await t.test('tmdb passes on TMDB errors in the JSON envelope', async () => {
+        const { status, body } = await get('/api/tmdb?endpoint=movie/999999');
+        assert.strictEqual(status, 404);
+        assert.strictEqual(body.error.code, 'not_found');
+    });
+
+    await t.test('tmdb scrapes a watch page from the mock website', async () => {
+        const watchUrl = 'https://www.themoviedb.org/movie/603/watch?locale=US';
+        const { status, body } = await get(`/api/tmdb?url=${encodeURIComponent(watchUrl)}`);
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body, readExpectedPage('current-layout'));
+        assert.ok(mock.requests.some(entry => entry.path === '/movie/603/watch' && entry.query.locale === 'US'));
+    });
+
+    await t.test('watch-pages scrapes every requested country', async () => {
+        const { status, body } = await get('/api/watch-pages?type=movie&id=603&locales=US,GB,DE');
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body.results.GB, readExpectedPage('current-layout'));
+        assert.deepStrictEqual(body.results.DE, readExpectedPage('no-offers'));
+        assert.deepStrictEqual(body.failed, []);
+    });
+
+    await t.test('regions combines the country and provider lists', async () => {
+        const { status, body } = await get('/api/regions');
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body.regions.map(region => region.code), ['DE', 'GB', 'US']);
+        assert.ok(body.regions.every(region => region.providers && region.justWatch));
+    });
+
+    await t.test('the availability API answers with the documented shape', async () => {
+        const { status, body } = await get('/api/v1/availability/movie/603?country=GB');
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body.title, { mediaType: 'movie', id: 603, name: 'The Matrix', year: 1999, url: 'https://streamkey.tech/movie/603' });
+        assert.deepStrictEqual(Object.keys(body.countries), ['GB']);
+        assert.deepStrictEqual(body.countries.GB.stream.map(provider => provider.name), ['Netflix']);
+    });
+
+    await t.test('autocomplete suggests matching titles as the visitor types', async () => {
+        const { window, errors } = await openPage(site.origin);
+        t.after(() => window.close());
+        typeQuery(window, 'matr');
+        const items = await waitFor(() => {
+            const found = window.document.querySelectorAll('#autocomplete .autocomplete-item');
+            return found.length > 0 && found;
+        }, 'autocomplete suggestions');
+        assert.deepStrictEqual(Array.from(items, item => item.querySelector('.autocomplete-title').textContent), ['The Matrix', 'The Matrix Reloaded']);
+        assert.strictEqual(window.document.getElementById('search-input').getAttribute('aria-expanded'), 'true');
+
+        // Picking a suggestion opens that title.
+        items[1].click();
+        await waitFor(() => window.document.querySelector('#results .title-name'), 'the title to open');
+        assert.match(window.document.querySelector('#results .title-name').textContent, /The Matrix Reloaded \(2003\)/);
+        assert.deepStrictEqual(errors, []);
+    });
+
+    await t.test('searching opens the title and its country dropdowns link to JustWatch', async () => {
+        const { window, errors } = await openPage(site.origin);
+        t.after(() => window.close());
+        const { document } = window;
+        document.getElementById('search-input').value = 'The Matrix';
+        document.getElementById('search-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+
+        const panel = await waitFor(() => document.querySelector('#offer-panel-flatrate'), 'the streaming providers');
+        assert.match(document.querySelector('#results .title-name').textContent, /The Matrix \(1999\)/);
+        const netflix = panel.querySelector('.provider-item[data-provider-name="Netflix"]');
+        assert.deepStrictEqual(Array.from(netflix.querySelectorAll('.country-tag'), tag => tag.dataset.country).sort(), ['GB', 'US']);
+
+        const tag = netflix.querySelector('.country-tag.clickable[data-country="US"]');
+        tag.querySelector('.country-button').click();
+        const dropdown = tag.querySelector('.country-dropdown');
+        assert.ok(dropdown.classList.contains('show'));
+        const link = await waitFor(() => {
+            const element = dropdown.querySelector('.justwatch-link');
+            return element.dataset.status === 'loaded' && element;
+        }, 'the JustWatch link');
+        assert.strictEqual(link.href, 'https://www.justwatch.com/us/movie/the-matrix');
+        assert.match(dropdown.querySelector('.quality-info-container').textContent, /HD/);
+        assert.deepStrictEqual(errors, []);
+    });
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// The front end lives at the repository root as plain browser scripts.
+const SITE_ROOT = path.join(__dirname, '..', '..');
+
+const AVAILABILITY = {
+    schemaVersion: 1,
+    title: { mediaType: 'movie', id: 603, name: 'The Matrix', year: 1999, url: 'https://streamkey.tech/movie/603' },
+    countries: {
+        GB: {
+            stream: [{ id: 8, name: 'Netflix', logoUrl: 'https://image.tmdb.org/t/p/w92/netflix.jpg' }],
+            free: [],
+            ads: [],
+            rent: [{ id: 2, name: 'Apple TV <b>', logoUrl: null }],
+            buy: []
+        }
+    },
+    attribution: 'Availability data from JustWatch via TMDB.'
+};
+
+/**
+ * Loads embed.js into a partner page with the given markup, answering every request with `body`.
+ * @returns {Promise<{window: Window, requests: string[]}>} The page's window once the widgets have rendered.
+ */
+async function loadEmbed(markup, body, status = 200) {
+    const dom = new JSDOM(`<!DOCTYPE html><body>${markup}</body>`, { url: 'https://partner.example/', runScripts: 'dangerously' });
+    const requests = [];
+    dom.window.fetch = async (url) => {
+        requests.push(url);
+        return { ok: status === 200, status, json: async () => body };
+    };
+    dom.window.console.error = () => {};
+    dom.window.eval(fs.readFileSync(path.join(SITE_ROOT, 'embed.js'), 'utf8'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    return { window: dom.window, requests };
+}
+
+test('renders the title\'s offers in the requested country inside a shadow root', async () => {
+    const { window, requests } = await loadEmbed('<div id="widget" data-streamkey-title="movie/603" data-streamkey-country="gb"></div>', AVAILABILITY);
+    assert.deepStrictEqual(requests, ['https://streamkey.tech/api/v1/availability/movie/603?country=GB']);
+
+    const shadow = window.document.getElementById('widget').shadowRoot;
+    assert.strictEqual(window.document.getElementById('widget').children.length, 0);
+    assert.strictEqual(shadow.querySelector('.heading').textContent, 'Where to watch The Matrix (1999) in United Kingdom');
+    assert.deepStrictEqual(Array.from(shadow.querySelectorAll('.offer-label'), label => label.textContent), ['Stream', 'Rent']);
+    assert.strictEqual(shadow.querySelector('img').alt, 'Netflix');
+    assert.strictEqual(shadow.querySelector('.provider-name').textContent, 'Apple TV <b>');
+    assert.strictEqual(shadow.querySelector('.footer a').href, 'https://streamkey.tech/movie/603?country=GB');
+});
+
+test('says so when the title has no providers in the country', async () => {
+    const { window } = await loadEmbed('<div data-streamkey-title="movie/603" data-streamkey-country="FR"></div>', AVAILABILITY);
+    const shadow = window.document.querySelector('[data-streamkey-title]').shadowRoot;
+    assert.strictEqual(shadow.querySelector('.message').textContent, 'Not available on any streaming service in France.');
+});
+
+test('shows a message instead of failing when the title is invalid or the API errors', async () => {
+    const { window, requests } = await loadEmbed('<div id="bad" data-streamkey-title="person/1"></div><div id="down" data-streamkey-title="tv/1399"></div>', {}, 503);
+    assert.strictEqual(requests.length, 1);
+    assert.match(window.document.getElementById('bad').shadowRoot.querySelector('.message').textContent, /^Unknown title/);
+    assert.strictEqual(window.document.getElementById('down').shadowRoot.querySelector('.message').textContent, 'Streaming availability is not available right now.');
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MemoryLruStore, ResponseCache } = require('../shared/cache');
+const { createHandler } = require('../tmdb');
+
+const noRateLimit = { consume() {} };
+
+/**
+ * Builds a fetch that answers with the given statuses in turn (the last one repeats) and records the requested URLs.
+ * A status of null makes the request fail as if TMDB couldn't be reached.
+ */
+function createUpstream(statuses, headers = {}) {
+    const calls = [];
+    const fetch = async (url) => {
+        const status = statuses[Math.min(calls.length, statuses.length - 1)];
+        calls.push(url);
+        if (status === null) throw new Error('connect ECONNREFUSED');
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            headers: { get: name => headers[name] || null },
+            json: async () => ({ id: 603, results: {} }),
+            text: async () => '<html></html>'
+        };
+    };
+    return { fetch, calls };
+}
+
+/**
+ * Runs one request through a fresh handler and returns the response.
+ */
+async function request(fetch, query) {
+    process.env.TMDB_API_KEY = 'test-key';
+    const handler = createHandler({ fetch, cache: new ResponseCache(new MemoryLruStore()), rateLimiter: noRateLimit });
+    const context = { log: { error() {} } };
+    await handler(context, { query, headers: {} });
+    return context.res;
+}
+
+const PROVIDERS_QUERY = { endpoint: 'movie/603/watch/providers' };
+
+test('a title TMDB doesn\'t know is a non-retryable not_found error', async () => {
+    const { fetch, calls } = createUpstream([404]);
+    const res = await request(fetch, PROVIDERS_QUERY);
+    assert.strictEqual(res.status, 404);
+    assert.deepStrictEqual(res.body, { error: { code: 'not_found', message: 'TMDB responded with status 404.', retryable: false, upstreamStatus: 404 } });
+    assert.strictEqual(calls.length, 1);
+});
+
+test('TMDB outages are retried before the request succeeds', async () => {
+    const { fetch, calls } = createUpstream([500, 503, 200]);
+    const res = await request(fetch, PROVIDERS_QUERY);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.id, 603);
+    assert.strictEqual(calls.length, 3);
+});
+
+test('a lasting outage or an unreachable TMDB is a retryable upstream_unavailable error', async () => {
+    const down = createUpstream([503]);
+    const res = await request(down.fetch, PROVIDERS_QUERY);
+    assert.strictEqual(res.status, 502);
+    assert.strictEqual(res.body.error.code, 'upstream_unavailable');
+    assert.strictEqual(res.body.error.retryable, true);
+    assert.strictEqual(res.body.error.upstreamStatus, 503);
+    assert.strictEqual(down.calls.length, 3);
+
+    const unreachable = await request(createUpstream([null]).fetch, PROVIDERS_QUERY);
+    assert.strictEqual(unreachable.status, 502);
+    assert.strictEqual(unreachable.body.error.code, 'upstream_unavailable');
+    assert.strictEqual(unreachable.body.error.upstreamStatus, null);
+});
+
+test('TMDB\'s own rate limit is passed on with its Retry-After header', async () => {
+    const { fetch } = createUpstream([429], { 'Retry-After': '2' });
+    const res = await request(fetch, PROVIDERS_QUERY);
+    assert.strictEqual(res.status, 503);
+    assert.strictEqual(res.headers['Retry-After'], '2');
+    assert.strictEqual(res.body.error.code, 'upstream_rate_limited');
+    assert.strictEqual(res.body.error.retryable, true);
+});
+
+test('a watch page that can\'t be fetched is an error instead of empty data', async () => {
+    const { fetch } = createUpstream([404]);
+    const res = await request(fetch, { url: 'https://www.themoviedb.org/movie/603/watch?locale=US' });
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual(res.body.error.code, 'not_found');
+});
+
+test('unexpected failures and a missing API key are answered with the JSON envelope', async () => {
+    const brokenCache = { getOrLoad: async () => { throw new Error('cache exploded'); } };
+    const handler = createHandler({ fetch: createUpstream([200]).fetch, cache: brokenCache, rateLimiter: noRateLimit });
+    const context = { log: { error() {} } };
+    await handler(context, { query: PROVIDERS_QUERY, headers: {} });
+    assert.strictEqual(context.res.status, 500);
+    assert.deepStrictEqual(context.res.body, { error: { code: 'internal_error', message: 'An unexpected error occurred.', retryable: true, upstreamStatus: null } });
+
+    delete process.env.TMDB_API_KEY;
+    await handler(context, { query: PROVIDERS_QUERY, headers: {} });
+    assert.strictEqual(context.res.status, 500);
+    assert.strictEqual(context.res.body.error.code, 'server_misconfigured');
+    assert.strictEqual(context.res.body.error.retryable, false);
+});
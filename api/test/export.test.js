@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// The front end lives at the repository root as plain browser scripts.
+const SITE_ROOT = path.join(__dirname, '..', '..');
+const OFFER_TYPES = [
+    { key: 'flatrate', scrapeKey: 'stream' },
+    { key: 'free', scrapeKey: 'free' },
+    { key: 'ads', scrapeKey: 'ads' },
+    { key: 'rent', scrapeKey: 'rent' },
+    { key: 'buy', scrapeKey: 'buy' }
+];
+
+/**
+ * Loads export.js into an empty page.
+ * @returns {Window} The page's window.
+ */
+function loadExport() {
+    const dom = new JSDOM('', { url: 'http://localhost/', runScripts: 'dangerously' });
+    dom.window.eval(fs.readFileSync(path.join(SITE_ROOT, 'export.js'), 'utf8'));
+    return dom.window;
+}
+
+// Results come from the page's realm, so they are copied into plain values before deep comparisons.
+const plain = value => JSON.parse(JSON.stringify(value));
+const TITLE = { name: 'The Matrix', year: 1999, mediaType: 'movie', tmdbId: 603 };
+const PROVIDERS_BY_OFFER = {
+    flatrate: [{ id: 8, name: 'Netflix', countries: new Set(['US', 'GB']) }],
+    free: [],
+    ads: [],
+    rent: [{ id: 2, name: 'Apple TV', countries: new Set(['US']) }, { id: 10, name: 'Amazon Video', countries: new Set(['GB']) }],
+    buy: []
+};
+const WATCH_PAGES = {
+    US: {
+        justWatchUrl: 'https://www.justwatch.com/us/movie/the-matrix',
+        providersInfo: { Netflix: { stream: ['HD'] }, 'Apple TV': { rent: ['4K'] } },
+        offers: [{ providerName: 'Apple TV', type: 'rent', link: 'https://click.justwatch.com/a', price: '$3.99', presentationTypes: ['4K'] }]
+    }
+};
+const LABELS = {
+    offerType: 'Offer',
+    provider: 'Provider',
+    available: 'Available',
+    offers: { flatrate: 'Stream', rent: 'Rent' },
+    country: code => ({ US: 'United States', GB: 'United Kingdom' })[code]
+};
+
+test('the JSON export lists every offer type with its providers and any scraped details', () => {
+    const { buildAvailabilityExport } = loadExport();
+    const availability = plain(buildAvailabilityExport(TITLE, PROVIDERS_BY_OFFER, WATCH_PAGES, OFFER_TYPES, new Date('2024-05-01T12:00:00Z')));
+    assert.strictEqual(availability.exportedAt, '2024-05-01T12:00:00.000Z');
+    assert.deepStrictEqual(availability.title, { ...TITLE, tmdbUrl: 'https://www.themoviedb.org/movie/603' });
+    assert.deepStrictEqual(availability.countries, ['GB', 'US']);
+    assert.deepStrictEqual(availability.justWatchUrls, { US: 'https://www.justwatch.com/us/movie/the-matrix' });
+    assert.deepStrictEqual(availability.offers.map(offer => offer.type), ['flatrate', 'rent']);
+    assert.deepStrictEqual(availability.offers[0].providers[0], {
+        id: 8,
+        name: 'Netflix',
+        countries: [
+            { code: 'GB', qualities: [], price: null, link: null },
+            { code: 'US', qualities: ['HD'], price: null, link: null }
+        ]
+    });
+    assert.deepStrictEqual(availability.offers[1].providers[0].countries, [{ code: 'US', qualities: ['4K'], price: '$3.99', link: 'https://click.justwatch.com/a' }]);
+});
+
+test('the CSV has a row per provider and offer type and a column per country', () => {
+    const { buildAvailabilityExport, buildAvailabilityCsv } = loadExport();
+    const availability = buildAvailabilityExport(TITLE, PROVIDERS_BY_OFFER, WATCH_PAGES, OFFER_TYPES);
+    assert.strictEqual(buildAvailabilityCsv(availability, LABELS), [
+        'Offer,Provider,United Kingdom,United States',
+        'Stream,Netflix,Available,HD',
+        'Rent,Apple TV,,4K $3.99',
+        'Rent,Amazon Video,Available,',
+        ''
+    ].join('\r\n'));
+});
+
+test('CSV fields are quoted when needed and never start a formula', () => {
+    const { buildAvailabilityExport, buildAvailabilityCsv } = loadExport();
+    const providers = { flatrate: [{ id: 1, name: '=HYPERLINK("x")', countries: new Set(['US']) }, { id: 2, name: 'Paramount+, with Showtime', countries: new Set(['US']) }] };
+    const csv = buildAvailabilityCsv(buildAvailabilityExport(TITLE, providers, null, OFFER_TYPES), LABELS);
+    assert.deepStrictEqual(csv.split('\r\n').slice(1, 3), [
+        `Stream,"'=HYPERLINK(""x"")",Available`,
+        'Stream,"Paramount+, with Showtime",Available'
+    ]);
+});
+
+test('export file names are built from the title and year', () => {
+    const { buildAvailabilityExport, getExportFileName } = loadExport();
+    const fileName = title => getExportFileName(buildAvailabilityExport(title, {}, null, OFFER_TYPES), 'csv');
+    assert.strictEqual(fileName(TITLE), 'the-matrix-1999.csv');
+    assert.strictEqual(fileName({ name: 'Amélie', year: 'N/A', mediaType: 'movie', tmdbId: 194 }), 'amelie.csv');
+    assert.strictEqual(fileName({ name: '千と千尋の神隠し', year: 2001, mediaType: 'movie', tmdbId: 129 }), 'movie-129-2001.csv');
+});
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// --- Front end test helpers ---
+// Loads the site's page in jsdom with a fake fetch, for tests that drive the front end without a server.
+
+// The front end lives at the repository root as plain browser scripts.
+const SITE_ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Loads index.html with its scripts inlined (except the canvas animation) and a fake fetch.
+ * @param {Function} respond - Returns the JSON body for a requested URL.
+ * @param {object} [options]
+ * @param {string} [options.url] - The page's URL, for tests of the routes.
+ * @param {Function} [options.beforeParse] - Prepares the window further before the scripts run (e.g., saved preferences).
+ * @returns {Window} The page's window.
+ */
+function loadApp(respond, { url = 'http://localhost/', beforeParse = () => {} } = {}) {
+    const page = fs.readFileSync(path.join(SITE_ROOT, 'index.html'), 'utf8').replace(/<script src="\/([^"]+)"><\/script>/g, (tag, file) => (
+        file === 'animation.js' ? '' : `<script>${fs.readFileSync(path.join(SITE_ROOT, file), 'utf8')}</script>`
+    ));
+    const dom = new JSDOM(page, {
+        url,
+        runScripts: 'dangerously',
+        beforeParse(window) {
+            window.fetch = async (requestUrl) => ({ ok: true, status: 200, headers: { get: () => null }, json: async () => respond(String(requestUrl)) });
+            window.console.error = () => {}; // jsdom has no IndexedDB for the watchlist button.
+            window.HTMLElement.prototype.scrollIntoView = () => {};
+            beforeParse(window);
+        }
+    });
+    return dom.window;
+}
+
+/**
+ * Waits for the page's pending requests and renders to finish.
+ * @param {number} [ms=50] - How long to wait.
+ */
+function settle(ms = 50) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Submits the search form and waits for the results to render.
+ */
+async function search(window, query) {
+    window.document.getElementById('search-input').value = query;
+    window.document.getElementById('search-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await settle();
+}
+
+module.exports = { SITE_ROOT, loadApp, search, settle };
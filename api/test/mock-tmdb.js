@@ -0,0 +1,120 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// --- Mock TMDB ---
+// A local stand-in for TMDB's API and website, served from the fixtures folder so the functions and the front end
+// can run end to end without network access. API responses come from fixtures/tmdb/<endpoint>.json and watch pages
+// from the saved pages in fixtures/watch-pages. Point the functions at it with their `upstream` option, or run
+// `npm run mock:tmdb` and set TMDB_API_URL and TMDB_WEB_URL to the printed URLs.
+
+const TMDB_FIXTURES = path.join(__dirname, 'fixtures', 'tmdb');
+const WATCH_PAGE_FIXTURES = path.join(__dirname, 'fixtures', 'watch-pages');
+const WATCH_PAGE_PATH_PATTERN = /^\/(movie|tv)\/(\d+)(?:-[^/]*)?\/watch$/;
+const DEFAULT_PORT = 4010;
+
+// TMDB's own error bodies, so the functions see what TMDB would send.
+const NOT_FOUND = { success: false, status_code: 34, status_message: 'The resource you requested could not be found.' };
+const UNAUTHORIZED = { success: false, status_code: 7, status_message: 'Invalid API key: You must be granted a valid key.' };
+
+/**
+ * Starts the mock on a local port.
+ * @param {object} [options]
+ * @param {number} [options.port] - The port to listen on. Defaults to a free one.
+ * @returns {Promise<object>} The running mock:
+ * - `apiUrl` and `webUrl`: the base URLs to use in place of TMDB's, as getUpstreamUrls returns them.
+ * - `requests`: every request received, as `{ path, query, authorized }`, for tests to assert on.
+ * - `close()`: stops the server.
+ */
+async function startMockTmdb({ port = 0 } = {}) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const authorized = /^Bearer \S+$/.test(req.headers.authorization || '');
+        requests.push({ path: url.pathname, query: Object.fromEntries(url.searchParams), authorized });
+
+        if (url.pathname.startsWith('/3/')) {
+            if (!authorized) return sendJson(res, 401, UNAUTHORIZED);
+            const body = readApiFixture(url.pathname.slice('/3/'.length), url.searchParams);
+            return body ? sendJson(res, 200, body) : sendJson(res, 404, NOT_FOUND);
+        }
+        const watchPage = WATCH_PAGE_PATH_PATTERN.exec(url.pathname);
+        const html = watchPage && readWatchPage(watchPage[1], watchPage[2], url.searchParams.get('locale'));
+        if (html) {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            return res.end(html);
+        }
+        res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end('<!DOCTYPE html><title>Page not found</title>');
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', resolve);
+    });
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    return {
+        apiUrl: `${origin}/3`,
+        webUrl: origin,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Reads the fixture for an API endpoint. Searches only return the fixture's results whose title has the query in it.
+ * @param {string} endpoint - The endpoint path (e.g., 'movie/603/watch/providers').
+ * @param {URLSearchParams} params - The request's query parameters.
+ * @returns {object|null} The response body, or null if there is no fixture for the endpoint.
+ */
+function readApiFixture(endpoint, params) {
+    const body = readJson(path.join(TMDB_FIXTURES, `${endpoint}.json`));
+    if (!body || !endpoint.startsWith('search/')) return body;
+    const query = (params.get('query') || '').trim().toLowerCase();
+    const results = body.results.filter(item => (item.title || item.name || '').toLowerCase().includes(query));
+    return { ...body, results, total_results: results.length, total_pages: 1 };
+}
+
+/**
+ * Picks the saved watch page for a title in one country: the page with offers if the title's providers fixture
+ * lists the country, and the page without offers otherwise.
+ * @param {string} mediaType - 'movie' or 'tv'.
+ * @param {string} id - The TMDB ID.
+ * @param {string|null} locale - The two-letter country code.
+ * @returns {string|null} The page's HTML, or null if there is no providers fixture for the title.
+ */
+function readWatchPage(mediaType, id, locale) {
+    const providers = readJson(path.join(TMDB_FIXTURES, mediaType, id, 'watch', 'providers.json'));
+    if (!providers) return null;
+    const name = locale && providers.results[locale] ? 'current-layout' : 'no-offers';
+    return fs.readFileSync(path.join(WATCH_PAGE_FIXTURES, `${name}.html`), 'utf8');
+}
+
+/**
+ * @param {string} file - The JSON file's path.
+ * @returns {object|null} The parsed file, or null if it doesn't exist.
+ */
+function readJson(file) {
+    // Endpoints are resolved inside the fixtures folder only.
+    if (!path.resolve(file).startsWith(TMDB_FIXTURES + path.sep) || !fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * @param {http.ServerResponse} res - The response to send.
+ * @param {number} status - The HTTP status.
+ * @param {object} body - The JSON body.
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json;charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+module.exports = { startMockTmdb };
+
+// Node's test runner loads every file in this folder, so the server only starts when asked to.
+if (require.main === module && process.argv.includes('--serve')) {
+    startMockTmdb({ port: Number(process.env.MOCK_TMDB_PORT) || DEFAULT_PORT }).then(mock => {
+        console.log(`Mock TMDB listening. Start the functions with:\n  TMDB_API_URL=${mock.apiUrl} TMDB_WEB_URL=${mock.webUrl} TMDB_API_KEY=mock func start`);
+    });
+}
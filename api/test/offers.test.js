@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, search, settle } = require('./load-app');
+
+const TITLE = { id: 603, media_type: 'movie', title: 'The Matrix', release_date: '1999-03-31' };
+const NETFLIX = { provider_id: 8, provider_name: 'Netflix', logo_path: '/n.png' };
+const DISNEY = { provider_id: 337, provider_name: 'Disney Plus', logo_path: '/d.png' };
+const APPLE = { provider_id: 2, provider_name: 'Apple TV', logo_path: '/a.png' };
+const PROVIDERS = {
+    US: { flatrate: [NETFLIX], rent: [APPLE], buy: [APPLE] },
+    GB: { flatrate: [DISNEY, NETFLIX], buy: [APPLE] }
+};
+// The scraped page lists a different quality for each way Apple TV offers the title.
+const WATCH_PAGE = {
+    justWatchUrl: 'https://www.justwatch.com/us/movie/the-matrix',
+    providersInfo: { 'Apple TV': { rent: ['HD'], buy: ['4K'] }, Netflix: { stream: ['HD'] } },
+    offers: []
+};
+
+/**
+ * Opens the title with the providers above, answering every watch page request with WATCH_PAGE.
+ */
+async function openTitle() {
+    const window = loadApp(url => {
+        if (url.startsWith('/api/watch-pages')) {
+            const locales = new URLSearchParams(url.split('?')[1]).get('locales').split(',');
+            return { results: Object.fromEntries(locales.map(locale => [locale, WATCH_PAGE])), failed: [], errors: {} };
+        }
+        if (url.includes('url=')) return WATCH_PAGE;
+        if (url.includes('watch%2Fproviders') || url.includes('watch/providers')) return { results: PROVIDERS };
+        return { page: 1, total_pages: 1, results: [TITLE] };
+    });
+    await search(window, 'The Matrix');
+    return window;
+}
+
+test('providers are grouped into one tab per offer type the title has', async () => {
+    const window = await openTitle();
+    const { document } = window;
+
+    const tabs = Array.from(document.querySelectorAll('.offer-tab'));
+    assert.deepStrictEqual(tabs.map(tab => tab.dataset.offerType), ['flatrate', 'rent', 'buy']);
+    assert.deepStrictEqual(tabs.map(tab => tab.textContent), ['Stream (2)', 'Rent (1)', 'Buy (1)']);
+    assert.deepStrictEqual(tabs.map(tab => tab.classList.contains('active')), [true, false, false]);
+
+    // Providers in more countries come first.
+    const streaming = document.getElementById('offer-panel-flatrate');
+    assert.deepStrictEqual(Array.from(streaming.querySelectorAll('.provider-name'), name => name.textContent), ['Netflix', 'Disney Plus']);
+    const buyCountries = document.querySelectorAll('#offer-panel-buy .country-tag');
+    assert.deepStrictEqual(Array.from(buyCountries, tag => tag.dataset.country).sort(), ['GB', 'US']);
+
+    tabs[2].click();
+    assert.ok(document.getElementById('offer-panel-buy').classList.contains('active'));
+    assert.ok(!document.getElementById('offer-panel-flatrate').classList.contains('active'));
+    assert.strictEqual(tabs[2].getAttribute('aria-selected'), 'true');
+});
+
+test('each offer type shows the scraped quality for that way of watching', async () => {
+    const window = await openTitle();
+    const { document } = window;
+
+    const qualitiesIn = async (panelId) => {
+        const tag = document.querySelector(`#${panelId} .country-tag[data-country="US"]`);
+        tag.querySelector('.country-button').click();
+        await settle();
+        return Array.from(tag.querySelectorAll('.quality-item'), item => [
+            item.querySelector('.quality-provider').textContent,
+            Array.from(item.querySelectorAll('.quality-tag'), quality => quality.textContent)
+        ]);
+    };
+    assert.deepStrictEqual(await qualitiesIn('offer-panel-flatrate'), [['Netflix', ['HD']]]);
+    assert.deepStrictEqual(await qualitiesIn('offer-panel-rent'), [['Apple TV', ['HD']]]);
+    assert.deepStrictEqual(await qualitiesIn('offer-panel-buy'), [['Apple TV', ['4K']]]);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// The front end lives at the repository root as plain browser scripts.
+const SITE_ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Loads optimizer.js into an empty page.
+ * @returns {Window} The page's window.
+ */
+function loadOptimizer() {
+    const dom = new JSDOM('', { url: 'http://localhost/', runScripts: 'dangerously' });
+    dom.window.eval(fs.readFileSync(path.join(SITE_ROOT, 'optimizer.js'), 'utf8'));
+    return dom.window;
+}
+
+// Results come from the page's realm, so they are copied into plain values before deep comparisons.
+const plain = value => JSON.parse(JSON.stringify(value));
+const provider = (id, name) => ({ provider_id: id, provider_name: name });
+const NETFLIX = provider(8, 'Netflix');
+const PRIME = provider(9, 'Prime Video');
+const HULU = provider(15, 'Hulu');
+const TUBI = provider(73, 'Tubi');
+
+/**
+ * Builds watch/providers results with the given subscription providers per title, all in the US.
+ */
+function streamingIn(titles) {
+    return Object.fromEntries(Object.entries(titles).map(([key, providers]) => [key, { US: { flatrate: providers } }]));
+}
+
+/**
+ * Summarizes a set as its service names and total, for comparisons.
+ */
+function describe(set) {
+    return { services: set.services.map(service => service.name), uncovered: set.uncovered, price: Math.round(set.price * 100) / 100 };
+}
+
+test('the smallest set covers every title, with the best single service before it', () => {
+    const { planSubscriptions } = loadOptimizer();
+    const providers = streamingIn({ a: [NETFLIX], b: [NETFLIX, PRIME], c: [PRIME, HULU], d: [HULU] });
+    const prices = { 8: 7.99, 9: 8.99, 15: 9.99 };
+    const plan = planSubscriptions(['a', 'b', 'c', 'd'], providers, 'US', id => prices[id]);
+
+    assert.strictEqual(plan.exact, true);
+    assert.deepStrictEqual(plain(plan.sets.map(describe)), [
+        { services: ['Netflix'], uncovered: ['c', 'd'], price: 7.99 },
+        { services: ['Netflix', 'Hulu'], uncovered: [], price: 17.98 }
+    ]);
+    assert.strictEqual(plan.cheapest, null);
+});
+
+test('a cheaper complete set with more services is offered next to the smallest one', () => {
+    const { planSubscriptions } = loadOptimizer();
+    const providers = streamingIn({ a: [NETFLIX, PRIME], b: [NETFLIX, HULU] });
+    const prices = { 8: 20, 9: 5, 15: 5 };
+    const plan = planSubscriptions(['a', 'b'], providers, 'US', id => prices[id]);
+
+    assert.deepStrictEqual(plain(plan.sets.map(describe)), [{ services: ['Netflix'], uncovered: [], price: 20 }]);
+    assert.deepStrictEqual(plain(describe(plan.cheapest)), { services: ['Prime Video', 'Hulu'], uncovered: [], price: 10 });
+});
+
+test('services with a known price are preferred to ones with an unknown price', () => {
+    const { planSubscriptions } = loadOptimizer();
+    const providers = streamingIn({ a: [NETFLIX, PRIME] });
+    const plan = planSubscriptions(['a'], providers, 'US', id => (id === 9 ? 8.99 : null));
+    assert.deepStrictEqual(plain(plan.sets.map(describe)), [{ services: ['Prime Video'], uncovered: [], price: 8.99 }]);
+});
+
+test('free and unavailable titles are left out of the plan', () => {
+    const { planSubscriptions } = loadOptimizer();
+    const providers = {
+        free: { US: { flatrate: [NETFLIX], ads: [TUBI] } },
+        rentOnly: { US: { rent: [PRIME] } },
+        elsewhere: { GB: { flatrate: [NETFLIX] } },
+        streaming: { US: { flatrate: [HULU] } }
+    };
+    const plan = planSubscriptions(Object.keys(providers), providers, 'US', () => null);
+
+    assert.deepStrictEqual(plain(plan.free), [{ key: 'free', providers: ['Tubi'] }]);
+    assert.deepStrictEqual(plain(plan.unavailable), ['rentOnly', 'elsewhere']);
+    assert.deepStrictEqual(plain(plan.needed), ['streaming']);
+    assert.deepStrictEqual(plain(plan.services.map(service => service.name)), ['Hulu']);
+    assert.deepStrictEqual(plain(plan.sets.map(describe)), [{ services: ['Hulu'], uncovered: [], price: 0 }]);
+});
+
+test('too many services fall back to adding the one that covers the most titles', () => {
+    const { planSubscriptions } = loadOptimizer();
+    const titles = {};
+    for (let id = 1; id <= 14; id++) titles[`title${id}`] = [provider(id, `Service ${id}`)];
+    titles.title1.push(provider(2, 'Service 2'));
+    const plan = planSubscriptions(Object.keys(titles), streamingIn(titles), 'US', () => 1);
+
+    assert.strictEqual(plan.exact, false);
+    assert.strictEqual(plan.sets.length, 13);
+    assert.deepStrictEqual(plain(plan.sets[0].services.map(service => service.name)), ['Service 2']);
+    assert.deepStrictEqual(plain(plan.sets[12].uncovered), []);
+});
+
+test('the user\'s prices override the default ones, including clearing them', () => {
+    const { getServicePrice, loadPriceTable, saveServicePrice } = loadOptimizer();
+    assert.strictEqual(getServicePrice(loadPriceTable(), 'US', 8), 7.99);
+    assert.strictEqual(getServicePrice(loadPriceTable(), 'FR', 8), null);
+
+    saveServicePrice('FR', 8, 5.99);
+    saveServicePrice('US', 8, null);
+    assert.strictEqual(getServicePrice(loadPriceTable(), 'FR', 8), 5.99);
+    assert.strictEqual(getServicePrice(loadPriceTable(), 'US', 8), null);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, search, settle } = require('./load-app');
+
+const TITLE = { id: 603, media_type: 'movie', title: 'The Matrix', release_date: '1999-03-31' };
+const NETFLIX = { provider_id: 8, provider_name: 'Netflix', logo_path: '/n.png' };
+const MUBI = { provider_id: 11, provider_name: 'MUBI', logo_path: '/m.png' };
+const PROVIDERS = {
+    DE: { flatrate: [NETFLIX] },
+    FR: { flatrate: [NETFLIX, MUBI] },
+    GB: { flatrate: [NETFLIX, MUBI] },
+    JP: { flatrate: [MUBI] }
+};
+const STORAGE_KEY = 'streamkey.preferences';
+
+/**
+ * Loads the page with the given saved preferences and browser languages, and opens the title above.
+ */
+async function openTitle({ saved, languages = ['en-US'] } = {}) {
+    const window = loadApp(url => {
+        if (url.startsWith('/api/watch-pages')) return { results: {}, failed: [], errors: {} };
+        if (url.includes('watch%2Fproviders') || url.includes('watch/providers')) return { results: PROVIDERS };
+        return { page: 1, total_pages: 1, results: [TITLE] };
+    }, {
+        beforeParse(window) {
+            Object.defineProperty(window.navigator, 'languages', { value: languages });
+            if (saved !== undefined) window.localStorage.setItem(STORAGE_KEY, saved);
+        }
+    });
+    await search(window, 'The Matrix');
+    return window;
+}
+
+/**
+ * Reads the page's preferences; they are a script-level variable rather than a property of the window.
+ */
+const readPreferences = window => window.eval('preferences');
+
+test('the home country is detected from the browser languages until one is saved', async () => {
+    const detected = await openTitle({ languages: ['fr-CA', 'fr'] });
+    assert.strictEqual(readPreferences(detected).homeCountry, 'CA');
+
+    const saved = await openTitle({ saved: JSON.stringify({ homeCountry: 'DE', services: [8] }), languages: ['fr-CA'] });
+    assert.strictEqual(readPreferences(saved).homeCountry, 'DE');
+    assert.deepStrictEqual(Array.from(readPreferences(saved).services), [8]);
+
+    const corrupt = await openTitle({ saved: '{not json', languages: ['en-GB'] });
+    assert.strictEqual(readPreferences(corrupt).homeCountry, 'GB');
+    assert.deepStrictEqual(Array.from(readPreferences(corrupt).services), []);
+});
+
+test('the summary says whether the title streams on the user\'s services at home and where else', async () => {
+    const window = await openTitle({ saved: JSON.stringify({ homeCountry: 'DE', services: [11] }) });
+    const { document } = window;
+
+    assert.strictEqual(document.querySelector('.home-status').textContent, 'Not on your services in Germany, but streaming on Netflix.');
+    assert.ok(document.querySelector('.home-status').classList.contains('unavailable'));
+    const elsewhere = Array.from(document.querySelectorAll('.home-elsewhere li'), item => item.querySelector('.elsewhere-country').textContent);
+    assert.deepStrictEqual(elsewhere, ['France', 'Japan', 'United Kingdom']);
+
+    // The user's own services are listed first, and the home country first among a provider's countries.
+    assert.deepStrictEqual(Array.from(document.querySelectorAll('#offer-panel-flatrate .provider-name'), name => name.textContent), ['MUBI', 'Netflix']);
+    const netflixCountries = document.querySelectorAll('#offer-panel-flatrate .provider-item[data-provider-name="Netflix"] .country-tag');
+    assert.strictEqual(netflixCountries[0].dataset.country, 'DE');
+    assert.ok(netflixCountries[0].classList.contains('home-country'));
+});
+
+test('marking a service saves it and re-sorts the results around it', async () => {
+    const window = await openTitle({ saved: JSON.stringify({ homeCountry: 'DE', services: [] }) });
+    const { document } = window;
+    assert.match(document.querySelector('.home-hint').textContent, /Mark the services you subscribe to/);
+
+    document.querySelector('.provider-item[data-provider-name="Netflix"] .service-toggle').click();
+    await settle();
+    assert.deepStrictEqual(JSON.parse(window.localStorage.getItem(STORAGE_KEY)).services, [8]);
+    assert.strictEqual(document.querySelector('.home-status').textContent, 'Streaming on your services in Germany: Netflix');
+    assert.ok(document.querySelector('.provider-item[data-provider-name="Netflix"]').classList.contains('subscribed'));
+    assert.strictEqual(document.querySelector('.provider-item[data-provider-name="Netflix"] .service-toggle').textContent, '★ My service');
+});
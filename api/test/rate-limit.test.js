@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { RATE_LIMITS, RateLimitError, RateLimiter, getClientKey } = require('../shared/rate-limit');
+const { MemoryLruStore, ResponseCache } = require('../shared/cache');
+const { createHandler: createTmdbHandler } = require('../tmdb');
+const { createHandler: createWatchPagesHandler } = require('../watch-pages');
+
+const LIMITS = { endpoint: { capacity: 2, refillPerSecond: 1 } };
+const WATCH_PAGE = fs.readFileSync(path.join(__dirname, 'fixtures', 'watch-pages', 'current-layout.html'), 'utf8');
+const LOCALES = ['AR', 'AU', 'AT', 'BE', 'BR', 'CA', 'CL', 'CO', 'CZ', 'DK', 'EC', 'EE', 'FI', 'FR', 'DE', 'GR', 'GT', 'HK', 'HU', 'IS',
+    'IN', 'ID', 'IE', 'IL', 'IT'];
+
+/**
+ * Builds a request with the given headers.
+ */
+const requestFrom = headers => ({ headers });
+
+/**
+ * Builds the tmdb and watch-pages handlers around one limiter whose clock never moves, so no tokens refill,
+ * and a fetch that serves a watch page (or empty JSON) for every request and counts the upstream requests.
+ */
+function createScrapeRoutes(limits = RATE_LIMITS) {
+    const scraped = [];
+    const options = {
+        fetch: async (url) => {
+            scraped.push(url);
+            return { ok: true, status: 200, headers: { get: () => null }, json: async () => ({ results: [] }), text: async () => WATCH_PAGE };
+        },
+        cache: new ResponseCache(new MemoryLruStore()),
+        rateLimiter: new RateLimiter(limits, () => 0)
+    };
+    return { scraped, tmdb: createTmdbHandler(options), watchPages: createWatchPagesHandler(options) };
+}
+
+/**
+ * Sets the API key the tmdb route needs for the length of one test.
+ */
+function useApiKey(t) {
+    const previousApiKey = process.env.TMDB_API_KEY;
+    process.env.TMDB_API_KEY = 'test-key';
+    t.after(() => {
+        if (previousApiKey === undefined) delete process.env.TMDB_API_KEY;
+        else process.env.TMDB_API_KEY = previousApiKey;
+    });
+}
+
+/**
+ * Calls a handler as one client and returns its response.
+ */
+async function call(handler, query) {
+    const context = { log: { error() {} } };
+    await handler(context, { query, headers: { 'x-azure-clientip': '203.0.113.7' } });
+    return context.res;
+}
+
+test('the client is the address the last proxy added, not one the client sent', () => {
+    assert.strictEqual(getClientKey(requestFrom({ 'x-forwarded-for': '198.51.100.1, 203.0.113.7' })), '203.0.113.7');
+    assert.strictEqual(getClientKey(requestFrom({ 'x-forwarded-for': '203.0.113.7:51234' })), '203.0.113.7');
+    assert.strictEqual(getClientKey(requestFrom({ 'x-azure-clientip': '203.0.113.9', 'x-forwarded-for': '198.51.100.1, 203.0.113.7' })), '203.0.113.9');
+    assert.strictEqual(getClientKey(requestFrom({})), 'unknown');
+});
+
+test('a forged leftmost X-Forwarded-For entry does not get a fresh bucket', () => {
+    const limiter = new RateLimiter(LIMITS, () => 0);
+    const consume = forged => limiter.consume('endpoint', getClientKey(requestFrom({ 'x-forwarded-for': `${forged}, 203.0.113.7` })));
+    consume('198.51.100.1');
+    consume('198.51.100.2');
+    assert.throws(() => consume('198.51.100.3'), RateLimitError);
+});
+
+test('a client can scrape no more pages through batches than through single watch page requests', async (t) => {
+    useApiKey(t);
+    const single = createScrapeRoutes();
+    for (const locale of LOCALES) {
+        await call(single.tmdb, { url: `https://www.themoviedb.org/movie/603/watch?locale=${locale}` });
+    }
+    assert.strictEqual(single.scraped.length, RATE_LIMITS.scrape.capacity);
+
+    const batched = createScrapeRoutes();
+    const responses = [];
+    for (const id of ['603', '604', '605']) {
+        responses.push(await call(batched.watchPages, { type: 'movie', id, locales: LOCALES.join(',') }));
+    }
+    assert.strictEqual(batched.scraped.length, single.scraped.length);
+    assert.strictEqual(Object.keys(responses[0].body.results).length, RATE_LIMITS.scrape.capacity);
+    assert.deepStrictEqual(responses[2].body.results, {});
+    assert.strictEqual(responses[2].body.errors.AR.code, 'rate_limited');
+    assert.strictEqual(responses[2].body.errors.AR.retryable, true);
+
+    // Both routes draw on the same budget, so the single page route is now limited too.
+    const response = await call(batched.tmdb, { url: 'https://www.themoviedb.org/movie/606/watch?locale=US' });
+    assert.strictEqual(response.status, 429);
+});
+
+test('pages a batch finds in the cache do not use up the scrape budget', async () => {
+    const routes = createScrapeRoutes();
+    const query = { type: 'movie', id: '603', locales: LOCALES.slice(0, 10).join(',') };
+    await call(routes.watchPages, query);
+    await call(routes.watchPages, query);
+    const response = await call(routes.watchPages, { type: 'movie', id: '604', locales: LOCALES.slice(0, 10).join(',') });
+    assert.strictEqual(routes.scraped.length, 20);
+    assert.deepStrictEqual(response.body.failed, []);
+});
+
+test('the tmdb route answers an empty bucket with 429 and the Retry-After of its own budget', async (t) => {
+    useApiKey(t);
+    const routes = createScrapeRoutes({ endpoint: { capacity: 1, refillPerSecond: 0.5 }, scrape: { capacity: 1, refillPerSecond: 0.2 } });
+    const endpointQuery = { endpoint: 'search/multi', query: 'matrix' };
+    const urlQuery = { url: 'https://www.themoviedb.org/movie/603/watch?locale=US' };
+
+    assert.strictEqual((await call(routes.tmdb, endpointQuery)).status, 200);
+    const endpointLimited = await call(routes.tmdb, endpointQuery);
+    assert.strictEqual(endpointLimited.status, 429);
+    assert.strictEqual(endpointLimited.headers['Retry-After'], '2');
+    assert.strictEqual(endpointLimited.body.error.code, 'rate_limited');
+
+    // The budgets are separate, so the scrape budget is still full.
+    assert.strictEqual((await call(routes.tmdb, urlQuery)).status, 200);
+    const urlLimited = await call(routes.tmdb, urlQuery);
+    assert.strictEqual(urlLimited.status, 429);
+    assert.strictEqual(urlLimited.headers['Retry-After'], '5');
+    assert.strictEqual(routes.scraped.length, 2);
+});
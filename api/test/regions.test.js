@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { MemoryLruStore, ResponseCache } = require('../shared/cache');
+const { JustWatchLocaleLog, sharedJustWatchLocales } = require('../shared/justwatch-locales');
+const { createHandler } = require('../regions');
+const { createHandler: createWatchPagesHandler } = require('../watch-pages');
+
+const noRateLimit = { consume() {} };
+
+const COUNTRIES = [
+    { iso_3166_1: 'US', english_name: 'United States of America' },
+    { iso_3166_1: 'GB', english_name: 'United Kingdom' },
+    { iso_3166_1: 'AQ', english_name: 'Antarctica' }
+];
+const PROVIDER_REGIONS = { results: [{ iso_3166_1: 'US', english_name: 'United States of America' }, { iso_3166_1: 'GB', english_name: 'United Kingdom' }] };
+
+/**
+ * Builds a fetch that serves TMDB's country and provider region lists and records the requested URLs.
+ */
+function createTmdbFetch() {
+    const calls = [];
+    const fetch = async (url) => {
+        calls.push(url);
+        const body = url.includes('/configuration/countries') ? COUNTRIES : PROVIDER_REGIONS;
+        return { ok: true, status: 200, headers: { get: () => null }, json: async () => body };
+    };
+    return { fetch, calls };
+}
+
+/**
+ * Runs one request through a handler and returns the response.
+ */
+async function request(handler) {
+    process.env.TMDB_API_KEY = 'test-key';
+    const context = { log: { error() {} } };
+    await handler(context, { query: {}, headers: {} });
+    return context.res;
+}
+
+const linkedPage = { justWatchUrl: 'https://www.justwatch.com/uk/movie/the-matrix', providersInfo: { Netflix: { stream: ['HD'] } }, offers: [] };
+const unlinkedPage = { justWatchUrl: null, providersInfo: { Netflix: { stream: ['HD'] } }, offers: [] };
+const emptyPage = { justWatchUrl: null, providersInfo: {}, offers: [] };
+
+test('lists every country, marking those with providers as JustWatch countries until scrapes say otherwise', async () => {
+    const { fetch } = createTmdbFetch();
+    const handler = createHandler({ fetch, cache: new ResponseCache(new MemoryLruStore()), rateLimiter: noRateLimit, justWatchLocales: new JustWatchLocaleLog() });
+
+    const res = await request(handler);
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.regions, [
+        { code: 'AQ', name: 'Antarctica', providers: false, justWatch: false },
+        { code: 'GB', name: 'United Kingdom', providers: true, justWatch: true },
+        { code: 'US', name: 'United States of America', providers: true, justWatch: true }
+    ]);
+});
+
+test('past scrapes decide which countries link to JustWatch', async () => {
+    const { fetch } = createTmdbFetch();
+    const log = new JustWatchLocaleLog();
+    log.record('AQ', linkedPage);
+    for (let i = 0; i < 3; i++) log.record('GB', unlinkedPage);
+    for (let i = 0; i < 5; i++) log.record('US', emptyPage);
+    const handler = createHandler({ fetch, cache: new ResponseCache(new MemoryLruStore()), rateLimiter: noRateLimit, justWatchLocales: log });
+
+    const res = await request(handler);
+    const justWatch = Object.fromEntries(res.body.regions.map(region => [region.code, region.justWatch]));
+    assert.deepStrictEqual(justWatch, { AQ: true, GB: false, US: true });
+});
+
+test('a country is only unsupported after several pages with offers but no link', () => {
+    const log = new JustWatchLocaleLog();
+    log.record('GB', unlinkedPage);
+    log.record('GB', unlinkedPage);
+    assert.strictEqual(log.isSupported('GB'), null);
+    log.record('GB', unlinkedPage);
+    assert.strictEqual(log.isSupported('GB'), false);
+    log.record('GB', linkedPage);
+    assert.strictEqual(log.isSupported('GB'), true);
+});
+
+test('the TMDB lists are cached between requests', async () => {
+    const { fetch, calls } = createTmdbFetch();
+    const handler = createHandler({ fetch, cache: new ResponseCache(new MemoryLruStore()), rateLimiter: noRateLimit, justWatchLocales: new JustWatchLocaleLog() });
+
+    await request(handler);
+    const res = await request(handler);
+    assert.strictEqual(calls.length, 2);
+    assert.strictEqual(res.headers['X-Cache'], 'HIT');
+    assert.ok(calls.some(url => url === 'https://api.themoviedb.org/3/watch/providers/regions?'));
+});
+
+test('scraped watch pages are recorded in the shared log', async () => {
+    const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'watch-pages', 'current-layout.html'), 'utf8');
+    const fetch = async () => ({ ok: true, status: 200, text: async () => html });
+    const handler = createWatchPagesHandler({ fetch, cache: new ResponseCache(new MemoryLruStore()), rateLimiter: noRateLimit });
+
+    await handler({ log: { error() {} } }, { query: { type: 'movie', id: '603', locales: 'NZ' }, headers: {} });
+    assert.strictEqual(sharedJustWatchLocales.isSupported('NZ'), true);
+});
@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { SITE_ROOT, loadApp, search } = require('./load-app');
+
+const MALICIOUS = '<img src=x onerror="window.injected = true">';
+
+/**
+ * Loads only render.js into an empty page.
+ * @returns {Window} The page's window.
+ */
+function loadRenderer() {
+    const dom = new JSDOM('<div id="root"></div>', { url: 'http://localhost/', runScripts: 'dangerously' });
+    dom.window.eval(fs.readFileSync(path.join(SITE_ROOT, 'render.js'), 'utf8'));
+    return dom.window;
+}
+
+test('html escapes interpolated values but keeps nested markup', () => {
+    const { html, escapeHtml } = loadRenderer();
+    assert.strictEqual(escapeHtml(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+    assert.strictEqual(String(html`<p>${'<b>'}</p>`), '<p>&lt;b&gt;</p>');
+    assert.strictEqual(String(html`<ul>${['<i>', 'x'].map(item => html`<li>${item}</li>`)}</ul>`), '<ul><li>&lt;i&gt;</li><li>x</li></ul>');
+    assert.strictEqual(String(html`<p>${null}${undefined}${0}</p>`), '<p>0</p>');
+});
+
+test('setHtml renders malicious values as text and refuses plain strings', () => {
+    const window = loadRenderer();
+    const root = window.document.getElementById('root');
+    window.setHtml(root, window.html`<p title="${MALICIOUS}">${MALICIOUS}</p>`);
+    assert.strictEqual(root.querySelector('img'), null);
+    assert.strictEqual(root.querySelector('p').textContent, MALICIOUS);
+    assert.strictEqual(root.querySelector('p').title, MALICIOUS);
+    // The error comes from the page's realm, so check its name rather than its class.
+    assert.throws(() => window.setHtml(root, MALICIOUS), { name: 'TypeError' });
+    assert.throws(() => window.appendHtml(root, MALICIOUS), { name: 'TypeError' });
+});
+
+test('safeUrl only lets web links through', () => {
+    const { safeUrl } = loadRenderer();
+    assert.strictEqual(safeUrl('https://www.justwatch.com/us/movie/the-matrix'), 'https://www.justwatch.com/us/movie/the-matrix');
+    assert.strictEqual(safeUrl('javascript:alert(1)'), '#');
+    assert.strictEqual(safeUrl(' JavaScript:alert(1)'), '#');
+    assert.strictEqual(safeUrl('data:text/html,<script>alert(1)</script>'), '#');
+});
+
+test('a search query with no results is shown as text', async () => {
+    const window = loadApp(() => ({ page: 1, total_pages: 1, results: [] }));
+    await search(window, MALICIOUS);
+    const message = window.document.querySelector('#results .error-message');
+    assert.strictEqual(message.textContent, `Could not find any results for "${MALICIOUS}".`);
+    assert.strictEqual(window.document.querySelector('#results img'), null);
+    assert.strictEqual(window.injected, undefined);
+});
+
+test('malicious titles, provider names and scraped data are shown as text', async () => {
+    const title = { id: 603, media_type: 'movie', title: MALICIOUS, release_date: '1999-03-31', overview: MALICIOUS };
+    const provider = { provider_id: 8, provider_name: MALICIOUS, logo_path: '/n.png' };
+    const window = loadApp(url => {
+        if (url.includes('url=')) {
+            return { justWatchUrl: 'javascript:window.injected=true', providersInfo: { [MALICIOUS]: { stream: ['4K'] } } };
+        }
+        if (url.includes('append_to_response')) {
+            return {
+                ...title,
+                genres: [{ id: 1, name: MALICIOUS }],
+                credits: { cast: [{ name: MALICIOUS, character: MALICIOUS }] },
+                videos: { results: [{ site: 'YouTube', type: 'Trailer', key: '"><img src=x onerror="window.injected=true">' }] },
+                recommendations: { results: [{ ...title, id: 605 }] }
+            };
+        }
+        if (url.includes('watch%2Fproviders') || url.includes('watch/providers')) {
+            return { results: { US: { flatrate: [provider] } } };
+        }
+        return { page: 1, total_pages: 1, results: [title, { ...title, id: 604 }] };
+    });
+    const { document } = window;
+
+    // Autocomplete suggestions.
+    window.fetchAutocomplete('matrix');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual(document.querySelector('.autocomplete-title').textContent, MALICIOUS);
+    assert.strictEqual(document.querySelectorAll('#autocomplete img').length, 2); // Only the posters.
+
+    // Search result cards.
+    await search(window, MALICIOUS);
+    assert.strictEqual(document.querySelector('.search-header').textContent, `Results for "${MALICIOUS}"`);
+    assert.strictEqual(document.querySelector('.search-card-title').textContent, MALICIOUS);
+    assert.strictEqual(document.querySelectorAll('.search-card img').length, 2);
+
+    // Title results, provider and the scraped country dropdown.
+    document.querySelector('.search-card').click();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual(document.querySelector('.title-name').textContent, `${MALICIOUS} (1999)`);
+    assert.strictEqual(document.querySelector('.provider-name').textContent, MALICIOUS);
+    assert.strictEqual(document.querySelector('.details-overview').textContent, MALICIOUS);
+    assert.strictEqual(document.querySelector('.details-genres li').textContent, MALICIOUS);
+    assert.ok(document.querySelector('.details-trailer').href.startsWith('https://www.youtube.com/watch?v='));
+    assert.strictEqual(document.querySelector('.recommendation-card .search-card-title').textContent, MALICIOUS);
+    document.querySelector('.country-button').click();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual(document.querySelector('.country-dropdown .quality-provider').textContent, MALICIOUS);
+    assert.strictEqual(document.querySelector('.justwatch-link').getAttribute('href'), '#');
+
+    assert.deepStrictEqual(Array.from(document.querySelectorAll('#results img'), img => img.className).filter(name => !/logo|icon|poster/.test(name)), []);
+    assert.strictEqual(window.injected, undefined);
+});
+
+test('watch pages for a title in many countries load in batches, starting with the home country', async () => {
+    const countries = ['AR', 'AU', 'AT', 'BE', 'BR', 'CA', 'CL', 'CO', 'CZ', 'DK', 'EC', 'EE', 'FI', 'FR', 'DE', 'GR', 'GT', 'HK', 'HU', 'IS',
+        'IN', 'ID', 'IE', 'IL', 'IT', 'JP', 'LV', 'LT', 'MY', 'MX', 'NL', 'NZ', 'NO', 'PA', 'PE', 'PH', 'PL', 'PT', 'RO', 'SG', 'US'];
+    const title = { id: 603, media_type: 'movie', title: 'The Matrix', release_date: '1999-03-31' };
+    const netflix = { provider_id: 8, provider_name: 'Netflix', logo_path: '/n.png' };
+    const batches = [];
+    const window = loadApp(url => {
+        if (url.startsWith('/api/watch-pages')) {
+            const locales = new URLSearchParams(url.split('?')[1]).get('locales').split(',');
+            batches.push(locales);
+            const page = { justWatchUrl: 'https://www.justwatch.com/x', providersInfo: { Netflix: { stream: ['4K'] } }, offers: [] };
+            return { results: Object.fromEntries(locales.map(locale => [locale, page])), failed: [], errors: {} };
+        }
+        if (url.includes('watch%2Fproviders') || url.includes('watch/providers')) {
+            return { results: Object.fromEntries(countries.map(code => [code, { flatrate: [netflix] }])) };
+        }
+        return { page: 1, total_pages: 1, results: [title] };
+    });
+    window.eval("preferences.homeCountry = 'PT'"); // A script-level variable, not a property of the window.
+
+    await search(window, 'The Matrix');
+    assert.deepStrictEqual(batches.map(batch => batch.length), [25, 16]);
+    assert.strictEqual(batches[0][0], 'PT');
+    assert.deepStrictEqual(batches.flat().sort(), countries.slice().sort());
+    assert.strictEqual(window.document.querySelectorAll('#offer-panel-flatrate .country-button > .quality-tags').length, countries.length);
+});
+
+test('TMDB rate limiting us is explained as a busy service, not an outage', async () => {
+    const window = loadApp(() => ({}));
+    let requests = 0;
+    window.fetch = async () => {
+        requests++;
+        return { ok: false, status: 503, headers: { get: () => null }, json: async () => ({ error: { code: 'upstream_rate_limited', retryable: true } }) };
+    };
+    await search(window, 'The Matrix');
+    // The request is retried twice with backoff (0.5s, then 1s) before the error is shown.
+    for (let waited = 0; !window.document.querySelector('#results .error-message') && waited < 3000; waited += 50) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    assert.strictEqual(requests, 3);
+    assert.strictEqual(window.document.querySelector('#results .error-message').textContent, window.t('error.upstreamBusy'));
+    assert.notStrictEqual(window.t('error.upstreamBusy'), window.t('error.upstreamDown'));
+});
+
+test('a rate limited autocomplete request pauses suggestions and says how long to wait', async () => {
+    const window = loadApp(() => ({}));
+    let requests = 0;
+    window.fetch = async () => {
+        requests++;
+        return {
+            ok: false,
+            status: 429,
+            headers: { get: name => (name === 'Retry-After' ? '7' : null) },
+            json: async () => ({ error: { code: 'rate_limited', retryable: true } })
+        };
+    };
+    const type = (query) => {
+        const input = window.document.getElementById('search-input');
+        input.value = query;
+        input.dispatchEvent(new window.Event('input', { bubbles: true }));
+    };
+
+    type('matr');
+    await new Promise(resolve => setTimeout(resolve, 400));
+    const message = window.document.querySelector('#autocomplete .autocomplete-message');
+    assert.strictEqual(message.textContent, window.t('error.rateLimited', { count: 7 }));
+    assert.notStrictEqual(message.textContent, window.t('error.unexpected'));
+    assert.strictEqual(requests, 1); // 429s from our own limit aren't retried.
+
+    // Typing during the wait sends nothing and leaves the message up.
+    type('matri');
+    await new Promise(resolve => setTimeout(resolve, 400));
+    assert.strictEqual(requests, 1);
+    assert.strictEqual(window.document.querySelector('#autocomplete .autocomplete-message').textContent, message.textContent);
+});
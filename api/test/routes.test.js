@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, search, settle } = require('./load-app');
+
+const MATRIX = { id: 603, title: 'The Matrix', release_date: '1999-03-31' };
+const RELOADED = { id: 604, title: 'The Matrix Reloaded', release_date: '2003-05-15' };
+const NETFLIX = { provider_id: 8, provider_name: 'Netflix', logo_path: '/n.png' };
+const PROVIDERS = { US: { flatrate: [NETFLIX] }, GB: { flatrate: [NETFLIX] } };
+
+/**
+ * Loads the page at a path, with a fake API that knows the two titles above.
+ */
+function loadAt(pathAndQuery) {
+    return loadApp(url => {
+        const endpoint = new URLSearchParams(url.split('?')[1]).get('endpoint') || '';
+        if (url.startsWith('/api/watch-pages')) return { results: {}, failed: [], errors: {} };
+        if (/^movie\/60[34]\/watch\/providers$/.test(endpoint)) return { results: PROVIDERS };
+        if (endpoint === 'movie/603') return MATRIX;
+        if (endpoint === 'movie/604') return RELOADED;
+        if (endpoint.startsWith('search/')) {
+            return { page: 1, total_pages: 1, results: [MATRIX, RELOADED].map(title => ({ ...title, media_type: 'movie' })) };
+        }
+        return { results: {} };
+    }, { url: `http://localhost${pathAndQuery}` });
+}
+
+const currentPath = window => window.location.pathname + window.location.search;
+
+test('a shared title link opens the title with its country dropdown', async () => {
+    const window = loadAt('/movie/603?country=gb');
+    await settle(100);
+    const { document } = window;
+
+    assert.strictEqual(document.querySelector('.title-name').textContent, 'The Matrix (1999)');
+    assert.strictEqual(document.getElementById('search-input').value, 'The Matrix');
+    const dropdown = document.querySelector('#offer-panel-flatrate .country-tag[data-country="GB"] .country-dropdown');
+    assert.ok(dropdown.classList.contains('show'));
+    assert.strictEqual(currentPath(window), '/movie/603?country=GB');
+});
+
+test('a shared search link shows the search results', async () => {
+    const window = loadAt('/?q=matrix');
+    await settle(100);
+    assert.strictEqual(window.document.querySelector('.search-header').textContent, 'Results for "matrix"');
+    assert.strictEqual(window.document.querySelectorAll('.search-card').length, 2);
+});
+
+test('searches and opened titles get history entries that back and forward restore', async () => {
+    const window = loadAt('/');
+    const { document } = window;
+    await settle();
+
+    await search(window, 'matrix');
+    assert.strictEqual(currentPath(window), '/?q=matrix');
+    document.querySelectorAll('.search-card')[1].click();
+    await settle();
+    assert.strictEqual(currentPath(window), '/movie/604');
+
+    // Opening a country dropdown updates the link in place rather than adding an entry.
+    document.querySelector('.country-tag[data-country="US"] .country-button').click();
+    assert.strictEqual(currentPath(window), '/movie/604?country=US');
+    assert.strictEqual(window.history.length, 3);
+
+    window.history.back();
+    await settle(100);
+    assert.strictEqual(currentPath(window), '/?q=matrix');
+    assert.strictEqual(document.querySelectorAll('.search-card').length, 2);
+
+    window.history.forward();
+    await settle(100);
+    assert.strictEqual(document.querySelector('.title-name').textContent, 'The Matrix Reloaded (2003)');
+    assert.ok(document.querySelector('.country-tag[data-country="US"] .country-dropdown').classList.contains('show'));
+});
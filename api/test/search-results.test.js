@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, search, settle } = require('./load-app');
+
+const RESULTS = [
+    { id: 603, media_type: 'movie', title: 'The Matrix', release_date: '1999-03-31' },
+    { id: 604, media_type: 'movie', title: 'The Matrix Reloaded', release_date: '2003-05-15' },
+    { id: 1399, media_type: 'tv', name: 'Matrix', first_air_date: '1993-03-01' },
+    { id: 10138, media_type: 'person', name: 'Matrix Person' }
+];
+
+/**
+ * Loads the page with a fake search API and records the searches it makes as `{ endpoint, query, page }`.
+ */
+function loadSearch() {
+    const searches = [];
+    const window = loadApp(url => {
+        const params = new URLSearchParams(url.split('?')[1]);
+        if (url.startsWith('/api/tmdb') && params.get('endpoint').startsWith('search/')) {
+            searches.push({ endpoint: params.get('endpoint'), query: params.get('query'), page: Number(params.get('page')) });
+            return { page: Number(params.get('page')), total_pages: 3, results: RESULTS };
+        }
+        return { results: {} };
+    });
+    return { window, searches };
+}
+
+const cardTitles = document => Array.from(document.querySelectorAll('.search-card-title'), title => title.textContent);
+
+test('an ambiguous search shows a grid of titles with pagination', async () => {
+    const { window, searches } = loadSearch();
+    const { document } = window;
+    await search(window, 'matri');
+
+    assert.strictEqual(document.querySelector('.search-header').textContent, 'Results for "matri"');
+    assert.deepStrictEqual(cardTitles(document), ['The Matrix', 'The Matrix Reloaded', 'Matrix']); // People aren't titles.
+    assert.strictEqual(document.querySelector('.page-status').textContent, 'Page 1 of 3');
+    assert.ok(document.querySelector('.page-prev').disabled);
+
+    document.querySelector('.page-next').click();
+    await settle();
+    assert.deepStrictEqual(searches.at(-1), { endpoint: 'search/multi', query: 'matri', page: 2 });
+    assert.strictEqual(document.querySelector('.page-status').textContent, 'Page 2 of 3');
+    assert.ok(!document.querySelector('.page-prev').disabled);
+});
+
+test('the only title whose name matches the query exactly is opened directly', async () => {
+    const { window } = loadSearch();
+    await search(window, 'The Matrix');
+    assert.strictEqual(window.document.querySelector('.search-grid'), null);
+    assert.strictEqual(window.document.querySelector('.title-name').textContent, 'The Matrix (1999)');
+});
+
+test('the type and year filters search again from the first page', async () => {
+    const { window, searches } = loadSearch();
+    const { document } = window;
+    // Each page of results renders a new filter form.
+    const applyFilters = async (values) => {
+        const filters = document.querySelector('.search-filters');
+        Object.entries(values).forEach(([name, value]) => { filters.elements[name].value = value; });
+        filters.dispatchEvent(new window.Event('submit', { cancelable: true }));
+        await settle();
+    };
+    await search(window, 'matri');
+    document.querySelector('.page-next').click();
+    await settle();
+
+    await applyFilters({ mediaType: 'movie', yearFrom: '2000' });
+    assert.deepStrictEqual(searches.at(-1), { endpoint: 'search/movie', query: 'matri', page: 1 });
+    assert.deepStrictEqual(cardTitles(document), ['The Matrix Reloaded']);
+    assert.strictEqual(document.querySelector('.search-filters').elements.yearFrom.value, '2000');
+
+    await applyFilters({ yearFrom: '2010' });
+    assert.strictEqual(document.querySelector('.search-grid'), null);
+    assert.strictEqual(document.querySelector('#results .error-message').textContent, 'No results on this page match your filters.');
+});
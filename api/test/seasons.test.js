@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, search, settle } = require('./load-app');
+
+const SHOW = { id: 1399, media_type: 'tv', name: 'Game of Thrones', first_air_date: '2011-04-17' };
+const HBO = { provider_id: 384, provider_name: 'HBO Max', logo_path: '/h.png' };
+const SKY = { provider_id: 29, provider_name: 'Sky Go', logo_path: '/s.png' };
+const SHOW_PROVIDERS = {
+    US: { flatrate: [HBO] },
+    DE: { flatrate: [HBO, SKY] },
+    FR: { flatrate: [HBO] }
+};
+// Season 1 streams everywhere the show does; season 2 is missing from HBO Max in France and from Sky Go altogether.
+const SEASON_PROVIDERS = {
+    1: SHOW_PROVIDERS,
+    2: { US: { flatrate: [HBO] }, DE: { flatrate: [HBO] } }
+};
+
+/**
+ * Opens the show above and records the season provider requests it makes.
+ */
+async function openShow() {
+    const seasonRequests = [];
+    const window = loadApp(url => {
+        const params = new URLSearchParams(url.split('?')[1]);
+        const endpoint = params.get('endpoint') || '';
+        const season = /^tv\/1399\/season\/(\d+)\/watch\/providers$/.exec(endpoint);
+        if (season) {
+            seasonRequests.push(Number(season[1]));
+            return { results: SEASON_PROVIDERS[season[1]] };
+        }
+        if (endpoint === 'tv/1399/watch/providers') return { results: SHOW_PROVIDERS };
+        if (endpoint === 'tv/1399') {
+            return {
+                ...SHOW,
+                seasons: [
+                    { season_number: 0, name: 'Specials', episode_count: 3 },
+                    { season_number: 1, name: 'Season 1', episode_count: 10, air_date: '2011-04-17' },
+                    { season_number: 2, name: 'Season 2', episode_count: 1, air_date: '2012-04-01' }
+                ]
+            };
+        }
+        if (endpoint.startsWith('search/')) return { page: 1, total_pages: 1, results: [SHOW] };
+        return { results: {} };
+    });
+    await search(window, 'Game of Thrones');
+    return { window, seasonRequests };
+}
+
+/**
+ * Expands a season and returns its element once the providers have loaded.
+ */
+async function expandSeason(document, name) {
+    const item = Array.from(document.querySelectorAll('.season-item')).find(season => season.querySelector('.season-name').textContent === name);
+    item.querySelector('.season-toggle').click();
+    await settle();
+    return item;
+}
+
+test('a TV show lists its seasons without the specials', async () => {
+    const { window } = await openShow();
+    const seasons = window.document.querySelectorAll('.seasons-section .season-item');
+    assert.deepStrictEqual(Array.from(seasons, season => season.querySelector('.season-name').textContent), ['Season 1', 'Season 2']);
+    assert.strictEqual(seasons[1].querySelector('.season-meta').textContent, '1 episode • 2012');
+});
+
+test('each season\'s providers are compared with the show\'s, country by country', async () => {
+    const { window, seasonRequests } = await openShow();
+    const { document } = window;
+
+    const first = await expandSeason(document, 'Season 1');
+    assert.strictEqual(first.querySelector('.season-coverage').textContent, 'Full coverage');
+    assert.strictEqual(first.querySelector('.season-toggle').getAttribute('aria-expanded'), 'true');
+
+    const second = await expandSeason(document, 'Season 2');
+    assert.strictEqual(second.querySelector('.season-coverage').textContent, 'Partial coverage');
+    const details = Array.from(second.querySelectorAll('.season-provider'), provider => [
+        provider.querySelector('.season-provider-name').textContent,
+        provider.querySelector('.season-provider-detail').textContent
+    ]);
+    assert.deepStrictEqual(details, [
+        ['HBO Max', '2 of 3 countries • missing in France'],
+        ['Sky Go', 'Not available for this season']
+    ]);
+
+    // Collapsing and expanding again doesn't request the season a second time.
+    second.querySelector('.season-toggle').click();
+    await expandSeason(document, 'Season 2');
+    assert.deepStrictEqual(seasonRequests, [1, 2]);
+});
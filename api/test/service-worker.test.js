@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SITE_ROOT = path.join(__dirname, '..', '..');
+const ORIGIN = 'http://localhost';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A stand-in for the Cache API. Like the real one, `put` replaces an existing entry by appending it again,
+ * so `keys()` lists requests from least to most recently stored.
+ */
+class FakeCache {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async match(request) {
+        const response = this.entries.get(typeof request === 'string' ? new URL(request, ORIGIN).href : request.url);
+        return response && response.clone();
+    }
+
+    async put(request, response) {
+        this.entries.delete(request.url);
+        this.entries.set(request.url, response);
+    }
+
+    async delete(request) {
+        return this.entries.delete(request.url);
+    }
+
+    async keys() {
+        return Array.from(this.entries.keys(), url => new Request(url));
+    }
+}
+
+/**
+ * Runs sw.js with a fake `self`, `caches` and `fetch`, and returns its cache limits and trimApiCache, its fetch
+ * listener and the API cache. The fetch answers every request with a JSON body naming the requested URL.
+ */
+function loadServiceWorker() {
+    const listeners = {};
+    const apiCache = new FakeCache();
+    const sandbox = {
+        self: { location: { origin: ORIGIN }, addEventListener: (type, listener) => { listeners[type] = listener; } },
+        caches: { open: async () => apiCache },
+        fetch: async request => new Response(JSON.stringify({ url: request.url }), { status: 200 }),
+        Date, Headers, Request, Response, URL
+    };
+    vm.createContext(sandbox);
+    // The worker's constants aren't properties of its global object, so they are read out by a trailing expression.
+    const source = `${fs.readFileSync(path.join(SITE_ROOT, 'sw.js'), 'utf8')}\n({ MAX_API_ENTRIES, MAX_API_AGE_MS, trimApiCache });`;
+    const worker = vm.runInContext(source, sandbox);
+    return { worker, onFetch: listeners.fetch, apiCache };
+}
+
+/**
+ * Sends a GET through the worker's fetch listener and waits for the cached copy to be stored and trimmed.
+ */
+async function request(onFetch, pathAndQuery) {
+    const pending = [];
+    let response;
+    onFetch({
+        request: new Request(`${ORIGIN}${pathAndQuery}`),
+        respondWith: promise => { response = promise; },
+        waitUntil: promise => pending.push(promise)
+    });
+    const result = await response;
+    await Promise.all(pending);
+    return result;
+}
+
+test('the API cache keeps only the most recently stored entries', async () => {
+    const { worker, onFetch, apiCache } = loadServiceWorker();
+    for (let index = 0; index < worker.MAX_API_ENTRIES + 5; index++) {
+        await request(onFetch, `/api/tmdb?endpoint=search/multi&query=${index}`);
+    }
+
+    const kept = Array.from(apiCache.entries.keys(), url => new URL(url).searchParams.get('query'));
+    assert.strictEqual(kept.length, worker.MAX_API_ENTRIES);
+    assert.strictEqual(kept[0], '5');
+    assert.strictEqual(kept[kept.length - 1], String(worker.MAX_API_ENTRIES + 4));
+});
+
+test('API responses older than the maximum age are removed unless they were refreshed', async (t) => {
+    let now = Date.UTC(2026, 0, 1);
+    t.mock.method(Date, 'now', () => now);
+    const { worker, onFetch, apiCache } = loadServiceWorker();
+    await request(onFetch, '/api/tmdb?endpoint=movie/603');
+    await request(onFetch, '/api/tmdb?endpoint=movie/604');
+    await request(onFetch, '/api/regions');
+
+    // Opening movie/604 again serves the old copy and stores a fresh one, which moves it to the end.
+    now += 10 * DAY_MS;
+    await request(onFetch, '/api/tmdb?endpoint=movie/604');
+    now += worker.MAX_API_AGE_MS - 10 * DAY_MS + 1;
+    await worker.trimApiCache(apiCache);
+
+    assert.deepStrictEqual(Array.from(apiCache.entries.keys()), [`${ORIGIN}/api/tmdb?endpoint=movie/604`]);
+    const stored = await apiCache.match('/api/tmdb?endpoint=movie/604');
+    assert.strictEqual(stored.headers.get('X-Cached-At'), String(Date.UTC(2026, 0, 11)));
+});
+
+test('only API routes the page reads offline are stored', async () => {
+    const { onFetch, apiCache } = loadServiceWorker();
+    await request(onFetch, '/api/v1/availability/movie/603');
+    assert.strictEqual(apiCache.entries.size, 0);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// The front end lives at the repository root as plain browser scripts.
+const SITE_ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Loads title-links.js into an empty page.
+ * @returns {Window} The page's window.
+ */
+function loadTitleLinks() {
+    const dom = new JSDOM('', { url: 'http://localhost/', runScripts: 'dangerously' });
+    dom.window.eval(fs.readFileSync(path.join(SITE_ROOT, 'title-links.js'), 'utf8'));
+    return dom.window;
+}
+
+// Results come from the page's realm, so they are copied into plain values before deep comparisons.
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('IMDb and TVDB IDs are looked up through TMDB', () => {
+    const { parseTitleReference } = loadTitleLinks();
+    assert.deepStrictEqual(plain(parseTitleReference(' TT0133093 ')), { kind: 'external', source: 'imdb_id', id: 'tt0133093' });
+    assert.deepStrictEqual(plain(parseTitleReference('tvdb:81189')), { kind: 'external', source: 'tvdb_id', id: '81189' });
+    assert.deepStrictEqual(plain(parseTitleReference('https://www.imdb.com/title/tt0903747/?ref_=fn_al_tt_1')), { kind: 'external', source: 'imdb_id', id: 'tt0903747' });
+    assert.deepStrictEqual(plain(parseTitleReference('m.imdb.com/title/tt0133093/')), { kind: 'external', source: 'imdb_id', id: 'tt0133093' });
+    assert.deepStrictEqual(plain(parseTitleReference('https://thetvdb.com/?tab=series&id=81189')), { kind: 'external', source: 'tvdb_id', id: '81189' });
+    assert.deepStrictEqual(plain(parseTitleReference('https://www.themoviedb.org/tv/1396-breaking-bad/watch')), { kind: 'tmdb', mediaType: 'tv', id: 1396 });
+});
+
+test('links that only name the title become searches', () => {
+    const { parseTitleReference } = loadTitleLinks();
+    assert.deepStrictEqual(plain(parseTitleReference('https://www.justwatch.com/de/film/the-thing-1982')), { kind: 'search', query: 'the thing', mediaType: 'movie', year: 1982, site: 'JustWatch' });
+    assert.deepStrictEqual(plain(parseTitleReference('https://tv.apple.com/us/show/severance/umc.cmc.1srk2goyh2q2zdxcx605w8vtx')), { kind: 'search', query: 'severance', mediaType: 'tv', year: null, site: 'Apple TV' });
+    assert.deepStrictEqual(plain(parseTitleReference('https://www.hulu.com/series/the-bear-05eb6a8e-90ed-4947-8c0b-e6536cbddd5f')), { kind: 'search', query: 'the bear', mediaType: 'tv', year: null, site: 'Hulu' });
+    assert.deepStrictEqual(plain(parseTitleReference('https://www.primevideo.com/detail/The-Boys/0KRGHGZCHKS920ZQGY5LBRF7MA')), { kind: 'search', query: 'The Boys', mediaType: null, year: null, site: 'Prime Video' });
+    assert.deepStrictEqual(plain(parseTitleReference('https://www.disneyplus.com/en-gb/movies/encanto/33q7DY1rtHQH')), { kind: 'search', query: 'encanto', mediaType: 'movie', year: null, site: 'Disney+' });
+});
+
+test('links without a name or from unknown sites are reported, and ordinary searches are left alone', () => {
+    const { parseTitleReference } = loadTitleLinks();
+    assert.deepStrictEqual(plain(parseTitleReference('https://www.netflix.com/title/70143836')), { kind: 'unsupported', site: 'Netflix' });
+    assert.deepStrictEqual(plain(parseTitleReference('https://www.amazon.com/gp/video/detail/B00FYX2D7G')), { kind: 'unsupported', site: 'Prime Video' });
+    assert.deepStrictEqual(plain(parseTitleReference('https://example.com/movie/603')), { kind: 'unknown' });
+    ['The Matrix', '1917', 'tt', 'Mr. Robot', 'Ocean\'s Eleven', 'TRON: Legacy'].forEach(query => {
+        assert.strictEqual(parseTitleReference(query), null, query);
+    });
+});
+
+test('a slug matches the one result with its words, ignoring punctuation', () => {
+    const { findLinkedTitle } = loadTitleLinks();
+    const items = [{ id: 424, title: 'Schindler\'s List' }, { id: 1, title: 'Schindler\'s List: Behind the Scenes' }];
+    assert.strictEqual(findLinkedTitle({ query: 'schindlers list' }, items).id, 424);
+    assert.strictEqual(findLinkedTitle({ query: 'amelie' }, [{ id: 194, title: 'Amélie' }, { id: 2, title: 'Amélie 2' }]).id, 194);
+    assert.strictEqual(findLinkedTitle({ query: 'the office' }, [{ id: 2316, name: 'The Office' }, { id: 2996, name: 'The Office' }]), null);
+});
+
+test('find results lead to the movie, the show, or the show of an episode', () => {
+    const { pickFoundTitle } = loadTitleLinks();
+    assert.deepStrictEqual(plain(pickFoundTitle({ movie_results: [{ id: 603 }], tv_results: [] })), { mediaType: 'movie', id: 603 });
+    assert.deepStrictEqual(plain(pickFoundTitle({ movie_results: [], tv_results: [{ id: 1396 }] })), { mediaType: 'tv', id: 1396 });
+    assert.deepStrictEqual(plain(pickFoundTitle({ movie_results: [], tv_results: [], tv_episode_results: [{ id: 62085, show_id: 1396 }] })), { mediaType: 'tv', id: 1396 });
+    assert.strictEqual(pickFoundTitle({ movie_results: [], tv_results: [], person_results: [{ id: 6384 }] }), null);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ValidationError, validateEndpointRequest, validateScrapeUrl, validateWatchPageBatch } = require('../shared/validation');
+const { createHandler } = require('../tmdb');
+
+/**
+ * Asserts that a function throws a ValidationError with the given status and code.
+ */
+function assertRejected(fn, status, code) {
+    assert.throws(fn, error => error instanceof ValidationError && error.status === status && error.code === code);
+}
+
+test('allows the endpoints and parameters the front end uses', () => {
+    validateEndpointRequest('search/multi', { query: 'The Matrix', include_adult: 'false', language: 'en-US', page: '1' });
+    validateEndpointRequest('search/movie', { query: 'Dune', page: '2' });
+    validateEndpointRequest('movie/603/watch/providers', {});
+    validateEndpointRequest('tv/1396/watch/providers', {});
+    validateEndpointRequest('movie/603', { language: 'en-US' });
+    validateEndpointRequest('tv/1396', { language: 'en-US' });
+    validateEndpointRequest('movie/603', { language: 'en-US', append_to_response: 'credits,videos,recommendations,similar' });
+    validateEndpointRequest('tv/1396/season/2/watch/providers', {});
+    validateEndpointRequest('watch/providers/movie', { language: 'en-US', watch_region: 'US' });
+    validateEndpointRequest('configuration/countries', { language: 'en-US' });
+    validateEndpointRequest('genre/tv/list', { language: 'en-US' });
+    validateEndpointRequest('find/tt0133093', { language: 'en-US', external_source: 'imdb_id' });
+    validateEndpointRequest('find/81189', { external_source: 'tvdb_id' });
+    validateEndpointRequest('discover/movie', {
+        language: 'en-US', page: '2', include_adult: 'false', watch_region: 'US', with_watch_providers: '8', with_genres: '28',
+        sort_by: 'popularity.desc', 'primary_release_date.gte': '1990-01-01', 'vote_average.gte': '7', 'vote_count.gte': '50'
+    });
+});
+
+test('rejects endpoints outside the allowlist with 403', () => {
+    for (const endpoint of ['account', 'movie/603/credits', 'movie/603/watch/providers/../../account', 'search/person', 'movie/abc/watch/providers', '', '../3/account']) {
+        assertRejected(() => validateEndpointRequest(endpoint, {}), 403, 'endpoint_not_allowed');
+    }
+});
+
+test('rejects unknown and malformed parameters with 400', () => {
+    assertRejected(() => validateEndpointRequest('search/multi', { query: 'x', api_key: 'stolen' }), 400, 'parameter_not_allowed');
+    assertRejected(() => validateEndpointRequest('movie/603/watch/providers', { query: 'matrix' }), 400, 'parameter_not_allowed');
+    assertRejected(() => validateEndpointRequest('search/multi', { page: '0' }), 400, 'invalid_parameter');
+    assertRejected(() => validateEndpointRequest('search/multi', { page: '1&api_key=x' }), 400, 'invalid_parameter');
+    assertRejected(() => validateEndpointRequest('search/multi', { include_adult: 'yes' }), 400, 'invalid_parameter');
+    assertRejected(() => validateEndpointRequest('movie/603', { append_to_response: 'credits,account_states' }), 400, 'invalid_parameter');
+    assertRejected(() => validateEndpointRequest('search/multi', { append_to_response: 'credits' }), 400, 'parameter_not_allowed');
+    assertRejected(() => validateEndpointRequest('discover/movie', { watch_region: 'us' }), 400, 'invalid_parameter');
+    assertRejected(() => validateEndpointRequest('discover/tv', { with_watch_providers: '8|9' }), 400, 'invalid_parameter');
+    assertRejected(() => validateEndpointRequest('find/tt0133093', { external_source: 'facebook_id' }), 400, 'invalid_parameter');
+    assertRejected(() => validateEndpointRequest('search/multi', { query: ['a', 'b'] }), 400, 'invalid_parameter');
+    assertRejected(() => validateEndpointRequest('search/multi', { query: 'x'.repeat(201) }), 400, 'invalid_parameter');
+});
+
+test('accepts and normalizes TMDB watch page URLs', () => {
+    assert.strictEqual(validateScrapeUrl('https://www.themoviedb.org/movie/603/watch?locale=US'), 'https://www.themoviedb.org/movie/603/watch?locale=US');
+    assert.strictEqual(validateScrapeUrl('https://themoviedb.org/tv/1396/watch?locale=GB'), 'https://www.themoviedb.org/tv/1396/watch?locale=GB');
+});
+
+test('rejects scrape targets on other hosts with 403', () => {
+    for (const url of [
+        'http://www.themoviedb.org/movie/603/watch?locale=US',
+        'https://evil.example/movie/603/watch?locale=US',
+        'https://www.themoviedb.org.evil.example/movie/603/watch?locale=US',
+        'https://user@www.themoviedb.org/movie/603/watch?locale=US',
+        'https://www.themoviedb.org:8080/movie/603/watch?locale=US',
+        'http://169.254.169.254/latest/meta-data/',
+        'file:///etc/passwd'
+    ]) {
+        assertRejected(() => validateScrapeUrl(url), 403, 'url_not_allowed');
+    }
+});
+
+test('rejects malformed scrape targets with 400', () => {
+    for (const url of [
+        'not a url',
+        'https://www.themoviedb.org/person/1/watch?locale=US',
+        'https://www.themoviedb.org/movie/603?locale=US',
+        'https://www.themoviedb.org/movie/603/watch',
+        'https://www.themoviedb.org/movie/603/watch?locale=us',
+        'https://www.themoviedb.org/movie/603/watch?locale=USA',
+        'https://www.themoviedb.org/movie/603/watch?locale=US&redirect=x',
+        'https://www.themoviedb.org/movie/603/watch?locale=US#fragment',
+        'https://www.themoviedb.org/movie/../account/watch?locale=US'
+    ]) {
+        assertRejected(() => validateScrapeUrl(url), 400, 'invalid_url');
+    }
+});
+
+test('watch page batches list at most 25 countries', () => {
+    const codes = Array.from({ length: 26 }, (_, index) => `A${String.fromCharCode(65 + index)}`);
+    const batch = validateWatchPageBatch({ type: 'movie', id: '603', locales: codes.slice(0, 25).join(',') });
+    assert.strictEqual(batch.locales.length, 25);
+    assertRejected(() => validateWatchPageBatch({ type: 'movie', id: '603', locales: codes.join(',') }), 400, 'invalid_parameter');
+});
+
+test('the handler answers rejected requests with JSON errors and never calls upstream', async () => {
+    process.env.TMDB_API_KEY = 'test-key';
+    const upstreamCalls = [];
+    const handler = createHandler({ fetch: async (url) => { upstreamCalls.push(url); throw new Error('unexpected fetch'); } });
+    const context = { log: { error() {} } };
+
+    await handler(context, { query: { endpoint: 'account' }, headers: {} });
+    assert.strictEqual(context.res.status, 403);
+    assert.deepStrictEqual(context.res.body, { error: { code: 'endpoint_not_allowed', message: "The endpoint 'account' is not allowed.", retryable: false, upstreamStatus: null } });
+
+    await handler(context, { query: { url: 'https://evil.example/' }, headers: {} });
+    assert.strictEqual(context.res.status, 403);
+    assert.strictEqual(context.res.body.error.code, 'url_not_allowed');
+
+    await handler(context, { query: {}, headers: {} });
+    assert.strictEqual(context.res.status, 400);
+    assert.strictEqual(context.res.body.error.code, 'missing_parameter');
+
+    assert.deepStrictEqual(upstreamCalls, []);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { PARSER_VERSION, WatchPageParseError, parseWatchPage } = require('../shared/watch-page-parser');
+const { MemoryLruStore, ResponseCache } = require('../shared/cache');
+const { createHandler: createTmdbHandler } = require('../tmdb');
+const { createHandler: createWatchPagesHandler } = require('../watch-pages');
+
+// Every saved page in the fixtures folder is parsed and compared with the .json file of the same name.
+// An expected `{ "error": "parse_failed" }` means the page must be rejected as unrecognized.
+const FIXTURES = path.join(__dirname, 'fixtures', 'watch-pages');
+
+/**
+ * @param {string} name - The fixture's file name without extension.
+ * @returns {string} The saved page's HTML.
+ */
+function readPage(name) {
+    return fs.readFileSync(path.join(FIXTURES, `${name}.html`), 'utf8');
+}
+
+/**
+ * Builds a fetch that serves the given HTML for every request and records the requested URLs.
+ */
+function createPageFetch(html) {
+    const calls = [];
+    const fetch = async (url) => {
+        calls.push(url);
+        return { ok: true, status: 200, text: async () => html };
+    };
+    return { fetch, calls };
+}
+
+const noRateLimit = { consume() {} };
+
+for (const file of fs.readdirSync(FIXTURES).filter(name => name.endsWith('.html'))) {
+    const name = path.basename(file, '.html');
+    test(`parses the ${name} fixture`, () => {
+        const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+        if (expected.error) {
+            assert.throws(() => parseWatchPage(readPage(name)), error => error instanceof WatchPageParseError && error.code === expected.error);
+        } else {
+            assert.deepStrictEqual(parseWatchPage(readPage(name)), expected);
+        }
+    });
+}
+
+test('parse failures carry the parser version and are not retryable', () => {
+    assert.throws(() => parseWatchPage(readPage('unrecognized')), error => (
+        error.status === 502 && error.parserVersion === PARSER_VERSION && error.retryable === false
+    ));
+});
+
+test('the tmdb route reports an unrecognized page as a 502 parse_failed error', async () => {
+    process.env.TMDB_API_KEY = 'test-key';
+    const { fetch } = createPageFetch(readPage('unrecognized'));
+    const handler = createTmdbHandler({ fetch, cache: new ResponseCache(new MemoryLruStore()), rateLimiter: noRateLimit });
+    const context = { log: { error() {} } };
+
+    await handler(context, { query: { url: 'https://www.themoviedb.org/movie/603/watch?locale=US' }, headers: {} });
+    assert.strictEqual(context.res.status, 502);
+    assert.strictEqual(context.res.body.error.code, 'parse_failed');
+});
+
+test('the tmdb route returns the parsed page with its offers', async () => {
+    process.env.TMDB_API_KEY = 'test-key';
+    const { fetch } = createPageFetch(readPage('current-layout'));
+    const handler = createTmdbHandler({ fetch, cache: new ResponseCache(new MemoryLruStore()), rateLimiter: noRateLimit });
+    const context = { log: { error() {} } };
+
+    await handler(context, { query: { url: 'https://www.themoviedb.org/movie/603/watch?locale=US' }, headers: {} });
+    assert.strictEqual(context.res.status, 200);
+    assert.strictEqual(context.res.body.justWatchUrl, 'https://www.justwatch.com/us/movie/the-matrix');
+    assert.strictEqual(context.res.body.offers.find(offer => offer.type === 'buy').price, '$9.99');
+});
+
+test('the batch route lists parse failures per locale without retrying them', async () => {
+    const { fetch, calls } = createPageFetch(readPage('unrecognized'));
+    const handler = createWatchPagesHandler({ fetch, cache: new ResponseCache(new MemoryLruStore()), rateLimiter: noRateLimit });
+    const context = { log: { error() {} } };
+
+    await handler(context, { query: { type: 'movie', id: '603', locales: 'US,GB' }, headers: {} });
+    assert.strictEqual(context.res.status, 200);
+    assert.deepStrictEqual(context.res.body.results, {});
+    assert.deepStrictEqual(context.res.body.failed, ['US', 'GB']);
+    assert.strictEqual(context.res.body.errors.US.code, 'parse_failed');
+    assert.strictEqual(calls.length, 2);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// The front end lives at the repository root as plain browser scripts.
+const SITE_ROOT = path.join(__dirname, '..', '..');
+const OFFER_KEYS = ['flatrate', 'free', 'ads', 'rent', 'buy'];
+
+/**
+ * Loads watchlist.js (and i18n.js, for its error messages) into an empty page. jsdom has no IndexedDB,
+ * so saved entries are collected in `saved` instead.
+ * @returns {{window: Window, saved: Array<object>}}
+ */
+function loadWatchlist() {
+    const dom = new JSDOM('', { url: 'http://localhost/', runScripts: 'dangerously' });
+    ['i18n.js', 'watchlist.js'].forEach(file => dom.window.eval(fs.readFileSync(path.join(SITE_ROOT, file), 'utf8')));
+    const saved = [];
+    dom.window.saveWatchlistEntry = async entry => saved.push(entry);
+    return { window: dom.window, saved };
+}
+
+// Results come from the page's realm, so they are copied into plain values before deep comparisons.
+const plain = value => JSON.parse(JSON.stringify(value));
+const exportOf = entries => JSON.stringify({ version: 1, exportedAt: '2026-01-01T00:00:00.000Z', entries });
+
+test('imports exported entries as they were saved', async () => {
+    const { window, saved } = loadWatchlist();
+    const entry = {
+        key: 'movie/603',
+        mediaType: 'movie',
+        tmdbId: 603,
+        title: 'The Matrix',
+        year: 1999,
+        snapshot: { US: { flatrate: [{ provider_id: 8, provider_name: 'Netflix', logo_path: '/netflix.jpg' }] } },
+        addedAt: 1700000000000,
+        checkedAt: 1700000500000,
+        previousCheckedAt: 1700000000000,
+        changes: [{ change: 'added', offer: 'flatrate', providerName: 'Netflix', countries: ['US'] }]
+    };
+    assert.strictEqual(await window.importWatchlist(exportOf([entry]), OFFER_KEYS), 1);
+    assert.deepStrictEqual(plain(saved), [entry]);
+});
+
+test('rebuilds malformed entries from their known fields', async () => {
+    const { window, saved } = loadWatchlist();
+    const count = await window.importWatchlist(exportOf([
+        {
+            key: 'tv/1',
+            mediaType: 'movie',
+            tmdbId: 603,
+            title: 'The Matrix',
+            year: '<b>1999</b>',
+            snapshot: 5,
+            changes: 'x',
+            addedAt: 'yesterday',
+            checkedAt: {},
+            extra: 'dropped'
+        },
+        {
+            mediaType: 'tv',
+            tmdbId: 1399,
+            title: 'Game of Thrones',
+            snapshot: { US: { flatrate: 'Max', rent: [{ provider_id: '2' }, { provider_id: 2, provider_name: 'Apple TV' }] }, usa: {} },
+            changes: [{ change: 'added', offer: 'lease', providerName: 'Max', countries: ['US'] }, { change: 'removed', offer: 'rent', providerName: 'Max', countries: 'US' }, null]
+        },
+        { mediaType: 'tv', tmdbId: '1399', title: 'Game of Thrones' },
+        'not an entry'
+    ]), OFFER_KEYS);
+
+    assert.strictEqual(count, 2);
+    const [movie, show] = plain(saved);
+    assert.ok(movie.addedAt > 0);
+    assert.deepStrictEqual({ ...movie, addedAt: 0 }, {
+        key: 'movie/603', mediaType: 'movie', tmdbId: 603, title: 'The Matrix', year: 'N/A', snapshot: {}, addedAt: 0, checkedAt: null, changes: []
+    });
+    assert.deepStrictEqual(show.snapshot, { US: { rent: [{ provider_id: 2, provider_name: 'Apple TV', logo_path: null }] } });
+    assert.deepStrictEqual(show.changes, []);
+});
+
+test('rejects files that are not watchlist exports', async () => {
+    const { window, saved } = loadWatchlist();
+    await assert.rejects(window.importWatchlist('{', OFFER_KEYS));
+    await assert.rejects(window.importWatchlist(JSON.stringify({ version: 1, entries: {} }), OFFER_KEYS));
+    assert.deepStrictEqual(saved, []);
+});
@@ -1,136 +1,95 @@
-const fetch = require('node-fetch');
-const { JSDOM } = require('jsdom');
+const nodeFetch = require('node-fetch');
+const {
+    SCRAPE_TTL,
+    sharedCache,
+    createCachedResponse,
+    createEndpointKey,
+    createScrapeKey,
+    getEndpointTtl
+} = require('../shared/cache');
+const { hasWatchPageData, scrapeWatchPage } = require('../shared/scraper');
+const { HttpError, createErrorResponse } = require('../shared/errors');
+const { getClientKey, sharedRateLimiter } = require('../shared/rate-limit');
+const { ValidationError, validateEndpointRequest, validateScrapeUrl } = require('../shared/validation');
+const { fetchTmdbEndpoint, getUpstreamUrls } = require('../shared/tmdb-api');
+const { withRetry } = require('../shared/async');
 
-// Main handler for the Azure Function. This function runs on the server, not in the browser.
-module.exports = async function (context, req) {
-    // Retrieve the secret TMDB API key from the Azure application settings (environment variables).
-    const TMDB_API_KEY = process.env.TMDB_API_KEY;
-
-    // Security check: If the API key is not configured on the server, return an error.
-    if (!TMDB_API_KEY) {
-        context.res = {
-            status: 500,
-            body: "Server configuration error: TMDB_API_KEY is not set."
-        };
-        return;
-    }
-
-    const endpoint = req.query.endpoint;
-    const urlToScrape = req.query.url;
-
-    try {
-        if (endpoint) {
-            // --- This block handles a direct TMDB API request from our client-side script. ---
-            const queryString = new URLSearchParams(req.query).toString().replace(`endpoint=${endpoint}&`, '');
-            const apiUrl = `https://api.themoviedb.org/3/${endpoint}?${queryString}`;
-
-            const apiResponse = await fetch(apiUrl, {
-                headers: {
-                    'Authorization': `Bearer ${TMDB_API_KEY}`, // Securely add the API key here.
-                    'Accept': 'application/json'
-                }
-            });
+/**
+ * Creates the handler for the Azure Function. This function runs on the server, not in the browser.
+ * The upstream fetch and the response cache can be swapped out, e.g. for a local fake of TMDB.
+ * Failures are answered with the JSON error envelope (see shared/errors.js); TMDB outages are retried first.
+ * @param {object} [options]
+ * @param {Function} [options.fetch] - The fetch implementation used for every upstream request.
+ * @param {ResponseCache} [options.cache] - The cache for TMDB responses and scraped pages. Defaults to the one shared by all routes.
+ * @param {RateLimiter} [options.rateLimiter] - The per-client limiter. Defaults to the one shared by all routes.
+ * @param {{apiUrl: string, webUrl: string}} [options.upstream] - Where TMDB's API and website are reached. Defaults to getUpstreamUrls().
+ * @returns {Function} The `(context, req)` handler.
+ */
+function createHandler({ fetch = nodeFetch, cache = sharedCache, rateLimiter = sharedRateLimiter, upstream = getUpstreamUrls() } = {}) {
+    return async function (context, req) {
+        // Retrieve the secret TMDB API key from the Azure application settings (environment variables).
+        const TMDB_API_KEY = process.env.TMDB_API_KEY;
+
+        // Security check: If the API key is not configured on the server, return an error.
+        if (!TMDB_API_KEY) {
+            context.res = new HttpError(500, 'server_misconfigured', 'Server configuration error: TMDB_API_KEY is not set.', { retryable: false }).toResponse();
+            return;
+        }
 
-            if (!apiResponse.ok) {
-                throw new Error(`TMDB API request failed with status: ${apiResponse.status}`);
+        const { endpoint, url: urlToScrape, ...params } = req.query;
+
+        try {
+            if (endpoint) {
+                // --- This block handles a direct TMDB API request from our client-side script. ---
+                rateLimiter.consume('endpoint', getClientKey(req));
+                validateEndpointRequest(endpoint, params);
+                const ttl = getEndpointTtl(endpoint);
+                const cached = await cache.getOrLoad(createEndpointKey(endpoint, params), ttl, () => fetchTmdbEndpoint({ fetch, apiKey: TMDB_API_KEY, apiUrl: upstream.apiUrl }, endpoint, params));
+                context.res = createCachedResponse(req, cached, ttl); // Send the data back to the browser.
+
+            } else if (urlToScrape) {
+                // --- This block handles a request to scrape a TMDB watch page. ---
+                rateLimiter.consume('scrape', getClientKey(req));
+                const watchPageUrl = validateScrapeUrl(urlToScrape);
+                // Pages without data may just not be filled in yet, so only pages that produced data are cached.
+                const cached = await cache.getOrLoad(
+                    createScrapeKey(watchPageUrl),
+                    SCRAPE_TTL,
+                    () => scrapeTmdbWatchPage(watchPageUrl, context, fetch, upstream.webUrl),
+                    hasWatchPageData
+                );
+                context.res = createCachedResponse(req, cached, SCRAPE_TTL); // Send the scraped data back to the browser.
+            } else {
+                // If the request is invalid, send a Bad Request error.
+                throw new ValidationError(400, 'missing_parameter', "Please provide either an 'endpoint' or a 'url' query parameter.");
             }
-
-            const data = await apiResponse.json();
-            context.res = {
-                status: 200,
-                headers: { 'Content-Type': 'application/json' },
-                body: data // Send the data back to the browser.
-            };
-
-        } else if (urlToScrape) {
-            // --- This block handles a request to scrape a TMDB watch page. ---
-            const scrapedData = await scrapeTmdbWatchPage(urlToScrape, context);
-            context.res = {
-                status: 200,
-                headers: { 'Content-Type': 'application/json' },
-                body: scrapedData // Send the scraped data back to the browser.
-            };
-        } else {
-            // If the request is invalid, send a Bad Request error.
-            context.res = {
-                status: 400,
-                body: "Bad Request: Please provide either an 'endpoint' or a 'url' query parameter."
-            };
+        } catch (error) {
+            context.res = createErrorResponse(error, context);
         }
-    } catch (error) {
-        context.log.error(error); // Log the error in Azure for debugging.
-        context.res = {
-            status: 500,
-            body: `An error occurred: ${error.message}`
-        };
-    }
-};
+    };
+}
 
 /**
- * Scrapes a TMDB watch page to find the JustWatch link and streaming quality info.
- * This function uses JSDOM to parse the HTML string into a DOM we can query.
+ * Scrapes a TMDB watch page to find the JustWatch link and the offers for every offer type.
+ * Fetch failures are retried before giving up.
  * @param {string} url - The TMDB URL to scrape.
  * @param {object} context - The Azure Function context for logging.
- * @returns {Promise<object>} An object containing the JustWatch URL and provider quality info.
+ * @param {Function} fetch - The fetch implementation to request the page with.
+ * @param {string} webUrl - The TMDB website's base URL.
+ * @returns {Promise<object>} The parsed page (see parseWatchPage).
+ * @throws {UpstreamError} If the page couldn't be fetched, so the client can tell an outage from a title with no data.
+ * @throws {WatchPageParseError} If the page was fetched but not recognized, so the client can tell a
+ * broken parser from a title with no data.
  */
-async function scrapeTmdbWatchPage(url, context) {
+async function scrapeTmdbWatchPage(url, context, fetch, webUrl) {
     try {
-        // --- CORRECTED: Fetching the URL directly, without the proxy ---
-        const response = await fetch(url);
-        if (!response.ok) {
-             throw new Error(`Fetch failed with status: ${response.status}`);
-        }
-        
-        const htmlContent = await response.text();
-        const dom = new JSDOM(htmlContent);
-        const doc = dom.window.document;
-
-        // 1. Get the main JustWatch URL from the page's summary paragraph.
-        const justWatchLinkElement = doc.querySelector('.ott_title + p a[href*="justwatch.com"]');
-        const justWatchUrl = justWatchLinkElement ? justWatchLinkElement.href : null;
-
-        // 2. Get Streaming Providers Quality Info
-        const providersInfo = {};
-        const providerSections = doc.querySelectorAll('.ott_provider');
-
-        providerSections.forEach(section => {
-            const typeElement = section.querySelector('h3');
-            if (!typeElement) return;
-            const type = typeElement.textContent.trim().toLowerCase();
-
-            // We only care about the "Stream" section, ignoring "Rent" and "Buy".
-            if (type !== 'stream') return;
-
-            const offerElements = section.querySelectorAll('ul.providers > li');
-            offerElements.forEach(li => {
-                const link = li.querySelector('a');
-                if (!link || !link.title) return;
-
-                // Extract the provider name from the link's title attribute (e.g., "Watch Movie on Netflix").
-                const match = link.title.match(/on (.*)$/);
-                if (!match || !match[1]) return;
-                const providerName = match[1];
-
-                if (!providersInfo[providerName]) {
-                    providersInfo[providerName] = { stream: new Set() };
-                }
-                
-                // Check the list item's classes to determine the available quality.
-                if (li.classList.contains('ott_filter_4k')) providersInfo[providerName].stream.add('4K');
-                if (li.classList.contains('ott_filter_hd')) providersInfo[providerName].stream.add('HD');
-                if (li.classList.contains('ott_filter_sd')) providersInfo[providerName].stream.add('SD');
-            });
-        });
-
-        // Convert the Sets of qualities into Arrays so they can be sent as JSON.
-        for (const provider in providersInfo) {
-            providersInfo[provider].stream = Array.from(providersInfo[provider].stream);
-        }
-
-        return { justWatchUrl, providersInfo };
+        return await withRetry(() => scrapeWatchPage(url, fetch, webUrl));
     } catch (error) {
         context.log.error(`Scraping failed for URL ${url}: ${error.message}`);
-        return { justWatchUrl: null, providersInfo: {} }; // Return empty data on failure.
+        throw error;
     }
 }
 
+// Azure calls the module export directly; createHandler is exposed so the handler can be built with fakes.
+module.exports = createHandler();
+module.exports.createHandler = createHandler;
@@ -0,0 +1,81 @@
+const nodeFetch = require('node-fetch');
+const { SCRAPE_TTL, sharedCache, createCachedResponse, createEtag, createScrapeKey } = require('../shared/cache');
+const { hasWatchPageData, scrapeWatchPage } = require('../shared/scraper');
+const { WatchPageParseError } = require('../shared/watch-page-parser');
+const { createErrorResponse } = require('../shared/errors');
+const { RateLimitError, getClientKey, sharedRateLimiter } = require('../shared/rate-limit');
+const { validateWatchPageBatch } = require('../shared/validation');
+const { getUpstreamUrls } = require('../shared/tmdb-api');
+const { mapWithConcurrency, withRetry } = require('../shared/async');
+
+// How many watch pages are fetched from TMDB at once for a single batch request.
+const SCRAPE_CONCURRENCY = 4;
+
+/**
+ * Creates the handler for the batch watch page route: `/api/watch-pages?type=movie&id=603&locales=US,GB`.
+ * It scrapes every locale's TMDB watch page and responds with
+ * `{ results: { [locale]: parsedPage }, failed: [locale, ...], errors: { [locale]: { code, message, retryable, upstreamStatus } } }`,
+ * where the error code is 'parse_failed' if the page layout wasn't recognized, 'rate_limited' if the client's scrape
+ * budget ran out, and 'fetch_failed' otherwise. Each page that isn't cached yet takes a token from the same scrape
+ * budget as `/api/tmdb?url=`, so batching doesn't let a client scrape more pages than one request per page would.
+ * @param {object} [options]
+ * @param {Function} [options.fetch] - The fetch implementation used for every upstream request.
+ * @param {ResponseCache} [options.cache] - The cache for scraped pages. Defaults to the one shared by all routes.
+ * @param {RateLimiter} [options.rateLimiter] - The per-client limiter. Defaults to the one shared by all routes.
+ * @param {{apiUrl: string, webUrl: string}} [options.upstream] - Where TMDB's API and website are reached. Defaults to getUpstreamUrls().
+ * @returns {Function} The `(context, req)` handler.
+ */
+function createHandler({ fetch = nodeFetch, cache = sharedCache, rateLimiter = sharedRateLimiter, upstream = getUpstreamUrls() } = {}) {
+    return async function (context, req) {
+        try {
+            const clientKey = getClientKey(req);
+            rateLimiter.consume('batch', clientKey);
+            const { mediaType, tmdbId, locales } = validateWatchPageBatch(req.query);
+
+            const pages = await mapWithConcurrency(locales, SCRAPE_CONCURRENCY, async (locale) => {
+                const url = `https://www.themoviedb.org/${mediaType}/${tmdbId}/watch?locale=${locale}`;
+                try {
+                    const cached = await cache.getOrLoad(
+                        createScrapeKey(url),
+                        SCRAPE_TTL,
+                        () => {
+                            rateLimiter.consume('scrape', clientKey);
+                            return withRetry(() => scrapeWatchPage(url, fetch, upstream.webUrl));
+                        },
+                        hasWatchPageData
+                    );
+                    return { page: cached.body };
+                } catch (error) {
+                    if (error instanceof RateLimitError) {
+                        return { error: { code: 'rate_limited', message: error.message, retryable: true, upstreamStatus: null } };
+                    }
+                    context.log.error(`Scraping failed for URL ${url}: ${error.message}`);
+                    const code = error instanceof WatchPageParseError ? 'parse_failed' : 'fetch_failed';
+                    return { error: { code, message: error.message, retryable: error.retryable !== false, upstreamStatus: error.upstreamStatus || null } };
+                }
+            });
+
+            const results = {};
+            const failed = [];
+            const errors = {};
+            locales.forEach((locale, index) => {
+                if (pages[index].page) {
+                    results[locale] = pages[index].page;
+                } else {
+                    failed.push(locale);
+                    errors[locale] = pages[index].error;
+                }
+            });
+
+            // A partial result shouldn't stick in browser caches, so it can be retried straight away.
+            const body = { results, failed, errors };
+            context.res = createCachedResponse(req, { body, etag: createEtag(body), hit: false }, failed.length > 0 ? 0 : SCRAPE_TTL);
+        } catch (error) {
+            context.res = createErrorResponse(error, context);
+        }
+    };
+}
+
+// Azure calls the module export directly; createHandler is exposed so the handler can be built with fakes.
+module.exports = createHandler();
+module.exports.createHandler = createHandler;
@@ -0,0 +1,85 @@
+// --- Comparison ---
+// The titles picked for side-by-side comparison, persisted in localStorage, and the helpers that turn their
+// watch/providers results into a provider × title matrix for one country.
+
+const COMPARISON_STORAGE_KEY = 'streamkey.comparison';
+const MAX_COMPARED_TITLES = 10;
+
+// The offer types that come with a subscription or at no cost. Only these count when picking the best single service.
+const INCLUDED_OFFER_KEYS = ['flatrate', 'free', 'ads'];
+
+/**
+ * Loads the titles being compared, in the order they were added.
+ * @returns {Array<{key: string, mediaType: string, tmdbId: number, title: string, year: number|string}>} The titles.
+ */
+function loadComparison() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(COMPARISON_STORAGE_KEY));
+        return Array.isArray(stored) ? stored.filter(entry => entry && entry.key && entry.mediaType && entry.tmdbId) : [];
+    } catch (error) {
+        // Storage is unavailable or holds invalid JSON, so start with an empty comparison.
+        return [];
+    }
+}
+
+/**
+ * Saves the titles being compared to localStorage.
+ * @param {Array<object>} titles - The titles, as returned by loadComparison.
+ */
+function saveComparison(titles) {
+    try {
+        localStorage.setItem(COMPARISON_STORAGE_KEY, JSON.stringify(titles));
+    } catch (error) {
+        console.error('Could not save the comparison:', error);
+    }
+}
+
+/**
+ * Builds one row per provider that offers any of the titles in a country.
+ * @param {string[]} titleKeys - The compared titles' keys (e.g. 'movie/603').
+ * @param {object} providersByKey - Each title's watch/providers `results`, keyed by title key.
+ * @param {string} country - The two-letter country code.
+ * @param {string[]} offerKeys - The offer types to include, in display order.
+ * @returns {Array<{id: number, name: string, offers: object, included: string[]}>} The rows, where `offers` maps
+ * a title key to the provider's offer types for it and `included` lists the titles it streams at no extra cost.
+ * Sorted by how many titles are included, then by how many are offered at all, then by name.
+ */
+function buildComparisonMatrix(titleKeys, providersByKey, country, offerKeys) {
+    const rows = new Map();
+    titleKeys.forEach(titleKey => {
+        const countryOffers = (providersByKey[titleKey] || {})[country] || {};
+        offerKeys.forEach(offerKey => {
+            (countryOffers[offerKey] || []).forEach(provider => {
+                if (!rows.has(provider.provider_id)) {
+                    rows.set(provider.provider_id, { id: provider.provider_id, name: provider.provider_name, offers: {}, included: [] });
+                }
+                const row = rows.get(provider.provider_id);
+                row.offers[titleKey] = [...(row.offers[titleKey] || []), offerKey];
+                if (INCLUDED_OFFER_KEYS.includes(offerKey) && !row.included.includes(titleKey)) row.included.push(titleKey);
+            });
+        });
+    });
+    return Array.from(rows.values()).sort((a, b) => (
+        b.included.length - a.included.length
+        || Object.keys(b.offers).length - Object.keys(a.offers).length
+        || compareText(a.name, b.name)
+    ));
+}
+
+/**
+ * Picks the single service that includes the most of the titles, preferring one the user already subscribes to on a tie.
+ * @param {Array<object>} matrix - The rows from buildComparisonMatrix.
+ * @param {number[]} services - The provider IDs the user subscribes to.
+ * @returns {object|null} The winning row, or null if no service includes any of the titles.
+ */
+function findBestService(matrix, services) {
+    let best = null;
+    matrix.forEach(row => {
+        if (row.included.length === 0) return;
+        const isBetter = !best
+            || row.included.length > best.included.length
+            || (row.included.length === best.included.length && services.includes(row.id) && !services.includes(best.id));
+        if (isBetter) best = row;
+    });
+    return best;
+}
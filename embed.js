@@ -0,0 +1,172 @@
+// --- StreamKey Embed ---
+// A compact "where to watch" widget for partner sites. Add an element per title and load this script once:
+//
+//     <div data-streamkey-title="movie/603" data-streamkey-country="US"></div>
+//     <script src="https://streamkey.tech/embed.js" async></script>
+//
+// Each element is filled from the public availability API (api/availability) inside a shadow root, so the host
+// page's styles can't break the widget and the widget's styles can't leak into the page. Without
+// data-streamkey-country, the country comes from the visitor's browser language, falling back to the US.
+// Unlike the site's own scripts, everything here stays inside one function so nothing is added to the host page.
+(function () {
+    'use strict';
+
+    // Requests go back to wherever this script was loaded from.
+    const ORIGIN = document.currentScript ? new URL(document.currentScript.src).origin : 'https://streamkey.tech';
+    const TITLE_PATTERN = /^(movie|tv)\/(\d+)$/;
+    const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+
+    // The API's offer lists, in display order.
+    const OFFERS = [
+        { key: 'stream', label: 'Stream' },
+        { key: 'free', label: 'Free' },
+        { key: 'ads', label: 'With ads' },
+        { key: 'rent', label: 'Rent' },
+        { key: 'buy', label: 'Buy' }
+    ];
+
+    const STYLES = `
+        :host {display: block; font: 14px/1.4 system-ui, sans-serif; color: #f0f0f0;}
+        .widget {background: #1e133a; border: 1px solid rgba(255, 255, 255, 0.15); border-radius: 12px; padding: 12px 14px; max-width: 420px;}
+        .heading {font-weight: 600; margin: 0 0 8px;}
+        .offer {display: flex; align-items: center; gap: 8px; margin: 6px 0;}
+        .offer-label {flex: 0 0 64px; color: #b3b3c6; font-size: 12px;}
+        .providers {display: flex; flex-wrap: wrap; gap: 6px; margin: 0; padding: 0; list-style: none;}
+        .providers img {width: 32px; height: 32px; border-radius: 8px; display: block;}
+        .provider-name {font-size: 12px; padding: 6px 8px; border-radius: 8px; background: rgba(255, 255, 255, 0.08);}
+        .message {color: #b3b3c6; margin: 0;}
+        .footer {display: flex; justify-content: space-between; gap: 8px; margin-top: 10px; font-size: 11px; color: #b3b3c6;}
+        .footer a {color: #b980ff;}
+    `;
+
+    /**
+     * Fills every widget element on the page that hasn't been filled yet.
+     */
+    function mountAll() {
+        document.querySelectorAll('[data-streamkey-title]').forEach(element => {
+            if (!element.shadowRoot) mount(element);
+        });
+    }
+
+    /**
+     * Attaches a widget's shadow root, then loads and renders its title's availability.
+     * @param {HTMLElement} element - The element with a data-streamkey-title attribute.
+     */
+    async function mount(element) {
+        const shadow = element.attachShadow({ mode: 'open' });
+        const style = document.createElement('style');
+        style.textContent = STYLES;
+        const widget = createElement('div', 'widget');
+        shadow.append(style, widget);
+
+        const match = TITLE_PATTERN.exec(element.dataset.streamkeyTitle || '');
+        const requestedCountry = (element.dataset.streamkeyCountry || '').toUpperCase();
+        const country = COUNTRY_PATTERN.test(requestedCountry) ? requestedCountry : getVisitorCountry();
+        if (!match) {
+            widget.append(createElement('p', 'message', 'Unknown title. Use data-streamkey-title="movie/603" or "tv/1399".'));
+            return;
+        }
+
+        widget.append(createElement('p', 'message', 'Loading where to watch…'));
+        try {
+            const response = await fetch(`${ORIGIN}/api/v1/availability/${match[1]}/${match[2]}?country=${country}`);
+            if (!response.ok) throw new Error(`The availability API answered ${response.status}.`);
+            render(widget, await response.json(), country);
+        } catch (error) {
+            console.error('StreamKey embed:', error);
+            widget.replaceChildren(createElement('p', 'message', 'Streaming availability is not available right now.'));
+        }
+    }
+
+    /**
+     * Renders a title's offers in one country.
+     * @param {HTMLElement} widget - The widget's container in the shadow root.
+     * @param {object} data - The availability API response (schema version 1).
+     * @param {string} country - The two-letter country code.
+     */
+    function render(widget, data, country) {
+        const { title } = data;
+        const offers = data.countries[country];
+        const countryName = getCountryName(country);
+        widget.replaceChildren(createElement('p', 'heading', `Where to watch ${title.name}${title.year ? ` (${title.year})` : ''} in ${countryName}`));
+
+        const available = offers ? OFFERS.filter(offer => offers[offer.key].length > 0) : [];
+        if (available.length === 0) {
+            widget.append(createElement('p', 'message', `Not available on any streaming service in ${countryName}.`));
+        }
+        available.forEach(offer => {
+            const row = createElement('div', 'offer');
+            const list = createElement('ul', 'providers');
+            offers[offer.key].forEach(provider => {
+                const item = document.createElement('li');
+                if (provider.logoUrl) {
+                    const logo = document.createElement('img');
+                    logo.src = provider.logoUrl;
+                    logo.alt = provider.name;
+                    logo.title = provider.name;
+                    logo.loading = 'lazy';
+                    item.append(logo);
+                } else {
+                    item.append(createElement('span', 'provider-name', provider.name));
+                }
+                list.append(item);
+            });
+            row.append(createElement('span', 'offer-label', offer.label), list);
+            widget.append(row);
+        });
+
+        const footer = createElement('div', 'footer');
+        const link = createElement('a', '', 'All countries on StreamKey');
+        link.href = `${ORIGIN}/${title.mediaType}/${title.id}?country=${country}`;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        footer.append(link, createElement('span', '', data.attribution));
+        widget.append(footer);
+    }
+
+    /**
+     * Creates an element with a class and text. Text is never parsed as HTML.
+     * @param {string} tagName - The element's tag.
+     * @param {string} className - The element's class, or '' for none.
+     * @param {string} [text] - The element's text.
+     * @returns {HTMLElement}
+     */
+    function createElement(tagName, className, text) {
+        const element = document.createElement(tagName);
+        if (className) element.className = className;
+        if (text) element.textContent = text;
+        return element;
+    }
+
+    /**
+     * Guesses the visitor's country from their browser language (e.g. 'en-GB' → 'GB').
+     * @returns {string} The two-letter country code, or 'US' if the language names no country.
+     */
+    function getVisitorCountry() {
+        const languages = navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language || ''];
+        for (const language of languages) {
+            const region = language.split('-')[1];
+            if (region && COUNTRY_PATTERN.test(region.toUpperCase())) return region.toUpperCase();
+        }
+        return 'US';
+    }
+
+    /**
+     * Names a country in English.
+     * @param {string} code - The two-letter country code.
+     * @returns {string} The country's name, or the code if the browser can't name it.
+     */
+    function getCountryName(code) {
+        try {
+            return new Intl.DisplayNames(['en'], { type: 'region' }).of(code);
+        } catch (error) {
+            return code;
+        }
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', mountAll);
+    } else {
+        mountAll();
+    }
+})();
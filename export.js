@@ -0,0 +1,128 @@
+// --- Export ---
+// Turns a title's availability into files for planning docs: a JSON document with the data the results view
+// shows, including any quality and price info already scraped, and a provider × country table as CSV.
+// Nothing here touches the DOM, so the page and the tests share the same code.
+
+// Bumped whenever the JSON document's shape changes, so scripts reading exports can tell the versions apart.
+const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * Builds the JSON export for a title.
+ * @param {object} title - `{ name, year, mediaType, tmdbId }`.
+ * @param {object} providersByOffer - The providers for every offer type, from groupProvidersByOfferType.
+ * @param {object|null} watchPages - The scraped watch pages keyed by country code, or null if none are loaded.
+ * @param {Array<{key: string, scrapeKey: string}>} offerTypes - The offer types, in display order.
+ * @param {Date} [exportedAt] - When the export was made.
+ * @returns {object} The document:
+ * - `title`: `{ name, year, mediaType, tmdbId, tmdbUrl }`.
+ * - `countries`: every country the title is offered in, sorted by code.
+ * - `justWatchUrls`: the JustWatch page for each country whose watch page has been scraped and links to one.
+ * - `offers`: one entry per offer type with providers, in display order: `{ type, providers }`, where each provider is
+ *   `{ id, name, countries }` and each country is `{ code, qualities, price, link }`. Qualities, price and link
+ *   are empty or null where no watch page has been scraped.
+ */
+function buildAvailabilityExport(title, providersByOffer, watchPages, offerTypes, exportedAt = new Date()) {
+    const pages = watchPages || {};
+    const countries = new Set();
+    const offers = offerTypes
+        .filter(offer => (providersByOffer[offer.key] || []).length > 0)
+        .map(offer => ({
+            type: offer.key,
+            providers: providersByOffer[offer.key].map(provider => ({
+                id: provider.id,
+                name: provider.name,
+                countries: Array.from(provider.countries).sort().map(code => {
+                    countries.add(code);
+                    return describeCountryOffer(pages[code], provider.name, offer.scrapeKey, code);
+                })
+            }))
+        }));
+
+    const justWatchUrls = {};
+    Array.from(countries).sort().forEach(code => {
+        if (pages[code] && pages[code].justWatchUrl) justWatchUrls[code] = pages[code].justWatchUrl;
+    });
+
+    return {
+        version: EXPORT_FORMAT_VERSION,
+        exportedAt: exportedAt.toISOString(),
+        title: {
+            name: title.name,
+            year: title.year,
+            mediaType: title.mediaType,
+            tmdbId: title.tmdbId,
+            tmdbUrl: `https://www.themoviedb.org/${title.mediaType}/${title.tmdbId}`
+        },
+        countries: Array.from(countries).sort(),
+        justWatchUrls,
+        offers
+    };
+}
+
+/**
+ * Collects what a scraped watch page says about one provider's offer in one country.
+ * @param {object|undefined} page - The country's scraped watch page, if loaded.
+ * @param {string} providerName - The provider's name as TMDB shows it.
+ * @param {string} scrapeKey - The offer type's section name in the scraped page (e.g. 'stream').
+ * @param {string} code - The two-letter country code.
+ * @returns {{code: string, qualities: string[], price: string|null, link: string|null}}
+ */
+function describeCountryOffer(page, providerName, scrapeKey, code) {
+    if (!page) return { code, qualities: [], price: null, link: null };
+    const qualities = ((page.providersInfo || {})[providerName] || {})[scrapeKey] || [];
+    const offer = (page.offers || []).find(entry => entry.providerName === providerName && entry.type === scrapeKey);
+    return { code, qualities: qualities.slice(), price: offer ? offer.price : null, link: offer ? offer.link : null };
+}
+
+/**
+ * Builds a CSV table with one row per provider and offer type and one column per country.
+ * A cell lists the known qualities and price, or the `available` label if nothing more is known.
+ * @param {object} availability - The export from buildAvailabilityExport.
+ * @param {object} labels - The header and cell text, in the UI language:
+ * `{ offerType, provider, available, offers: { [offerKey]: label }, country: function(string): string }`.
+ * @returns {string} The CSV text, with CRLF line endings.
+ */
+function buildAvailabilityCsv(availability, labels) {
+    const header = [labels.offerType, labels.provider, ...availability.countries.map(code => labels.country(code))];
+    const rows = [header];
+    availability.offers.forEach(offer => {
+        offer.providers.forEach(provider => {
+            const cells = new Map(provider.countries.map(country => [country.code, country]));
+            rows.push([
+                labels.offers[offer.type] || offer.type,
+                provider.name,
+                ...availability.countries.map(code => {
+                    const country = cells.get(code);
+                    if (!country) return '';
+                    const details = [...country.qualities, country.price].filter(Boolean);
+                    return details.length > 0 ? details.join(' ') : labels.available;
+                })
+            ]);
+        });
+    });
+    return rows.map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Quotes a CSV field when needed. Text that a spreadsheet would run as a formula is prefixed with an apostrophe.
+ * @param {*} value - The field's value.
+ * @returns {string} The CSV field.
+ */
+function toCsvField(value) {
+    let text = String(value === null || value === undefined ? '' : value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds a file name for an export, e.g. 'the-matrix-1999.csv'.
+ * @param {object} availability - The export from buildAvailabilityExport.
+ * @param {string} extension - The file extension, without the dot.
+ * @returns {string} The file name.
+ */
+function getExportFileName(availability, extension) {
+    const { name, year, mediaType, tmdbId } = availability.title;
+    const slug = String(name).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    const base = slug || `${mediaType}-${tmdbId}`;
+    return `${base}${/^\d{4}$/.test(String(year)) ? `-${year}` : ''}.${extension}`;
+}
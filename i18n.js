@@ -0,0 +1,1217 @@
+// --- Localization ---
+// Every UI string is looked up by key in MESSAGES with t(), in the language chosen in the selector (the browser's
+// language by default). Keys missing from a translation fall back to English. The same language is sent with every
+// TMDB request (see callApi), so titles and country names are localized too. Static text in index.html is marked
+// with data-i18n attributes and translated by translatePage.
+
+// The languages the UI is translated into, each named in its own language for the selector.
+const SUPPORTED_LANGUAGES = [
+    { code: 'en-US', name: 'English' },
+    { code: 'es-ES', name: 'Español' },
+    { code: 'fr-FR', name: 'Français' },
+    { code: 'de-DE', name: 'Deutsch' },
+    { code: 'ar-SA', name: 'العربية' }
+];
+const DEFAULT_LANGUAGE = 'en-US';
+
+// Base languages written right to left; the page's `dir` is set from this.
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+// The message catalogs, keyed by base language. A message is either a string or, for messages that
+// depend on `count`, an object of plural forms keyed by Intl.PluralRules category ('other' is required).
+// `{name}` placeholders are filled from t()'s params.
+const MESSAGES = {
+    en: {
+        'page.subtitle': 'Movies and shows finder in all countries at once.',
+        'search.placeholder': 'e.g., The Matrix, Breaking Bad...',
+        'search.label': 'Search movies and shows',
+        'search.button': 'Search',
+        'search.searching': 'Searching...',
+        'search.noResults': 'Could not find any results for "{query}".',
+        'search.resultsFor': 'Results for "{query}"',
+        'search.announce': { one: '{count} result for {query}, page {page} of {totalPages}.', other: '{count} results for {query}, page {page} of {totalPages}.' },
+        'search.noFilterMatches': 'No results on this page match your filters.',
+        'autocomplete.label': 'Suggestions',
+        'autocomplete.available': {
+            one: '{count} suggestion available. Use the up and down arrows to choose.',
+            other: '{count} suggestions available. Use the up and down arrows to choose.'
+        },
+        'preferences.language': 'Language',
+        'preferences.homeCountry': 'Home country',
+        'preferences.noHomeCountry': 'No home country',
+        'error.offline': "You're offline, and this hasn't been viewed on this device before. Please reconnect and try again.",
+        'error.rateLimited': {
+            one: "You're searching too quickly. Please wait {count} second and try again.",
+            other: "You're searching too quickly. Please wait {count} seconds and try again."
+        },
+        'error.unexpected': 'Something went wrong. Please try again.',
+        'error.notFound': "We couldn't find that title. It may have been removed.",
+        'error.upstreamDown': "The movie database isn't responding right now. Please try again in a moment.",
+        'error.upstreamBusy': "The movie database is getting too many requests right now. Please try again in a minute.",
+        'cached.updating': 'Showing saved data from {age} while it updates.',
+        'cached.offline': "You're offline. Showing data saved {age}.",
+        'time.justNow': 'just now',
+        'common.notAvailable': 'N/A',
+        'media.movie': 'Movie',
+        'media.tv': 'TV Show',
+        'filters.type': 'Type',
+        'filters.all': 'Movies & TV',
+        'filters.movies': 'Movies',
+        'filters.tv': 'TV Shows',
+        'filters.yearFrom': 'From year',
+        'filters.yearTo': 'To year',
+        'filters.apply': 'Apply',
+        'pagination.previous': 'Previous',
+        'pagination.next': 'Next',
+        'pagination.status': 'Page {page} of {totalPages}',
+        'offer.stream': 'Stream',
+        'offer.free': 'Free',
+        'offer.ads': 'With Ads',
+        'offer.rent': 'Rent',
+        'offer.buy': 'Buy',
+        'offer.tabsLabel': 'Offer types',
+        'offer.tab': '{label} ({count})',
+        'title.unavailableEverywhere': 'This title is not available on streaming services in any country.',
+        'title.noServices': 'This title is not available on any streaming service.',
+        'title.providersFound': { one: '{title}: {count} provider found.', other: '{title}: {count} providers found.' },
+        'seasons.header': 'Subscription streaming by season',
+        'seasons.loading': 'Loading seasons...',
+        'seasons.none': 'No season information available.',
+        'seasons.failed': 'Could not load seasons.',
+        'seasons.episodes': { one: '{count} episode', other: '{count} episodes' },
+        'seasons.loadingProviders': 'Loading providers...',
+        'seasons.noSubscription': 'The show is not on any subscription service.',
+        'seasons.coverageFull': 'Full coverage',
+        'seasons.coverageNone': 'Not streaming',
+        'seasons.coveragePartial': 'Partial coverage',
+        'seasons.allCountries': { one: 'All {count} country', other: 'All {count} countries' },
+        'seasons.notThisSeason': 'Not available for this season',
+        'seasons.partialCountries': '{available} of {total} countries • missing in {countries}',
+        'home.onYourServices': 'Streaming on your services in {country}:',
+        'home.onOtherServices': 'Not on your services in {country}, but streaming on {providers}.',
+        'home.notStreaming': 'Not streaming on any subscription service in {country}.',
+        'home.markServicesHint': 'Mark the services you subscribe to with "{button}" to see where else they carry this title.',
+        'home.noneElsewhere': 'None of your services carry this title in any other country.',
+        'home.noneAnywhere': 'None of your services carry this title in any country.',
+        'home.whereElse': 'Where else your services carry it:',
+        'home.where': 'Where your services carry it:',
+        'provider.logo': '{provider} logo',
+        'provider.availableIn': {
+            one: 'Available in {count} country (highlighted countries have watch links):',
+            other: 'Available in {count} countries (highlighted countries have watch links):'
+        },
+        'service.saved': '★ My service',
+        'service.add': '☆ My service',
+        'service.addHint': 'Add {provider} to your services',
+        'service.removeHint': 'Remove {provider} from your services',
+        'country.linksHint': 'Click for links in {country}',
+        'country.noLinks': 'No watch links available for {country}',
+        'dropdown.label': 'Links for {country}',
+        'dropdown.tmdb': 'View on TMDB',
+        'dropdown.justWatch': 'View on JustWatch',
+        'dropdown.justWatchLoading': 'Loading JustWatch...',
+        'dropdown.justWatchMissing': 'JustWatch link not found',
+        'dropdown.parseFailed': "Couldn't read TMDB's page",
+        'dropdown.rateLimited': 'Too many requests, click again shortly',
+        'dropdown.loadFailed': "Couldn't load the links, click to try again",
+        'dropdown.qualityLoading': 'Loading quality info...',
+        'dropdown.qualityUnavailable': 'Quality and price info is temporarily unavailable.',
+        'dropdown.noQualityInfo': 'No quality info for {offer}.',
+        'watchlist.button': 'Watchlist',
+        'watchlist.header': 'Your watchlist',
+        'watchlist.add': '☆ Add to watchlist',
+        'watchlist.saved': '★ In watchlist',
+        'watchlist.addedAnnouncement': '{title} added to your watchlist.',
+        'watchlist.removedAnnouncement': '{title} removed from your watchlist.',
+        'watchlist.unavailable': 'The watchlist is not available in this browser.',
+        'watchlist.check': 'Check for changes',
+        'watchlist.export': 'Export',
+        'watchlist.import': 'Import',
+        'watchlist.empty': 'Your watchlist is empty. Use "{button}" on any title to track where it streams.',
+        'watchlist.imported': { one: 'Imported {count} title.', other: 'Imported {count} titles.' },
+        'watchlist.importInvalidJson': 'The file is not valid JSON.',
+        'watchlist.importNotExport': 'The file is not a StreamKey watchlist export.',
+        'watchlist.checkedAt': 'checked {age}',
+        'watchlist.neverChecked': 'never checked',
+        'watchlist.remove': 'Remove',
+        'watchlist.removeLabel': 'Remove {title} from your watchlist',
+        'watchlist.removed': 'Removed {title}.',
+        'watchlist.changeAdded': 'Newly available on {provider} ({offer}) in {countries}',
+        'watchlist.changeRemoved': 'Leaving: no longer on {provider} ({offer}) in {countries}',
+        'watchlist.unchanged': 'No changes since the previous check.',
+        'watchlist.checking': 'Checking...',
+        'watchlist.checkingAnnouncement': 'Checking your watchlist for changes...',
+        'watchlist.noChanges': 'No availability changes.',
+        'watchlist.changed': { one: '{count} title has changed.', other: '{count} titles have changed.' },
+        'watchlist.checkFailed': { one: '{count} could not be checked.', other: '{count} could not be checked.' },
+        'details.rating': '★ {rating}/10',
+        'details.hoursMinutes': '{hours} h {minutes} min',
+        'details.minutes': '{minutes} min',
+        'details.episodeRuntime': '{runtime} per episode',
+        'details.seasonCount': { one: '{count} season', other: '{count} seasons' },
+        'details.cast': 'Cast:',
+        'details.castMember': '{name} as {character}',
+        'details.trailer': '▶ Watch the trailer',
+        'recommendations.header': 'More like this',
+        'recommendations.checking': 'Checking where it streams...',
+        'recommendations.onYourServices': 'On your services: {providers}',
+        'recommendations.streamingAtHome': 'Streaming in {country}',
+        'recommendations.streamingIn': { one: 'Streaming in {count} country', other: 'Streaming in {count} countries' },
+        'recommendations.rentOrBuy': 'Rent or buy only',
+        'recommendations.unavailable': 'Not available to watch',
+        'recommendations.unknown': 'Availability unknown',
+        'browse.button': 'Browse',
+        'browse.header': 'Browse by service',
+        'browse.country': 'Country',
+        'browse.provider': 'Service',
+        'browse.genre': 'Genre',
+        'browse.allGenres': 'All genres',
+        'browse.rating': 'Minimum rating',
+        'browse.anyRating': 'Any rating',
+        'browse.minRating': '★ {rating}+',
+        'browse.noProviders': 'TMDB lists no streaming services in {country}.',
+        'browse.noResults': 'No titles on {provider} match your filters.',
+        'browse.announce': { one: '{count} title on {provider} in {country}.', other: '{count} titles on {provider} in {country}.' },
+        'browse.loadMore': 'Load more',
+        'browse.loading': 'Loading...',
+        'browse.loadedMore': { one: '{count} more title loaded.', other: '{count} more titles loaded.' },
+        'compare.button': 'Compare',
+        'compare.header': 'Compare titles',
+        'compare.add': 'Add to comparison',
+        'compare.added': 'In comparison',
+        'compare.addedAnnouncement': '{title} added to the comparison.',
+        'compare.removedAnnouncement': '{title} removed from the comparison.',
+        'compare.full': 'You can compare up to {count} titles.',
+        'compare.empty': 'Nothing to compare yet. Open a title and choose “{button}”.',
+        'compare.country': 'Country',
+        'compare.clear': 'Clear all',
+        'compare.service': 'Service',
+        'compare.caption': 'How each title can be watched in {country}',
+        'compare.removeLabel': 'Remove {title} from the comparison',
+        'compare.best': { one: '{provider} includes the most: {covered} of {count} title in {country}.', other: '{provider} includes the most: {covered} of {count} titles in {country}.' },
+        'compare.bestAll': '{provider} includes every one of these titles in {country}.',
+        'compare.missing': 'Not included: {titles}.',
+        'compare.noneStreaming': 'None of these titles are included with a service in {country}, only to rent or buy.',
+        'compare.noneAvailable': 'None of these titles can be watched in {country}.',
+        'compare.loadFailed': "Couldn't load the services for {titles}.",
+        'compare.notAvailable': 'Not available',
+        'compare.unknown': '?',
+        'compare.announce': { one: 'Comparing {count} title in {country}.', other: 'Comparing {count} titles in {country}.' },
+        'plan.button': 'Cheapest services',
+        'plan.header': 'Which services to subscribe to',
+        'plan.source': 'Titles',
+        'plan.fromWatchlist': 'From your watchlist',
+        'plan.fromComparison': 'From the comparison',
+        'plan.country': 'Country',
+        'plan.empty': 'There are no titles to plan for yet.',
+        'plan.loadFailed': "Couldn't load the services for {titles}.",
+        'plan.minimal': { one: '{count} service includes every title you can stream in {country}:', other: '{count} services together include every title you can stream in {country}:' },
+        'plan.nothingNeeded': 'Everything on the list that can be watched in {country} is free, so no subscription is needed.',
+        'plan.noneStreaming': 'None of these titles are included with a service in {country}.',
+        'plan.includes': 'Includes {titles}',
+        'plan.perMonth': '{price} a month',
+        'plan.priceUnknown': 'Price unknown',
+        'plan.total': 'Total: {price} a month',
+        'plan.totalAtLeast': 'Total: at least {price} a month, as some prices are unknown',
+        'plan.totalUnknown': 'Total: unknown, as no prices are known',
+        'plan.cheaperHeader': 'Cheaper with more services',
+        'plan.fewerHeader': 'With fewer services',
+        'plan.setLabel': { one: 'With {count} service', other: 'With {count} services' },
+        'plan.coverage': { one: '{covered} of {count} title', other: '{covered} of {count} titles' },
+        'plan.uncovered': 'Not included: {titles}',
+        'plan.free': 'Free to watch in {country}: {titles}.',
+        'plan.unavailable': 'Not included with any service in {country}: {titles}.',
+        'plan.approximate': 'There are too many services to try every combination, so a smaller set might exist.',
+        'plan.pricesHeader': 'Monthly prices in {country}',
+        'plan.pricesHint': "Prices are saved on this device. Change them to match your plans, or clear any you don't know.",
+        'plan.priceLabel': 'Monthly price of {provider}',
+        'export.label': 'Export',
+        'export.print': 'Print',
+        'export.downloaded': 'Export downloaded.',
+        'export.offerType': 'Offer',
+        'export.provider': 'Provider',
+        'export.countries': 'Countries',
+        'export.available': 'Available',
+        'export.printedOn': 'Exported from StreamKey on {date}.',
+        'link.unknown': "This link isn't from a site we recognize. Paste an IMDb, TMDB, TVDB or JustWatch link, or search by name.",
+        'link.unsupported': "{site} links don't include the title's name, so they can't be looked up. Please search by name instead.",
+        'link.notFound': 'TMDB has no movie or show with the ID {id}.',
+        'link.noMatch': 'Nothing on TMDB matches "{query}" from the {site} link.'
+    },
+    es: {
+        'page.subtitle': 'Buscador de películas y series en todos los países a la vez.',
+        'search.placeholder': 'p. ej., The Matrix, Breaking Bad...',
+        'search.label': 'Buscar películas y series',
+        'search.button': 'Buscar',
+        'search.searching': 'Buscando...',
+        'search.noResults': 'No se encontraron resultados para "{query}".',
+        'search.resultsFor': 'Resultados para "{query}"',
+        'search.announce': { one: '{count} resultado para {query}, página {page} de {totalPages}.', other: '{count} resultados para {query}, página {page} de {totalPages}.' },
+        'search.noFilterMatches': 'Ningún resultado de esta página coincide con tus filtros.',
+        'autocomplete.label': 'Sugerencias',
+        'autocomplete.available': {
+            one: '{count} sugerencia disponible. Usa las flechas arriba y abajo para elegir.',
+            other: '{count} sugerencias disponibles. Usa las flechas arriba y abajo para elegir.'
+        },
+        'preferences.language': 'Idioma',
+        'preferences.homeCountry': 'País de origen',
+        'preferences.noHomeCountry': 'Sin país de origen',
+        'error.offline': 'No tienes conexión y esto no se ha visto antes en este dispositivo. Vuelve a conectarte e inténtalo de nuevo.',
+        'error.rateLimited': {
+            one: 'Estás buscando demasiado rápido. Espera {count} segundo e inténtalo de nuevo.',
+            other: 'Estás buscando demasiado rápido. Espera {count} segundos e inténtalo de nuevo.'
+        },
+        'error.unexpected': 'Algo salió mal. Inténtalo de nuevo.',
+        'error.notFound': 'No encontramos ese título. Puede que se haya eliminado.',
+        'error.upstreamDown': 'La base de datos de películas no responde en este momento. Inténtalo de nuevo en un momento.',
+        'error.upstreamBusy': 'La base de datos de películas está recibiendo demasiadas solicitudes ahora mismo. Inténtalo de nuevo en un minuto.',
+        'cached.updating': 'Mostrando datos guardados {age} mientras se actualizan.',
+        'cached.offline': 'No tienes conexión. Mostrando datos guardados {age}.',
+        'time.justNow': 'ahora mismo',
+        'common.notAvailable': 'N/D',
+        'media.movie': 'Película',
+        'media.tv': 'Serie',
+        'filters.type': 'Tipo',
+        'filters.all': 'Películas y series',
+        'filters.movies': 'Películas',
+        'filters.tv': 'Series',
+        'filters.yearFrom': 'Desde el año',
+        'filters.yearTo': 'Hasta el año',
+        'filters.apply': 'Aplicar',
+        'pagination.previous': 'Anterior',
+        'pagination.next': 'Siguiente',
+        'pagination.status': 'Página {page} de {totalPages}',
+        'offer.stream': 'Streaming',
+        'offer.free': 'Gratis',
+        'offer.ads': 'Con anuncios',
+        'offer.rent': 'Alquiler',
+        'offer.buy': 'Compra',
+        'offer.tabsLabel': 'Tipos de oferta',
+        'title.unavailableEverywhere': 'Este título no está disponible en servicios de streaming en ningún país.',
+        'title.noServices': 'Este título no está disponible en ningún servicio de streaming.',
+        'title.providersFound': { one: '{title}: {count} proveedor encontrado.', other: '{title}: {count} proveedores encontrados.' },
+        'seasons.header': 'Streaming por suscripción por temporada',
+        'seasons.loading': 'Cargando temporadas...',
+        'seasons.none': 'No hay información de temporadas.',
+        'seasons.failed': 'No se pudieron cargar las temporadas.',
+        'seasons.episodes': { one: '{count} episodio', other: '{count} episodios' },
+        'seasons.loadingProviders': 'Cargando proveedores...',
+        'seasons.noSubscription': 'La serie no está en ningún servicio de suscripción.',
+        'seasons.coverageFull': 'Cobertura completa',
+        'seasons.coverageNone': 'Sin streaming',
+        'seasons.coveragePartial': 'Cobertura parcial',
+        'seasons.allCountries': { one: '{count} país', other: 'Los {count} países' },
+        'seasons.notThisSeason': 'No disponible para esta temporada',
+        'seasons.partialCountries': '{available} de {total} países • falta en {countries}',
+        'home.onYourServices': 'En tus servicios en {country}:',
+        'home.onOtherServices': 'No está en tus servicios en {country}, pero sí en {providers}.',
+        'home.notStreaming': 'No está en ningún servicio de suscripción en {country}.',
+        'home.markServicesHint': 'Marca los servicios a los que estás suscrito con "{button}" para ver dónde más ofrecen este título.',
+        'home.noneElsewhere': 'Ninguno de tus servicios ofrece este título en otro país.',
+        'home.noneAnywhere': 'Ninguno de tus servicios ofrece este título en ningún país.',
+        'home.whereElse': 'Dónde más lo ofrecen tus servicios:',
+        'home.where': 'Dónde lo ofrecen tus servicios:',
+        'provider.logo': 'Logotipo de {provider}',
+        'provider.availableIn': {
+            one: 'Disponible en {count} país (los países resaltados tienen enlaces):',
+            other: 'Disponible en {count} países (los países resaltados tienen enlaces):'
+        },
+        'service.saved': '★ Mi servicio',
+        'service.add': '☆ Mi servicio',
+        'service.addHint': 'Añadir {provider} a tus servicios',
+        'service.removeHint': 'Quitar {provider} de tus servicios',
+        'country.linksHint': 'Haz clic para ver enlaces en {country}',
+        'country.noLinks': 'No hay enlaces disponibles para {country}',
+        'dropdown.label': 'Enlaces para {country}',
+        'dropdown.tmdb': 'Ver en TMDB',
+        'dropdown.justWatch': 'Ver en JustWatch',
+        'dropdown.justWatchLoading': 'Cargando JustWatch...',
+        'dropdown.justWatchMissing': 'No se encontró el enlace de JustWatch',
+        'dropdown.parseFailed': 'No se pudo leer la página de TMDB',
+        'dropdown.rateLimited': 'Demasiadas solicitudes, vuelve a hacer clic en un momento',
+        'dropdown.loadFailed': 'No se pudieron cargar los enlaces, haz clic para reintentar',
+        'dropdown.qualityLoading': 'Cargando información de calidad...',
+        'dropdown.qualityUnavailable': 'La información de calidad y precio no está disponible por ahora.',
+        'dropdown.noQualityInfo': 'No hay información de calidad para {offer}.',
+        'watchlist.button': 'Mi lista',
+        'watchlist.header': 'Tu lista',
+        'watchlist.add': '☆ Añadir a mi lista',
+        'watchlist.saved': '★ En mi lista',
+        'watchlist.addedAnnouncement': '{title} se añadió a tu lista.',
+        'watchlist.removedAnnouncement': '{title} se quitó de tu lista.',
+        'watchlist.unavailable': 'La lista no está disponible en este navegador.',
+        'watchlist.check': 'Buscar cambios',
+        'watchlist.export': 'Exportar',
+        'watchlist.import': 'Importar',
+        'watchlist.empty': 'Tu lista está vacía. Usa "{button}" en cualquier título para seguir dónde se emite.',
+        'watchlist.imported': { one: 'Se importó {count} título.', other: 'Se importaron {count} títulos.' },
+        'watchlist.importInvalidJson': 'El archivo no es un JSON válido.',
+        'watchlist.importNotExport': 'El archivo no es una exportación de lista de StreamKey.',
+        'watchlist.checkedAt': 'comprobado {age}',
+        'watchlist.neverChecked': 'nunca comprobado',
+        'watchlist.remove': 'Quitar',
+        'watchlist.removeLabel': 'Quitar {title} de tu lista',
+        'watchlist.removed': 'Se quitó {title}.',
+        'watchlist.changeAdded': 'Nuevo en {provider} ({offer}) en {countries}',
+        'watchlist.changeRemoved': 'Se va: ya no está en {provider} ({offer}) en {countries}',
+        'watchlist.unchanged': 'Sin cambios desde la comprobación anterior.',
+        'watchlist.checking': 'Comprobando...',
+        'watchlist.checkingAnnouncement': 'Buscando cambios en tu lista...',
+        'watchlist.noChanges': 'No hay cambios de disponibilidad.',
+        'watchlist.changed': { one: '{count} título ha cambiado.', other: '{count} títulos han cambiado.' },
+        'watchlist.checkFailed': { one: '{count} no se pudo comprobar.', other: '{count} no se pudieron comprobar.' },
+        'details.rating': '★ {rating}/10',
+        'details.hoursMinutes': '{hours} h {minutes} min',
+        'details.minutes': '{minutes} min',
+        'details.episodeRuntime': '{runtime} por episodio',
+        'details.seasonCount': { one: '{count} temporada', other: '{count} temporadas' },
+        'details.cast': 'Reparto:',
+        'details.castMember': '{name} como {character}',
+        'details.trailer': '▶ Ver el tráiler',
+        'recommendations.header': 'Títulos similares',
+        'recommendations.checking': 'Comprobando dónde se emite...',
+        'recommendations.onYourServices': 'En tus servicios: {providers}',
+        'recommendations.streamingAtHome': 'En streaming en {country}',
+        'recommendations.streamingIn': { one: 'En streaming en {count} país', other: 'En streaming en {count} países' },
+        'recommendations.rentOrBuy': 'Solo alquiler o compra',
+        'recommendations.unavailable': 'No disponible',
+        'recommendations.unknown': 'Disponibilidad desconocida',
+        'browse.button': 'Explorar',
+        'browse.header': 'Explorar por servicio',
+        'browse.country': 'País',
+        'browse.provider': 'Servicio',
+        'browse.genre': 'Género',
+        'browse.allGenres': 'Todos los géneros',
+        'browse.rating': 'Valoración mínima',
+        'browse.anyRating': 'Cualquier valoración',
+        'browse.noProviders': 'TMDB no tiene servicios de streaming para {country}.',
+        'browse.noResults': 'Ningún título de {provider} coincide con tus filtros.',
+        'browse.announce': { one: '{count} título en {provider} en {country}.', other: '{count} títulos en {provider} en {country}.' },
+        'browse.loadMore': 'Cargar más',
+        'browse.loading': 'Cargando...',
+        'browse.loadedMore': { one: 'Se cargó {count} título más.', other: 'Se cargaron {count} títulos más.' },
+        'compare.button': 'Comparar',
+        'compare.header': 'Comparar títulos',
+        'compare.add': 'Añadir a la comparación',
+        'compare.added': 'En la comparación',
+        'compare.addedAnnouncement': '{title} se añadió a la comparación.',
+        'compare.removedAnnouncement': '{title} se quitó de la comparación.',
+        'compare.full': 'Puedes comparar hasta {count} títulos.',
+        'compare.empty': 'Aún no hay nada que comparar. Abre un título y elige «{button}».',
+        'compare.country': 'País',
+        'compare.clear': 'Borrar todo',
+        'compare.service': 'Servicio',
+        'compare.caption': 'Cómo ver cada título en {country}',
+        'compare.removeLabel': 'Quitar {title} de la comparación',
+        'compare.best': { one: '{provider} incluye más: {covered} de {count} título en {country}.', other: '{provider} incluye más: {covered} de {count} títulos en {country}.' },
+        'compare.bestAll': '{provider} incluye todos estos títulos en {country}.',
+        'compare.missing': 'No incluidos: {titles}.',
+        'compare.noneStreaming': 'Ningún servicio incluye estos títulos en {country}; solo se pueden alquilar o comprar.',
+        'compare.noneAvailable': 'Ninguno de estos títulos se puede ver en {country}.',
+        'compare.loadFailed': 'No se pudieron cargar los servicios de {titles}.',
+        'compare.notAvailable': 'No disponible',
+        'compare.announce': { one: 'Comparando {count} título en {country}.', other: 'Comparando {count} títulos en {country}.' },
+        'plan.button': 'Servicios más baratos',
+        'plan.header': 'A qué servicios suscribirte',
+        'plan.source': 'Títulos',
+        'plan.fromWatchlist': 'De tu lista',
+        'plan.fromComparison': 'De la comparación',
+        'plan.country': 'País',
+        'plan.empty': 'Todavía no hay títulos para planificar.',
+        'plan.loadFailed': 'No se pudieron cargar los servicios de {titles}.',
+        'plan.minimal': { one: '{count} servicio incluye todos los títulos que puedes ver en streaming en {country}:', other: '{count} servicios incluyen juntos todos los títulos que puedes ver en streaming en {country}:' },
+        'plan.nothingNeeded': 'Todo lo que se puede ver en {country} es gratis, así que no necesitas ninguna suscripción.',
+        'plan.noneStreaming': 'Ningún servicio incluye estos títulos en {country}.',
+        'plan.includes': 'Incluye {titles}',
+        'plan.perMonth': '{price} al mes',
+        'plan.priceUnknown': 'Precio desconocido',
+        'plan.total': 'Total: {price} al mes',
+        'plan.totalAtLeast': 'Total: al menos {price} al mes, porque faltan algunos precios',
+        'plan.totalUnknown': 'Total: desconocido, porque no se conoce ningún precio',
+        'plan.cheaperHeader': 'Más barato con más servicios',
+        'plan.fewerHeader': 'Con menos servicios',
+        'plan.setLabel': { one: 'Con {count} servicio', other: 'Con {count} servicios' },
+        'plan.coverage': { one: '{covered} de {count} título', other: '{covered} de {count} títulos' },
+        'plan.uncovered': 'No incluidos: {titles}',
+        'plan.free': 'Gratis en {country}: {titles}.',
+        'plan.unavailable': 'Ningún servicio los incluye en {country}: {titles}.',
+        'plan.approximate': 'Hay demasiados servicios para probar todas las combinaciones, así que podría existir un conjunto más pequeño.',
+        'plan.pricesHeader': 'Precios mensuales en {country}',
+        'plan.pricesHint': 'Los precios se guardan en este dispositivo. Cámbialos según tus planes o borra los que no conozcas.',
+        'plan.priceLabel': 'Precio mensual de {provider}',
+        'export.label': 'Exportar',
+        'export.print': 'Imprimir',
+        'export.downloaded': 'Exportación descargada.',
+        'export.offerType': 'Oferta',
+        'export.provider': 'Proveedor',
+        'export.countries': 'Países',
+        'export.available': 'Disponible',
+        'export.printedOn': 'Exportado de StreamKey el {date}.',
+        'link.unknown': 'Este enlace no es de un sitio que reconozcamos. Pega un enlace de IMDb, TMDB, TVDB o JustWatch, o busca por nombre.',
+        'link.unsupported': 'Los enlaces de {site} no incluyen el nombre del título, así que no se pueden buscar. Busca por nombre.',
+        'link.notFound': 'TMDB no tiene ninguna película ni serie con el ID {id}.',
+        'link.noMatch': 'Nada en TMDB coincide con "{query}" del enlace de {site}.'
+    },
+    fr: {
+        'page.subtitle': 'Trouvez films et séries dans tous les pays à la fois.',
+        'search.placeholder': 'ex. : The Matrix, Breaking Bad...',
+        'search.label': 'Rechercher des films et des séries',
+        'search.button': 'Rechercher',
+        'search.searching': 'Recherche...',
+        'search.noResults': 'Aucun résultat pour « {query} ».',
+        'search.resultsFor': 'Résultats pour « {query} »',
+        'search.announce': { one: '{count} résultat pour {query}, page {page} sur {totalPages}.', other: '{count} résultats pour {query}, page {page} sur {totalPages}.' },
+        'search.noFilterMatches': 'Aucun résultat de cette page ne correspond à vos filtres.',
+        'autocomplete.label': 'Suggestions',
+        'autocomplete.available': {
+            one: '{count} suggestion disponible. Utilisez les flèches haut et bas pour choisir.',
+            other: '{count} suggestions disponibles. Utilisez les flèches haut et bas pour choisir.'
+        },
+        'preferences.language': 'Langue',
+        'preferences.homeCountry': 'Pays de résidence',
+        'preferences.noHomeCountry': 'Aucun pays de résidence',
+        'error.offline': 'Vous êtes hors ligne et ce contenu n’a jamais été consulté sur cet appareil. Reconnectez-vous et réessayez.',
+        'error.rateLimited': {
+            one: 'Vous recherchez trop vite. Patientez {count} seconde et réessayez.',
+            other: 'Vous recherchez trop vite. Patientez {count} secondes et réessayez.'
+        },
+        'error.unexpected': 'Une erreur s’est produite. Veuillez réessayer.',
+        'error.notFound': 'Ce titre est introuvable. Il a peut-être été supprimé.',
+        'error.upstreamDown': 'La base de données de films ne répond pas pour le moment. Réessayez dans un instant.',
+        'error.upstreamBusy': 'La base de données de films reçoit trop de requêtes pour le moment. Réessayez dans une minute.',
+        'cached.updating': 'Données enregistrées {age} affichées pendant la mise à jour.',
+        'cached.offline': 'Vous êtes hors ligne. Données enregistrées {age}.',
+        'time.justNow': 'à l’instant',
+        'common.notAvailable': 'N/D',
+        'media.movie': 'Film',
+        'media.tv': 'Série',
+        'filters.type': 'Type',
+        'filters.all': 'Films et séries',
+        'filters.movies': 'Films',
+        'filters.tv': 'Séries',
+        'filters.yearFrom': 'À partir de l’année',
+        'filters.yearTo': 'Jusqu’à l’année',
+        'filters.apply': 'Appliquer',
+        'pagination.previous': 'Précédent',
+        'pagination.next': 'Suivant',
+        'pagination.status': 'Page {page} sur {totalPages}',
+        'offer.stream': 'Streaming',
+        'offer.free': 'Gratuit',
+        'offer.ads': 'Avec pub',
+        'offer.rent': 'Location',
+        'offer.buy': 'Achat',
+        'offer.tabsLabel': 'Types d’offre',
+        'title.unavailableEverywhere': 'Ce titre n’est disponible sur aucun service de streaming, dans aucun pays.',
+        'title.noServices': 'Ce titre n’est disponible sur aucun service de streaming.',
+        'title.providersFound': { one: '{title} : {count} service trouvé.', other: '{title} : {count} services trouvés.' },
+        'seasons.header': 'Streaming par abonnement, saison par saison',
+        'seasons.loading': 'Chargement des saisons...',
+        'seasons.none': 'Aucune information sur les saisons.',
+        'seasons.failed': 'Impossible de charger les saisons.',
+        'seasons.episodes': { one: '{count} épisode', other: '{count} épisodes' },
+        'seasons.loadingProviders': 'Chargement des services...',
+        'seasons.noSubscription': 'La série n’est sur aucun service par abonnement.',
+        'seasons.coverageFull': 'Couverture complète',
+        'seasons.coverageNone': 'Pas en streaming',
+        'seasons.coveragePartial': 'Couverture partielle',
+        'seasons.allCountries': { one: '{count} pays', other: 'Les {count} pays' },
+        'seasons.notThisSeason': 'Indisponible pour cette saison',
+        'seasons.partialCountries': '{available} pays sur {total} • absent en {countries}',
+        'home.onYourServices': 'Sur vos services en {country} :',
+        'home.onOtherServices': 'Pas sur vos services en {country}, mais disponible sur {providers}.',
+        'home.notStreaming': 'Sur aucun service par abonnement en {country}.',
+        'home.markServicesHint': 'Marquez vos abonnements avec « {button} » pour voir où d’autre ils proposent ce titre.',
+        'home.noneElsewhere': 'Aucun de vos services ne propose ce titre dans un autre pays.',
+        'home.noneAnywhere': 'Aucun de vos services ne propose ce titre, dans aucun pays.',
+        'home.whereElse': 'Où d’autre vos services le proposent :',
+        'home.where': 'Où vos services le proposent :',
+        'provider.logo': 'Logo de {provider}',
+        'provider.availableIn': {
+            one: 'Disponible dans {count} pays (les pays en surbrillance ont des liens) :',
+            other: 'Disponible dans {count} pays (les pays en surbrillance ont des liens) :'
+        },
+        'service.saved': '★ Mon service',
+        'service.add': '☆ Mon service',
+        'service.addHint': 'Ajouter {provider} à vos services',
+        'service.removeHint': 'Retirer {provider} de vos services',
+        'country.linksHint': 'Cliquez pour les liens en {country}',
+        'country.noLinks': 'Aucun lien disponible pour {country}',
+        'dropdown.label': 'Liens pour {country}',
+        'dropdown.tmdb': 'Voir sur TMDB',
+        'dropdown.justWatch': 'Voir sur JustWatch',
+        'dropdown.justWatchLoading': 'Chargement de JustWatch...',
+        'dropdown.justWatchMissing': 'Lien JustWatch introuvable',
+        'dropdown.parseFailed': 'Impossible de lire la page TMDB',
+        'dropdown.rateLimited': 'Trop de requêtes, recliquez dans un instant',
+        'dropdown.loadFailed': 'Impossible de charger les liens, cliquez pour réessayer',
+        'dropdown.qualityLoading': 'Chargement des infos de qualité...',
+        'dropdown.qualityUnavailable': 'Les infos de qualité et de prix sont momentanément indisponibles.',
+        'dropdown.noQualityInfo': 'Aucune info de qualité pour {offer}.',
+        'watchlist.button': 'Ma liste',
+        'watchlist.header': 'Votre liste',
+        'watchlist.add': '☆ Ajouter à ma liste',
+        'watchlist.saved': '★ Dans ma liste',
+        'watchlist.addedAnnouncement': '{title} a été ajouté à votre liste.',
+        'watchlist.removedAnnouncement': '{title} a été retiré de votre liste.',
+        'watchlist.unavailable': 'La liste n’est pas disponible dans ce navigateur.',
+        'watchlist.check': 'Vérifier les changements',
+        'watchlist.export': 'Exporter',
+        'watchlist.import': 'Importer',
+        'watchlist.empty': 'Votre liste est vide. Utilisez « {button} » sur un titre pour suivre où il est diffusé.',
+        'watchlist.imported': { one: '{count} titre importé.', other: '{count} titres importés.' },
+        'watchlist.importInvalidJson': 'Le fichier n’est pas un JSON valide.',
+        'watchlist.importNotExport': 'Le fichier n’est pas un export de liste StreamKey.',
+        'watchlist.checkedAt': 'vérifié {age}',
+        'watchlist.neverChecked': 'jamais vérifié',
+        'watchlist.remove': 'Retirer',
+        'watchlist.removeLabel': 'Retirer {title} de votre liste',
+        'watchlist.removed': '{title} a été retiré.',
+        'watchlist.changeAdded': 'Nouveau sur {provider} ({offer}) en {countries}',
+        'watchlist.changeRemoved': 'Départ : n’est plus sur {provider} ({offer}) en {countries}',
+        'watchlist.unchanged': 'Aucun changement depuis la vérification précédente.',
+        'watchlist.checking': 'Vérification...',
+        'watchlist.checkingAnnouncement': 'Recherche de changements dans votre liste...',
+        'watchlist.noChanges': 'Aucun changement de disponibilité.',
+        'watchlist.changed': { one: '{count} titre a changé.', other: '{count} titres ont changé.' },
+        'watchlist.checkFailed': { one: '{count} n’a pas pu être vérifié.', other: '{count} n’ont pas pu être vérifiés.' },
+        'details.rating': '★ {rating}/10',
+        'details.hoursMinutes': '{hours} h {minutes} min',
+        'details.minutes': '{minutes} min',
+        'details.episodeRuntime': '{runtime} par épisode',
+        'details.seasonCount': { one: '{count} saison', other: '{count} saisons' },
+        'details.cast': 'Distribution :',
+        'details.castMember': '{name} ({character})',
+        'details.trailer': '▶ Voir la bande-annonce',
+        'recommendations.header': 'Dans le même genre',
+        'recommendations.checking': 'Recherche des services...',
+        'recommendations.onYourServices': 'Sur vos services : {providers}',
+        'recommendations.streamingAtHome': 'En streaming en {country}',
+        'recommendations.streamingIn': { one: 'En streaming dans {count} pays', other: 'En streaming dans {count} pays' },
+        'recommendations.rentOrBuy': 'Location ou achat uniquement',
+        'recommendations.unavailable': 'Indisponible',
+        'recommendations.unknown': 'Disponibilité inconnue',
+        'browse.button': 'Explorer',
+        'browse.header': 'Explorer par service',
+        'browse.country': 'Pays',
+        'browse.provider': 'Service',
+        'browse.genre': 'Genre',
+        'browse.allGenres': 'Tous les genres',
+        'browse.rating': 'Note minimale',
+        'browse.anyRating': 'Toutes les notes',
+        'browse.noProviders': 'TMDB ne liste aucun service de streaming pour {country}.',
+        'browse.noResults': 'Aucun titre de {provider} ne correspond à vos filtres.',
+        'browse.announce': { one: '{count} titre sur {provider} en {country}.', other: '{count} titres sur {provider} en {country}.' },
+        'browse.loadMore': 'Charger plus',
+        'browse.loading': 'Chargement...',
+        'browse.loadedMore': { one: '{count} titre de plus chargé.', other: '{count} titres de plus chargés.' },
+        'compare.button': 'Comparer',
+        'compare.header': 'Comparer des titres',
+        'compare.add': 'Ajouter à la comparaison',
+        'compare.added': 'Dans la comparaison',
+        'compare.addedAnnouncement': '{title} ajouté à la comparaison.',
+        'compare.removedAnnouncement': '{title} retiré de la comparaison.',
+        'compare.full': 'Vous pouvez comparer jusqu’à {count} titres.',
+        'compare.empty': 'Rien à comparer pour l’instant. Ouvrez un titre et choisissez « {button} ».',
+        'compare.country': 'Pays',
+        'compare.clear': 'Tout effacer',
+        'compare.service': 'Service',
+        'compare.caption': 'Comment regarder chaque titre en {country}',
+        'compare.removeLabel': 'Retirer {title} de la comparaison',
+        'compare.best': { one: '{provider} en inclut le plus : {covered} sur {count} titre en {country}.', other: '{provider} en inclut le plus : {covered} sur {count} titres en {country}.' },
+        'compare.bestAll': '{provider} inclut tous ces titres en {country}.',
+        'compare.missing': 'Non inclus : {titles}.',
+        'compare.noneStreaming': 'Aucun service n’inclut ces titres en {country}, ils sont seulement à louer ou à acheter.',
+        'compare.noneAvailable': 'Aucun de ces titres n’est disponible en {country}.',
+        'compare.loadFailed': 'Impossible de charger les services pour {titles}.',
+        'compare.notAvailable': 'Non disponible',
+        'compare.announce': { one: 'Comparaison de {count} titre en {country}.', other: 'Comparaison de {count} titres en {country}.' },
+        'plan.button': 'Services les moins chers',
+        'plan.header': 'À quels services s’abonner',
+        'plan.source': 'Titres',
+        'plan.fromWatchlist': 'De votre liste',
+        'plan.fromComparison': 'De la comparaison',
+        'plan.country': 'Pays',
+        'plan.empty': 'Il n’y a encore aucun titre à planifier.',
+        'plan.loadFailed': 'Impossible de charger les services pour {titles}.',
+        'plan.minimal': { one: '{count} service inclut tous les titres disponibles en streaming en {country} :', other: '{count} services incluent ensemble tous les titres disponibles en streaming en {country} :' },
+        'plan.nothingNeeded': 'Tout ce qui peut être regardé en {country} est gratuit, aucun abonnement n’est nécessaire.',
+        'plan.noneStreaming': 'Aucun service n’inclut ces titres en {country}.',
+        'plan.includes': 'Inclut {titles}',
+        'plan.perMonth': '{price} par mois',
+        'plan.priceUnknown': 'Prix inconnu',
+        'plan.total': 'Total : {price} par mois',
+        'plan.totalAtLeast': 'Total : au moins {price} par mois, certains prix étant inconnus',
+        'plan.totalUnknown': 'Total : inconnu, aucun prix n’étant connu',
+        'plan.cheaperHeader': 'Moins cher avec plus de services',
+        'plan.fewerHeader': 'Avec moins de services',
+        'plan.setLabel': { one: 'Avec {count} service', other: 'Avec {count} services' },
+        'plan.coverage': { one: '{covered} titre sur {count}', other: '{covered} titres sur {count}' },
+        'plan.uncovered': 'Non inclus : {titles}',
+        'plan.free': 'Gratuit en {country} : {titles}.',
+        'plan.unavailable': 'Inclus dans aucun service en {country} : {titles}.',
+        'plan.approximate': 'Il y a trop de services pour essayer toutes les combinaisons, un ensemble plus petit pourrait exister.',
+        'plan.pricesHeader': 'Prix mensuels en {country}',
+        'plan.pricesHint': 'Les prix sont enregistrés sur cet appareil. Modifiez-les selon vos abonnements ou effacez ceux que vous ne connaissez pas.',
+        'plan.priceLabel': 'Prix mensuel de {provider}',
+        'export.label': 'Exporter',
+        'export.print': 'Imprimer',
+        'export.downloaded': 'Export téléchargé.',
+        'export.offerType': 'Offre',
+        'export.provider': 'Fournisseur',
+        'export.countries': 'Pays',
+        'export.available': 'Disponible',
+        'export.printedOn': 'Exporté depuis StreamKey le {date}.',
+        'link.unknown': 'Ce lien ne vient pas d’un site que nous connaissons. Collez un lien IMDb, TMDB, TVDB ou JustWatch, ou recherchez par nom.',
+        'link.unsupported': 'Les liens {site} n’indiquent pas le nom du titre, ils ne peuvent donc pas être recherchés. Recherchez plutôt par nom.',
+        'link.notFound': 'TMDB n’a aucun film ni aucune série avec l’identifiant {id}.',
+        'link.noMatch': 'Rien sur TMDB ne correspond à « {query} » du lien {site}.'
+    },
+    de: {
+        'page.subtitle': 'Filme und Serien in allen Ländern gleichzeitig finden.',
+        'search.placeholder': 'z. B. The Matrix, Breaking Bad...',
+        'search.label': 'Filme und Serien suchen',
+        'search.button': 'Suchen',
+        'search.searching': 'Suche läuft...',
+        'search.noResults': 'Keine Ergebnisse für „{query}“ gefunden.',
+        'search.resultsFor': 'Ergebnisse für „{query}“',
+        'search.announce': { one: '{count} Ergebnis für {query}, Seite {page} von {totalPages}.', other: '{count} Ergebnisse für {query}, Seite {page} von {totalPages}.' },
+        'search.noFilterMatches': 'Keine Ergebnisse auf dieser Seite passen zu deinen Filtern.',
+        'autocomplete.label': 'Vorschläge',
+        'autocomplete.available': {
+            one: '{count} Vorschlag verfügbar. Wähle mit den Pfeiltasten nach oben und unten.',
+            other: '{count} Vorschläge verfügbar. Wähle mit den Pfeiltasten nach oben und unten.'
+        },
+        'preferences.language': 'Sprache',
+        'preferences.homeCountry': 'Heimatland',
+        'preferences.noHomeCountry': 'Kein Heimatland',
+        'error.offline': 'Du bist offline, und dies wurde auf diesem Gerät noch nie angesehen. Bitte verbinde dich erneut und versuche es noch einmal.',
+        'error.rateLimited': {
+            one: 'Du suchst zu schnell. Bitte warte {count} Sekunde und versuche es erneut.',
+            other: 'Du suchst zu schnell. Bitte warte {count} Sekunden und versuche es erneut.'
+        },
+        'error.unexpected': 'Etwas ist schiefgelaufen. Bitte versuche es erneut.',
+        'error.notFound': 'Dieser Titel wurde nicht gefunden. Möglicherweise wurde er entfernt.',
+        'error.upstreamDown': 'Die Filmdatenbank antwortet gerade nicht. Bitte versuche es gleich noch einmal.',
+        'error.upstreamBusy': 'Die Filmdatenbank erhält gerade zu viele Anfragen. Bitte versuche es in einer Minute noch einmal.',
+        'cached.updating': 'Gespeicherte Daten von {age} werden angezeigt, während sie aktualisiert werden.',
+        'cached.offline': 'Du bist offline. Angezeigt werden Daten von {age}.',
+        'time.justNow': 'gerade eben',
+        'common.notAvailable': 'k. A.',
+        'media.movie': 'Film',
+        'media.tv': 'Serie',
+        'filters.type': 'Typ',
+        'filters.all': 'Filme & Serien',
+        'filters.movies': 'Filme',
+        'filters.tv': 'Serien',
+        'filters.yearFrom': 'Ab Jahr',
+        'filters.yearTo': 'Bis Jahr',
+        'filters.apply': 'Anwenden',
+        'pagination.previous': 'Zurück',
+        'pagination.next': 'Weiter',
+        'pagination.status': 'Seite {page} von {totalPages}',
+        'offer.stream': 'Streamen',
+        'offer.free': 'Kostenlos',
+        'offer.ads': 'Mit Werbung',
+        'offer.rent': 'Leihen',
+        'offer.buy': 'Kaufen',
+        'offer.tabsLabel': 'Angebotsarten',
+        'title.unavailableEverywhere': 'Dieser Titel ist in keinem Land bei Streamingdiensten verfügbar.',
+        'title.noServices': 'Dieser Titel ist bei keinem Streamingdienst verfügbar.',
+        'title.providersFound': { one: '{title}: {count} Anbieter gefunden.', other: '{title}: {count} Anbieter gefunden.' },
+        'seasons.header': 'Abo-Streaming nach Staffel',
+        'seasons.loading': 'Staffeln werden geladen...',
+        'seasons.none': 'Keine Staffelinformationen verfügbar.',
+        'seasons.failed': 'Staffeln konnten nicht geladen werden.',
+        'seasons.episodes': { one: '{count} Folge', other: '{count} Folgen' },
+        'seasons.loadingProviders': 'Anbieter werden geladen...',
+        'seasons.noSubscription': 'Die Serie ist bei keinem Abo-Dienst.',
+        'seasons.coverageFull': 'Vollständig',
+        'seasons.coverageNone': 'Nicht im Stream',
+        'seasons.coveragePartial': 'Teilweise',
+        'seasons.allCountries': { one: '{count} Land', other: 'Alle {count} Länder' },
+        'seasons.notThisSeason': 'Für diese Staffel nicht verfügbar',
+        'seasons.partialCountries': '{available} von {total} Ländern • fehlt in {countries}',
+        'home.onYourServices': 'Bei deinen Diensten in {country}:',
+        'home.onOtherServices': 'Nicht bei deinen Diensten in {country}, aber bei {providers}.',
+        'home.notStreaming': 'In {country} bei keinem Abo-Dienst.',
+        'home.markServicesHint': 'Markiere deine Abos mit „{button}“, um zu sehen, wo sie diesen Titel sonst anbieten.',
+        'home.noneElsewhere': 'Keiner deiner Dienste bietet diesen Titel in einem anderen Land an.',
+        'home.noneAnywhere': 'Keiner deiner Dienste bietet diesen Titel in irgendeinem Land an.',
+        'home.whereElse': 'Wo deine Dienste ihn sonst anbieten:',
+        'home.where': 'Wo deine Dienste ihn anbieten:',
+        'provider.logo': 'Logo von {provider}',
+        'provider.availableIn': {
+            one: 'Verfügbar in {count} Land (hervorgehobene Länder haben Links):',
+            other: 'Verfügbar in {count} Ländern (hervorgehobene Länder haben Links):'
+        },
+        'service.saved': '★ Mein Dienst',
+        'service.add': '☆ Mein Dienst',
+        'service.addHint': '{provider} zu deinen Diensten hinzufügen',
+        'service.removeHint': '{provider} aus deinen Diensten entfernen',
+        'country.linksHint': 'Klicken für Links in {country}',
+        'country.noLinks': 'Keine Links für {country} verfügbar',
+        'dropdown.label': 'Links für {country}',
+        'dropdown.tmdb': 'Auf TMDB ansehen',
+        'dropdown.justWatch': 'Auf JustWatch ansehen',
+        'dropdown.justWatchLoading': 'JustWatch wird geladen...',
+        'dropdown.justWatchMissing': 'JustWatch-Link nicht gefunden',
+        'dropdown.parseFailed': 'TMDB-Seite konnte nicht gelesen werden',
+        'dropdown.rateLimited': 'Zu viele Anfragen, bitte gleich erneut klicken',
+        'dropdown.loadFailed': 'Links konnten nicht geladen werden, zum Wiederholen klicken',
+        'dropdown.qualityLoading': 'Qualitätsinfos werden geladen...',
+        'dropdown.qualityUnavailable': 'Qualitäts- und Preisinfos sind vorübergehend nicht verfügbar.',
+        'dropdown.noQualityInfo': 'Keine Qualitätsinfos für {offer}.',
+        'watchlist.button': 'Merkliste',
+        'watchlist.header': 'Deine Merkliste',
+        'watchlist.add': '☆ Zur Merkliste',
+        'watchlist.saved': '★ Auf der Merkliste',
+        'watchlist.addedAnnouncement': '{title} wurde zu deiner Merkliste hinzugefügt.',
+        'watchlist.removedAnnouncement': '{title} wurde von deiner Merkliste entfernt.',
+        'watchlist.unavailable': 'Die Merkliste ist in diesem Browser nicht verfügbar.',
+        'watchlist.check': 'Auf Änderungen prüfen',
+        'watchlist.export': 'Exportieren',
+        'watchlist.import': 'Importieren',
+        'watchlist.empty': 'Deine Merkliste ist leer. Nutze „{button}“ bei einem Titel, um zu verfolgen, wo er läuft.',
+        'watchlist.imported': { one: '{count} Titel importiert.', other: '{count} Titel importiert.' },
+        'watchlist.importInvalidJson': 'Die Datei ist kein gültiges JSON.',
+        'watchlist.importNotExport': 'Die Datei ist kein StreamKey-Merklisten-Export.',
+        'watchlist.checkedAt': 'geprüft {age}',
+        'watchlist.neverChecked': 'nie geprüft',
+        'watchlist.remove': 'Entfernen',
+        'watchlist.removeLabel': '{title} von deiner Merkliste entfernen',
+        'watchlist.removed': '{title} entfernt.',
+        'watchlist.changeAdded': 'Neu bei {provider} ({offer}) in {countries}',
+        'watchlist.changeRemoved': 'Nicht mehr bei {provider} ({offer}) in {countries}',
+        'watchlist.unchanged': 'Keine Änderungen seit der letzten Prüfung.',
+        'watchlist.checking': 'Wird geprüft...',
+        'watchlist.checkingAnnouncement': 'Deine Merkliste wird auf Änderungen geprüft...',
+        'watchlist.noChanges': 'Keine Änderungen bei der Verfügbarkeit.',
+        'watchlist.changed': { one: '{count} Titel hat sich geändert.', other: '{count} Titel haben sich geändert.' },
+        'watchlist.checkFailed': { one: '{count} konnte nicht geprüft werden.', other: '{count} konnten nicht geprüft werden.' },
+        'details.rating': '★ {rating}/10',
+        'details.hoursMinutes': '{hours} Std. {minutes} Min.',
+        'details.minutes': '{minutes} Min.',
+        'details.episodeRuntime': '{runtime} pro Folge',
+        'details.seasonCount': { one: '{count} Staffel', other: '{count} Staffeln' },
+        'details.cast': 'Besetzung:',
+        'details.castMember': '{name} als {character}',
+        'details.trailer': '▶ Trailer ansehen',
+        'recommendations.header': 'Ähnliche Titel',
+        'recommendations.checking': 'Verfügbarkeit wird geprüft...',
+        'recommendations.onYourServices': 'Bei deinen Diensten: {providers}',
+        'recommendations.streamingAtHome': 'Im Stream in {country}',
+        'recommendations.streamingIn': { one: 'Im Stream in {count} Land', other: 'Im Stream in {count} Ländern' },
+        'recommendations.rentOrBuy': 'Nur zum Leihen oder Kaufen',
+        'recommendations.unavailable': 'Nicht verfügbar',
+        'recommendations.unknown': 'Verfügbarkeit unbekannt',
+        'browse.button': 'Stöbern',
+        'browse.header': 'Nach Dienst stöbern',
+        'browse.country': 'Land',
+        'browse.provider': 'Dienst',
+        'browse.genre': 'Genre',
+        'browse.allGenres': 'Alle Genres',
+        'browse.rating': 'Mindestbewertung',
+        'browse.anyRating': 'Jede Bewertung',
+        'browse.noProviders': 'TMDB führt keine Streamingdienste für {country}.',
+        'browse.noResults': 'Keine Titel bei {provider} passen zu deinen Filtern.',
+        'browse.announce': { one: '{count} Titel bei {provider} in {country}.', other: '{count} Titel bei {provider} in {country}.' },
+        'browse.loadMore': 'Mehr laden',
+        'browse.loading': 'Wird geladen...',
+        'browse.loadedMore': { one: '{count} weiterer Titel geladen.', other: '{count} weitere Titel geladen.' },
+        'compare.button': 'Vergleichen',
+        'compare.header': 'Titel vergleichen',
+        'compare.add': 'Zum Vergleich hinzufügen',
+        'compare.added': 'Im Vergleich',
+        'compare.addedAnnouncement': '{title} wurde zum Vergleich hinzugefügt.',
+        'compare.removedAnnouncement': '{title} wurde aus dem Vergleich entfernt.',
+        'compare.full': 'Du kannst bis zu {count} Titel vergleichen.',
+        'compare.empty': 'Noch nichts zu vergleichen. Öffne einen Titel und wähle „{button}“.',
+        'compare.country': 'Land',
+        'compare.clear': 'Alle entfernen',
+        'compare.service': 'Dienst',
+        'compare.caption': 'Wie jeder Titel in {country} verfügbar ist',
+        'compare.removeLabel': '{title} aus dem Vergleich entfernen',
+        'compare.best': { one: '{provider} enthält die meisten: {covered} von {count} Titel in {country}.', other: '{provider} enthält die meisten: {covered} von {count} Titeln in {country}.' },
+        'compare.bestAll': '{provider} enthält alle diese Titel in {country}.',
+        'compare.missing': 'Nicht enthalten: {titles}.',
+        'compare.noneStreaming': 'Kein Dienst enthält diese Titel in {country}, sie sind nur zum Leihen oder Kaufen.',
+        'compare.noneAvailable': 'Keiner dieser Titel ist in {country} verfügbar.',
+        'compare.loadFailed': 'Die Dienste für {titles} konnten nicht geladen werden.',
+        'compare.notAvailable': 'Nicht verfügbar',
+        'compare.announce': { one: '{count} Titel in {country} im Vergleich.', other: '{count} Titel in {country} im Vergleich.' },
+        'plan.button': 'Günstigste Dienste',
+        'plan.header': 'Welche Dienste du abonnieren solltest',
+        'plan.source': 'Titel',
+        'plan.fromWatchlist': 'Aus deiner Merkliste',
+        'plan.fromComparison': 'Aus dem Vergleich',
+        'plan.country': 'Land',
+        'plan.empty': 'Es gibt noch keine Titel zum Planen.',
+        'plan.loadFailed': 'Die Dienste für {titles} konnten nicht geladen werden.',
+        'plan.minimal': { one: '{count} Dienst enthält alle Titel, die du in {country} streamen kannst:', other: '{count} Dienste enthalten zusammen alle Titel, die du in {country} streamen kannst:' },
+        'plan.nothingNeeded': 'Alles, was in {country} verfügbar ist, ist kostenlos, du brauchst also kein Abo.',
+        'plan.noneStreaming': 'Kein Dienst enthält diese Titel in {country}.',
+        'plan.includes': 'Enthält {titles}',
+        'plan.perMonth': '{price} pro Monat',
+        'plan.priceUnknown': 'Preis unbekannt',
+        'plan.total': 'Gesamt: {price} pro Monat',
+        'plan.totalAtLeast': 'Gesamt: mindestens {price} pro Monat, da einige Preise unbekannt sind',
+        'plan.totalUnknown': 'Gesamt: unbekannt, da keine Preise bekannt sind',
+        'plan.cheaperHeader': 'Günstiger mit mehr Diensten',
+        'plan.fewerHeader': 'Mit weniger Diensten',
+        'plan.setLabel': { one: 'Mit {count} Dienst', other: 'Mit {count} Diensten' },
+        'plan.coverage': { one: '{covered} von {count} Titel', other: '{covered} von {count} Titeln' },
+        'plan.uncovered': 'Nicht enthalten: {titles}',
+        'plan.free': 'Kostenlos in {country}: {titles}.',
+        'plan.unavailable': 'In keinem Dienst in {country} enthalten: {titles}.',
+        'plan.approximate': 'Es gibt zu viele Dienste, um jede Kombination zu prüfen, daher könnte es eine kleinere Auswahl geben.',
+        'plan.pricesHeader': 'Monatspreise in {country}',
+        'plan.pricesHint': 'Die Preise werden auf diesem Gerät gespeichert. Passe sie an deine Abos an oder lösche die, die du nicht kennst.',
+        'plan.priceLabel': 'Monatspreis von {provider}',
+        'export.label': 'Exportieren',
+        'export.print': 'Drucken',
+        'export.downloaded': 'Export heruntergeladen.',
+        'export.offerType': 'Angebot',
+        'export.provider': 'Anbieter',
+        'export.countries': 'Länder',
+        'export.available': 'Verfügbar',
+        'export.printedOn': 'Aus StreamKey exportiert am {date}.',
+        'link.unknown': 'Dieser Link stammt nicht von einer Seite, die wir kennen. Füge einen IMDb-, TMDB-, TVDB- oder JustWatch-Link ein oder suche nach dem Namen.',
+        'link.unsupported': '{site}-Links enthalten nicht den Namen des Titels und können daher nicht nachgeschlagen werden. Bitte suche stattdessen nach dem Namen.',
+        'link.notFound': 'TMDB hat keinen Film und keine Serie mit der ID {id}.',
+        'link.noMatch': 'Nichts auf TMDB passt zu „{query}“ aus dem {site}-Link.'
+    },
+    ar: {
+        'page.subtitle': 'ابحث عن الأفلام والمسلسلات في كل الدول دفعة واحدة.',
+        'search.placeholder': 'مثال: The Matrix أو Breaking Bad...',
+        'search.label': 'ابحث عن الأفلام والمسلسلات',
+        'search.button': 'بحث',
+        'search.searching': 'جارٍ البحث...',
+        'search.noResults': 'لم يتم العثور على نتائج لـ "{query}".',
+        'search.resultsFor': 'نتائج "{query}"',
+        'search.announce': { other: 'عدد النتائج لـ {query}: {count}، الصفحة {page} من {totalPages}.' },
+        'search.noFilterMatches': 'لا توجد نتائج في هذه الصفحة تطابق عوامل التصفية.',
+        'autocomplete.label': 'اقتراحات',
+        'autocomplete.available': { other: 'عدد الاقتراحات المتاحة: {count}. استخدم السهمين لأعلى ولأسفل للاختيار.' },
+        'preferences.language': 'اللغة',
+        'preferences.homeCountry': 'بلد الإقامة',
+        'preferences.noHomeCountry': 'بدون بلد إقامة',
+        'error.offline': 'أنت غير متصل، ولم يتم عرض هذا على هذا الجهاز من قبل. يُرجى إعادة الاتصال والمحاولة مجددًا.',
+        'error.rateLimited': {
+            one: 'أنت تبحث بسرعة كبيرة. يُرجى الانتظار ثانية واحدة ثم المحاولة مجددًا.',
+            two: 'أنت تبحث بسرعة كبيرة. يُرجى الانتظار ثانيتين ثم المحاولة مجددًا.',
+            few: 'أنت تبحث بسرعة كبيرة. يُرجى الانتظار {count} ثوانٍ ثم المحاولة مجددًا.',
+            other: 'أنت تبحث بسرعة كبيرة. يُرجى الانتظار {count} ثانية ثم المحاولة مجددًا.'
+        },
+        'error.unexpected': 'حدث خطأ ما. يُرجى المحاولة مجددًا.',
+        'error.notFound': 'لم نعثر على هذا العنوان. ربما تمت إزالته.',
+        'error.upstreamDown': 'قاعدة بيانات الأفلام لا تستجيب حاليًا. يُرجى المحاولة مجددًا بعد قليل.',
+        'error.upstreamBusy': 'قاعدة بيانات الأفلام تتلقى طلبات كثيرة جدًا حاليًا. يُرجى المحاولة مجددًا بعد دقيقة.',
+        'cached.updating': 'يتم عرض بيانات محفوظة {age} أثناء تحديثها.',
+        'cached.offline': 'أنت غير متصل. يتم عرض بيانات محفوظة {age}.',
+        'time.justNow': 'الآن',
+        'common.notAvailable': 'غير متوفر',
+        'media.movie': 'فيلم',
+        'media.tv': 'مسلسل',
+        'filters.type': 'النوع',
+        'filters.all': 'أفلام ومسلسلات',
+        'filters.movies': 'أفلام',
+        'filters.tv': 'مسلسلات',
+        'filters.yearFrom': 'من سنة',
+        'filters.yearTo': 'إلى سنة',
+        'filters.apply': 'تطبيق',
+        'pagination.previous': 'السابق',
+        'pagination.next': 'التالي',
+        'pagination.status': 'الصفحة {page} من {totalPages}',
+        'offer.stream': 'بث',
+        'offer.free': 'مجاني',
+        'offer.ads': 'مع إعلانات',
+        'offer.rent': 'إيجار',
+        'offer.buy': 'شراء',
+        'offer.tabsLabel': 'أنواع العروض',
+        'title.unavailableEverywhere': 'هذا العنوان غير متوفر على خدمات البث في أي دولة.',
+        'title.noServices': 'هذا العنوان غير متوفر على أي خدمة بث.',
+        'title.providersFound': { other: '{title}: عدد الخدمات: {count}.' },
+        'seasons.header': 'البث بالاشتراك حسب الموسم',
+        'seasons.loading': 'جارٍ تحميل المواسم...',
+        'seasons.none': 'لا تتوفر معلومات عن المواسم.',
+        'seasons.failed': 'تعذّر تحميل المواسم.',
+        'seasons.episodes': { one: 'حلقة واحدة', two: 'حلقتان', few: '{count} حلقات', other: '{count} حلقة' },
+        'seasons.loadingProviders': 'جارٍ تحميل الخدمات...',
+        'seasons.noSubscription': 'المسلسل غير متوفر على أي خدمة اشتراك.',
+        'seasons.coverageFull': 'تغطية كاملة',
+        'seasons.coverageNone': 'غير متوفر للبث',
+        'seasons.coveragePartial': 'تغطية جزئية',
+        'seasons.allCountries': { one: 'الدولة الوحيدة', two: 'الدولتان كلتاهما', few: 'كل الدول ({count})', other: 'كل الدول ({count})' },
+        'seasons.notThisSeason': 'غير متوفر لهذا الموسم',
+        'seasons.partialCountries': '{available} من {total} • غير متوفر في {countries}',
+        'home.onYourServices': 'متوفر على خدماتك في {country}:',
+        'home.onOtherServices': 'غير متوفر على خدماتك في {country}، لكنه متوفر على {providers}.',
+        'home.notStreaming': 'غير متوفر على أي خدمة اشتراك في {country}.',
+        'home.markServicesHint': 'حدّد الخدمات المشترك فيها بزر "{button}" لترى أين تقدّم هذا العنوان أيضًا.',
+        'home.noneElsewhere': 'لا تقدّم أي من خدماتك هذا العنوان في أي دولة أخرى.',
+        'home.noneAnywhere': 'لا تقدّم أي من خدماتك هذا العنوان في أي دولة.',
+        'home.whereElse': 'أين تقدّمه خدماتك أيضًا:',
+        'home.where': 'أين تقدّمه خدماتك:',
+        'provider.logo': 'شعار {provider}',
+        'provider.availableIn': {
+            one: 'متوفر في دولة واحدة (الدول المميزة لها روابط مشاهدة):',
+            two: 'متوفر في دولتين (الدول المميزة لها روابط مشاهدة):',
+            few: 'متوفر في {count} دول (الدول المميزة لها روابط مشاهدة):',
+            other: 'متوفر في {count} دولة (الدول المميزة لها روابط مشاهدة):'
+        },
+        'service.saved': '★ خدمتي',
+        'service.add': '☆ خدمتي',
+        'service.addHint': 'أضف {provider} إلى خدماتك',
+        'service.removeHint': 'أزل {provider} من خدماتك',
+        'country.linksHint': 'انقر لعرض الروابط في {country}',
+        'country.noLinks': 'لا توجد روابط مشاهدة لـ {country}',
+        'dropdown.label': 'روابط {country}',
+        'dropdown.tmdb': 'عرض على TMDB',
+        'dropdown.justWatch': 'عرض على JustWatch',
+        'dropdown.justWatchLoading': 'جارٍ تحميل JustWatch...',
+        'dropdown.justWatchMissing': 'لم يتم العثور على رابط JustWatch',
+        'dropdown.parseFailed': 'تعذّرت قراءة صفحة TMDB',
+        'dropdown.rateLimited': 'طلبات كثيرة جدًا، انقر مجددًا بعد قليل',
+        'dropdown.loadFailed': 'تعذّر تحميل الروابط، انقر للمحاولة مجددًا',
+        'dropdown.qualityLoading': 'جارٍ تحميل معلومات الجودة...',
+        'dropdown.qualityUnavailable': 'معلومات الجودة والسعر غير متوفرة مؤقتًا.',
+        'dropdown.noQualityInfo': 'لا تتوفر معلومات جودة لـ {offer}.',
+        'watchlist.button': 'قائمة المشاهدة',
+        'watchlist.header': 'قائمة المشاهدة',
+        'watchlist.add': '☆ أضف إلى قائمة المشاهدة',
+        'watchlist.saved': '★ في قائمة المشاهدة',
+        'watchlist.addedAnnouncement': 'تمت إضافة {title} إلى قائمة المشاهدة.',
+        'watchlist.removedAnnouncement': 'تمت إزالة {title} من قائمة المشاهدة.',
+        'watchlist.unavailable': 'قائمة المشاهدة غير متاحة في هذا المتصفح.',
+        'watchlist.check': 'التحقق من التغييرات',
+        'watchlist.export': 'تصدير',
+        'watchlist.import': 'استيراد',
+        'watchlist.empty': 'قائمة المشاهدة فارغة. استخدم "{button}" على أي عنوان لمتابعة أماكن عرضه.',
+        'watchlist.imported': { other: 'عدد العناوين المستوردة: {count}.' },
+        'watchlist.importInvalidJson': 'الملف ليس بتنسيق JSON صالح.',
+        'watchlist.importNotExport': 'الملف ليس تصديرًا لقائمة مشاهدة StreamKey.',
+        'watchlist.checkedAt': 'تم التحقق {age}',
+        'watchlist.neverChecked': 'لم يتم التحقق بعد',
+        'watchlist.remove': 'إزالة',
+        'watchlist.removeLabel': 'أزل {title} من قائمة المشاهدة',
+        'watchlist.removed': 'تمت إزالة {title}.',
+        'watchlist.changeAdded': 'متوفر حديثًا على {provider} ({offer}) في {countries}',
+        'watchlist.changeRemoved': 'مغادر: لم يعد على {provider} ({offer}) في {countries}',
+        'watchlist.unchanged': 'لا تغييرات منذ التحقق السابق.',
+        'watchlist.checking': 'جارٍ التحقق...',
+        'watchlist.checkingAnnouncement': 'جارٍ التحقق من تغييرات قائمة المشاهدة...',
+        'watchlist.noChanges': 'لا تغييرات في التوفر.',
+        'watchlist.changed': { other: 'عدد العناوين التي تغيّرت: {count}.' },
+        'watchlist.checkFailed': { other: 'تعذّر التحقق من {count}.' },
+        'details.rating': '★ {rating}/10',
+        'details.hoursMinutes': '{hours} س {minutes} د',
+        'details.minutes': '{minutes} د',
+        'details.episodeRuntime': '{runtime} للحلقة',
+        'details.seasonCount': { one: 'موسم واحد', two: 'موسمان', few: '{count} مواسم', other: '{count} موسمًا' },
+        'details.cast': 'طاقم التمثيل:',
+        'details.castMember': '{name} بدور {character}',
+        'details.trailer': '▶ شاهد الإعلان',
+        'recommendations.header': 'عناوين مشابهة',
+        'recommendations.checking': 'جارٍ التحقق من أماكن العرض...',
+        'recommendations.onYourServices': 'على خدماتك: {providers}',
+        'recommendations.streamingAtHome': 'متوفر للبث في {country}',
+        'recommendations.streamingIn': { one: 'متوفر للبث في دولة واحدة', two: 'متوفر للبث في دولتين', few: 'متوفر للبث في {count} دول', other: 'متوفر للبث في {count} دولة' },
+        'recommendations.rentOrBuy': 'للإيجار أو الشراء فقط',
+        'recommendations.unavailable': 'غير متوفر للمشاهدة',
+        'recommendations.unknown': 'التوفر غير معروف',
+        'browse.button': 'تصفّح',
+        'browse.header': 'تصفّح حسب الخدمة',
+        'browse.country': 'الدولة',
+        'browse.provider': 'الخدمة',
+        'browse.genre': 'التصنيف',
+        'browse.allGenres': 'كل التصنيفات',
+        'browse.rating': 'الحد الأدنى للتقييم',
+        'browse.anyRating': 'أي تقييم',
+        'browse.noProviders': 'لا يدرج TMDB أي خدمات بث في {country}.',
+        'browse.noResults': 'لا توجد عناوين على {provider} تطابق عوامل التصفية.',
+        'browse.announce': { other: 'عدد العناوين على {provider} في {country}: {count}.' },
+        'browse.loadMore': 'تحميل المزيد',
+        'browse.loading': 'جارٍ التحميل...',
+        'browse.loadedMore': { other: 'تم تحميل {count} من العناوين الإضافية.' },
+        'compare.button': 'مقارنة',
+        'compare.header': 'مقارنة العناوين',
+        'compare.add': 'إضافة إلى المقارنة',
+        'compare.added': 'ضمن المقارنة',
+        'compare.addedAnnouncement': 'تمت إضافة {title} إلى المقارنة.',
+        'compare.removedAnnouncement': 'تمت إزالة {title} من المقارنة.',
+        'compare.full': 'يمكنك مقارنة {count} عناوين كحد أقصى.',
+        'compare.empty': 'لا يوجد ما تتم مقارنته بعد. افتح عنوانًا واختر «{button}».',
+        'compare.country': 'الدولة',
+        'compare.clear': 'مسح الكل',
+        'compare.service': 'الخدمة',
+        'compare.caption': 'طرق مشاهدة كل عنوان في {country}',
+        'compare.removeLabel': 'إزالة {title} من المقارنة',
+        'compare.best': { other: 'تتضمن {provider} العدد الأكبر: {covered} من أصل {count} في {country}.' },
+        'compare.bestAll': 'تتضمن {provider} كل هذه العناوين في {country}.',
+        'compare.missing': 'غير متضمنة: {titles}.',
+        'compare.noneStreaming': 'لا تتضمن أي خدمة هذه العناوين في {country}، وهي متاحة للاستئجار أو الشراء فقط.',
+        'compare.noneAvailable': 'لا يمكن مشاهدة أي من هذه العناوين في {country}.',
+        'compare.loadFailed': 'تعذّر تحميل خدمات {titles}.',
+        'compare.notAvailable': 'غير متاح',
+        'compare.announce': { other: 'مقارنة {count} من العناوين في {country}.' },
+        'plan.button': 'أرخص الخدمات',
+        'plan.header': 'الخدمات التي يُنصح بالاشتراك فيها',
+        'plan.source': 'العناوين',
+        'plan.fromWatchlist': 'من قائمة المشاهدة',
+        'plan.fromComparison': 'من المقارنة',
+        'plan.country': 'الدولة',
+        'plan.empty': 'لا توجد عناوين للتخطيط بعد.',
+        'plan.loadFailed': 'تعذّر تحميل خدمات {titles}.',
+        'plan.minimal': { other: 'عدد الخدمات التي تتضمن معًا كل العناوين المتاحة للبث في {country}: {count}' },
+        'plan.nothingNeeded': 'كل ما يمكن مشاهدته في {country} مجاني، لذا لا تحتاج إلى أي اشتراك.',
+        'plan.noneStreaming': 'لا تتضمن أي خدمة هذه العناوين في {country}.',
+        'plan.includes': 'تتضمن {titles}',
+        'plan.perMonth': '{price} شهريًا',
+        'plan.priceUnknown': 'السعر غير معروف',
+        'plan.total': 'الإجمالي: {price} شهريًا',
+        'plan.totalAtLeast': 'الإجمالي: {price} شهريًا على الأقل، لأن بعض الأسعار غير معروفة',
+        'plan.totalUnknown': 'الإجمالي: غير معروف، لأن الأسعار غير معروفة',
+        'plan.cheaperHeader': 'أرخص مع خدمات أكثر',
+        'plan.fewerHeader': 'مع خدمات أقل',
+        'plan.setLabel': { other: 'عدد الخدمات: {count}' },
+        'plan.coverage': { other: '{covered} من أصل {count}' },
+        'plan.uncovered': 'غير متضمنة: {titles}',
+        'plan.free': 'مجانية في {country}: {titles}.',
+        'plan.unavailable': 'لا تتضمنها أي خدمة في {country}: {titles}.',
+        'plan.approximate': 'عدد الخدمات كبير جدًا لتجربة كل الاحتمالات، لذا قد توجد مجموعة أصغر.',
+        'plan.pricesHeader': 'الأسعار الشهرية في {country}',
+        'plan.pricesHint': 'تُحفظ الأسعار على هذا الجهاز. عدّلها لتطابق اشتراكاتك أو امسح ما لا تعرفه.',
+        'plan.priceLabel': 'السعر الشهري لـ {provider}',
+        'export.label': 'تصدير',
+        'export.print': 'طباعة',
+        'export.downloaded': 'تم تنزيل الملف المُصدَّر.',
+        'export.offerType': 'العرض',
+        'export.provider': 'الخدمة',
+        'export.countries': 'الدول',
+        'export.available': 'متاح',
+        'export.printedOn': 'تم التصدير من StreamKey في {date}.',
+        'link.unknown': 'هذا الرابط ليس من موقع نعرفه. الصق رابطًا من IMDb أو TMDB أو TVDB أو JustWatch، أو ابحث بالاسم.',
+        'link.unsupported': 'روابط {site} لا تتضمن اسم العنوان، لذا لا يمكن البحث عنها. يُرجى البحث بالاسم بدلًا من ذلك.',
+        'link.notFound': 'لا يوجد في TMDB فيلم أو مسلسل بالمعرّف {id}.',
+        'link.noMatch': 'لا شيء في TMDB يطابق "{query}" من رابط {site}.'
+    }
+};
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+/**
+ * Picks the supported language closest to the browser's settings: an exact match first, then one with
+ * the same base language (e.g., 'es-MX' -> 'es-ES').
+ * @returns {string} A language code from SUPPORTED_LANGUAGES.
+ */
+function detectLanguage() {
+    const languages = navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language];
+    for (const language of languages) {
+        const exact = findSupportedLanguage(language);
+        if (exact) return exact;
+        const base = SUPPORTED_LANGUAGES.find(supported => getBaseLanguage(supported.code) === getBaseLanguage(language || ''));
+        if (base) return base.code;
+    }
+    return DEFAULT_LANGUAGE;
+}
+
+/**
+ * @param {string} code - A language code in any case (e.g., 'fr-fr').
+ * @returns {string|null} The matching code from SUPPORTED_LANGUAGES, or null if it isn't supported.
+ */
+function findSupportedLanguage(code) {
+    const match = SUPPORTED_LANGUAGES.find(supported => supported.code.toLowerCase() === String(code || '').toLowerCase());
+    return match ? match.code : null;
+}
+
+/**
+ * @param {string} code - A language code (e.g., 'pt-BR').
+ * @returns {string} Its lowercased base language (e.g., 'pt').
+ */
+function getBaseLanguage(code) {
+    return code.split(/[-_]/)[0].toLowerCase();
+}
+
+/**
+ * @returns {string} The current UI language code (e.g., 'en-US').
+ */
+function getLanguage() {
+    return currentLanguage;
+}
+
+/**
+ * @returns {boolean} Whether the current language is written right to left.
+ */
+function isRightToLeft() {
+    return RTL_LANGUAGES.includes(getBaseLanguage(currentLanguage));
+}
+
+/**
+ * Switches the UI language, sets the page's `lang` and `dir`, and translates the static text.
+ * Views rendered before the switch need to be rebuilt by the caller.
+ * @param {string} code - A language code; unsupported codes fall back to the detected language.
+ */
+function setLanguage(code) {
+    currentLanguage = findSupportedLanguage(code) || detectLanguage();
+    document.documentElement.lang = currentLanguage;
+    document.documentElement.dir = isRightToLeft() ? 'rtl' : 'ltr';
+    translatePage();
+}
+
+/**
+ * Translates a message into the current language.
+ * @param {string} key - The message key (e.g., 'search.resultsFor').
+ * @param {object} [params] - Values for the message's `{name}` placeholders. `count` also picks the plural form.
+ * @returns {string} The translated text, or the key itself if no catalog has it.
+ */
+function t(key, params = {}) {
+    const catalog = MESSAGES[getBaseLanguage(currentLanguage)] || {};
+    const message = key in catalog ? catalog[key] : MESSAGES.en[key];
+    if (message === undefined) return key;
+
+    let text = message;
+    if (typeof message === 'object') {
+        const category = new Intl.PluralRules(currentLanguage).select(params.count);
+        text = message[category] || message.other;
+    }
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (!(name in params)) return placeholder;
+        const value = params[name];
+        return typeof value === 'number' ? new Intl.NumberFormat(currentLanguage).format(value) : String(value);
+    });
+}
+
+/**
+ * Joins names into a list the way the current language does (e.g., 'Netflix, Max, Hulu').
+ * @param {string[]} items - The names to join.
+ * @returns {string} The list.
+ */
+function formatList(items) {
+    return new Intl.ListFormat(currentLanguage, { style: 'short', type: 'unit' }).format(items);
+}
+
+/**
+ * Compares two strings in the current language's alphabetical order, for use with sort.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} A negative, zero or positive number.
+ */
+function compareText(a, b) {
+    return a.localeCompare(b, currentLanguage);
+}
+
+/**
+ * Translates the static text in the page: the text of elements with `data-i18n`, and the placeholder and
+ * aria-label of elements with `data-i18n-placeholder` and `data-i18n-aria-label`.
+ */
+function translatePage() {
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+    });
+}
@@ -0,0 +1,244 @@
+// --- Subscription Optimizer ---
+// Picks the fewest streaming services that together include a list of titles in one country, and the best
+// coverage for each smaller number of services. Ties go to the cheaper set, using a monthly price table that
+// starts from DEFAULT_SERVICE_PRICES and is edited by the user, with their prices kept in localStorage.
+
+const PRICES_STORAGE_KEY = 'streamkey.prices';
+
+// The monthly list price of each big service's cheapest plan, by country and TMDB provider ID, in local currency.
+// Only a starting point: services change their prices often, and the user's own prices always win.
+const DEFAULT_SERVICE_PRICES = {
+    US: { 8: 7.99, 9: 8.99, 15: 9.99, 337: 9.99, 350: 9.99, 386: 7.99, 531: 7.99, 1899: 9.99 }
+};
+
+// Every combination is checked while there are at most this many services to choose from; above it,
+// services are picked one at a time by how many titles they add.
+const MAX_EXACT_CANDIDATES = 12;
+
+// The offer types that cost nothing on top of the title being listed, so they need no subscription.
+const FREE_OFFER_KEYS = ['free', 'ads'];
+
+/**
+ * Loads the prices the user has entered.
+ * @returns {object} Monthly prices keyed by country code and then provider ID; null means "unknown".
+ */
+function loadPriceTable() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PRICES_STORAGE_KEY));
+        return stored && typeof stored === 'object' ? stored : {};
+    } catch (error) {
+        // Storage is unavailable or holds invalid JSON, so only the default prices apply.
+        return {};
+    }
+}
+
+/**
+ * Saves the user's price for one service in one country.
+ * @param {string} country - The two-letter country code.
+ * @param {number} providerId - The TMDB provider ID.
+ * @param {number|null} price - The monthly price, or null if the user doesn't know it.
+ */
+function saveServicePrice(country, providerId, price) {
+    const table = loadPriceTable();
+    table[country] = { ...table[country], [providerId]: price };
+    try {
+        localStorage.setItem(PRICES_STORAGE_KEY, JSON.stringify(table));
+    } catch (error) {
+        console.error('Could not save the price:', error);
+    }
+}
+
+/**
+ * Looks up a service's monthly price, preferring the user's own price over the default one.
+ * @param {object} priceTable - The user's prices, from loadPriceTable.
+ * @param {string} country - The two-letter country code.
+ * @param {number} providerId - The TMDB provider ID.
+ * @returns {number|null} The price, or null if it is unknown.
+ */
+function getServicePrice(priceTable, country, providerId) {
+    const ownPrices = priceTable[country] || {};
+    if (providerId in ownPrices) return typeof ownPrices[providerId] === 'number' ? ownPrices[providerId] : null;
+    const defaultPrices = DEFAULT_SERVICE_PRICES[country] || {};
+    return providerId in defaultPrices ? defaultPrices[providerId] : null;
+}
+
+/**
+ * Works out which services to subscribe to so a list of titles can be streamed in a country.
+ * Titles that are free somewhere need no subscription, and titles no service includes can't be covered.
+ * The rest are covered with the fewest services; among sets of the same size, the one with fewer unknown
+ * prices and then the lower total wins.
+ * @param {string[]} titleKeys - The titles' keys (e.g. 'movie/603').
+ * @param {object} providersByKey - Each title's watch/providers `results`, keyed by title key.
+ * @param {string} country - The two-letter country code.
+ * @param {function(number): ?number} getPrice - Returns a provider's monthly price, or null if unknown.
+ * @returns {object} The plan:
+ * - `services`: every service that includes a title needing a subscription: `{ id, name, price, titles }`.
+ * - `free`: titles that are free to watch, with their free services' names: `{ key, providers }`.
+ * - `unavailable`: keys of titles that no service includes.
+ * - `needed`: keys of titles that need a subscription.
+ * - `sets`: the best set of each size, from one service up to the smallest set that includes every needed title:
+ *   `{ services, covered, uncovered, price, unknownPrices }`, where `price` sums the known prices.
+ * - `cheapest`: the cheapest set with every price known that includes every needed title, if it is cheaper
+ *   than the smallest one; otherwise null.
+ * - `exact`: false if there were too many services to check every combination.
+ */
+function planSubscriptions(titleKeys, providersByKey, country, getPrice) {
+    const free = [];
+    const unavailable = [];
+    const needed = [];
+    const services = new Map();
+
+    titleKeys.forEach(key => {
+        const offers = (providersByKey[key] || {})[country] || {};
+        const freeProviders = FREE_OFFER_KEYS.flatMap(offerKey => offers[offerKey] || []);
+        if (freeProviders.length > 0) {
+            free.push({ key, providers: Array.from(new Set(freeProviders.map(provider => provider.provider_name))) });
+            return;
+        }
+        if (!offers.flatrate || offers.flatrate.length === 0) {
+            unavailable.push(key);
+            return;
+        }
+        needed.push(key);
+        offers.flatrate.forEach(provider => {
+            if (!services.has(provider.provider_id)) {
+                services.set(provider.provider_id, { id: provider.provider_id, name: provider.provider_name, price: getPrice(provider.provider_id), titles: [] });
+            }
+            const service = services.get(provider.provider_id);
+            if (!service.titles.includes(key)) service.titles.push(key);
+        });
+    });
+
+    const allServices = Array.from(services.values());
+    const candidates = removeDominatedServices(allServices);
+    const exact = candidates.length <= MAX_EXACT_CANDIDATES;
+    const { sets, cheapest } = exact ? findBestSets(candidates, needed) : findGreedySets(candidates, needed);
+    return { services: allServices, free, unavailable, needed, sets, cheapest, exact };
+}
+
+/**
+ * Drops services that another service beats: it includes every one of their titles for the same or a lower price.
+ * A service with an unknown price only beats one whose price is also unknown.
+ * @param {Array<object>} services - The services, with `titles` and `price`.
+ * @returns {Array<object>} The remaining services, most titles first.
+ */
+function removeDominatedServices(services) {
+    const sorted = services.slice().sort((a, b) => b.titles.length - a.titles.length || comparePrices(a.price, b.price) || a.id - b.id);
+    const kept = [];
+    sorted.forEach(service => {
+        const isDominated = kept.some(other => (
+            service.titles.every(key => other.titles.includes(key))
+            && (other.price === null ? service.price === null : service.price === null || other.price <= service.price)
+        ));
+        if (!isDominated) kept.push(service);
+    });
+    return kept;
+}
+
+/**
+ * Checks every combination of services, smallest first, for the best set of each size and the cheapest complete set.
+ * @param {Array<object>} candidates - The services to choose from.
+ * @param {string[]} needed - The keys of the titles to cover.
+ * @returns {{sets: Array<object>, cheapest: object|null}} The best sets, as described in planSubscriptions.
+ */
+function findBestSets(candidates, needed) {
+    const sets = [];
+    let cheapest = null;
+    let smallestComplete = null;
+    // Past the smallest complete set, a cheaper complete set is only looked for among a few more services.
+    const maxSize = Math.min(candidates.length, needed.length);
+    for (let size = 1; size <= maxSize; size++) {
+        if (smallestComplete && size > smallestComplete.services.length + 2) break;
+        let best = null;
+        forEachCombination(candidates, size, combination => {
+            const set = describeSet(combination, needed);
+            if (!smallestComplete && (!best || compareSets(set, best) < 0)) best = set;
+            if (set.uncovered.length === 0 && set.unknownPrices === 0 && (!cheapest || set.price < cheapest.price)) cheapest = set;
+        });
+        if (!smallestComplete) {
+            if (!best) break;
+            sets.push(best);
+            if (best.uncovered.length === 0) smallestComplete = best;
+        }
+    }
+    const isCheaper = cheapest && smallestComplete && cheapest !== smallestComplete
+        && (smallestComplete.unknownPrices > 0 || cheapest.price < smallestComplete.price);
+    return { sets, cheapest: isCheaper ? cheapest : null };
+}
+
+/**
+ * Builds the sets by adding, one at a time, the service that includes the most titles not yet covered.
+ * @param {Array<object>} candidates - The services to choose from.
+ * @param {string[]} needed - The keys of the titles to cover.
+ * @returns {{sets: Array<object>, cheapest: null}} The sets, as described in planSubscriptions.
+ */
+function findGreedySets(candidates, needed) {
+    const sets = [];
+    const chosen = [];
+    let set = describeSet(chosen, needed);
+    while (set.uncovered.length > 0) {
+        const options = candidates
+            .filter(service => !chosen.includes(service))
+            .map(service => describeSet([...chosen, service], needed))
+            .sort(compareSets);
+        if (options.length === 0 || options[0].covered.length === set.covered.length) break;
+        set = options[0];
+        chosen.push(set.services[set.services.length - 1]);
+        sets.push(set);
+    }
+    return { sets, cheapest: null };
+}
+
+/**
+ * Calls back with every combination of `size` items, keeping the items' order.
+ * @param {Array} items - The items to combine.
+ * @param {number} size - The number of items in each combination.
+ * @param {function(Array)} callback - Called with each combination.
+ */
+function forEachCombination(items, size, callback) {
+    const combination = [];
+    const visit = (start) => {
+        if (combination.length === size) {
+            callback(combination.slice());
+            return;
+        }
+        for (let i = start; i <= items.length - (size - combination.length); i++) {
+            combination.push(items[i]);
+            visit(i + 1);
+            combination.pop();
+        }
+    };
+    visit(0);
+}
+
+/**
+ * Sums up what a set of services covers and costs.
+ * @param {Array<object>} services - The services in the set.
+ * @param {string[]} needed - The keys of the titles to cover.
+ * @returns {object} `{ services, covered, uncovered, price, unknownPrices }`.
+ */
+function describeSet(services, needed) {
+    const included = new Set(services.flatMap(service => service.titles));
+    return {
+        services,
+        covered: needed.filter(key => included.has(key)),
+        uncovered: needed.filter(key => !included.has(key)),
+        price: services.reduce((total, service) => total + (service.price || 0), 0),
+        unknownPrices: services.filter(service => service.price === null).length
+    };
+}
+
+/**
+ * Orders sets of the same size: most titles covered, then fewest unknown prices, then cheapest.
+ */
+function compareSets(a, b) {
+    return b.covered.length - a.covered.length || a.unknownPrices - b.unknownPrices || a.price - b.price;
+}
+
+/**
+ * Orders prices from cheapest to most expensive, with unknown prices last.
+ */
+function comparePrices(a, b) {
+    if (a === null || b === null) return (a === null) - (b === null);
+    return a - b;
+}
@@ -0,0 +1,47 @@
+// --- User Preferences ---
+// The user's language, home country and the streaming services they subscribe to, persisted in localStorage.
+
+const PREFERENCES_STORAGE_KEY = 'streamkey.preferences';
+
+/**
+ * Guesses the user's home country from the browser language settings (e.g., 'en-GB' -> 'GB').
+ * @returns {string|null} A two-letter country code, or null if no language names a region.
+ */
+function detectHomeCountry() {
+    const languages = navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language];
+    for (const language of languages) {
+        const match = /[-_]([a-z]{2})(?:[-_]|$)/i.exec(language || '');
+        if (match) return match[1].toUpperCase();
+    }
+    return null;
+}
+
+/**
+ * Loads the saved preferences, falling back to the browser's language, an auto-detected home country and no services.
+ * @returns {{language: string, homeCountry: string|null, services: number[]}} The user's preferences.
+ */
+function loadPreferences() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(PREFERENCES_STORAGE_KEY)) || {};
+    } catch (error) {
+        // Storage is unavailable or holds invalid JSON, so start from the defaults.
+    }
+    return {
+        language: findSupportedLanguage(stored.language) || detectLanguage(),
+        homeCountry: stored.homeCountry || detectHomeCountry(),
+        services: Array.isArray(stored.services) ? stored.services : []
+    };
+}
+
+/**
+ * Saves the preferences to localStorage.
+ * @param {{language: string, homeCountry: string|null, services: number[]}} preferences - The preferences to persist.
+ */
+function savePreferences(preferences) {
+    try {
+        localStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify(preferences));
+    } catch (error) {
+        console.error('Could not save preferences:', error);
+    }
+}
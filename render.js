@@ -0,0 +1,95 @@
+// --- Safe Rendering ---
+// Every view builds its markup with the `html` tag, which escapes interpolated values by default, and puts
+// it on the page with setHtml or appendHtml, which only accept markup made that way. Titles, provider names,
+// scraped data and the user's query therefore always render as plain text.
+
+/**
+ * Markup that is known to be safe: built by the `html` tag from escaped values.
+ */
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+
+/**
+ * Escapes text for use in HTML content or in a quoted attribute value.
+ * @param {*} value - The value to escape; null and undefined become an empty string.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(value) {
+    return String(value == null ? '' : value).replace(/[&<>"'`]/g, character => HTML_ESCAPES[character]);
+}
+
+/**
+ * Tagged template for markup: html`<p>${text}</p>`. Interpolated values are escaped unless they are SafeHtml
+ * (e.g. another html`` result); arrays are rendered item by item, so lists can be built with `map`.
+ * Attribute values must be quoted, and URLs from data must go through safeUrl.
+ * @returns {SafeHtml} The markup.
+ */
+function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((markup, string, index) => markup + renderValue(values[index - 1]) + string));
+}
+
+/**
+ * Renders one interpolated value of the `html` tag.
+ * @param {*} value - The value.
+ * @returns {string} The escaped text or the safe markup.
+ */
+function renderValue(value) {
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    return escapeHtml(value);
+}
+
+/**
+ * Checks that a URL from data is a web link, so it can't run script when used as an href or src.
+ * @param {string} url - The URL.
+ * @param {string} [fallback='#'] - What to use instead if the URL isn't http(s).
+ * @returns {string} The URL or the fallback.
+ */
+function safeUrl(url, fallback = '#') {
+    try {
+        const parsed = new URL(url, location.href);
+        return parsed.protocol === 'https:' || parsed.protocol === 'http:' ? parsed.href : fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+/**
+ * Replaces an element's content with markup from the `html` tag.
+ * @param {Element} element - The element to fill.
+ * @param {SafeHtml} markup - The markup.
+ * @throws {TypeError} If the markup is a plain string, so unescaped HTML can't slip through.
+ */
+function setHtml(element, markup) {
+    element.innerHTML = assertSafeHtml(markup);
+}
+
+/**
+ * Adds markup from the `html` tag to the end of an element's content, leaving existing children (and their listeners) alone.
+ * @param {Element} element - The element to add to.
+ * @param {SafeHtml} markup - The markup.
+ * @throws {TypeError} If the markup is a plain string.
+ */
+function appendHtml(element, markup) {
+    element.insertAdjacentHTML('beforeend', assertSafeHtml(markup));
+}
+
+/**
+ * @param {SafeHtml} markup - The markup to check.
+ * @returns {string} The markup as a string.
+ */
+function assertSafeHtml(markup) {
+    if (!(markup instanceof SafeHtml)) {
+        throw new TypeError('Markup must be built with the html tag.');
+    }
+    return markup.value;
+}
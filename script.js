@@ -4,78 +4,441 @@ const resultsContainer = document.getElementById('results');
 const loader = document.getElementById('loader');
 const searchButton = document.getElementById('search-button');
 const autocompleteContainer = document.getElementById('autocomplete');
+const homeCountrySelect = document.getElementById('home-country');
+const statusRegion = document.getElementById('status');
+const watchlistButton = document.getElementById('watchlist-button');
+const browseButton = document.getElementById('browse-button');
+const compareButton = document.getElementById('compare-button');
+const languageSelect = document.getElementById('language');
 
-// A list of countries that have a dedicated JustWatch page, used to determine if we can show links.
-const JUSTWATCH_SUPPORTED_COUNTRIES = [
-    'AR', 'AU', 'AT', 'BE', 'BR', 'CA', 'CL', 'CO', 'CZ', 'DK', 'EC', 'EE', 'FI', 'FR', 'DE', 'GR', 'GT', 'HK', 'HU', 'IS', 'IN', 'ID', 'IE', 'IL', 'IT', 'JP', 'LV', 'LT', 'MY', 'MX', 'NL', 'NZ', 'NO', 'PA', 'PE', 'PH', 'PL', 'PT', 'RO', 'RU', 'SA', 'SG', 'SK', 'ZA', 'KR', 'ES', 'SE', 'CH', 'TW', 'TH', 'TR', 'UA', 'AE', 'GB', 'US'
+// The offer types returned by TMDB's watch/providers endpoint, in display order.
+// `scrapeKey` is the matching section name in the scraped quality info; `labelKey` names the label's message.
+const OFFER_TYPES = [
+    { key: 'flatrate', scrapeKey: 'stream', labelKey: 'offer.stream' },
+    { key: 'free', scrapeKey: 'free', labelKey: 'offer.free' },
+    { key: 'ads', scrapeKey: 'ads', labelKey: 'offer.ads' },
+    { key: 'rent', scrapeKey: 'rent', labelKey: 'offer.rent' },
+    { key: 'buy', scrapeKey: 'buy', labelKey: 'offer.buy' }
 ];
 
 let debounceTimer;
 let selectedContent = null;
+// The index of the highlighted autocomplete option for keyboard navigation, or -1 if none.
+let activeOptionIndex = -1;
+// Gives every country dropdown a unique id for aria-controls.
+let dropdownIdCounter = 0;
+let preferences = loadPreferences();
+setLanguage(preferences.language);
+// The arguments of the last displayResults call, so the view can be re-rendered when preferences change.
+let currentResults = null;
+// The batch-scraped watch pages for the displayed title: { key: 'movie/603', results: { US: {...} } | null }.
+// While batches are still loading, `results` only has the countries loaded so far.
+let watchPages = null;
+
+// Set while the view is being rebuilt from the URL, so it isn't pushed onto the history again.
+let isRestoringRoute = false;
+
+// Autocomplete stays quiet until this time (ms) after the API reports too many requests.
+let autocompletePausedUntil = 0;
+
+// TV season lists and per-season providers, keyed by 'tvId' and 'tvId/seasonNumber', so re-renders don't refetch them.
+const seasonListCache = new Map();
+const seasonProvidersCache = new Map();
+
+// Title details (with the extras below) and the providers of titles other than the displayed one, keyed by 'movie/603'.
+const titleDetailsCache = new Map();
+const titleProvidersCache = new Map();
+
+// The extras requested with a title's details for the detail panel and the recommendations row.
+const DETAIL_APPENDS = 'credits,videos,recommendations,similar';
+const MAX_CAST = 6;
+const MAX_RECOMMENDATIONS = 10;
+
+// Browse mode's option lists, keyed by endpoint and parameters.
+const browseOptionsCache = new Map();
+// The minimum ratings offered by browse mode's rating filter, and the votes a title needs to count.
+const BROWSE_MIN_RATINGS = [5, 6, 7, 8];
+const BROWSE_MIN_VOTES = 50;
+
+// Quality badges are always shown best first.
+const QUALITY_ORDER = ['4K', 'HD', 'SD'];
+
+// When each API response served from the service worker's cache was stored, keyed by the parsed response.
+const cachedResponseTimes = new WeakMap();
+
+// A scraped watch page with no data, used when scraping fails.
+const EMPTY_WATCH_PAGE = { justWatchUrl: null, providersInfo: {}, offers: [] };
+
+// The most countries requested in one batch of watch pages; matches MAX_BATCH_LOCALES in api/shared/validation.js.
+// Titles offered in more countries are loaded in several batches, one after another.
+const WATCH_PAGE_BATCH_SIZE = 25;
+
+// Failed API requests that may succeed later are retried this many times, waiting API_RETRY_DELAY_MS
+// before the first retry and twice as long before each one after it.
+const API_MAX_RETRIES = 2;
+const API_RETRY_DELAY_MS = 500;
+
+// How long a downloaded file's object URL is kept before it is revoked.
+const DOWNLOAD_URL_LIFETIME_MS = 60 * 1000;
+
+// The message shown for each API error code; other codes get 'error.unexpected'.
+const API_ERROR_MESSAGES = {
+    offline: 'error.offline',
+    network_error: 'error.upstreamDown',
+    not_found: 'error.notFound',
+    upstream_unavailable: 'error.upstreamDown',
+    upstream_rate_limited: 'error.upstreamBusy'
+};
+
+// Cancels the autocomplete request in flight once a newer one starts.
+let autocompleteController = null;
+
+// The countries that have a dedicated JustWatch page, used to determine if we can show links.
+// Loaded once from the regions function; null until then, or if it couldn't be loaded.
+let justWatchCountries = null;
+let justWatchCountriesRequest = null;
+
+// The countries the home country picker offers until the regions function has answered, or if it can't be reached.
+const FALLBACK_HOME_COUNTRIES = [
+    'AR', 'AU', 'AT', 'BE', 'BR', 'CA', 'CL', 'CO', 'CZ', 'DK', 'EC', 'EE', 'FI', 'FR', 'DE', 'GR', 'GT', 'HK', 'HU', 'IS', 'IN', 'ID', 'IE', 'IL', 'IT', 'JP', 'LV', 'LT', 'MY', 'MX', 'NL', 'NZ', 'NO', 'PA', 'PE', 'PH', 'PL', 'PT', 'RO', 'RU', 'SA', 'SG', 'SK', 'ZA', 'KR', 'ES', 'SE', 'CH', 'TW', 'TH', 'TR', 'UA', 'AE', 'GB', 'US'
+];
 
 /**
  * Calls our secure Azure Function to scrape the TMDB watch page.
- * This function gets the JustWatch link and the streaming quality info.
+ * This function gets the JustWatch link and every offer with its quality, price and deep link.
  * @param {string} tmdbWatchUrl - The URL of the TMDB page to scrape.
- * @returns {Promise<object>} An object with the justWatchUrl and providersInfo.
+ * @returns {Promise<object>} An object with the justWatchUrl, providersInfo and offers. If the request failed,
+ * the data is empty and `error` holds the ApiError, with `rateLimited: true` if the function asked us to slow down
+ * or `parseFailed: true` if it couldn't read the page.
  */
 async function scrapeTmdbWatchPage(tmdbWatchUrl) {
     // The endpoint name 'tmdb' matches the folder name in /api/tmdb/
     const functionUrl = `/api/tmdb?url=${encodeURIComponent(tmdbWatchUrl)}`;
     try {
-        const response = await fetch(functionUrl);
-        if (!response.ok) return { justWatchUrl: null, providersInfo: {} };
-        const data = await response.json();
+        const { data } = await requestApi(functionUrl);
         return data;
     } catch (error) {
         console.error('Error scraping TMDB watch page:', error);
-        return { justWatchUrl: null, providersInfo: {} };
+        return { ...EMPTY_WATCH_PAGE, error, rateLimited: error.status === 429, parseFailed: error.code === 'parse_failed' };
+    }
+}
+
+/**
+ * Calls the batch Azure Function to scrape a title's TMDB watch pages for many countries at once.
+ * @param {string} mediaType - 'movie' or 'tv'.
+ * @param {number} tmdbId - The TMDB ID of the title.
+ * @param {string[]} locales - The two-letter country codes to scrape.
+ * @returns {Promise<object|null>} The scraped pages keyed by country code, or null if the request failed.
+ * Pages that couldn't be parsed are included with `parseFailed: true`.
+ */
+async function fetchWatchPages(mediaType, tmdbId, locales) {
+    const params = new URLSearchParams({ type: mediaType, id: tmdbId, locales: locales.join(',') });
+    try {
+        const { data } = await requestApi(`/api/watch-pages?${params}`);
+        // Pages that can't be fetched or read again are final; other failures are left for a retry when their dropdown opens.
+        const results = { ...data.results };
+        Object.entries(data.errors || {}).forEach(([locale, error]) => {
+            if (error.code === 'parse_failed') results[locale] = { ...EMPTY_WATCH_PAGE, parseFailed: true };
+            else if (error.retryable === false) results[locale] = { ...EMPTY_WATCH_PAGE };
+        });
+        return results;
+    } catch (error) {
+        console.error('Error scraping TMDB watch pages:', error);
+        return null;
     }
 }
 
 /**
  * A helper function to call our secure Azure Function for TMDB API requests.
+ * Every request asks for the user's language, so titles and overviews come back localized.
+ * Responses the service worker answered from its cache are recorded for getCachedAt.
  * @param {string} endpoint - The TMDB API endpoint path (e.g., 'search/multi').
  * @param {object} params - An object of query parameters.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request, e.g. when its result is no longer needed.
  * @returns {Promise<object>} The JSON response from the API.
+ * @throws {ApiError} If the request failed, after any retries.
  */
-async function callApi(endpoint, params) {
-    const queryString = new URLSearchParams(params).toString();
+async function callApi(endpoint, params, { signal } = {}) {
+    const queryString = new URLSearchParams({ ...params, language: getLanguage() }).toString();
     // The endpoint name 'tmdb' matches the folder name in /api/tmdb/
-    const response = await fetch(`/api/tmdb?endpoint=${endpoint}&${queryString}`);
-    if (!response.ok) {
-        throw new Error(`API call failed for endpoint: ${endpoint}`);
+    const { response, data } = await requestApi(`/api/tmdb?endpoint=${endpoint}&${queryString}`, { signal });
+    const cachedAt = Number(response.headers.get('X-Cached-At'));
+    if (cachedAt) cachedResponseTimes.set(data, cachedAt);
+    return data;
+}
+
+/**
+ * Loads the countries that have a JustWatch page from the regions function, once per page load.
+ * A failed request is tried again the next time a title is opened.
+ * @returns {Promise<Set<string>|null>} The country codes, or null if they couldn't be loaded.
+ */
+function loadJustWatchCountries() {
+    if (!justWatchCountriesRequest) {
+        justWatchCountriesRequest = requestApi('/api/regions')
+            .then(({ data }) => {
+                justWatchCountries = new Set(data.regions.filter(region => region.justWatch).map(region => region.code));
+                return justWatchCountries;
+            })
+            .catch(error => {
+                console.error('Error loading the JustWatch countries:', error);
+                justWatchCountriesRequest = null;
+                return null;
+            });
     }
-    return response.json();
+    return justWatchCountriesRequest;
+}
+
+/**
+ * Tells whether a country's tags should open a dropdown of JustWatch links.
+ * Without the country list every country gets a dropdown, which says so if its page has no link.
+ * @param {string} code - The two-letter country code.
+ * @returns {boolean}
+ */
+function isJustWatchCountry(code) {
+    return justWatchCountries ? justWatchCountries.has(code) : true;
+}
+
+/**
+ * A failed request to one of our Azure Functions, with a message for the user and the function's error envelope.
+ */
+class ApiError extends Error {
+    /**
+     * @param {object} details
+     * @param {string} details.code - The envelope's error code, or 'offline' / 'network_error' if there was no response.
+     * @param {number|null} [details.status] - The HTTP status, if there was a response.
+     * @param {boolean} [details.retryable] - Whether the same request may succeed later.
+     * @param {number|null} [details.upstreamStatus] - TMDB's status, if the error came from TMDB.
+     * @param {number|null} [details.retryAfter] - For 429 responses, the seconds to wait before trying again.
+     */
+    constructor({ code, status = null, retryable = false, upstreamStatus = null, retryAfter = null }) {
+        super(getErrorMessage(code, retryAfter));
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = status;
+        this.retryable = retryable;
+        this.upstreamStatus = upstreamStatus;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Requests one of our Azure Functions and parses its JSON response. Retryable failures are retried with
+ * exponential backoff, except 429s from the function's own rate limit, which tell the user how long to wait instead.
+ * @param {string} url - The function URL with its query string.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request and any retry still waiting.
+ * @returns {Promise<{response: Response, data: object}>} The response and its parsed body.
+ * @throws {ApiError} If the request failed, after any retries.
+ * @throws {DOMException} An AbortError if the request was cancelled.
+ */
+async function requestApi(url, { signal } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await requestApiOnce(url, signal);
+        } catch (error) {
+            if (error.name === 'AbortError' || !error.retryable || error.status === 429 || attempt >= API_MAX_RETRIES) throw error;
+            await waitFor(API_RETRY_DELAY_MS * 2 ** attempt, signal);
+        }
+    }
+}
+
+/**
+ * Makes a single request for requestApi, turning failures into ApiErrors.
+ * @param {string} url - The function URL with its query string.
+ * @param {AbortSignal} [signal] - Cancels the request.
+ * @returns {Promise<{response: Response, data: object}>} The response and its parsed body.
+ */
+async function requestApiOnce(url, signal) {
+    let response;
+    try {
+        response = await fetch(url, { signal });
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        // Offline, the service worker had no saved copy; online, the request never got an answer.
+        throw new ApiError(navigator.onLine ? { code: 'network_error', retryable: true } : { code: 'offline' });
+    }
+    if (response.ok) return { response, data: await response.json() };
+
+    const body = await response.json().catch(() => ({}));
+    const envelope = (body && body.error) || {};
+    throw new ApiError({
+        code: envelope.code || 'http_error',
+        status: response.status,
+        retryable: typeof envelope.retryable === 'boolean' ? envelope.retryable : response.status >= 500,
+        upstreamStatus: envelope.upstreamStatus || null,
+        retryAfter: response.status === 429 ? getRetryAfter(response) : null
+    });
+}
+
+/**
+ * Builds the user-facing message for an API error code.
+ * @param {string} code - The error code.
+ * @param {number|null} retryAfter - For rate limits, the seconds to wait.
+ * @returns {string} The message, in the UI language.
+ */
+function getErrorMessage(code, retryAfter) {
+    if (code === 'rate_limited') return t('error.rateLimited', { count: retryAfter });
+    return t(API_ERROR_MESSAGES[code] || 'error.unexpected');
+}
+
+/**
+ * Waits before a retry.
+ * @param {number} ms - The delay in milliseconds.
+ * @param {AbortSignal} [signal] - Cuts the wait short with an AbortError.
+ * @returns {Promise<void>}
+ */
+function waitFor(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('The request was cancelled.', 'AbortError'));
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Tells when an API response was stored by the service worker.
+ * @param {object} data - A response returned by callApi.
+ * @returns {number|null} The time in milliseconds, or null if the response came straight from the network.
+ */
+function getCachedAt(data) {
+    return cachedResponseTimes.get(data) || null;
+}
+
+/**
+ * Creates the notice shown above results that came from the service worker's cache.
+ * @param {number|null} cachedAt - When the data was stored, from getCachedAt.
+ * @returns {SafeHtml|string} The notice's markup, or an empty string for fresh data.
+ */
+function createCachedNotice(cachedAt) {
+    if (!cachedAt) return '';
+    const age = formatAge(cachedAt);
+    const text = t(navigator.onLine ? 'cached.updating' : 'cached.offline', { age });
+    return html`<p class="cached-notice">${text}</p>`;
+}
+
+/**
+ * Reads the number of seconds to wait from a 429 response's Retry-After header.
+ * @param {Response} response - The rate-limited response.
+ * @returns {number} The delay in seconds, defaulting to 5 if the header is missing.
+ */
+function getRetryAfter(response) {
+    const seconds = parseInt(response.headers.get('Retry-After'), 10);
+    return seconds > 0 ? seconds : 5;
 }
 
 // --- Event Listeners ---
 
+populateLanguageSelect();
+populateHomeCountrySelect();
+loadJustWatchCountries().then(countries => {
+    if (countries) populateHomeCountrySelect();
+});
+
+// Printing a title's results prints its report instead of the interactive view.
+window.addEventListener('beforeprint', addPrintReport);
+window.addEventListener('afterprint', removePrintReport);
+
+// Save the home country and re-sort the current results around it.
+homeCountrySelect.addEventListener('change', () => {
+    preferences.homeCountry = homeCountrySelect.value || null;
+    savePreferences(preferences);
+    refreshResults();
+});
+
+// Switch the UI language and rebuild the current view, refetching its titles in the new language.
+languageSelect.addEventListener('change', () => {
+    preferences.language = languageSelect.value;
+    savePreferences(preferences);
+    setLanguage(preferences.language);
+    populateHomeCountrySelect();
+    seasonListCache.clear();
+    titleDetailsCache.clear();
+    browseOptionsCache.clear();
+    restoreRoute();
+});
+
 // Listen for input in the search bar to show autocomplete suggestions.
 input.addEventListener('input', (e) => {
     const query = e.target.value.trim();
     clearTimeout(debounceTimer);
-    if (query.length < 2) {
-        autocompleteContainer.style.display = 'none';
+    // IDs and links have nothing to suggest; they are looked up when the form is submitted.
+    if (query.length < 2 || parseTitleReference(query)) {
+        closeAutocomplete();
         return;
     }
+    // Back off while the API is rate limiting us; the paused message stays visible.
+    if (Date.now() < autocompletePausedUntil) return;
     // Debounce to avoid sending too many requests while typing.
     debounceTimer = setTimeout(() => fetchAutocomplete(query), 300);
 });
 
+// Keyboard support for the autocomplete combobox: arrows move through the options, Enter picks one, Escape closes.
+input.addEventListener('keydown', (e) => {
+    const options = autocompleteContainer.querySelectorAll('[role="option"]');
+    const isOpen = input.getAttribute('aria-expanded') === 'true';
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        if (options.length === 0) return;
+        e.preventDefault();
+        if (!isOpen) openAutocomplete();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setActiveOption((activeOptionIndex + step + options.length) % options.length);
+    } else if (e.key === 'Enter' && isOpen && activeOptionIndex >= 0) {
+        e.preventDefault();
+        options[activeOptionIndex].click();
+    } else if (e.key === 'Escape' && isOpen) {
+        e.preventDefault();
+        closeAutocomplete();
+    }
+});
+
 // Close autocomplete when clicking outside the search form.
 document.addEventListener('click', (e) => {
     if (!form.contains(e.target)) {
-        autocompleteContainer.style.display = 'none';
+        closeAutocomplete();
     }
     // Also close any open country dropdowns.
     const openDropdown = document.querySelector('.country-dropdown.show');
     if (openDropdown && !openDropdown.parentElement.contains(e.target)) {
-        openDropdown.classList.remove('show');
-        openDropdown.parentElement.classList.remove('z-boost');
+        closeCountryDropdowns();
     }
 });
 
+// Open the watchlist view.
+watchlistButton.addEventListener('click', async () => {
+    pushRoute('/watchlist');
+    closeAutocomplete();
+    loader.style.display = 'block';
+    try {
+        await showWatchlist();
+    } finally {
+        loader.style.display = 'none';
+        focusResults();
+    }
+});
+
+// Open browse mode, starting from the home country.
+browseButton.addEventListener('click', () => {
+    closeAutocomplete();
+    showBrowse({ mediaType: 'movie' });
+});
+
+// Open the comparison of the titles the user has added, in their home country.
+compareButton.addEventListener('click', () => {
+    closeAutocomplete();
+    showCompare();
+});
+
+// Rebuild the view when the user navigates with the back and forward buttons.
+window.addEventListener('popstate', restoreRoute);
+
 // Handle the main form submission.
 form.addEventListener('submit', async (event) => {
     event.preventDefault();
@@ -85,25 +448,30 @@ form.addEventListener('submit', async (event) => {
     // --- MODIFIED: Disable scrolling when a new search starts ---
     document.body.classList.remove('results-visible');
 
-    autocompleteContainer.style.display = 'none';
-    resultsContainer.innerHTML = '';
+    closeAutocomplete();
+    resultsContainer.replaceChildren();
     loader.style.display = 'block';
     searchButton.disabled = true;
+    announce(t('search.searching'));
 
     try {
         if (selectedContent) {
             // If a user clicked an autocomplete suggestion, use that specific content.
             await fetchContentDetails(selectedContent);
             selectedContent = null; // Reset for the next search.
+        } else if (parseTitleReference(query)) {
+            // A pasted ID or link is looked up instead of searched for.
+            await openTitleReference(parseTitleReference(query));
         } else {
             // Otherwise, perform a general search.
             await searchContent(query);
         }
     } catch (error) {
-        resultsContainer.innerHTML = `<p class="error-message">${error.message}</p>`;
+        setHtml(resultsContainer, html`<p class="error-message">${error.message}</p>`);
     } finally {
         loader.style.display = 'none';
         searchButton.disabled = false;
+        focusResults();
     }
 });
 
@@ -115,11 +483,25 @@ form.addEventListener('submit', async (event) => {
  * @param {string} query - The search term.
  */
 async function fetchAutocomplete(query) {
+    // Only the latest query's suggestions matter, so stop waiting for the previous ones.
+    if (autocompleteController) autocompleteController.abort();
+    const controller = new AbortController();
+    autocompleteController = controller;
     try {
-        const data = await callApi('search/multi', { query, include_adult: false, language: 'en-US', page: 1 });
+        const data = await callApi('search/multi', { query, include_adult: false, page: 1 }, { signal: controller.signal });
         displayAutocomplete(data.results.slice(0, 8)); // Show top 8 results.
     } catch (error) {
+        if (error.name === 'AbortError') return;
+        if (error.status === 429) {
+            // Typing doesn't send requests until the wait is over, and the message says how long that is.
+            autocompletePausedUntil = Date.now() + error.retryAfter * 1000;
+            setHtml(autocompleteContainer, html`<div class="autocomplete-message" role="presentation">${error.message}</div>`);
+            openAutocomplete();
+            return;
+        }
         console.error('Autocomplete error:', error);
+    } finally {
+        if (autocompleteController === controller) autocompleteController = null;
     }
 }
 
@@ -128,56 +510,341 @@ async function fetchAutocomplete(query) {
  * @param {Array} results - An array of movie/TV show objects.
  */
 function displayAutocomplete(results) {
-    if (!results || results.length === 0) {
-        autocompleteContainer.style.display = 'none';
+    const items = (results || []).filter(item => item.media_type === 'movie' || item.media_type === 'tv');
+    if (items.length === 0) {
+        closeAutocomplete();
         return;
     }
-    autocompleteContainer.innerHTML = '';
-    results.forEach(item => {
-        if (item.media_type !== 'movie' && item.media_type !== 'tv') return;
-
+    autocompleteContainer.replaceChildren();
+    activeOptionIndex = -1;
+    input.removeAttribute('aria-activedescendant');
+    items.forEach((item, index) => {
         const title = item.title || item.name;
         const year = item.release_date || item.first_air_date;
-        const yearStr = year ? new Date(year).getFullYear() : 'N/A';
-        const mediaType = item.media_type === 'movie' ? 'Movie' : 'TV Show';
+        const yearStr = year ? new Date(year).getFullYear() : t('common.notAvailable');
+        const mediaType = t(item.media_type === 'movie' ? 'media.movie' : 'media.tv');
         const posterPath = item.poster_path
             ? `https://image.tmdb.org/t/p/w92${item.poster_path}`
             : 'https://placehold.co/40x60/333/FFF?text=?'; // Placeholder image
 
         const div = document.createElement('div');
         div.className = 'autocomplete-item';
-        div.innerHTML = `
-            <img src="${posterPath}" alt="${title}" class="autocomplete-poster">
+        div.id = `autocomplete-option-${index}`;
+        div.setAttribute('role', 'option');
+        div.setAttribute('aria-selected', 'false');
+        setHtml(div, html`
+            <img src="${posterPath}" alt="" class="autocomplete-poster">
             <div class="autocomplete-info">
                 <div class="autocomplete-title">${title}</div>
                 <div class="autocomplete-meta">${yearStr} • ${mediaType}</div>
             </div>
-        `;
+        `);
         // When an item is clicked, fill the input and trigger a form submit.
         div.addEventListener('click', (e) => {
             e.preventDefault();
             e.stopPropagation();
             selectedContent = item;
             input.value = title;
-            autocompleteContainer.style.display = 'none';
+            closeAutocomplete();
             searchButton.click(); // Programmatically click the search button.
         });
+        div.addEventListener('mousemove', () => setActiveOption(index));
         autocompleteContainer.appendChild(div);
     });
+    openAutocomplete();
+    announce(t('autocomplete.available', { count: items.length }));
+}
+
+/**
+ * Shows the autocomplete listbox and marks the combobox as expanded.
+ */
+function openAutocomplete() {
     autocompleteContainer.style.display = 'block';
+    input.setAttribute('aria-expanded', 'true');
+}
+
+/**
+ * Hides the autocomplete listbox and clears the highlighted option.
+ */
+function closeAutocomplete() {
+    // Suggestions still on their way would open the listbox again.
+    if (autocompleteController) autocompleteController.abort();
+    autocompleteContainer.style.display = 'none';
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+    activeOptionIndex = -1;
+    autocompleteContainer.querySelectorAll('[aria-selected="true"]').forEach(option => option.setAttribute('aria-selected', 'false'));
+}
+
+/**
+ * Highlights an autocomplete option and points the combobox's active descendant at it.
+ * @param {number} index - The index of the option to highlight.
+ */
+function setActiveOption(index) {
+    const options = autocompleteContainer.querySelectorAll('[role="option"]');
+    options.forEach((option, i) => option.setAttribute('aria-selected', String(i === index)));
+    activeOptionIndex = index;
+    input.setAttribute('aria-activedescendant', options[index].id);
+    options[index].scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Reads a message to screen reader users through the polite live region.
+ * @param {string} message - The message to announce.
+ */
+function announce(message) {
+    // Clear first so repeating the same message is still announced.
+    statusRegion.textContent = '';
+    setTimeout(() => { statusRegion.textContent = message; }, 50);
+}
+
+/**
+ * Moves keyboard focus to the heading (or error) of the newly rendered results.
+ */
+function focusResults() {
+    // Leave focus alone if something in the results (e.g., a restored country dropdown) already has it.
+    if (resultsContainer.contains(document.activeElement)) return;
+    const heading = resultsContainer.querySelector('.title-name, .search-header, .error-message');
+    if (!heading) return;
+    heading.setAttribute('tabindex', '-1');
+    heading.focus();
 }
 
 /**
- * Performs a general search and gets details for the top result.
+ * Performs a general search. Goes straight to the details when there is one unambiguous match,
+ * otherwise shows a grid of results to choose from.
  * @param {string} query - The search term.
  */
 async function searchContent(query) {
-    const searchData = await callApi('search/multi', { query, include_adult: false, language: 'en-US', page: 1 });
-    if (!searchData.results || searchData.results.length === 0) {
-        resultsContainer.innerHTML = `<p class="error-message">Could not find any results for "${query}".</p>`;
+    const search = { query, page: 1, mediaType: 'all', yearFrom: null, yearTo: null };
+    const searchPage = await fetchSearchPage(search);
+    if (searchPage.items.length === 0) {
+        setHtml(resultsContainer, html`<p class="error-message">${t('search.noResults', { query })}</p>`);
+        return;
+    }
+
+    const match = findUniqueMatch(query, searchPage);
+    if (match) {
+        await fetchContentDetails(match);
+    } else {
+        displaySearchResults(search, searchPage);
+        pushRoute(`/?${new URLSearchParams({ q: query })}`);
+    }
+}
+
+/**
+ * Opens the title an ID or link pasted into the search box points to (see parseTitleReference).
+ * Links that only name the title are searched for by that name.
+ * @param {object} reference - The reference from parseTitleReference.
+ * @throws {Error} With a message for the user if the link can't be resolved.
+ */
+async function openTitleReference(reference) {
+    if (reference.kind === 'unknown') throw new Error(t('link.unknown'));
+    if (reference.kind === 'unsupported') throw new Error(t('link.unsupported', { site: reference.site }));
+    if (reference.kind === 'search') {
+        await searchLinkedTitle(reference);
         return;
     }
-    await fetchContentDetails(searchData.results[0]);
+
+    let title = reference;
+    if (reference.kind === 'external') {
+        title = pickFoundTitle(await callApi(`find/${reference.id}`, { external_source: reference.source }));
+        if (!title) throw new Error(t('link.notFound', { id: reference.id }));
+    }
+    const details = await fetchTitleDetails(title.mediaType, title.id);
+    input.value = details.title || details.name;
+    await fetchContentDetails({ ...details, media_type: title.mediaType });
+}
+
+/**
+ * Searches for the title a link names, opening it if the match is clear and showing the results otherwise.
+ * A year at the end of a slug is usually the release year, but may belong to the name ('wonder-woman-1984'),
+ * so the search is tried again with the year as part of the name if nothing was released that year.
+ * @param {object} reference - A 'search' reference from parseTitleReference.
+ * @throws {Error} With a message for the user if nothing matches.
+ */
+async function searchLinkedTitle(reference) {
+    const mediaType = reference.mediaType || 'all';
+    let search = { query: reference.query, page: 1, mediaType, yearFrom: reference.year, yearTo: reference.year };
+    let searchPage = await fetchSearchPage(search);
+    if (searchPage.items.length === 0 && reference.year) {
+        search = { query: `${reference.query} ${reference.year}`, page: 1, mediaType, yearFrom: null, yearTo: null };
+        searchPage = await fetchSearchPage(search);
+    }
+    input.value = search.query;
+    if (searchPage.items.length === 0) throw new Error(t('link.noMatch', { site: reference.site, query: search.query }));
+
+    const match = findLinkedTitle({ ...reference, query: search.query }, searchPage.items);
+    if (match) {
+        input.value = match.title || match.name;
+        await fetchContentDetails(match);
+    } else {
+        displaySearchResults(search, searchPage);
+        pushRoute(`/?${new URLSearchParams({ q: search.query })}`);
+    }
+}
+
+/**
+ * Fetches one page of search results, limited to movies and TV shows and to the search's year range.
+ * Uses search/movie or search/tv when a media type is selected, so pages only contain that type.
+ * @param {object} search - The search state: query, page, mediaType ('all', 'movie' or 'tv'), yearFrom and yearTo.
+ * @returns {Promise<object>} An object with the page's items, the page number, the total number of pages
+ * and when the page was cached (null if it's fresh).
+ */
+async function fetchSearchPage(search) {
+    const endpoint = search.mediaType === 'all' ? 'search/multi' : `search/${search.mediaType}`;
+    const searchData = await callApi(endpoint, { query: search.query, include_adult: false, page: search.page });
+
+    const items = (searchData.results || [])
+        .map(item => (search.mediaType === 'all' ? item : { ...item, media_type: search.mediaType }))
+        .filter(item => item.media_type === 'movie' || item.media_type === 'tv')
+        .filter(item => {
+            if (!search.yearFrom && !search.yearTo) return true;
+            const releaseDate = item.release_date || item.first_air_date;
+            if (!releaseDate) return false;
+            const year = new Date(releaseDate).getFullYear();
+            return (!search.yearFrom || year >= search.yearFrom) && (!search.yearTo || year <= search.yearTo);
+        });
+
+    return { items, page: searchData.page || search.page, totalPages: searchData.total_pages || 1, cachedAt: getCachedAt(searchData) };
+}
+
+/**
+ * Finds the result to open directly: the only result, or the only one whose title exactly matches the query.
+ * @param {string} query - The search term.
+ * @param {object} searchPage - The first page of results from fetchSearchPage.
+ * @returns {object|null} The matching content object, or null if the results are ambiguous.
+ */
+function findUniqueMatch(query, searchPage) {
+    if (searchPage.totalPages <= 1 && searchPage.items.length === 1) return searchPage.items[0];
+    const normalizedQuery = query.trim().toLowerCase();
+    const exactMatches = searchPage.items.filter(item => (item.title || item.name || '').trim().toLowerCase() === normalizedQuery);
+    return exactMatches.length === 1 ? exactMatches[0] : null;
+}
+
+/**
+ * Displays a page of search results as a grid with type/year filters and pagination.
+ * @param {object} search - The search state used to fetch this page.
+ * @param {object} searchPage - The page of results from fetchSearchPage.
+ */
+function displaySearchResults(search, searchPage) {
+    document.body.classList.add('results-visible');
+
+    setHtml(resultsContainer, html`
+        <div class="search-header">${t('search.resultsFor', { query: search.query })}</div>
+        ${createCachedNotice(searchPage.cachedAt)}
+        <form class="search-filters">
+            <select name="mediaType" aria-label="${t('filters.type')}">
+                <option value="all">${t('filters.all')}</option>
+                <option value="movie">${t('filters.movies')}</option>
+                <option value="tv">${t('filters.tv')}</option>
+            </select>
+            <input type="number" name="yearFrom" placeholder="${t('filters.yearFrom')}" min="1870" max="2100" aria-label="${t('filters.yearFrom')}">
+            <input type="number" name="yearTo" placeholder="${t('filters.yearTo')}" min="1870" max="2100" aria-label="${t('filters.yearTo')}">
+            <button type="submit">${t('filters.apply')}</button>
+        </form>
+    `);
+
+    const filtersForm = resultsContainer.querySelector('.search-filters');
+    const filters = filtersForm.elements;
+    filters.mediaType.value = search.mediaType;
+    filters.yearFrom.value = search.yearFrom || '';
+    filters.yearTo.value = search.yearTo || '';
+    filtersForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        showSearchPage({
+            ...search,
+            page: 1,
+            mediaType: filters.mediaType.value,
+            yearFrom: parseInt(filters.yearFrom.value, 10) || null,
+            yearTo: parseInt(filters.yearTo.value, 10) || null
+        });
+    });
+
+    announce(t('search.announce', { count: searchPage.items.length, query: search.query, page: searchPage.page, totalPages: searchPage.totalPages }));
+    if (searchPage.items.length === 0) {
+        appendHtml(resultsContainer, html`<p class="error-message">${t('search.noFilterMatches')}</p>`);
+    } else {
+        const grid = document.createElement('div');
+        grid.className = 'search-grid';
+        searchPage.items.forEach(item => grid.appendChild(createSearchCard(item)));
+        resultsContainer.appendChild(grid);
+    }
+
+    if (searchPage.totalPages > 1) {
+        const pagination = document.createElement('div');
+        pagination.className = 'search-pagination';
+        setHtml(pagination, html`
+            <button type="button" class="page-prev" ${searchPage.page <= 1 ? 'disabled' : ''}>${t('pagination.previous')}</button>
+            <span class="page-status">${t('pagination.status', { page: searchPage.page, totalPages: searchPage.totalPages })}</span>
+            <button type="button" class="page-next" ${searchPage.page >= searchPage.totalPages ? 'disabled' : ''}>${t('pagination.next')}</button>
+        `);
+        pagination.querySelector('.page-prev').addEventListener('click', () => showSearchPage({ ...search, page: searchPage.page - 1 }));
+        pagination.querySelector('.page-next').addEventListener('click', () => showSearchPage({ ...search, page: searchPage.page + 1 }));
+        resultsContainer.appendChild(pagination);
+    }
+}
+
+/**
+ * Creates a clickable card for one search result that opens its streaming details.
+ * @param {object} item - A movie/TV show object from the search results.
+ * @returns {HTMLElement} The card element.
+ */
+function createSearchCard(item) {
+    const title = item.title || item.name;
+    const releaseDate = item.release_date || item.first_air_date;
+    const yearStr = releaseDate ? new Date(releaseDate).getFullYear() : t('common.notAvailable');
+    const mediaType = t(item.media_type === 'movie' ? 'media.movie' : 'media.tv');
+    const posterPath = item.poster_path
+        ? `https://image.tmdb.org/t/p/w185${item.poster_path}`
+        : 'https://placehold.co/185x278/333/FFF?text=?'; // Placeholder image
+
+    const card = document.createElement('button');
+    card.type = 'button';
+    card.className = 'search-card';
+    setHtml(card, html`
+        <img src="${posterPath}" alt="" class="search-poster">
+        <span class="search-card-title">${title}</span>
+        <span class="search-card-meta">${yearStr} • ${mediaType}</span>
+        <span class="search-card-overview">${item.overview || ''}</span>
+    `);
+    card.addEventListener('click', () => openSearchResult(item));
+    return card;
+}
+
+/**
+ * Loads and displays a page of search results, showing the loader while it runs.
+ * @param {object} search - The search state to fetch.
+ */
+async function showSearchPage(search) {
+    resultsContainer.replaceChildren();
+    loader.style.display = 'block';
+    try {
+        displaySearchResults(search, await fetchSearchPage(search));
+    } catch (error) {
+        setHtml(resultsContainer, html`<p class="error-message">${error.message}</p>`);
+    } finally {
+        loader.style.display = 'none';
+        focusResults();
+    }
+}
+
+/**
+ * Opens the streaming details for a result picked from the search grid.
+ * @param {object} item - The selected movie/TV show object.
+ */
+async function openSearchResult(item) {
+    document.body.classList.remove('results-visible');
+    resultsContainer.replaceChildren();
+    loader.style.display = 'block';
+    try {
+        await fetchContentDetails(item);
+    } catch (error) {
+        setHtml(resultsContainer, html`<p class="error-message">${error.message}</p>`);
+    } finally {
+        loader.style.display = 'none';
+        focusResults();
+    }
 }
 
 /**
@@ -191,201 +858,2105 @@ async function fetchContentDetails(content) {
     const releaseDate = content.release_date || content.first_air_date;
     const year = releaseDate ? new Date(releaseDate).getFullYear() : 'N/A';
 
-    const providersData = await callApi(`${mediaType}/${contentId}/watch/providers`, {});
-    displayResults(titleName, year, mediaType, providersData.results, contentId);
+    // The country tags need the JustWatch countries, which only the first title waits for.
+    const [providersData] = await Promise.all([callApi(`${mediaType}/${contentId}/watch/providers`, {}), loadJustWatchCountries()]);
+    displayResults(titleName, year, mediaType, providersData.results, contentId, getCachedAt(providersData));
+    pushRoute(getTitlePath(mediaType, contentId));
 }
 
 /**
- * Displays the final results on the page, grouping providers and their countries.
+ * Displays the final results on the page, grouping providers and their countries by offer type.
  */
-function displayResults(titleName, year, mediaType, allProviders, tmdbId) {
+function displayResults(titleName, year, mediaType, allProviders, tmdbId, cachedAt = null) {
     // --- MODIFIED: Enable scrolling now that there are results ---
     document.body.classList.add('results-visible');
+    currentResults = [titleName, year, mediaType, allProviders, tmdbId, cachedAt];
 
     // Display title info
-    resultsContainer.innerHTML = `
+    setHtml(resultsContainer, html`
         <div class="title-info">
-            <div class="title-name">${titleName} (${year})</div>
-            <div class="title-meta">${mediaType === 'movie' ? 'Movie' : 'TV Show'}</div>
+            <div class="title-name">${titleName} (${year === 'N/A' ? t('common.notAvailable') : year})</div>
+            <div class="title-meta">${t(mediaType === 'movie' ? 'media.movie' : 'media.tv')}</div>
+            ${createCachedNotice(cachedAt)}
         </div>
-    `;
+    `);
+    const titleInfo = resultsContainer.querySelector('.title-info');
+    titleInfo.appendChild(createWatchlistToggle(titleName, year, mediaType, tmdbId, allProviders));
+    titleInfo.appendChild(createCompareToggle(titleName, year, mediaType, tmdbId));
+    titleInfo.appendChild(createDetailsPanel(mediaType, tmdbId));
+    // Related titles always come last, including for titles that can't be watched anywhere.
+    const recommendations = createRecommendationsSection(mediaType, tmdbId);
 
     if (!allProviders || Object.keys(allProviders).length === 0) {
-        resultsContainer.innerHTML += `<p class="error-message">This title is not available on streaming services in any country.</p>`;
+        appendHtml(resultsContainer, html`<p class="error-message">${t('title.unavailableEverywhere')}</p>`);
+        resultsContainer.appendChild(recommendations);
         return;
     }
-    
-    // Group countries by provider
-    const providerMap = {};
-    Object.keys(allProviders).forEach(countryCode => {
-        // We only care about 'flatrate' which means subscription streaming
-        if (allProviders[countryCode].flatrate) {
-            allProviders[countryCode].flatrate.forEach(provider => {
-                if (!providerMap[provider.provider_id]) {
-                    providerMap[provider.provider_id] = { name: provider.provider_name, logo: provider.logo_path, countries: new Set() };
-                }
-                providerMap[provider.provider_id].countries.add(countryCode);
-            });
-        }
-    });
 
-    if (Object.keys(providerMap).length === 0) {
-        resultsContainer.innerHTML += `<p class="error-message">This title is not available on any subscription streaming service.</p>`;
+    const providersByOffer = groupProvidersByOfferType(allProviders);
+    const availableOffers = OFFER_TYPES.filter(offer => providersByOffer[offer.key].length > 0);
+
+    if (availableOffers.length === 0) {
+        appendHtml(resultsContainer, html`<p class="error-message">${t('title.noServices')}</p>`);
+        resultsContainer.appendChild(recommendations);
         return;
     }
+    titleInfo.querySelector('.compare-toggle').after(createExportActions(providersByOffer));
 
-    // Sort providers by who has it in the most countries
-    const sortedProviders = Object.values(providerMap).sort((a, b) => b.countries.size - a.countries.size);
+    const homeSummary = createHomeSummary(allProviders);
+    if (homeSummary) resultsContainer.appendChild(homeSummary);
 
-    sortedProviders.forEach(provider => {
-        const providerElement = document.createElement('div');
-        providerElement.className = 'provider-item';
-        const countriesListContainer = document.createElement('div');
-        countriesListContainer.className = 'countries-list';
+    // One tab and one panel per offer type, starting on the first type that has providers.
+    const tabsContainer = document.createElement('div');
+    tabsContainer.className = 'offer-tabs';
+    tabsContainer.setAttribute('role', 'tablist');
+    tabsContainer.setAttribute('aria-label', t('offer.tabsLabel'));
+    resultsContainer.appendChild(tabsContainer);
 
-        const sortedCountries = Array.from(provider.countries).sort((a, b) => getCountryName(a).localeCompare(getCountryName(b)));
+    availableOffers.forEach((offer, index) => {
+        const providers = providersByOffer[offer.key];
+        const isActive = index === 0;
 
-        sortedCountries.forEach(code => {
-            const countryName = getCountryName(code);
-            const isSupported = JUSTWATCH_SUPPORTED_COUNTRIES.includes(code);
-            
-            const tag = document.createElement('div');
-            tag.className = `country-tag ${isSupported ? 'clickable' : 'non-clickable'}`;
-            tag.textContent = countryName;
-            tag.title = isSupported ? `Click for links in ${countryName}` : `No watch links available for ${countryName}`;
+        const tab = document.createElement('button');
+        tab.type = 'button';
+        tab.className = `offer-tab${isActive ? ' active' : ''}`;
+        tab.id = `offer-tab-${offer.key}`;
+        tab.dataset.offerType = offer.key;
+        tab.textContent = t('offer.tab', { label: t(offer.labelKey), count: providers.length });
+        tab.setAttribute('role', 'tab');
+        tab.setAttribute('aria-controls', `offer-panel-${offer.key}`);
+        tab.setAttribute('aria-selected', String(isActive));
+        tab.tabIndex = isActive ? 0 : -1;
+        tabsContainer.appendChild(tab);
 
-            if (isSupported) {
-                const dropdown = createDropdown(mediaType, tmdbId, code);
-                tag.appendChild(dropdown);
-                addDropdownListener(tag, dropdown, mediaType, tmdbId, code);
-            }
-            countriesListContainer.appendChild(tag);
+        const panel = document.createElement('div');
+        panel.className = `offer-panel${isActive ? ' active' : ''}`;
+        panel.id = `offer-panel-${offer.key}`;
+        panel.dataset.offerType = offer.key;
+        panel.setAttribute('role', 'tabpanel');
+        panel.setAttribute('aria-labelledby', tab.id);
+        providers.forEach(provider => {
+            panel.appendChild(createProviderElement(provider, offer, mediaType, tmdbId));
         });
+        resultsContainer.appendChild(panel);
+    });
 
-        providerElement.innerHTML = `
-            <div class="provider-header">
-                <img src="https://image.tmdb.org/t/p/original${provider.logo}" alt="${provider.name} logo" class="provider-logo" onerror="this.style.display='none'">
-                <div class="provider-name">${provider.name}</div>
-            </div>
-            <div class="countries-label">Available in ${provider.countries.size} ${provider.countries.size === 1 ? 'country' : 'countries'} (highlighted countries have watch links):</div>
-        `;
-        providerElement.appendChild(countriesListContainer);
-        resultsContainer.appendChild(providerElement);
+    tabsContainer.addEventListener('click', (e) => {
+        const tab = e.target.closest('.offer-tab');
+        if (tab) selectOfferTab(tab.dataset.offerType);
     });
+    // Left and right arrows move between the tabs, following the reading direction.
+    tabsContainer.addEventListener('keydown', (e) => {
+        if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+        const tabs = Array.from(tabsContainer.querySelectorAll('.offer-tab'));
+        const step = (e.key === 'ArrowRight') !== isRightToLeft() ? 1 : -1;
+        const next = tabs[(tabs.indexOf(document.activeElement) + step + tabs.length) % tabs.length];
+        selectOfferTab(next.dataset.offerType);
+        next.focus();
+    });
+
+    const providerCount = new Set(availableOffers.flatMap(offer => providersByOffer[offer.key].map(provider => provider.id))).size;
+    announce(t('title.providersFound', { title: titleName, count: providerCount }));
+
+    if (mediaType === 'tv') {
+        resultsContainer.appendChild(createSeasonsSection(tmdbId, allProviders));
+    }
+    resultsContainer.appendChild(recommendations);
+
+    loadWatchPages(mediaType, tmdbId, Object.keys(allProviders));
 }
 
 /**
- * Creates the initial HTML for a country dropdown.
+ * Creates the "availability by season" section for a TV show. The season list loads right away,
+ * and each season's providers load when it is expanded.
+ * @param {number} tvId - The TMDB ID of the show.
+ * @param {object} showProviders - The show-level watch/providers results, keyed by country code.
+ * @returns {HTMLElement} The section element.
  */
-function createDropdown(mediaType, tmdbId, code) {
-    const dropdown = document.createElement('div');
-    dropdown.className = 'country-dropdown';
-    const tmdbLinkUrl = `https://www.themoviedb.org/${mediaType}/${tmdbId}/watch?locale=${code}`;
+function createSeasonsSection(tvId, showProviders) {
+    const section = document.createElement('div');
+    section.className = 'seasons-section';
+    setHtml(section, html`
+        <div class="seasons-header">${t('seasons.header')}</div>
+        <p class="seasons-status">${t('seasons.loading')}</p>
+    `);
 
-    dropdown.innerHTML = `
-        <a href="${tmdbLinkUrl}" target="_blank" rel="noopener noreferrer" class="dropdown-link">
-            <img src="https://www.themoviedb.org/favicon.ico" class="dropdown-icon" alt="TMDB">
-            <span>View on TMDB</span>
-        </a>
-        <a href="#" class="dropdown-link justwatch-link" data-status="loading">
-            <img src="https://www.justwatch.com/favicon.ico" class="dropdown-icon" alt="JustWatch">
-            <span>Loading JustWatch...</span>
-        </a>
-        <div class="quality-info-container" data-status="loading">
-            <div class="dropdown-separator"></div>
-            <p class="quality-loading">Loading quality info...</p>
-        </div>
-    `;
-    return dropdown;
+    if (!seasonListCache.has(tvId)) {
+        seasonListCache.set(tvId, callApi(`tv/${tvId}`, {}).then(show => (show.seasons || []).filter(season => season.season_number > 0)));
+    }
+
+    seasonListCache.get(tvId).then(seasons => {
+        const status = section.querySelector('.seasons-status');
+        if (seasons.length === 0) {
+            status.textContent = t('seasons.none');
+            return;
+        }
+        status.remove();
+        seasons.forEach(season => section.appendChild(createSeasonItem(tvId, season, showProviders)));
+    }).catch(error => {
+        seasonListCache.delete(tvId); // Let the next render try again.
+        console.error('Seasons error:', error);
+        section.querySelector('.seasons-status').textContent = t('seasons.failed');
+    });
+
+    return section;
 }
 
 /**
- * Adds the click listener to a country tag to handle dropdown logic.
+ * Creates the expandable row for one season.
+ * @param {number} tvId - The TMDB ID of the show.
+ * @param {object} season - A season object from the tv/{id} endpoint.
+ * @param {object} showProviders - The show-level watch/providers results, keyed by country code.
+ * @returns {HTMLElement} The season element.
  */
-function addDropdownListener(tag, dropdown, mediaType, tmdbId, code) {
-    tag.addEventListener('click', async (e) => {
-        e.stopPropagation();
-        const wasOpen = dropdown.classList.contains('show');
-
-        document.querySelectorAll('.country-dropdown.show').forEach(d => {
-            d.classList.remove('show');
-            d.parentElement.classList.remove('z-boost');
-        });
-
-        if (!wasOpen) {
-            dropdown.classList.add('show');
-            tag.classList.add('z-boost');
+function createSeasonItem(tvId, season, showProviders) {
+    const seasonYear = season.air_date ? new Date(season.air_date).getFullYear() : t('common.notAvailable');
+    const item = document.createElement('div');
+    item.className = 'season-item';
+    setHtml(item, html`
+        <button type="button" class="season-toggle" aria-expanded="false">
+            <span class="season-name">${season.name}</span>
+            <span class="season-meta">${t('seasons.episodes', { count: season.episode_count || 0 })} • ${seasonYear}</span>
+            <span class="season-coverage"></span>
+        </button>
+        <div class="season-availability"></div>
+    `);
 
-            const jwLinkElement = dropdown.querySelector('.justwatch-link');
-            if (jwLinkElement.dataset.status === 'loading') {
-                const tmdbLinkUrl = `https://www.themoviedb.org/${mediaType}/${tmdbId}/watch?locale=${code}`;
-                const { justWatchUrl, providersInfo } = await scrapeTmdbWatchPage(tmdbLinkUrl);
+    const availability = item.querySelector('.season-availability');
+    const toggle = item.querySelector('.season-toggle');
+    toggle.addEventListener('click', async () => {
+        const isOpen = item.classList.toggle('open');
+        toggle.setAttribute('aria-expanded', String(isOpen));
+        if (!isOpen || availability.dataset.status === 'loaded') return;
 
-                updateDropdownContent(dropdown, justWatchUrl, providersInfo);
+        setHtml(availability, html`<p class="seasons-status">${t('seasons.loadingProviders')}</p>`);
+        const cacheKey = `${tvId}/${season.season_number}`;
+        try {
+            if (!seasonProvidersCache.has(cacheKey)) {
+                seasonProvidersCache.set(cacheKey, await callApi(`tv/${tvId}/season/${season.season_number}/watch/providers`, {}));
             }
+            const comparison = compareSeasonAvailability(showProviders, seasonProvidersCache.get(cacheKey).results || {});
+            displaySeasonAvailability(item, comparison);
+            availability.dataset.status = 'loaded';
+        } catch (error) {
+            setHtml(availability, html`<p class="seasons-status">${error.message}</p>`);
         }
     });
+    return item;
 }
 
 /**
- * Updates the dropdown with the scraped JustWatch link and quality info.
+ * Compares a season's subscription providers against the whole show's, country by country.
+ * @param {object} showProviders - The show-level watch/providers results, keyed by country code.
+ * @param {object} seasonProviders - The season-level watch/providers results, keyed by country code.
+ * @returns {Array<object>} One entry per provider: its name, the countries that carry the show,
+ * the countries that carry this season, and the show countries missing this season.
  */
-function updateDropdownContent(dropdown, justWatchUrl, providersInfo) {
-    const jwLinkElement = dropdown.querySelector('.justwatch-link');
-    const qualityContainer = dropdown.querySelector('.quality-info-container');
+function compareSeasonAvailability(showProviders, seasonProviders) {
+    const showByProvider = groupProvidersByOfferType(showProviders).flatrate;
+    const seasonById = new Map(groupProvidersByOfferType(seasonProviders).flatrate.map(provider => [provider.id, provider]));
 
-    // Update JustWatch link
-    if (justWatchUrl) {
-        jwLinkElement.href = justWatchUrl;
-        jwLinkElement.target = '_blank';
-        jwLinkElement.rel = 'noopener noreferrer';
-        jwLinkElement.querySelector('span').textContent = 'View on JustWatch';
-    } else {
-        jwLinkElement.href = '#';
-        jwLinkElement.style.pointerEvents = 'none';
-        jwLinkElement.querySelector('span').textContent = 'JustWatch link not found';
-    }
-    jwLinkElement.dataset.status = 'loaded';
+    return showByProvider.map(provider => {
+        const seasonCountries = seasonById.has(provider.id) ? seasonById.get(provider.id).countries : new Set();
+        const missing = Array.from(provider.countries).filter(code => !seasonCountries.has(code));
+        return { name: provider.name, showCountries: provider.countries, seasonCountries, missing };
+    });
+}
 
-    // Update Quality Info
-    qualityContainer.innerHTML = '';
-    const hasQualityInfo = providersInfo && Object.keys(providersInfo).length > 0;
-    
-    if (hasQualityInfo) {
-        qualityContainer.innerHTML += '<div class="dropdown-separator"></div>';
+/**
+ * Renders a season's provider comparison, highlighting providers that only carry it in some countries.
+ * @param {HTMLElement} item - The season element.
+ * @param {Array<object>} comparison - The result of compareSeasonAvailability.
+ */
+function displaySeasonAvailability(item, comparison) {
+    const availability = item.querySelector('.season-availability');
+    const coverage = item.querySelector('.season-coverage');
+
+    if (comparison.length === 0) {
+        setHtml(availability, html`<p class="seasons-status">${t('seasons.noSubscription')}</p>`);
+        return;
+    }
+
+    const isFull = comparison.every(entry => entry.missing.length === 0);
+    const isNone = comparison.every(entry => entry.seasonCountries.size === 0);
+    coverage.className = `season-coverage ${isFull ? 'full' : isNone ? 'none' : 'partial'}`;
+    coverage.textContent = t(isFull ? 'seasons.coverageFull' : isNone ? 'seasons.coverageNone' : 'seasons.coveragePartial');
+
+    setHtml(availability, html`${comparison.map(entry => {
+        const total = entry.showCountries.size;
+        let status;
+        let detail;
+        if (entry.missing.length === 0) {
+            status = 'full';
+            detail = t('seasons.allCountries', { count: total });
+        } else if (entry.missing.length === total) {
+            status = 'none';
+            detail = t('seasons.notThisSeason');
+        } else {
+            status = 'partial';
+            const missingNames = formatList(entry.missing.map(getCountryName).sort(compareText));
+            detail = t('seasons.partialCountries', { available: total - entry.missing.length, total, countries: missingNames });
+        }
+        return html`
+            <div class="season-provider ${status}">
+                <span class="season-provider-name">${entry.name}</span>
+                <span class="season-provider-detail">${detail}</span>
+            </div>
+        `;
+    })}`);
+}
+
+/**
+ * Shows quality badges on every provider and country and preloads the country dropdowns, fetching the
+ * title's watch pages the first time it is displayed. The pages are fetched in batches of WATCH_PAGE_BATCH_SIZE,
+ * starting with the home country, and the badges are added as each batch arrives. If a batch fails, the
+ * remaining countries' pages are left for their dropdowns to load when opened.
+ * @param {string} mediaType - 'movie' or 'tv'.
+ * @param {number} tmdbId - The TMDB ID of the title.
+ * @param {string[]} countryCodes - The countries the title is available in.
+ */
+async function loadWatchPages(mediaType, tmdbId, countryCodes) {
+    const key = `${mediaType}/${tmdbId}`;
+    if (watchPages && watchPages.key === key) {
+        // Re-renders while batches are loading show what has arrived, and the rest is added as it arrives.
+        if (watchPages.results) applyWatchPages(watchPages.results);
+        return;
+    }
+
+    watchPages = { key, results: null };
+    const orderedCodes = [...countryCodes].sort((a, b) => (b === preferences.homeCountry) - (a === preferences.homeCountry));
+    for (let start = 0; start < orderedCodes.length; start += WATCH_PAGE_BATCH_SIZE) {
+        const results = await fetchWatchPages(mediaType, tmdbId, orderedCodes.slice(start, start + WATCH_PAGE_BATCH_SIZE));
+        if (watchPages.key !== key) return; // Another title was opened in the meantime.
+        if (!results) return;
+        watchPages.results = { ...watchPages.results, ...results };
+        applyWatchPages(watchPages.results);
+    }
+}
+
+/**
+ * Adds quality badges to the rendered providers and country tags, and fills in any unopened dropdowns.
+ * @param {object} results - The scraped watch pages keyed by country code.
+ */
+function applyWatchPages(results) {
+    resultsContainer.querySelectorAll('.offer-panel').forEach(panel => {
+        const offer = OFFER_TYPES.find(offerType => offerType.key === panel.dataset.offerType);
+
+        panel.querySelectorAll('.provider-item').forEach(providerElement => {
+            const providerName = providerElement.dataset.providerName;
+            const providerQualities = new Set();
+
+            providerElement.querySelectorAll('.country-tag').forEach(tag => {
+                const page = results[tag.dataset.country];
+                if (!page) return;
+
+                const dropdown = tag.querySelector('.country-dropdown');
+                if (dropdown && dropdown.querySelector('.justwatch-link').dataset.status === 'loading') {
+                    updateDropdownContent(dropdown, page, offer);
+                }
+
+                const qualities = (page.providersInfo[providerName] || {})[offer.scrapeKey] || [];
+                qualities.forEach(quality => providerQualities.add(quality));
+                const label = tag.querySelector('.country-button') || tag;
+                if (qualities.length > 0 && !label.querySelector('.quality-tags')) {
+                    label.appendChild(createQualityTags(qualities));
+                }
+            });
+
+            const providerNameElement = providerElement.querySelector('.provider-name');
+            if (providerQualities.size > 0 && !providerElement.querySelector('.provider-header > .quality-tags')) {
+                providerNameElement.after(createQualityTags(Array.from(providerQualities)));
+            }
+        });
+    });
+}
+
+/**
+ * Creates a group of quality badges, best quality first.
+ * @param {string[]} qualities - The qualities to show (e.g., ['HD', '4K']).
+ * @returns {HTMLElement} The badge group element.
+ */
+function createQualityTags(qualities) {
+    const container = document.createElement('span');
+    container.className = 'quality-tags';
+    QUALITY_ORDER.filter(quality => qualities.includes(quality)).forEach(quality => {
+        const qualityTag = document.createElement('span');
+        qualityTag.className = `quality-tag q-${quality.toLowerCase()}`;
+        qualityTag.textContent = quality;
+        container.appendChild(qualityTag);
+    });
+    return container;
+}
+
+/**
+ * Creates the button that adds the title (with a snapshot of its providers) to the watchlist or removes it.
+ * @param {string} titleName - The title's name.
+ * @param {number|string} year - The release year, or 'N/A'.
+ * @param {string} mediaType - 'movie' or 'tv'.
+ * @param {number} tmdbId - The TMDB ID of the title.
+ * @param {object} allProviders - The watch/providers results to snapshot.
+ * @returns {HTMLElement} The button.
+ */
+function createWatchlistToggle(titleName, year, mediaType, tmdbId, allProviders) {
+    const key = getWatchlistKey(mediaType, tmdbId);
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'watchlist-toggle';
+    button.hidden = true; // Shown once we know whether the title is saved.
+
+    const render = (isSaved) => {
+        button.hidden = false;
+        button.textContent = t(isSaved ? 'watchlist.saved' : 'watchlist.add');
+        button.setAttribute('aria-pressed', String(isSaved));
+    };
+
+    getWatchlistEntry(key).then(entry => render(Boolean(entry))).catch(error => console.error('Watchlist error:', error));
+
+    button.addEventListener('click', async () => {
+        try {
+            if (button.getAttribute('aria-pressed') === 'true') {
+                await deleteWatchlistEntry(key);
+                render(false);
+                announce(t('watchlist.removedAnnouncement', { title: titleName }));
+            } else {
+                const now = Date.now();
+                await saveWatchlistEntry({ key, mediaType, tmdbId, title: titleName, year, snapshot: allProviders || {}, addedAt: now, checkedAt: now, changes: [] });
+                render(true);
+                announce(t('watchlist.addedAnnouncement', { title: titleName }));
+            }
+        } catch (error) {
+            console.error('Watchlist error:', error);
+        }
+    });
+    return button;
+}
+
+/**
+ * Shows the panel for one offer type and marks its tab as active.
+ * @param {string} offerKey - The offer type key (e.g., 'flatrate').
+ */
+function selectOfferTab(offerKey) {
+    resultsContainer.querySelectorAll('.offer-tab, .offer-panel').forEach(el => {
+        el.classList.toggle('active', el.dataset.offerType === offerKey);
+    });
+    resultsContainer.querySelectorAll('.offer-tab').forEach(tab => {
+        const isActive = tab.dataset.offerType === offerKey;
+        tab.setAttribute('aria-selected', String(isActive));
+        tab.tabIndex = isActive ? 0 : -1;
+    });
+}
+
+/**
+ * Re-renders the current results, keeping the selected offer tab, after the preferences change.
+ */
+function refreshResults() {
+    if (!currentResults) return;
+    const activeTab = resultsContainer.querySelector('.offer-tab.active');
+    displayResults(...currentResults);
+    if (activeTab) selectOfferTab(activeTab.dataset.offerType);
+}
+
+/**
+ * Builds the summary of whether the title is on the user's services at home,
+ * followed by the other countries where their services carry it, ranked by how many of them do.
+ * @param {object} allProviders - The `results` object from the watch/providers endpoint, keyed by country code.
+ * @returns {HTMLElement|null} The summary element, or null if the user has set no preferences.
+ */
+function createHomeSummary(allProviders) {
+    const { homeCountry, services } = preferences;
+    if (!homeCountry && services.length === 0) return null;
+
+    const getSubscribed = (countryCode) => ((allProviders[countryCode] && allProviders[countryCode].flatrate) || [])
+        .filter(provider => services.includes(provider.provider_id));
+    const summary = document.createElement('div');
+    summary.className = 'home-summary';
+
+    if (homeCountry) {
+        const homeName = getCountryName(homeCountry);
+        const homeOffers = (allProviders[homeCountry] && allProviders[homeCountry].flatrate) || [];
+        const subscribedAtHome = getSubscribed(homeCountry);
+        let homeMessage;
+        if (subscribedAtHome.length > 0) {
+            homeMessage = html`${t('home.onYourServices', { country: homeName })} <strong>${formatList(subscribedAtHome.map(p => p.provider_name))}</strong>`;
+        } else if (homeOffers.length > 0) {
+            homeMessage = t('home.onOtherServices', { country: homeName, providers: formatList(homeOffers.map(p => p.provider_name)) });
+        } else {
+            homeMessage = t('home.notStreaming', { country: homeName });
+        }
+        setHtml(summary, html`<p class="home-status ${subscribedAtHome.length > 0 ? 'available' : 'unavailable'}">${homeMessage}</p>`);
+    }
+
+    if (services.length === 0) {
+        appendHtml(summary, html`<p class="home-hint">${t('home.markServicesHint', { button: t('service.add') })}</p>`);
+        return summary;
+    }
+
+    const elsewhere = Object.keys(allProviders)
+        .filter(code => code !== homeCountry)
+        .map(code => ({ code, providers: getSubscribed(code) }))
+        .filter(entry => entry.providers.length > 0)
+        .sort((a, b) => b.providers.length - a.providers.length || compareText(getCountryName(a.code), getCountryName(b.code)));
+
+    if (elsewhere.length === 0) {
+        appendHtml(summary, html`<p class="home-hint">${t(homeCountry ? 'home.noneElsewhere' : 'home.noneAnywhere')}</p>`);
+        return summary;
+    }
+
+    const items = elsewhere.map(entry => html`
+        <li>
+            <span class="elsewhere-country">${getCountryName(entry.code)}</span>
+            <span class="elsewhere-providers">${formatList(entry.providers.map(p => p.provider_name))}</span>
+        </li>
+    `);
+    appendHtml(summary, html`
+        <div class="countries-label">${t(homeCountry ? 'home.whereElse' : 'home.where')}</div>
+        <ol class="home-elsewhere">${items}</ol>
+    `);
+    return summary;
+}
+
+/**
+ * Orders providers with the user's services first, then those available in their home country,
+ * then by who has the title in the most countries.
+ */
+function compareProviders(a, b) {
+    const { homeCountry, services } = preferences;
+    const subscribedA = services.includes(a.id);
+    const subscribedB = services.includes(b.id);
+    if (subscribedA !== subscribedB) return subscribedA ? -1 : 1;
+    const atHomeA = Boolean(homeCountry) && a.countries.has(homeCountry);
+    const atHomeB = Boolean(homeCountry) && b.countries.has(homeCountry);
+    if (atHomeA !== atHomeB) return atHomeA ? -1 : 1;
+    return b.countries.size - a.countries.size;
+}
+
+/**
+ * Groups countries by provider for every offer type.
+ * @param {object} allProviders - The `results` object from the watch/providers endpoint, keyed by country code.
+ * @returns {object} A map of offer type key to providers, sorted by compareProviders.
+ */
+function groupProvidersByOfferType(allProviders) {
+    const providersByOffer = {};
+    OFFER_TYPES.forEach(offer => {
+        const providerMap = {};
+        Object.keys(allProviders).forEach(countryCode => {
+            const offers = allProviders[countryCode][offer.key];
+            if (!offers) return;
+            offers.forEach(provider => {
+                if (!providerMap[provider.provider_id]) {
+                    providerMap[provider.provider_id] = { id: provider.provider_id, name: provider.provider_name, logo: provider.logo_path, countries: new Set() };
+                }
+                providerMap[provider.provider_id].countries.add(countryCode);
+            });
+        });
+        providersByOffer[offer.key] = Object.values(providerMap).sort(compareProviders);
+    });
+    return providersByOffer;
+}
+
+/**
+ * Builds the element for one provider with its list of country tags.
+ */
+function createProviderElement(provider, offer, mediaType, tmdbId) {
+    const isSubscribed = preferences.services.includes(provider.id);
+    const providerElement = document.createElement('div');
+    providerElement.className = `provider-item${isSubscribed ? ' subscribed' : ''}`;
+    providerElement.dataset.providerName = provider.name;
+    const countriesListContainer = document.createElement('div');
+    countriesListContainer.className = 'countries-list';
+
+    // The home country always comes first, the rest alphabetically.
+    const sortedCountries = Array.from(provider.countries).sort((a, b) => {
+        if (a === preferences.homeCountry) return -1;
+        if (b === preferences.homeCountry) return 1;
+        return compareText(getCountryName(a), getCountryName(b));
+    });
+
+    sortedCountries.forEach(code => {
+        const countryName = getCountryName(code);
+        const isSupported = isJustWatchCountry(code);
+
+        const tag = document.createElement('div');
+        tag.className = `country-tag ${isSupported ? 'clickable' : 'non-clickable'}${code === preferences.homeCountry ? ' home-country' : ''}`;
+        tag.dataset.country = code;
+        tag.title = t(isSupported ? 'country.linksHint' : 'country.noLinks', { country: countryName });
+
+        if (isSupported) {
+            // Clickable countries are menu buttons that open their dropdown of links.
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'country-button';
+            button.textContent = countryName;
+            button.setAttribute('aria-haspopup', 'menu');
+            button.setAttribute('aria-expanded', 'false');
+            const dropdown = createDropdown(mediaType, tmdbId, code);
+            button.setAttribute('aria-controls', dropdown.id);
+            tag.append(button, dropdown);
+            addDropdownListener(tag, dropdown, mediaType, tmdbId, code, offer);
+        } else {
+            tag.textContent = countryName;
+        }
+        countriesListContainer.appendChild(tag);
+    });
+
+    setHtml(providerElement, html`
+        <div class="provider-header">
+            <img src="https://image.tmdb.org/t/p/original${provider.logo}" alt="${t('provider.logo', { provider: provider.name })}" class="provider-logo" onerror="this.style.display='none'">
+            <div class="provider-name">${provider.name}</div>
+        </div>
+        <div class="countries-label">${t('provider.availableIn', { count: provider.countries.size })}</div>
+    `);
+    providerElement.appendChild(countriesListContainer);
+
+    // Only subscription services can be marked as the user's own.
+    if (offer.key === 'flatrate') {
+        const serviceToggle = document.createElement('button');
+        serviceToggle.type = 'button';
+        serviceToggle.className = 'service-toggle';
+        serviceToggle.textContent = t(isSubscribed ? 'service.saved' : 'service.add');
+        serviceToggle.title = t(isSubscribed ? 'service.removeHint' : 'service.addHint', { provider: provider.name });
+        serviceToggle.addEventListener('click', () => toggleService(provider.id));
+        providerElement.querySelector('.provider-header').appendChild(serviceToggle);
+    }
+    return providerElement;
+}
+
+/**
+ * Creates the initial HTML for a country dropdown.
+ */
+function createDropdown(mediaType, tmdbId, code) {
+    const dropdown = document.createElement('div');
+    dropdown.className = 'country-dropdown';
+    dropdown.id = `country-dropdown-${++dropdownIdCounter}`;
+    dropdown.setAttribute('role', 'menu');
+    dropdown.setAttribute('aria-label', t('dropdown.label', { country: getCountryName(code) }));
+    const tmdbLinkUrl = `https://www.themoviedb.org/${mediaType}/${tmdbId}/watch?locale=${code}`;
+
+    setHtml(dropdown, html`
+        <a href="${tmdbLinkUrl}" target="_blank" rel="noopener noreferrer" class="dropdown-link" role="menuitem">
+            <img src="https://www.themoviedb.org/favicon.ico" class="dropdown-icon" alt="">
+            <span>${t('dropdown.tmdb')}</span>
+        </a>
+        <a href="#" class="dropdown-link justwatch-link" data-status="loading" role="menuitem" aria-disabled="true">
+            <img src="https://www.justwatch.com/favicon.ico" class="dropdown-icon" alt="">
+            <span>${t('dropdown.justWatchLoading')}</span>
+        </a>
+        <div class="quality-info-container" data-status="loading" role="presentation" aria-live="polite">
+            <div class="dropdown-separator"></div>
+            <p class="quality-loading">${t('dropdown.qualityLoading')}</p>
+        </div>
+    `);
+    return dropdown;
+}
+
+/**
+ * Adds the click and keyboard listeners to a country tag to handle dropdown logic.
+ * The dropdown follows the menu button pattern: opening it focuses the first link, arrows move
+ * between links, and Escape closes it and returns focus to the country button.
+ */
+function addDropdownListener(tag, dropdown, mediaType, tmdbId, code, offer) {
+    const button = tag.querySelector('.country-button');
+
+    button.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' && !dropdown.classList.contains('show')) {
+            e.preventDefault();
+            button.click();
+        }
+    });
+
+    dropdown.addEventListener('keydown', (e) => {
+        const items = Array.from(dropdown.querySelectorAll('[role="menuitem"]'));
+        const index = items.indexOf(document.activeElement);
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            items[(index + step + items.length) % items.length].focus();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            closeCountryDropdowns();
+            button.focus();
+        } else if (e.key === 'Tab') {
+            closeCountryDropdowns();
+        }
+    });
+
+    button.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const wasOpen = dropdown.classList.contains('show');
+
+        closeCountryDropdowns();
+
+        if (!wasOpen) {
+            dropdown.classList.add('show');
+            tag.classList.add('z-boost');
+            button.setAttribute('aria-expanded', 'true');
+            dropdown.querySelector('[role="menuitem"]').focus();
+            // Make the open country part of the shareable link.
+            history.replaceState(null, '', getTitlePath(mediaType, tmdbId, code));
+
+            const jwLinkElement = dropdown.querySelector('.justwatch-link');
+            if (jwLinkElement.dataset.status === 'loading') {
+                const tmdbLinkUrl = `https://www.themoviedb.org/${mediaType}/${tmdbId}/watch?locale=${code}`;
+                const page = await scrapeTmdbWatchPage(tmdbLinkUrl);
+
+                if (page.rateLimited || (page.error && page.error.retryable)) {
+                    // Leave the dropdown in its loading state so the next click tries again.
+                    jwLinkElement.querySelector('span').textContent = t(page.rateLimited ? 'dropdown.rateLimited' : 'dropdown.loadFailed');
+                    return;
+                }
+                updateDropdownContent(dropdown, page, offer);
+            }
+        }
+    });
+}
+
+/**
+ * Closes every open country dropdown.
+ */
+function closeCountryDropdowns() {
+    document.querySelectorAll('.country-dropdown.show').forEach(d => {
+        d.classList.remove('show');
+        d.parentElement.classList.remove('z-boost');
+        d.parentElement.querySelector('.country-button').setAttribute('aria-expanded', 'false');
+    });
+}
+
+/**
+ * Updates the dropdown with the scraped JustWatch link and, for one offer type, each provider's
+ * quality, price and deep link.
+ * @param {HTMLElement} dropdown - The country dropdown.
+ * @param {object} page - The scraped watch page: justWatchUrl, providersInfo, offers and parseFailed.
+ * @param {object} offer - The offer type of the panel the dropdown is in.
+ */
+function updateDropdownContent(dropdown, page, offer) {
+    const { justWatchUrl, providersInfo } = page;
+    const jwLinkElement = dropdown.querySelector('.justwatch-link');
+    const qualityContainer = dropdown.querySelector('.quality-info-container');
+
+    // Update JustWatch link
+    if (justWatchUrl) {
+        jwLinkElement.href = safeUrl(justWatchUrl);
+        jwLinkElement.target = '_blank';
+        jwLinkElement.rel = 'noopener noreferrer';
+        jwLinkElement.removeAttribute('aria-disabled');
+        jwLinkElement.querySelector('span').textContent = t('dropdown.justWatch');
+    } else {
+        jwLinkElement.href = '#';
+        jwLinkElement.style.pointerEvents = 'none';
+        // A page that couldn't be read says nothing about whether the link exists.
+        jwLinkElement.querySelector('span').textContent = t(page.parseFailed ? 'dropdown.parseFailed' : 'dropdown.justWatchMissing');
+    }
+    jwLinkElement.dataset.status = 'loaded';
+
+    // Update Quality Info
+    qualityContainer.replaceChildren();
+    const hasQualityInfo = providersInfo && Object.values(providersInfo).some(info => info[offer.scrapeKey]);
+    const offers = (page.offers || []).filter(entry => entry.type === offer.scrapeKey);
+
+    if (page.parseFailed) {
+        setHtml(qualityContainer, html`<div class="dropdown-separator"></div><p class="quality-none">${t('dropdown.qualityUnavailable')}</p>`);
+    } else if (hasQualityInfo) {
+        appendHtml(qualityContainer, html`<div class="dropdown-separator"></div>`);
         const sortedProviderNames = Object.keys(providersInfo).sort();
         
         for (const providerName of sortedProviderNames) {
-            const info = providersInfo[providerName];
-            
-            if (info.stream && info.stream.length > 0) {
-                const qualityTags = info.stream.map(q => `<span class="quality-tag q-${q.toLowerCase()}">${q}</span>`).join('');
-                const qualityHtml = `
+            const qualities = providersInfo[providerName][offer.scrapeKey];
+            const providerOffer = offers.find(entry => entry.providerName === providerName) || {};
+
+            if (qualities && (qualities.length > 0 || providerOffer.price || providerOffer.link)) {
+                const qualityTags = qualities.map(q => html`<span class="quality-tag q-${q.toLowerCase()}">${q}</span>`);
+                // The provider's deep link opens the title straight in its app or site.
+                const name = providerOffer.link
+                    ? html`<a href="${safeUrl(providerOffer.link)}" target="_blank" rel="noopener noreferrer" class="quality-provider" role="menuitem">${providerName}</a>`
+                    : html`<span class="quality-provider">${providerName}</span>`;
+                appendHtml(qualityContainer, html`
                     <div class="quality-item">
-                        <span class="quality-provider">${providerName}</span>
+                        ${name}
+                        ${providerOffer.price ? html`<span class="quality-price">${providerOffer.price}</span>` : ''}
                         <span class="quality-tags">${qualityTags}</span>
                     </div>
-                `;
-                qualityContainer.innerHTML += qualityHtml;
+                `);
             }
         }
     } else {
-        qualityContainer.innerHTML = '<div class="dropdown-separator"></div><p class="quality-none">No streaming quality info.</p>';
+        setHtml(qualityContainer, html`<div class="dropdown-separator"></div><p class="quality-none">${t('dropdown.noQualityInfo', { offer: t(offer.labelKey) })}</p>`);
+    }
+    qualityContainer.dataset.status = 'loaded';
+}
+
+// --- Export ---
+
+/**
+ * Creates the export buttons for the displayed title: a CSV table, a JSON document and a printable report.
+ * @param {object} providersByOffer - The displayed providers, from groupProvidersByOfferType.
+ * @returns {HTMLElement} The button group.
+ */
+function createExportActions(providersByOffer) {
+    const container = document.createElement('div');
+    container.className = 'export-actions';
+    container.setAttribute('role', 'group');
+    container.setAttribute('aria-label', t('export.label'));
+    setHtml(container, html`
+        <span class="export-label" aria-hidden="true">${t('export.label')}</span>
+        <button type="button" data-format="csv">CSV</button>
+        <button type="button" data-format="json">JSON</button>
+        <button type="button" data-format="print">${t('export.print')}</button>
+    `);
+    container.addEventListener('click', (e) => {
+        const button = e.target.closest('button');
+        if (!button) return;
+        if (button.dataset.format === 'print') {
+            window.print();
+            return;
+        }
+        const availability = getCurrentExport(providersByOffer);
+        if (button.dataset.format === 'csv') {
+            // The byte order mark makes spreadsheet apps read the file as UTF-8, so accented names survive.
+            downloadFile(getExportFileName(availability, 'csv'), 'text/csv', `\uFEFF${buildAvailabilityCsv(availability, getCsvLabels())}`);
+        } else {
+            downloadFile(getExportFileName(availability, 'json'), 'application/json', JSON.stringify(availability, null, 2));
+        }
+        announce(t('export.downloaded'));
+    });
+    return container;
+}
+
+/**
+ * Builds the export of the displayed title, with the quality info of any watch pages loaded for it so far.
+ * @param {object} [providersByOffer] - The displayed providers. Grouped again from the current results if omitted.
+ * @returns {object} The export, as described in buildAvailabilityExport.
+ */
+function getCurrentExport(providersByOffer) {
+    const [titleName, year, mediaType, allProviders, tmdbId] = currentResults;
+    const pages = watchPages && watchPages.key === `${mediaType}/${tmdbId}` ? watchPages.results : null;
+    return buildAvailabilityExport(
+        { name: titleName, year, mediaType, tmdbId },
+        providersByOffer || groupProvidersByOfferType(allProviders),
+        pages,
+        OFFER_TYPES
+    );
+}
+
+/**
+ * The CSV header and cell text in the UI language.
+ * @returns {object} The labels for buildAvailabilityCsv.
+ */
+function getCsvLabels() {
+    return {
+        offerType: t('export.offerType'),
+        provider: t('export.provider'),
+        available: t('export.available'),
+        offers: Object.fromEntries(OFFER_TYPES.map(offer => [offer.key, t(offer.labelKey)])),
+        country: getCountryName
+    };
+}
+
+/**
+ * Saves text as a file through the browser's download.
+ * @param {string} fileName - The suggested file name.
+ * @param {string} type - The MIME type.
+ * @param {string} text - The file's contents.
+ */
+function downloadFile(fileName, type, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Some browsers cancel the download if the URL is revoked while it is starting.
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME_MS);
+}
+
+/**
+ * Adds the printable report of the displayed title to the results. On paper it replaces the interactive view,
+ * listing every offer type at once with each provider's countries and any known quality and price.
+ */
+function addPrintReport() {
+    removePrintReport();
+    if (!currentResults || !resultsContainer.querySelector('.offer-tabs')) return;
+    const availability = getCurrentExport();
+    const { name, year } = availability.title;
+    const report = document.createElement('section');
+    report.className = 'print-report';
+    setHtml(report, html`
+        <h2>${name} (${year === 'N/A' ? t('common.notAvailable') : year})</h2>
+        <p class="print-report-meta">${t('export.printedOn', { date: new Date(availability.exportedAt).toLocaleDateString(getLanguage()) })}</p>
+        ${availability.offers.map(offer => html`
+            <h3>${t(OFFER_TYPES.find(offerType => offerType.key === offer.type).labelKey)}</h3>
+            <table>
+                <thead><tr><th scope="col">${t('export.provider')}</th><th scope="col">${t('export.countries')}</th></tr></thead>
+                <tbody>
+                    ${offer.providers.map(provider => html`
+                        <tr>
+                            <th scope="row">${provider.name}</th>
+                            <td>${provider.countries.map(formatReportCountry).join(', ')}</td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        `)}
+    `);
+    resultsContainer.appendChild(report);
+}
+
+/**
+ * Formats one country of the printable report, e.g. 'United States (4K HD, $3.99)'.
+ * @param {{code: string, qualities: string[], price: string|null}} country - The country from the export.
+ * @returns {string} The country's text.
+ */
+function formatReportCountry(country) {
+    const details = [country.qualities.join(' '), country.price].filter(Boolean).join(', ');
+    return details ? `${getCountryName(country.code)} (${details})` : getCountryName(country.code);
+}
+
+/**
+ * Removes the printable report once printing is done.
+ */
+function removePrintReport() {
+    const report = resultsContainer.querySelector('.print-report');
+    if (report) report.remove();
+}
+
+// --- Title Details ---
+
+/**
+ * Fetches a title's details with its cast, videos, recommendations and similar titles.
+ * The request is shared by the detail panel, the recommendations row and restoreRoute.
+ * @param {string} mediaType - 'movie' or 'tv'.
+ * @param {number|string} tmdbId - The TMDB ID of the title.
+ * @returns {Promise<object>} The movie|tv/{id} response with the appended extras.
+ */
+function fetchTitleDetails(mediaType, tmdbId) {
+    const key = `${mediaType}/${tmdbId}`;
+    if (!titleDetailsCache.has(key)) {
+        const request = callApi(key, { append_to_response: DETAIL_APPENDS }).catch(error => {
+            titleDetailsCache.delete(key); // Let the next render try again.
+            throw error;
+        });
+        titleDetailsCache.set(key, request);
+    }
+    return titleDetailsCache.get(key);
+}
+
+/**
+ * Fetches the providers of a title other than the displayed one, for recommendations and comparisons.
+ * @param {string} mediaType - 'movie' or 'tv'.
+ * @param {number|string} tmdbId - The TMDB ID of the title.
+ * @returns {Promise<object>} The watch/providers `results`, keyed by country code.
+ */
+function fetchTitleProviders(mediaType, tmdbId) {
+    const key = `${mediaType}/${tmdbId}`;
+    if (!titleProvidersCache.has(key)) {
+        const request = callApi(`${key}/watch/providers`, {}).then(data => data.results || {}).catch(error => {
+            titleProvidersCache.delete(key); // Let the next render try again.
+            throw error;
+        });
+        titleProvidersCache.set(key, request);
+    }
+    return titleProvidersCache.get(key);
+}
+
+/**
+ * Creates the detail panel (backdrop, facts, genres, overview, cast and trailer), filled in once the details load.
+ * @param {string} mediaType - 'movie' or 'tv'.
+ * @param {number} tmdbId - The TMDB ID of the title.
+ * @returns {HTMLElement} The panel element, hidden until it has content.
+ */
+function createDetailsPanel(mediaType, tmdbId) {
+    const panel = document.createElement('div');
+    panel.className = 'title-details';
+    panel.hidden = true;
+
+    fetchTitleDetails(mediaType, tmdbId).then(details => {
+        const runtime = mediaType === 'movie' ? details.runtime : (details.episode_run_time || [])[0];
+        const facts = [
+            details.vote_average > 0 ? t('details.rating', { rating: Math.round(details.vote_average * 10) / 10 }) : null,
+            runtime && mediaType === 'movie' ? formatRuntime(runtime) : null,
+            runtime && mediaType === 'tv' ? t('details.episodeRuntime', { runtime: formatRuntime(runtime) }) : null,
+            details.number_of_seasons ? t('details.seasonCount', { count: details.number_of_seasons }) : null
+        ].filter(Boolean);
+        const cast = ((details.credits && details.credits.cast) || []).slice(0, MAX_CAST);
+        const trailerKey = findTrailerKey(details.videos);
+
+        setHtml(panel, html`
+            ${details.backdrop_path ? html`<img src="https://image.tmdb.org/t/p/w780${details.backdrop_path}" alt="" class="details-backdrop">` : ''}
+            ${facts.length > 0 ? html`<div class="details-facts">${facts.join(' • ')}</div>` : ''}
+            ${details.genres && details.genres.length > 0 ? html`<ul class="details-genres">${details.genres.map(genre => html`<li>${genre.name}</li>`)}</ul>` : ''}
+            ${details.overview ? html`<p class="details-overview">${details.overview}</p>` : ''}
+            ${cast.length > 0 ? html`
+                <div class="details-cast">
+                    <span class="details-label">${t('details.cast')}</span>
+                    ${formatList(cast.map(member => (member.character ? t('details.castMember', { name: member.name, character: member.character }) : member.name)))}
+                </div>
+            ` : ''}
+            ${trailerKey ? html`
+                <a href="https://www.youtube.com/watch?v=${encodeURIComponent(trailerKey)}" target="_blank" rel="noopener noreferrer" class="details-trailer">${t('details.trailer')}</a>
+            ` : ''}
+        `);
+        panel.hidden = panel.children.length === 0;
+    }).catch(error => console.error('Details error:', error));
+
+    return panel;
+}
+
+/**
+ * Picks the trailer to link to: an official YouTube trailer if there is one, otherwise any YouTube trailer or teaser.
+ * @param {object} [videos] - The appended `videos` object.
+ * @returns {string|null} The YouTube video key, or null if the title has no trailer.
+ */
+function findTrailerKey(videos) {
+    const trailers = ((videos && videos.results) || [])
+        .filter(video => video.site === 'YouTube' && (video.type === 'Trailer' || video.type === 'Teaser'))
+        .sort((a, b) => (b.type === 'Trailer') - (a.type === 'Trailer') || Boolean(b.official) - Boolean(a.official));
+    return trailers.length > 0 ? trailers[0].key : null;
+}
+
+/**
+ * Formats a runtime in minutes (e.g., 136 -> '2 h 16 min').
+ * @param {number} minutes - The runtime in minutes.
+ * @returns {string} The formatted runtime.
+ */
+function formatRuntime(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return hours > 0
+        ? t('details.hoursMinutes', { hours, minutes: minutes % 60 })
+        : t('details.minutes', { minutes });
+}
+
+/**
+ * Creates the row of recommended (or, failing that, similar) titles. Each card opens the title's details,
+ * and shows where the title streams once its providers have loaded.
+ * @param {string} mediaType - 'movie' or 'tv'.
+ * @param {number} tmdbId - The TMDB ID of the title.
+ * @returns {HTMLElement} The section element, hidden if there are no related titles.
+ */
+function createRecommendationsSection(mediaType, tmdbId) {
+    const section = document.createElement('div');
+    section.className = 'recommendations-section';
+    section.hidden = true;
+
+    fetchTitleDetails(mediaType, tmdbId).then(details => {
+        // Recommendations are usually the better match; similar titles fill the row up when there are few.
+        const seen = new Set([`${mediaType}/${tmdbId}`]);
+        const items = [...((details.recommendations && details.recommendations.results) || []), ...((details.similar && details.similar.results) || [])]
+            .map(item => ({ ...item, media_type: item.media_type || mediaType }))
+            .filter(item => {
+                const key = `${item.media_type}/${item.id}`;
+                if ((item.media_type !== 'movie' && item.media_type !== 'tv') || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, MAX_RECOMMENDATIONS);
+        if (items.length === 0) return;
+
+        setHtml(section, html`
+            <div class="seasons-header">${t('recommendations.header')}</div>
+            <div class="recommendations-row"></div>
+        `);
+        const row = section.querySelector('.recommendations-row');
+        const cards = items.map(item => {
+            const card = createSearchCard(item);
+            card.classList.add('recommendation-card');
+            appendHtml(card, html`<span class="recommendation-availability">${t('recommendations.checking')}</span>`);
+            row.appendChild(card);
+            return { item, status: card.querySelector('.recommendation-availability') };
+        });
+        section.hidden = false;
+        loadRecommendationAvailability(cards);
+    }).catch(error => console.error('Recommendations error:', error));
+
+    return section;
+}
+
+/**
+ * Fills in each recommendation's availability summary. Titles are checked one at a time, to stay well
+ * inside the API rate limit, and checking stops once the view is replaced.
+ * @param {Array<{item: object, status: HTMLElement}>} cards - The recommended titles and their summary elements.
+ */
+async function loadRecommendationAvailability(cards) {
+    for (const [index, { item, status }] of cards.entries()) {
+        if (!status.isConnected) return;
+        try {
+            const summary = summarizeAvailability(await fetchTitleProviders(item.media_type, item.id));
+            status.textContent = summary.text;
+            status.dataset.status = summary.status;
+        } catch (error) {
+            status.textContent = t('recommendations.unknown');
+            // Once rate limited, the remaining checks would fail too.
+            if (error.status === 429) {
+                cards.slice(index + 1).forEach(card => { card.status.textContent = t('recommendations.unknown'); });
+                return;
+            }
+        }
+    }
+}
+
+/**
+ * Sums up where a title can be watched, from the user's point of view: on their services at home,
+ * streaming at home, streaming elsewhere, or only to rent or buy.
+ * @param {object} allProviders - The `results` object from the watch/providers endpoint, keyed by country code.
+ * @returns {{status: string, text: string}} The summary and its status ('yours', 'streaming', 'other' or 'none').
+ */
+function summarizeAvailability(allProviders) {
+    const { homeCountry, services } = preferences;
+    const homeStreams = (homeCountry && allProviders[homeCountry] && allProviders[homeCountry].flatrate) || [];
+    const subscribed = homeStreams.filter(provider => services.includes(provider.provider_id));
+    if (subscribed.length > 0) {
+        return { status: 'yours', text: t('recommendations.onYourServices', { providers: formatList(subscribed.map(p => p.provider_name)) }) };
+    }
+    if (homeStreams.length > 0) {
+        return { status: 'streaming', text: t('recommendations.streamingAtHome', { country: getCountryName(homeCountry) }) };
+    }
+    const streamingCountries = Object.keys(allProviders).filter(code => (allProviders[code].flatrate || []).length > 0);
+    if (streamingCountries.length > 0) {
+        return { status: 'streaming', text: t('recommendations.streamingIn', { count: streamingCountries.length }) };
+    }
+    if (Object.keys(allProviders).length > 0) {
+        return { status: 'other', text: t('recommendations.rentOrBuy') };
+    }
+    return { status: 'none', text: t('recommendations.unavailable') };
+}
+
+// --- Watchlist View ---
+
+/**
+ * Displays the saved watchlist with each title's changes from the last check, plus refresh, import and export actions.
+ * @param {string} [message] - An optional status message to show above the list.
+ */
+async function showWatchlist(message) {
+    currentResults = null;
+    let entries;
+    try {
+        entries = await getWatchlist();
+    } catch (error) {
+        setHtml(resultsContainer, html`<p class="error-message">${t('watchlist.unavailable')}</p>`);
+        return;
+    }
+
+    document.body.classList.add('results-visible');
+    setHtml(resultsContainer, html`
+        <div class="watchlist-header">
+            <div class="search-header">${t('watchlist.header')}</div>
+            <div class="watchlist-actions">
+                <button type="button" class="watchlist-refresh" ${entries.length === 0 ? 'disabled' : ''}>${t('watchlist.check')}</button>
+                <button type="button" class="watchlist-export" ${entries.length === 0 ? 'disabled' : ''}>${t('watchlist.export')}</button>
+                <button type="button" class="watchlist-plan" ${entries.length === 0 ? 'disabled' : ''}>${t('plan.button')}</button>
+                <label class="watchlist-import">${t('watchlist.import')}<input type="file" accept="application/json,.json" class="visually-hidden"></label>
+            </div>
+        </div>
+        ${message ? html`<p class="watchlist-message">${message}</p>` : ''}
+    `);
+
+    if (entries.length === 0) {
+        appendHtml(resultsContainer, html`<p class="watchlist-empty">${t('watchlist.empty', { button: t('watchlist.add') })}</p>`);
+    } else {
+        const list = document.createElement('ul');
+        list.className = 'watchlist-items';
+        entries.forEach(entry => list.appendChild(createWatchlistItem(entry)));
+        resultsContainer.appendChild(list);
+    }
+
+    resultsContainer.querySelector('.watchlist-refresh').addEventListener('click', (e) => refreshWatchlist(e.target, entries));
+    resultsContainer.querySelector('.watchlist-export').addEventListener('click', downloadWatchlist);
+    resultsContainer.querySelector('.watchlist-plan').addEventListener('click', () => showPlan({ from: 'watchlist' }));
+    resultsContainer.querySelector('.watchlist-import input').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            const count = await importWatchlist(await file.text(), OFFER_TYPES.map(offer => offer.key));
+            await showWatchlist(t('watchlist.imported', { count }));
+        } catch (error) {
+            await showWatchlist(error.message);
+        }
+    });
+}
+
+/**
+ * Creates the list item for one watchlist entry.
+ * @param {object} entry - The watchlist entry.
+ * @returns {HTMLElement} The list item.
+ */
+function createWatchlistItem(entry) {
+    const item = document.createElement('li');
+    item.className = 'watchlist-item';
+    const checked = entry.checkedAt ? t('watchlist.checkedAt', { age: formatAge(entry.checkedAt) }) : t('watchlist.neverChecked');
+    setHtml(item, html`
+        <div class="watchlist-item-header">
+            <button type="button" class="watchlist-open">${entry.title} (${entry.year === 'N/A' ? t('common.notAvailable') : entry.year})</button>
+            <button type="button" class="watchlist-remove" aria-label="${t('watchlist.removeLabel', { title: entry.title })}">${t('watchlist.remove')}</button>
+        </div>
+        <div class="title-meta">${t(entry.mediaType === 'movie' ? 'media.movie' : 'media.tv')} • ${checked}</div>
+    `);
+
+    if (entry.changes.length > 0) {
+        const changes = document.createElement('ul');
+        changes.className = 'watchlist-changes';
+        setHtml(changes, html`${entry.changes.map(change => {
+            const offer = OFFER_TYPES.find(offerType => offerType.key === change.offer);
+            const countries = formatList(change.countries.map(getCountryName).sort(compareText));
+            const text = t(change.change === 'added' ? 'watchlist.changeAdded' : 'watchlist.changeRemoved', {
+                provider: change.providerName,
+                offer: t(offer.labelKey),
+                countries
+            });
+            return html`<li class="${change.change}">${text}</li>`;
+        })}`);
+        item.appendChild(changes);
+    } else if (entry.previousCheckedAt) {
+        appendHtml(item, html`<p class="watchlist-unchanged">${t('watchlist.unchanged')}</p>`);
+    }
+
+    item.querySelector('.watchlist-open').addEventListener('click', () => {
+        input.value = entry.title;
+        openSearchResult({ id: entry.tmdbId, media_type: entry.mediaType, title: entry.title, release_date: entry.year === 'N/A' ? null : String(entry.year) });
+    });
+    item.querySelector('.watchlist-remove').addEventListener('click', async () => {
+        await deleteWatchlistEntry(entry.key);
+        await showWatchlist(t('watchlist.removed', { title: entry.title }));
+    });
+    return item;
+}
+
+/**
+ * Re-fetches the providers of every watchlist entry, records what changed against its snapshot, and re-renders the view.
+ * @param {HTMLButtonElement} button - The refresh button, disabled while checking.
+ * @param {Array<object>} entries - The watchlist entries.
+ */
+async function refreshWatchlist(button, entries) {
+    button.disabled = true;
+    button.textContent = t('watchlist.checking');
+    announce(t('watchlist.checkingAnnouncement'));
+
+    const offerKeys = OFFER_TYPES.map(offer => offer.key);
+    let changedCount = 0;
+    let failedCount = 0;
+    // One title at a time, to stay well inside the API rate limit.
+    for (const entry of entries) {
+        try {
+            const providersData = await callApi(`${entry.mediaType}/${entry.tmdbId}/watch/providers`, {});
+            const newSnapshot = providersData.results || {};
+            const changes = diffProviderSnapshots(entry.snapshot, newSnapshot, offerKeys);
+            if (changes.length > 0) changedCount++;
+            await saveWatchlistEntry({ ...entry, snapshot: newSnapshot, changes, previousCheckedAt: entry.checkedAt, checkedAt: Date.now() });
+        } catch (error) {
+            console.error(`Watchlist refresh failed for ${entry.key}:`, error);
+            failedCount++;
+        }
+    }
+
+    let message = changedCount === 0 ? t('watchlist.noChanges') : t('watchlist.changed', { count: changedCount });
+    if (failedCount > 0) message += ` ${t('watchlist.checkFailed', { count: failedCount })}`;
+    await showWatchlist(message);
+    announce(message);
+}
+
+/**
+ * Downloads the watchlist as a JSON file.
+ */
+async function downloadWatchlist() {
+    downloadFile('streamkey-watchlist.json', 'application/json', await exportWatchlist());
+}
+
+/**
+ * Describes how long ago a timestamp was (e.g., '3 hours ago').
+ * @param {number} timestamp - The time in milliseconds.
+ * @returns {string} The relative time.
+ */
+function formatAge(timestamp) {
+    const seconds = Math.round((timestamp - Date.now()) / 1000);
+    const units = [['day', 86400], ['hour', 3600], ['minute', 60]];
+    const formatter = new Intl.RelativeTimeFormat(getLanguage(), { numeric: 'auto' });
+    for (const [unit, size] of units) {
+        if (Math.abs(seconds) >= size) return formatter.format(Math.round(seconds / size), unit);
+    }
+    return t('time.justNow');
+}
+
+// --- Compare View ---
+// Several titles side by side: which services offer each of them in one country, and which single service covers the most.
+// The titles are kept by compare.js and the country in the URL (see getComparePath).
+
+/**
+ * Loads and displays the comparison, showing the loader while it runs.
+ * @param {string} [country] - The two-letter country code. Defaults to the home country.
+ */
+async function showCompare(country) {
+    currentResults = null;
+    resultsContainer.replaceChildren();
+    loader.style.display = 'block';
+    try {
+        await displayCompare(country);
+    } catch (error) {
+        setHtml(resultsContainer, html`<p class="error-message">${error.message}</p>`);
+    } finally {
+        loader.style.display = 'none';
+        focusResults();
+    }
+}
+
+/**
+ * Fetches every compared title's providers in parallel, then renders the best-service summary
+ * and the provider × title matrix for the country.
+ * @param {string} [country] - The two-letter country code.
+ */
+async function displayCompare(country) {
+    const titles = loadComparison();
+    const loaded = await Promise.all(titles.map(title => fetchTitleProviders(title.mediaType, title.tmdbId).then(
+        results => ({ title, results }),
+        error => {
+            console.error(`Comparison failed for ${title.key}:`, error);
+            return { title, results: null };
+        }
+    )));
+
+    // Offer every country any of the titles is available in, starting on the chosen or home country.
+    const countryCodes = new Set(loaded.flatMap(entry => Object.keys(entry.results || {})));
+    const selectedCountry = country || preferences.homeCountry || Array.from(countryCodes).sort()[0] || 'US';
+    countryCodes.add(selectedCountry);
+    const sortedCodes = Array.from(countryCodes).sort((a, b) => compareText(getCountryName(a), getCountryName(b)));
+    const countryName = getCountryName(selectedCountry);
+    pushRoute(getComparePath(selectedCountry));
+
+    document.body.classList.add('results-visible');
+    setHtml(resultsContainer, html`
+        <div class="watchlist-header">
+            <div class="search-header">${t('compare.header')}</div>
+            <div class="watchlist-actions">
+                <select class="compare-country" aria-label="${t('compare.country')}">
+                    ${sortedCodes.map(code => html`<option value="${code}">${getCountryName(code)}</option>`)}
+                </select>
+                <button type="button" class="compare-plan" ${titles.length === 0 ? 'disabled' : ''}>${t('plan.button')}</button>
+                <button type="button" class="compare-clear" ${titles.length === 0 ? 'disabled' : ''}>${t('compare.clear')}</button>
+            </div>
+        </div>
+    `);
+    const countrySelect = resultsContainer.querySelector('.compare-country');
+    countrySelect.value = selectedCountry;
+    countrySelect.addEventListener('change', () => showCompare(countrySelect.value));
+    resultsContainer.querySelector('.compare-plan').addEventListener('click', () => showPlan({ from: 'compare', country: selectedCountry }));
+    resultsContainer.querySelector('.compare-clear').addEventListener('click', () => {
+        saveComparison([]);
+        showCompare(selectedCountry);
+    });
+
+    if (titles.length === 0) {
+        appendHtml(resultsContainer, html`<p class="watchlist-empty">${t('compare.empty', { button: t('compare.add') })}</p>`);
+        return;
+    }
+
+    const available = loaded.filter(entry => entry.results);
+    const failed = loaded.filter(entry => !entry.results).map(entry => entry.title.title);
+    const providersByKey = Object.fromEntries(available.map(entry => [entry.title.key, entry.results]));
+    const matrix = buildComparisonMatrix(available.map(entry => entry.title.key), providersByKey, selectedCountry, OFFER_TYPES.map(offer => offer.key));
+
+    appendHtml(resultsContainer, html`
+        <p class="compare-summary">${createBestServiceSummary(matrix, available.map(entry => entry.title), countryName)}</p>
+        ${failed.length > 0 ? html`<p class="error-message">${t('compare.loadFailed', { titles: formatList(failed) })}</p>` : ''}
+    `);
+    announce(t('compare.announce', { count: titles.length, country: countryName }));
+
+    // The header row is kept even with no providers, so the titles can still be opened or removed.
+    const wrapper = document.createElement('div');
+    wrapper.className = 'compare-table';
+    setHtml(wrapper, html`
+        <table class="compare-matrix">
+            <caption>${t('compare.caption', { country: countryName })}</caption>
+            <thead>
+                <tr>
+                    <th scope="col">${t('compare.service')}</th>
+                    ${titles.map(title => html`
+                        <th scope="col">
+                            <button type="button" class="compare-open" data-key="${title.key}">${title.title}</button>
+                            <button type="button" class="compare-remove" data-key="${title.key}" aria-label="${t('compare.removeLabel', { title: title.title })}">×</button>
+                        </th>
+                    `)}
+                </tr>
+            </thead>
+            <tbody>
+                ${matrix.map(row => html`
+                    <tr class="${preferences.services.includes(row.id) ? 'subscribed' : ''}">
+                        <th scope="row">${row.name}</th>
+                        ${titles.map(title => createComparisonCell(row, title.key, Boolean(providersByKey[title.key])))}
+                    </tr>
+                `)}
+            </tbody>
+        </table>
+    `);
+    resultsContainer.appendChild(wrapper);
+
+    wrapper.addEventListener('click', (e) => {
+        const button = e.target.closest('.compare-open, .compare-remove');
+        if (!button) return;
+        const title = titles.find(entry => entry.key === button.dataset.key);
+        if (button.classList.contains('compare-remove')) {
+            saveComparison(titles.filter(entry => entry !== title));
+            announce(t('compare.removedAnnouncement', { title: title.title }));
+            showCompare(selectedCountry);
+            return;
+        }
+        input.value = title.title;
+        openSearchResult({ id: title.tmdbId, media_type: title.mediaType, title: title.title, release_date: title.year === 'N/A' ? null : String(title.year) });
+    });
+}
+
+/**
+ * Describes which single service includes the most of the compared titles, and which titles it leaves out.
+ * @param {Array<object>} matrix - The rows from buildComparisonMatrix.
+ * @param {Array<object>} titles - The compared titles whose providers loaded.
+ * @param {string} countryName - The country's display name.
+ * @returns {string} The summary.
+ */
+function createBestServiceSummary(matrix, titles, countryName) {
+    if (matrix.length === 0) return t('compare.noneAvailable', { country: countryName });
+    const best = findBestService(matrix, preferences.services);
+    if (!best) return t('compare.noneStreaming', { country: countryName });
+    if (best.included.length === titles.length) return t('compare.bestAll', { provider: best.name, country: countryName });
+
+    const missing = titles.filter(title => !best.included.includes(title.key)).map(title => title.title);
+    const summary = t('compare.best', { provider: best.name, covered: best.included.length, count: titles.length, country: countryName });
+    return `${summary} ${t('compare.missing', { titles: formatList(missing) })}`;
+}
+
+/**
+ * Creates one cell of the comparison matrix, listing how a provider offers a title.
+ * @param {object} row - The provider's row from buildComparisonMatrix.
+ * @param {string} titleKey - The title's key.
+ * @param {boolean} isLoaded - Whether the title's providers loaded.
+ * @returns {SafeHtml} The cell's markup.
+ */
+function createComparisonCell(row, titleKey, isLoaded) {
+    if (!isLoaded) return html`<td class="unknown">${t('compare.unknown')}</td>`;
+    const offers = row.offers[titleKey];
+    if (!offers) return html`<td><span aria-hidden="true">—</span><span class="visually-hidden">${t('compare.notAvailable')}</span></td>`;
+    const labels = offers.map(key => t(OFFER_TYPES.find(offer => offer.key === key).labelKey));
+    return html`<td class="${row.included.includes(titleKey) ? 'included' : ''}">${formatList(labels)}</td>`;
+}
+
+/**
+ * Creates the button that adds the displayed title to the comparison or takes it out again.
+ * @param {string} titleName - The title's display name.
+ * @param {number|string} year - The release year, or 'N/A'.
+ * @param {string} mediaType - 'movie' or 'tv'.
+ * @param {number} tmdbId - The TMDB ID of the title.
+ * @returns {HTMLElement} The button.
+ */
+function createCompareToggle(titleName, year, mediaType, tmdbId) {
+    const key = `${mediaType}/${tmdbId}`;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'compare-toggle';
+
+    const render = (isAdded) => {
+        button.textContent = t(isAdded ? 'compare.added' : 'compare.add');
+        button.setAttribute('aria-pressed', String(isAdded));
+    };
+    render(loadComparison().some(entry => entry.key === key));
+
+    button.addEventListener('click', () => {
+        const titles = loadComparison();
+        if (titles.some(entry => entry.key === key)) {
+            saveComparison(titles.filter(entry => entry.key !== key));
+            render(false);
+            announce(t('compare.removedAnnouncement', { title: titleName }));
+        } else if (titles.length >= MAX_COMPARED_TITLES) {
+            button.textContent = t('compare.full', { count: MAX_COMPARED_TITLES });
+            announce(button.textContent);
+        } else {
+            saveComparison([...titles, { key, mediaType, tmdbId, title: titleName, year }]);
+            render(true);
+            announce(t('compare.addedAnnouncement', { title: titleName }));
+        }
+    });
+    return button;
+}
+
+/**
+ * Builds the path of the comparison view.
+ * @param {string} country - The two-letter country code.
+ * @returns {string} The path, e.g. '/compare?country=US'.
+ */
+function getComparePath(country) {
+    return `/compare?country=${country}`;
+}
+
+// --- Subscription Planner View ---
+// Which services to subscribe to so the watchlist's or the comparison's titles can all be streamed in one country
+// (see optimizer.js). Lives at `/plan?from=watchlist|compare&country=XX` (see getPlanPath).
+
+/**
+ * Loads and displays the subscription plan, showing the loader while it runs.
+ * @param {{from: string, country: string}} plan - Where the titles come from ('watchlist' or 'compare') and
+ * the two-letter country code, which defaults to the home country.
+ */
+async function showPlan(plan) {
+    currentResults = null;
+    resultsContainer.replaceChildren();
+    loader.style.display = 'block';
+    try {
+        await displayPlan(plan);
+    } catch (error) {
+        setHtml(resultsContainer, html`<p class="error-message">${error.message}</p>`);
+    } finally {
+        loader.style.display = 'none';
+        focusResults();
+    }
+}
+
+/**
+ * Loads the titles' providers, then renders the plan and the editable price table for the country.
+ * Watchlist titles use their saved snapshots; compared titles are fetched in parallel.
+ * @param {{from: string, country: string}} plan - The plan's source and country.
+ */
+async function displayPlan(plan) {
+    const from = plan.from === 'compare' ? 'compare' : 'watchlist';
+    let titles;
+    let failed = [];
+    if (from === 'watchlist') {
+        let entries;
+        try {
+            entries = await getWatchlist();
+        } catch (error) {
+            throw new Error(t('watchlist.unavailable'));
+        }
+        titles = entries.map(entry => ({ key: entry.key, title: entry.title, results: entry.snapshot || {} }));
+    } else {
+        const loaded = await Promise.all(loadComparison().map(entry => fetchTitleProviders(entry.mediaType, entry.tmdbId).then(
+            results => ({ key: entry.key, title: entry.title, results }),
+            error => {
+                console.error(`Plan failed for ${entry.key}:`, error);
+                return { key: entry.key, title: entry.title, results: null };
+            }
+        )));
+        titles = loaded.filter(entry => entry.results);
+        failed = loaded.filter(entry => !entry.results).map(entry => entry.title);
     }
-    qualityContainer.dataset.status = 'loaded';
+
+    const countryCodes = new Set(titles.flatMap(entry => Object.keys(entry.results)));
+    const country = plan.country || preferences.homeCountry || Array.from(countryCodes).sort()[0] || 'US';
+    countryCodes.add(country);
+    const sortedCodes = Array.from(countryCodes).sort((a, b) => compareText(getCountryName(a), getCountryName(b)));
+    pushRoute(getPlanPath(from, country));
+
+    document.body.classList.add('results-visible');
+    setHtml(resultsContainer, html`
+        <div class="watchlist-header">
+            <div class="search-header">${t('plan.header')}</div>
+            <div class="watchlist-actions">
+                <select class="plan-source" aria-label="${t('plan.source')}">
+                    <option value="watchlist">${t('plan.fromWatchlist')}</option>
+                    <option value="compare">${t('plan.fromComparison')}</option>
+                </select>
+                <select class="plan-country" aria-label="${t('plan.country')}">
+                    ${sortedCodes.map(code => html`<option value="${code}">${getCountryName(code)}</option>`)}
+                </select>
+            </div>
+        </div>
+        ${failed.length > 0 ? html`<p class="error-message">${t('plan.loadFailed', { titles: formatList(failed) })}</p>` : ''}
+    `);
+    const sourceSelect = resultsContainer.querySelector('.plan-source');
+    const countrySelect = resultsContainer.querySelector('.plan-country');
+    sourceSelect.value = from;
+    countrySelect.value = country;
+    sourceSelect.addEventListener('change', () => showPlan({ from: sourceSelect.value, country }));
+    countrySelect.addEventListener('change', () => showPlan({ from, country: countrySelect.value }));
+
+    if (titles.length === 0) {
+        appendHtml(resultsContainer, html`<p class="watchlist-empty">${t('plan.empty')}</p>`);
+        return;
+    }
+
+    const planResults = document.createElement('div');
+    planResults.className = 'plan-results';
+    resultsContainer.appendChild(planResults);
+    const result = renderPlanResults(planResults, titles, country);
+    announce(planResults.querySelector('.compare-summary').textContent);
+    if (result.services.length === 0) return;
+
+    // Editing a price only re-plans, so focus stays in the price table.
+    const prices = document.createElement('form');
+    prices.className = 'plan-prices';
+    setHtml(prices, html`
+        <div class="seasons-header">${t('plan.pricesHeader', { country: getCountryName(country) })}</div>
+        <p class="home-hint">${t('plan.pricesHint')}</p>
+        ${result.services.slice().sort((a, b) => compareText(a.name, b.name)).map(service => html`
+            <label class="plan-price">
+                <span>${service.name}</span>
+                <input type="number" min="0" step="0.01" value="${service.price === null ? '' : service.price}"
+                    data-provider-id="${service.id}" aria-label="${t('plan.priceLabel', { provider: service.name })}">
+            </label>
+        `)}
+    `);
+    prices.addEventListener('submit', (e) => e.preventDefault());
+    prices.addEventListener('change', (e) => {
+        const price = e.target.value === '' ? null : Math.max(0, Number(e.target.value));
+        saveServicePrice(country, Number(e.target.dataset.providerId), Number.isFinite(price) ? price : null);
+        renderPlanResults(planResults, titles, country);
+    });
+    resultsContainer.appendChild(prices);
+}
+
+/**
+ * Plans the subscriptions with the current prices and renders the explanation: the smallest set of services
+ * with the titles each includes, a cheaper set if there is one, the best coverage with fewer services,
+ * and the titles that are free or not included anywhere.
+ * @param {HTMLElement} container - The element to render into.
+ * @param {Array<{key: string, title: string, results: object}>} titles - The titles and their watch/providers results.
+ * @param {string} country - The two-letter country code.
+ * @returns {object} The plan from planSubscriptions.
+ */
+function renderPlanResults(container, titles, country) {
+    const priceTable = loadPriceTable();
+    const providersByKey = Object.fromEntries(titles.map(entry => [entry.key, entry.results]));
+    const result = planSubscriptions(titles.map(entry => entry.key), providersByKey, country, id => getServicePrice(priceTable, country, id));
+    const titleNames = new Map(titles.map(entry => [entry.key, entry.title]));
+    const listTitles = keys => formatList(keys.map(key => titleNames.get(key)));
+    const countryName = getCountryName(country);
+    const complete = result.sets.find(set => set.uncovered.length === 0);
+
+    let summary;
+    if (complete) {
+        summary = t('plan.minimal', { count: complete.services.length, country: countryName });
+    } else {
+        summary = t(result.free.length > 0 ? 'plan.nothingNeeded' : 'plan.noneStreaming', { country: countryName });
+    }
+    const fewerSets = complete ? result.sets.filter(set => set !== complete) : [];
+
+    setHtml(container, html`
+        <p class="compare-summary">${summary}</p>
+        ${complete ? createPlanServiceList(complete, listTitles) : ''}
+        ${result.cheapest ? html`
+            <div class="seasons-header">${t('plan.cheaperHeader')}</div>
+            ${createPlanServiceList(result.cheapest, listTitles)}
+        ` : ''}
+        ${fewerSets.length > 0 ? html`
+            <div class="seasons-header">${t('plan.fewerHeader')}</div>
+            <ol class="plan-sets">${fewerSets.map(set => html`
+                <li>
+                    <div class="plan-set-label">${t('plan.setLabel', { count: set.services.length })}</div>
+                    <div>${formatList(set.services.map(service => service.name))}</div>
+                    <div class="title-meta">${t('plan.coverage', { covered: set.covered.length, count: result.needed.length })} • ${formatPlanTotal(set)}</div>
+                    <div class="title-meta">${t('plan.uncovered', { titles: listTitles(set.uncovered) })}</div>
+                </li>
+            `)}</ol>
+        ` : ''}
+        ${result.free.length > 0 ? html`<p class="home-hint">${t('plan.free', {
+            country: countryName,
+            titles: formatList(result.free.map(entry => `${titleNames.get(entry.key)} (${formatList(entry.providers)})`))
+        })}</p>` : ''}
+        ${result.unavailable.length > 0 ? html`<p class="home-hint">${t('plan.unavailable', { country: countryName, titles: listTitles(result.unavailable) })}</p>` : ''}
+        ${result.exact ? '' : html`<p class="home-hint">${t('plan.approximate')}</p>`}
+    `);
+    return result;
+}
+
+/**
+ * Creates the list of a set's services, each with its price and the titles it includes, followed by the total.
+ * @param {object} set - A set from planSubscriptions.
+ * @param {function(string[]): string} listTitles - Joins title keys into a list of names.
+ * @returns {SafeHtml} The list's markup.
+ */
+function createPlanServiceList(set, listTitles) {
+    return html`
+        <ul class="plan-services">${set.services.map(service => html`
+            <li>
+                <strong>${service.name}</strong>
+                <span class="title-meta">${service.price === null ? t('plan.priceUnknown') : t('plan.perMonth', { price: formatPrice(service.price) })}</span>
+                <div>${t('plan.includes', { titles: listTitles(set.covered.filter(key => service.titles.includes(key))) })}</div>
+            </li>
+        `)}</ul>
+        <p class="plan-total">${formatPlanTotal(set)}</p>
+    `;
+}
+
+/**
+ * @param {object} set - A set from planSubscriptions.
+ * @returns {string} The set's monthly total, noting when some prices are unknown.
+ */
+function formatPlanTotal(set) {
+    if (set.unknownPrices === set.services.length) return t('plan.totalUnknown');
+    return t(set.unknownPrices > 0 ? 'plan.totalAtLeast' : 'plan.total', { price: formatPrice(set.price) });
+}
+
+/**
+ * Formats a monthly price with two decimals. The currency isn't shown, as the price table doesn't record it.
+ * @param {number} price - The price.
+ * @returns {string} The formatted price, e.g. '7.99'.
+ */
+function formatPrice(price) {
+    return new Intl.NumberFormat(getLanguage(), { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(price);
+}
+
+/**
+ * Builds the path of the subscription planner.
+ * @param {string} from - Where the titles come from: 'watchlist' or 'compare'.
+ * @param {string} country - The two-letter country code.
+ * @returns {string} The path, e.g. '/plan?from=watchlist&country=US'.
+ */
+function getPlanPath(from, country) {
+    return `/plan?from=${from}&country=${country}`;
+}
+
+// --- Browse View ---
+// The reverse of a search: pick a service and a country, and page through what it carries with discover/movie or discover/tv.
+// Browse state: { mediaType, country, providerId, genreId, yearFrom, yearTo, minRating }, kept in the URL (see getBrowsePath).
+
+/**
+ * Fetches one of browse mode's option lists (countries, a region's providers or genres), once per session.
+ * @param {string} endpoint - The TMDB endpoint path.
+ * @param {object} params - An object of query parameters.
+ * @returns {Promise<object>} The JSON response from the API.
+ */
+function fetchBrowseOptions(endpoint, params) {
+    const key = `${endpoint}?${new URLSearchParams(params)}`;
+    if (!browseOptionsCache.has(key)) {
+        const request = callApi(endpoint, params).catch(error => {
+            browseOptionsCache.delete(key); // Let the next visit try again.
+            throw error;
+        });
+        browseOptionsCache.set(key, request);
+    }
+    return browseOptionsCache.get(key);
+}
+
+/**
+ * Loads and displays browse mode for the given state, showing the loader while it runs.
+ * @param {object} browse - The browse state; missing fields fall back to the user's preferences.
+ */
+async function showBrowse(browse) {
+    currentResults = null;
+    resultsContainer.replaceChildren();
+    loader.style.display = 'block';
+    try {
+        await displayBrowse(browse);
+    } catch (error) {
+        setHtml(resultsContainer, html`<p class="error-message">${error.message}</p>`);
+    } finally {
+        loader.style.display = 'none';
+        focusResults();
+    }
+}
+
+/**
+ * Renders the browse filters and the first page of titles.
+ * @param {object} browse - The browse state.
+ */
+async function displayBrowse(browse) {
+    const mediaType = browse.mediaType === 'tv' ? 'tv' : 'movie';
+    const country = browse.country || preferences.homeCountry || 'US';
+    const [countryData, providerData, genreData] = await Promise.all([
+        fetchBrowseOptions('configuration/countries', {}),
+        fetchBrowseOptions(`watch/providers/${mediaType}`, { watch_region: country }),
+        fetchBrowseOptions(`genre/${mediaType}/list`, {})
+    ]);
+
+    const countryCodes = (Array.isArray(countryData) ? countryData : []).map(entry => entry.iso_3166_1);
+    if (!countryCodes.includes(country)) countryCodes.push(country);
+    countryCodes.sort((a, b) => compareText(getCountryName(a), getCountryName(b)));
+    const providers = sortBrowseProviders(providerData.results || [], country);
+    const genres = genreData.genres || [];
+
+    // Keep the chosen service if it is offered in the country, otherwise start on one of the user's own.
+    const providerIds = providers.map(provider => provider.provider_id);
+    const providerId = providerIds.includes(browse.providerId)
+        ? browse.providerId
+        : providerIds.find(id => preferences.services.includes(id)) || providerIds[0] || null;
+    const genreId = genres.some(genre => genre.id === browse.genreId) ? browse.genreId : null;
+    const state = { ...browse, mediaType, country, providerId, genreId };
+    pushRoute(getBrowsePath(state));
+
+    document.body.classList.add('results-visible');
+    setHtml(resultsContainer, html`
+        <div class="search-header">${t('browse.header')}</div>
+        <form class="search-filters browse-filters">
+            <select name="mediaType" aria-label="${t('filters.type')}">
+                <option value="movie">${t('filters.movies')}</option>
+                <option value="tv">${t('filters.tv')}</option>
+            </select>
+            <select name="country" aria-label="${t('browse.country')}">
+                ${countryCodes.map(code => html`<option value="${code}">${getCountryName(code)}</option>`)}
+            </select>
+            <select name="providerId" aria-label="${t('browse.provider')}">
+                ${providers.map(provider => html`<option value="${provider.provider_id}">${provider.provider_name}</option>`)}
+            </select>
+            <select name="genreId" aria-label="${t('browse.genre')}">
+                <option value="">${t('browse.allGenres')}</option>
+                ${genres.map(genre => html`<option value="${genre.id}">${genre.name}</option>`)}
+            </select>
+            <input type="number" name="yearFrom" placeholder="${t('filters.yearFrom')}" min="1870" max="2100" aria-label="${t('filters.yearFrom')}">
+            <input type="number" name="yearTo" placeholder="${t('filters.yearTo')}" min="1870" max="2100" aria-label="${t('filters.yearTo')}">
+            <select name="minRating" aria-label="${t('browse.rating')}">
+                <option value="">${t('browse.anyRating')}</option>
+                ${BROWSE_MIN_RATINGS.map(rating => html`<option value="${rating}">${t('browse.minRating', { rating })}</option>`)}
+            </select>
+            <button type="submit">${t('filters.apply')}</button>
+        </form>
+    `);
+
+    const filtersForm = resultsContainer.querySelector('.browse-filters');
+    const filters = filtersForm.elements;
+    filters.mediaType.value = mediaType;
+    filters.country.value = country;
+    filters.providerId.value = providerId || '';
+    filters.genreId.value = genreId || '';
+    filters.yearFrom.value = state.yearFrom || '';
+    filters.yearTo.value = state.yearTo || '';
+    filters.minRating.value = state.minRating || '';
+    const readFilters = () => ({
+        mediaType: filters.mediaType.value,
+        country: filters.country.value,
+        providerId: parseInt(filters.providerId.value, 10) || null,
+        genreId: parseInt(filters.genreId.value, 10) || null,
+        yearFrom: parseInt(filters.yearFrom.value, 10) || null,
+        yearTo: parseInt(filters.yearTo.value, 10) || null,
+        minRating: parseInt(filters.minRating.value, 10) || null
+    });
+    filtersForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        showBrowse(readFilters());
+    });
+    // The lists apply straight away; the year fields wait for Apply.
+    filtersForm.querySelectorAll('select').forEach(select => select.addEventListener('change', () => showBrowse(readFilters())));
+
+    if (!providerId) {
+        appendHtml(resultsContainer, html`<p class="error-message">${t('browse.noProviders', { country: getCountryName(country) })}</p>`);
+        return;
+    }
+
+    const firstPage = await fetchDiscoverPage(state, 1);
+    const providerName = providers.find(provider => provider.provider_id === providerId).provider_name;
+    announce(t('browse.announce', { count: firstPage.totalResults, provider: providerName, country: getCountryName(country) }));
+    if (firstPage.items.length === 0) {
+        appendHtml(resultsContainer, html`<p class="error-message">${t('browse.noResults', { provider: providerName })}</p>`);
+        return;
+    }
+
+    const grid = document.createElement('div');
+    grid.className = 'search-grid';
+    resultsContainer.appendChild(grid);
+    appendBrowseCards(grid, firstPage.items);
+    if (firstPage.page < firstPage.totalPages) {
+        resultsContainer.appendChild(createBrowseMoreButton(state, grid, firstPage));
+    }
+}
+
+/**
+ * Orders a region's providers the way TMDB ranks them there, most prominent first.
+ * @param {Array<object>} providers - The `results` of watch/providers/{type}.
+ * @param {string} country - The two-letter country code.
+ * @returns {Array<object>} The sorted providers.
+ */
+function sortBrowseProviders(providers, country) {
+    const getPriority = provider => (provider.display_priorities && provider.display_priorities[country] !== undefined
+        ? provider.display_priorities[country]
+        : provider.display_priority);
+    return providers.slice().sort((a, b) => getPriority(a) - getPriority(b) || compareText(a.provider_name, b.provider_name));
+}
+
+/**
+ * Fetches one page of titles for the browse state, most popular first.
+ * @param {object} browse - The browse state.
+ * @param {number} page - The page number.
+ * @returns {Promise<object>} The page's items (with their media type), the page number, the total number of pages and results.
+ */
+async function fetchDiscoverPage(browse, page) {
+    const dateField = browse.mediaType === 'movie' ? 'primary_release_date' : 'first_air_date';
+    const params = {
+        watch_region: browse.country,
+        with_watch_providers: browse.providerId,
+        sort_by: 'popularity.desc',
+        include_adult: false,
+        page
+    };
+    if (browse.genreId) params.with_genres = browse.genreId;
+    if (browse.yearFrom) params[`${dateField}.gte`] = `${browse.yearFrom}-01-01`;
+    if (browse.yearTo) params[`${dateField}.lte`] = `${browse.yearTo}-12-31`;
+    if (browse.minRating) {
+        params['vote_average.gte'] = browse.minRating;
+        // Titles with a handful of votes would otherwise crowd the top of a rating filter.
+        params['vote_count.gte'] = BROWSE_MIN_VOTES;
+    }
+
+    const data = await callApi(`discover/${browse.mediaType}`, params);
+    return {
+        items: (data.results || []).map(item => ({ ...item, media_type: browse.mediaType })),
+        page: data.page || page,
+        // TMDB serves at most 500 pages of discover results.
+        totalPages: Math.min(data.total_pages || 1, 500),
+        totalResults: data.total_results || 0
+    };
+}
+
+/**
+ * Adds a card for each title to the browse grid. Each card opens the title's streaming details.
+ * @param {HTMLElement} grid - The grid element.
+ * @param {Array<object>} items - The titles to add.
+ */
+function appendBrowseCards(grid, items) {
+    items.forEach(item => grid.appendChild(createSearchCard(item)));
+}
+
+/**
+ * Creates the button that loads the next page of titles. It loads by itself when scrolled into view,
+ * and stays as a plain button for keyboard users and browsers without IntersectionObserver.
+ * @param {object} browse - The browse state.
+ * @param {HTMLElement} grid - The grid to add titles to.
+ * @param {object} lastPage - The last page loaded, from fetchDiscoverPage.
+ * @returns {HTMLElement} The button.
+ */
+function createBrowseMoreButton(browse, grid, lastPage) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'browse-more';
+    button.textContent = t('browse.loadMore');
+    let page = lastPage.page;
+    let observer = null;
+
+    const loadMore = async () => {
+        if (button.disabled) return;
+        button.disabled = true;
+        button.textContent = t('browse.loading');
+        try {
+            const nextPage = await fetchDiscoverPage(browse, page + 1);
+            if (!button.isConnected) return; // Another view was opened in the meantime.
+            page = nextPage.page;
+            appendBrowseCards(grid, nextPage.items);
+            announce(t('browse.loadedMore', { count: nextPage.items.length }));
+            if (page >= nextPage.totalPages || nextPage.items.length === 0) {
+                if (observer) observer.disconnect();
+                button.remove();
+                return;
+            }
+            button.textContent = t('browse.loadMore');
+        } catch (error) {
+            button.textContent = error.message;
+            if (observer) observer.disconnect(); // Wait for a click before trying again.
+        } finally {
+            button.disabled = false;
+        }
+    };
+
+    button.addEventListener('click', loadMore);
+    if ('IntersectionObserver' in window) {
+        observer = new IntersectionObserver(entries => {
+            if (!button.isConnected) {
+                observer.disconnect();
+            } else if (entries.some(entry => entry.isIntersecting)) {
+                loadMore();
+            }
+        }, { rootMargin: '400px' });
+        observer.observe(button);
+    }
+    return button;
+}
+
+/**
+ * Builds the path of a browse view, so it can be shared and restored.
+ * @param {object} browse - The browse state.
+ * @returns {string} The path, e.g. '/browse?type=movie&country=US&provider=8'.
+ */
+function getBrowsePath(browse) {
+    const params = new URLSearchParams({ type: browse.mediaType, country: browse.country });
+    if (browse.providerId) params.set('provider', browse.providerId);
+    if (browse.genreId) params.set('genre', browse.genreId);
+    if (browse.yearFrom) params.set('from', browse.yearFrom);
+    if (browse.yearTo) params.set('to', browse.yearTo);
+    if (browse.minRating) params.set('rating', browse.minRating);
+    return `/browse?${params}`;
+}
+
+/**
+ * Reads the browse state from a browse path's query string.
+ * @param {URLSearchParams} params - The query parameters.
+ * @returns {object} The browse state.
+ */
+function readBrowseParams(params) {
+    const country = (params.get('country') || '').toUpperCase();
+    return {
+        mediaType: params.get('type') === 'tv' ? 'tv' : 'movie',
+        country: /^[A-Z]{2}$/.test(country) ? country : null,
+        providerId: parseInt(params.get('provider'), 10) || null,
+        genreId: parseInt(params.get('genre'), 10) || null,
+        yearFrom: parseInt(params.get('from'), 10) || null,
+        yearTo: parseInt(params.get('to'), 10) || null,
+        minRating: parseInt(params.get('rating'), 10) || null
+    };
+}
+
+// --- Routing ---
+// Searches live at `/?q=...` and titles at `/movie/{id}` or `/tv/{id}`, optionally with `?country=XX`
+// to open that country's dropdown. The watchlist lives at `/watchlist`, the comparison at `/compare?country=XX`,
+// the subscription planner at `/plan?...` (see getPlanPath) and browse mode at `/browse?...` (see getBrowsePath).
+// staticwebapp.config.json serves index.html for these paths.
+
+/**
+ * Builds the path of a title's page.
+ * @param {string} mediaType - 'movie' or 'tv'.
+ * @param {number} tmdbId - The TMDB ID of the title.
+ * @param {string} [country] - A two-letter country code whose dropdown should open.
+ * @returns {string} The path, e.g. '/movie/603?country=US'.
+ */
+function getTitlePath(mediaType, tmdbId, country) {
+    return `/${mediaType}/${tmdbId}${country ? `?country=${country}` : ''}`;
+}
+
+/**
+ * Adds a history entry for the current view, unless it is being restored from the URL or is already current.
+ * @param {string} url - The path and query string of the view.
+ */
+function pushRoute(url) {
+    if (isRestoringRoute || url === location.pathname + location.search) return;
+    history.pushState(null, '', url);
+}
+
+/**
+ * Rebuilds the view from the current URL. Runs on page load and whenever the history changes.
+ */
+async function restoreRoute() {
+    const titleMatch = /^\/(movie|tv)\/(\d+)\/?$/.exec(location.pathname);
+    const params = new URLSearchParams(location.search);
+    const query = params.get('q');
+    const country = (params.get('country') || '').toUpperCase();
+
+    document.body.classList.remove('results-visible');
+    closeAutocomplete();
+    resultsContainer.replaceChildren();
+    currentResults = null;
+    if (location.pathname === '/watchlist') {
+        await showWatchlist();
+        focusResults();
+        return;
+    }
+    if (location.pathname === '/compare') {
+        isRestoringRoute = true;
+        try {
+            await showCompare(/^[A-Z]{2}$/.test(country) ? country : undefined);
+        } finally {
+            isRestoringRoute = false;
+        }
+        return;
+    }
+    if (location.pathname === '/plan') {
+        isRestoringRoute = true;
+        try {
+            await showPlan({ from: params.get('from'), country: /^[A-Z]{2}$/.test(country) ? country : undefined });
+        } finally {
+            isRestoringRoute = false;
+        }
+        return;
+    }
+    if (location.pathname === '/browse') {
+        isRestoringRoute = true;
+        try {
+            await showBrowse(readBrowseParams(params));
+        } finally {
+            isRestoringRoute = false;
+        }
+        return;
+    }
+    if (!titleMatch && !query) {
+        input.value = '';
+        return;
+    }
+
+    isRestoringRoute = true;
+    loader.style.display = 'block';
+    try {
+        if (titleMatch) {
+            const [, mediaType, tmdbId] = titleMatch;
+            const details = await fetchTitleDetails(mediaType, tmdbId);
+            input.value = details.title || details.name;
+            await fetchContentDetails({ ...details, media_type: mediaType });
+            if (/^[A-Z]{2}$/.test(country)) openCountryDropdown(country);
+        } else {
+            input.value = query;
+            await searchContent(query);
+        }
+    } catch (error) {
+        setHtml(resultsContainer, html`<p class="error-message">${error.message}</p>`);
+    } finally {
+        loader.style.display = 'none';
+        isRestoringRoute = false;
+        focusResults();
+    }
+}
+
+/**
+ * Opens a country's dropdown in the current results, switching to the first offer tab that lists the country.
+ * @param {string} code - The two-letter country code.
+ */
+function openCountryDropdown(code) {
+    const panels = [resultsContainer.querySelector('.offer-panel.active'), ...resultsContainer.querySelectorAll('.offer-panel')];
+    for (const panel of panels) {
+        const tag = panel && panel.querySelector(`.country-tag.clickable[data-country="${code}"]`);
+        if (!tag) continue;
+        selectOfferTab(panel.dataset.offerType);
+        tag.querySelector('.country-button').click();
+        tag.scrollIntoView({ block: 'center' });
+        return;
+    }
+}
+
+/**
+ * Adds or removes a provider from the user's subscribed services and re-renders the results.
+ * @param {number} providerId - The TMDB provider ID.
+ */
+function toggleService(providerId) {
+    const services = preferences.services;
+    preferences.services = services.includes(providerId)
+        ? services.filter(id => id !== providerId)
+        : [...services, providerId];
+    savePreferences(preferences);
+    refreshResults();
+}
+
+/**
+ * Fills the home country selector with the JustWatch countries (plus the detected country), sorted by name.
+ * Until the regions function has answered, the selector offers FALLBACK_HOME_COUNTRIES.
+ */
+function populateHomeCountrySelect() {
+    const codes = new Set(justWatchCountries || FALLBACK_HOME_COUNTRIES);
+    if (preferences.homeCountry) codes.add(preferences.homeCountry);
+    const sortedCodes = Array.from(codes).sort((a, b) => compareText(getCountryName(a), getCountryName(b)));
+
+    setHtml(homeCountrySelect, html`<option value="">${t('preferences.noHomeCountry')}</option>`);
+    sortedCodes.forEach(code => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = getCountryName(code);
+        homeCountrySelect.appendChild(option);
+    });
+    homeCountrySelect.value = preferences.homeCountry || '';
+}
+
+/**
+ * Fills the language selector with the languages the UI is translated into, each named in its own language.
+ */
+function populateLanguageSelect() {
+    setHtml(languageSelect, html`${SUPPORTED_LANGUAGES.map(language => html`<option value="${language.code}" lang="${language.code}">${language.name}</option>`)}`);
+    languageSelect.value = getLanguage();
 }
 
 /**
- * Helper function to get the full country name from a country code.
+ * Helper function to get the full country name from a country code, in the UI language.
  * @param {string} code - The two-letter country code (e.g., 'US').
  * @returns {string} The full country name (e.g., 'United States').
  */
 function getCountryName(code) {
     try {
-        const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+        const regionNames = new Intl.DisplayNames([getLanguage()], { type: 'region' });
         return regionNames.of(code.toUpperCase());
     } catch (e) {
         // Fallback for uncommon codes
         return code.toUpperCase();
     }
 }
+
+// Cache the app shell and API responses so the site and previously viewed titles work offline.
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch(error => console.error('Service worker registration failed:', error));
+}
+
+// Show whatever the URL points to when the page is first opened.
+restoreRoute();
@@ -0,0 +1,128 @@
+// --- StreamKey Service Worker ---
+// Precaches the app shell so the site opens without a connection, and keeps a copy of every API
+// response so previously viewed titles and searches can still be shown offline.
+
+const SHELL_CACHE = 'streamkey-shell-v9';
+const API_CACHE = 'streamkey-api-v1';
+
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/style.css',
+    '/render.js',
+    '/i18n.js',
+    '/preferences.js',
+    '/watchlist.js',
+    '/compare.js',
+    '/optimizer.js',
+    '/export.js',
+    '/title-links.js',
+    '/script.js',
+    '/animation.js',
+    '/oneko.gif',
+    '/icon.svg',
+    '/manifest.webmanifest'
+];
+
+// The API routes whose responses are kept for offline use.
+const CACHED_API_PATHS = ['/api/tmdb', '/api/watch-pages', '/api/regions'];
+
+// Stamped on stored API responses so the page can tell the user how old cached data is.
+const CACHED_AT_HEADER = 'X-Cached-At';
+
+// Every autocomplete keystroke is an API response, so the API cache keeps only the newest entries, none older than this.
+const MAX_API_ENTRIES = 300;
+const MAX_API_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches from earlier versions of this worker.
+self.addEventListener('activate', (event) => {
+    const currentCaches = [SHELL_CACHE, API_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => !currentCaches.includes(name)).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (CACHED_API_PATHS.includes(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event, API_CACHE, stampResponse, trimApiCache));
+    } else if (request.mode === 'navigate') {
+        // Every page (`/`, `/movie/603`, `/watchlist`, ...) is index.html, as in staticwebapp.config.json.
+        event.respondWith(fetch(request).catch(() => caches.match('/index.html', { cacheName: SHELL_CACHE })));
+    } else if (!url.pathname.startsWith('/api/')) {
+        event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+    }
+});
+
+/**
+ * Answers from the cache when it has a copy and refreshes the copy from the network in the background;
+ * otherwise waits for the network. Only successful responses are stored.
+ * @param {FetchEvent} event - The fetch event to answer.
+ * @param {string} cacheName - The cache to read from and write to.
+ * @param {Function} [prepare] - Turns a network response into the response to store.
+ * @param {Function} [trim] - Called with the cache after each response is stored, to remove old entries.
+ * @returns {Promise<Response>} The cached or network response.
+ */
+async function staleWhileRevalidate(event, cacheName, prepare = response => response, trim = async () => {}) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(event.request);
+
+    const network = fetch(event.request).then(async (response) => {
+        if (response.ok) {
+            await cache.put(event.request, await prepare(response.clone()));
+            await trim(cache);
+        }
+        return response;
+    });
+
+    if (cached) {
+        // Keep the worker alive until the refresh is stored; a failed refresh just leaves the old copy.
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+/**
+ * Removes the oldest API responses beyond MAX_API_ENTRIES, then any stored more than MAX_API_AGE_MS ago.
+ * A refreshed response is stored again, so the cache's keys run from least to most recently stored
+ * and the expired ones are all at the start.
+ * @param {Cache} cache - The API cache.
+ * @returns {Promise<void>}
+ */
+async function trimApiCache(cache) {
+    const requests = await cache.keys();
+    const excess = Math.max(0, requests.length - MAX_API_ENTRIES);
+    await Promise.all(requests.slice(0, excess).map(request => cache.delete(request)));
+
+    const cutoff = Date.now() - MAX_API_AGE_MS;
+    for (const request of requests.slice(excess)) {
+        const response = await cache.match(request);
+        if (response && Number(response.headers.get(CACHED_AT_HEADER)) >= cutoff) break;
+        await cache.delete(request);
+    }
+}
+
+/**
+ * Copies a response with the time it was stored, in the X-Cached-At header (milliseconds since the epoch).
+ * @param {Response} response - The network response.
+ * @returns {Promise<Response>} The stamped copy.
+ */
+async function stampResponse(response) {
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, String(Date.now()));
+    return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+}
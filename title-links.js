@@ -0,0 +1,189 @@
+// --- Title Links ---
+// Recognizes what people paste into the search box instead of a name: IMDb and TVDB IDs, and links to TMDB,
+// IMDb, TVDB, JustWatch, review sites and streaming services. Nothing here touches the DOM or the network;
+// script.js resolves the references through TMDB.
+
+const IMDB_ID_PATTERN = /^tt\d{7,10}$/i;
+const TVDB_ID_PATTERN = /^tvdb[\s:-]*(\d{1,10})$/i;
+
+// What text without a scheme must look like to be read as a link, e.g. 'imdb.com/title/tt0133093'.
+const BARE_LINK_PATTERN = /^(www\.)?[a-z0-9-]+(\.[a-z0-9-]+)+\/\S*$/i;
+
+// The media type each site's path segment stands for. JustWatch translates its segments per country.
+const MEDIA_TYPE_SEGMENTS = {
+    movie: 'movie', movies: 'movie', film: 'movie', filme: 'movie', pelicula: 'movie',
+    tv: 'tv', show: 'tv', shows: 'tv', series: 'tv', serie: 'tv', 'tv-show': 'tv', 'tv-series': 'tv'
+};
+
+// The sites whose links can be looked up, tried in order for the first site whose host matches. Each pattern either
+// names the title directly (by TMDB, IMDb or TVDB ID) or has a slug to search for. A link from a known site that
+// matches none of its patterns, such as a Netflix link with only Netflix's own ID, is reported as unsupported.
+const LINK_SITES = [
+    {
+        site: 'TMDB',
+        host: /(^|\.)themoviedb\.org$/,
+        patterns: [{ path: /^\/(movie|tv)\/(\d+)/, resolve: match => ({ kind: 'tmdb', mediaType: match[1], id: Number(match[2]) }) }]
+    },
+    {
+        site: 'IMDb',
+        host: /(^|\.)imdb\.com$/,
+        patterns: [{ path: /^\/(?:[a-z]{2}\/)?title\/(tt\d{7,10})/i, resolve: match => ({ kind: 'external', source: 'imdb_id', id: match[1].toLowerCase() }) }]
+    },
+    {
+        site: 'TVDB',
+        host: /(^|\.)thetvdb\.com$/,
+        patterns: [
+            { path: /^\/dereferrer\/series\/(\d+)/, resolve: match => ({ kind: 'external', source: 'tvdb_id', id: match[1] }) },
+            // Old links put the series ID in the query string: '/?tab=series&id=81189'.
+            { path: /^\/(index\.php)?$/, resolve: (match, url) => (/^\d+$/.test(url.searchParams.get('id') || '') ? { kind: 'external', source: 'tvdb_id', id: url.searchParams.get('id') } : null) },
+            { path: /^\/(series|movies)\/([^/]+)/, resolve: match => slugSearch(match[2], match[1]) }
+        ]
+    },
+    {
+        site: 'JustWatch',
+        host: /(^|\.)justwatch\.com$/,
+        patterns: [{ path: /^\/[a-z]{2}\/([a-z-]+)\/([^/]+)/, resolve: match => slugSearch(match[2], match[1]) }]
+    },
+    {
+        site: 'Letterboxd',
+        host: /(^|\.)letterboxd\.com$/,
+        patterns: [{ path: /^\/film\/([^/]+)/, resolve: match => slugSearch(match[1], 'movie') }]
+    },
+    {
+        site: 'Trakt',
+        host: /(^|\.)trakt\.tv$/,
+        patterns: [{ path: /^\/(movies|shows)\/([^/]+)/, resolve: match => slugSearch(match[2], match[1]) }]
+    },
+    {
+        site: 'Apple TV',
+        host: /^tv\.apple\.com$/,
+        patterns: [{ path: /^\/(?:[a-z]{2}\/)?(movie|show)\/([^/]+)\/umc\./, resolve: match => slugSearch(match[2], match[1]) }]
+    },
+    {
+        site: 'Disney+',
+        host: /(^|\.)disneyplus\.com$/,
+        patterns: [{ path: /^\/(?:[a-z]{2}(?:-[a-z]{2})?\/)?(movies|series)\/([^/]+)\/[^/]+/, resolve: match => slugSearch(match[2], match[1]) }]
+    },
+    {
+        site: 'Hulu',
+        host: /(^|\.)hulu\.com$/,
+        // Hulu slugs end with the title's UUID: '/movie/the-matrix-2c5d1b43-…'.
+        patterns: [{ path: /^\/(movie|series)\/(.+?)-[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/, resolve: match => slugSearch(match[2], match[1]) }]
+    },
+    {
+        site: 'Prime Video',
+        host: /(^|\.)(primevideo\.com|amazon\.[a-z.]+)$/,
+        // '/detail/The-Matrix/0ABC…' has the name; '/detail/0ABC…' and '/gp/video/detail/B0…' only have Amazon's ID.
+        patterns: [{ path: /^\/(?:region\/[a-z]+\/)?detail\/([^/]*[a-z][^/]*)\/[A-Z0-9]{10,}/i, resolve: match => slugSearch(match[1], null) }]
+    },
+    { site: 'Netflix', host: /(^|\.)netflix\.com$/, patterns: [] },
+    { site: 'Max', host: /(^|\.)(max\.com|hbomax\.com)$/, patterns: [] },
+    { site: 'Paramount+', host: /(^|\.)paramountplus\.com$/, patterns: [] },
+    { site: 'Peacock', host: /(^|\.)peacocktv\.com$/, patterns: [] }
+];
+
+/**
+ * Reads an ID or link pasted into the search box.
+ * @param {string} text - The search box's text.
+ * @returns {object|null} Null if the text is an ordinary search, otherwise one of:
+ * - `{ kind: 'tmdb', mediaType, id }` for a TMDB link.
+ * - `{ kind: 'external', source, id }` for an IMDb or TVDB ID, where `source` is TMDB's 'imdb_id' or 'tvdb_id'.
+ * - `{ kind: 'search', site, query, mediaType, year }` for a link that only names the title; `mediaType` and `year` are null if unknown.
+ * - `{ kind: 'unsupported', site }` for a link from a known site that doesn't name the title.
+ * - `{ kind: 'unknown' }` for a link from any other site.
+ */
+function parseTitleReference(text) {
+    const trimmed = text.trim();
+    if (IMDB_ID_PATTERN.test(trimmed)) return { kind: 'external', source: 'imdb_id', id: trimmed.toLowerCase() };
+    const tvdbMatch = TVDB_ID_PATTERN.exec(trimmed);
+    if (tvdbMatch) return { kind: 'external', source: 'tvdb_id', id: tvdbMatch[1] };
+
+    const url = parseLink(trimmed);
+    if (!url) return null;
+    const entry = LINK_SITES.find(candidate => candidate.host.test(url.hostname));
+    if (!entry) return { kind: 'unknown' };
+    for (const pattern of entry.patterns) {
+        const match = pattern.path.exec(url.pathname);
+        const reference = match && pattern.resolve(match, url);
+        if (reference) return reference.kind === 'search' ? { ...reference, site: entry.site } : reference;
+    }
+    return { kind: 'unsupported', site: entry.site };
+}
+
+/**
+ * Parses text as a web link, with or without its scheme.
+ * @param {string} text - The trimmed search text.
+ * @returns {URL|null} The link, or null if the text isn't one.
+ */
+function parseLink(text) {
+    if (/\s/.test(text)) return null;
+    const withScheme = /^https?:\/\//i.test(text) ? text : (BARE_LINK_PATTERN.test(text) ? `https://${text}` : null);
+    if (!withScheme) return null;
+    try {
+        const url = new URL(withScheme);
+        return url.hostname.includes('.') ? url : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Turns a URL slug into a search, e.g. 'the-thing-1982' into the query 'the thing' for 1982.
+ * @param {string} slug - The slug from the link's path.
+ * @param {string|null} segment - The path segment naming the media type (e.g. 'movies'), or null if unknown.
+ * @returns {object|null} The search reference without its site, or null if the slug has no words.
+ */
+function slugSearch(slug, segment) {
+    let words;
+    try {
+        words = decodeURIComponent(slug);
+    } catch (error) {
+        words = slug;
+    }
+    words = words.replace(/[-_+]+/g, ' ').trim();
+    const yearMatch = /^(.+?)\s+((?:19|20)\d{2})$/.exec(words);
+    const query = yearMatch ? yearMatch[1] : words;
+    if (!/[a-z\d]/i.test(query)) return null;
+    return {
+        kind: 'search',
+        query,
+        mediaType: segment ? MEDIA_TYPE_SEGMENTS[segment.toLowerCase()] || null : null,
+        year: yearMatch ? Number(yearMatch[2]) : null
+    };
+}
+
+/**
+ * Picks the search result a slug link points to: the only result, or the only one whose title has the slug's words.
+ * Punctuation is ignored, since slugs drop it ("schindlers list" matches "Schindler's List").
+ * @param {object} reference - The search reference from parseTitleReference.
+ * @param {Array<object>} items - The search results, already limited to the reference's media type and year.
+ * @returns {object|null} The matching result, or null if there is no clear match.
+ */
+function findLinkedTitle(reference, items) {
+    if (items.length === 1) return items[0];
+    const words = toTitleWords(reference.query);
+    const matches = items.filter(item => toTitleWords(item.title || item.name || '') === words);
+    return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Reduces a title to its lowercase letters and digits, one space between words, without accents or apostrophes.
+ * @param {string} title - The title.
+ * @returns {string} The title's words.
+ */
+function toTitleWords(title) {
+    return title.normalize('NFKD').replace(/[\u0300-\u036f'’]/g, '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Picks the title from TMDB's find/{external_id} response. An episode or season ID leads to its show.
+ * @param {object} data - The find response.
+ * @returns {{mediaType: string, id: number}|null} The title, or null if TMDB knows no title with that ID.
+ */
+function pickFoundTitle(data) {
+    const first = key => (Array.isArray(data[key]) ? data[key][0] : null);
+    if (first('movie_results')) return { mediaType: 'movie', id: first('movie_results').id };
+    if (first('tv_results')) return { mediaType: 'tv', id: first('tv_results').id };
+    const part = first('tv_episode_results') || first('tv_season_results');
+    return part && part.show_id ? { mediaType: 'tv', id: part.show_id } : null;
+}
@@ -0,0 +1,230 @@
+// --- Watchlist ---
+// Saved titles with a snapshot of their watch/providers results, stored in IndexedDB so the
+// snapshot can later be compared against fresh data to show what changed.
+
+const WATCHLIST_DB_NAME = 'streamkey';
+const WATCHLIST_STORE = 'watchlist';
+const WATCHLIST_EXPORT_VERSION = 1;
+
+let watchlistDbPromise = null;
+
+/**
+ * Opens (and on first use creates) the watchlist database.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+function openWatchlistDb() {
+    if (!watchlistDbPromise) {
+        watchlistDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(WATCHLIST_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(WATCHLIST_STORE, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return watchlistDbPromise;
+}
+
+/**
+ * Runs a single request against the watchlist store and resolves with its result.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest - Creates the request on the store.
+ * @returns {Promise<*>} The request's result.
+ */
+async function runWatchlistRequest(mode, makeRequest) {
+    const db = await openWatchlistDb();
+    return new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction(WATCHLIST_STORE, mode).objectStore(WATCHLIST_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Builds the key of a watchlist entry.
+ * @param {string} mediaType - 'movie' or 'tv'.
+ * @param {number} tmdbId - The TMDB ID of the title.
+ * @returns {string} The key, e.g. 'movie/603'.
+ */
+function getWatchlistKey(mediaType, tmdbId) {
+    return `${mediaType}/${tmdbId}`;
+}
+
+/**
+ * Loads every watchlist entry, most recently added first.
+ * @returns {Promise<Array<object>>} The entries.
+ */
+async function getWatchlist() {
+    const entries = await runWatchlistRequest('readonly', store => store.getAll());
+    return entries.sort((a, b) => b.addedAt - a.addedAt);
+}
+
+/**
+ * Loads one watchlist entry.
+ * @param {string} key - The entry key (see getWatchlistKey).
+ * @returns {Promise<object|undefined>} The entry, or undefined if the title isn't saved.
+ */
+function getWatchlistEntry(key) {
+    return runWatchlistRequest('readonly', store => store.get(key));
+}
+
+/**
+ * Adds or replaces a watchlist entry.
+ * @param {object} entry - The entry, with `key`, `mediaType`, `tmdbId`, `title`, `year`, `snapshot`,
+ * `addedAt`, `checkedAt`, and `changes` from the last refresh.
+ * @returns {Promise<void>}
+ */
+async function saveWatchlistEntry(entry) {
+    await runWatchlistRequest('readwrite', store => store.put(entry));
+}
+
+/**
+ * Removes a title from the watchlist.
+ * @param {string} key - The entry key.
+ * @returns {Promise<void>}
+ */
+async function deleteWatchlistEntry(key) {
+    await runWatchlistRequest('readwrite', store => store.delete(key));
+}
+
+/**
+ * Compares two watch/providers snapshots and lists the providers that were added or removed,
+ * grouped by provider and offer type.
+ * @param {object} oldResults - The saved `results` object, keyed by country code.
+ * @param {object} newResults - The fresh `results` object, keyed by country code.
+ * @param {Array<string>} offerKeys - The offer types to compare (e.g., ['flatrate', 'rent']).
+ * @returns {Array<{change: string, offer: string, providerName: string, countries: string[]}>}
+ * One entry per provider and offer type whose availability changed; `change` is 'added' or 'removed'.
+ */
+function diffProviderSnapshots(oldResults, newResults, offerKeys) {
+    const changes = new Map();
+    const record = (change, offer, provider, country) => {
+        const changeKey = `${change}/${offer}/${provider.provider_id}`;
+        if (!changes.has(changeKey)) {
+            changes.set(changeKey, { change, offer, providerName: provider.provider_name, countries: [] });
+        }
+        changes.get(changeKey).countries.push(country);
+    };
+
+    const countries = new Set([...Object.keys(oldResults || {}), ...Object.keys(newResults || {})]);
+    countries.forEach(country => {
+        offerKeys.forEach(offer => {
+            const before = ((oldResults || {})[country] || {})[offer] || [];
+            const after = ((newResults || {})[country] || {})[offer] || [];
+            const beforeIds = new Set(before.map(provider => provider.provider_id));
+            const afterIds = new Set(after.map(provider => provider.provider_id));
+            after.filter(provider => !beforeIds.has(provider.provider_id)).forEach(provider => record('added', offer, provider, country));
+            before.filter(provider => !afterIds.has(provider.provider_id)).forEach(provider => record('removed', offer, provider, country));
+        });
+    });
+    return Array.from(changes.values());
+}
+
+/**
+ * Serializes the whole watchlist for export.
+ * @returns {Promise<string>} The JSON document.
+ */
+async function exportWatchlist() {
+    const entries = await getWatchlist();
+    return JSON.stringify({ version: WATCHLIST_EXPORT_VERSION, exportedAt: new Date().toISOString(), entries }, null, 2);
+}
+
+/**
+ * Imports entries from an exported JSON document, replacing saved entries with the same key.
+ * Entries are rebuilt from their known fields (see readImportedEntry), so a hand-edited file can't store
+ * anything the watchlist view can't render.
+ * @param {string} json - The exported document.
+ * @param {Array<string>} offerKeys - The offer types snapshots and changes may list (e.g., ['flatrate', 'rent']).
+ * @returns {Promise<number>} The number of entries imported.
+ * @throws {Error} If the document isn't a StreamKey watchlist export.
+ */
+async function importWatchlist(json, offerKeys) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        throw new Error(t('watchlist.importInvalidJson'));
+    }
+    if (!data || data.version !== WATCHLIST_EXPORT_VERSION || !Array.isArray(data.entries)) {
+        throw new Error(t('watchlist.importNotExport'));
+    }
+
+    const entries = data.entries.map(entry => readImportedEntry(entry, offerKeys)).filter(Boolean);
+    for (const entry of entries) {
+        await saveWatchlistEntry(entry);
+    }
+    return entries.length;
+}
+
+/**
+ * Rebuilds one imported entry from its known fields. Optional fields of the wrong type fall back to their
+ * defaults, and snapshot providers and changes that aren't well-formed are dropped.
+ * @param {*} entry - The entry from the file.
+ * @param {Array<string>} offerKeys - The offer types snapshots and changes may list.
+ * @returns {object|null} The entry to save, or null if it doesn't name a title.
+ */
+function readImportedEntry(entry, offerKeys) {
+    if (!isPlainObject(entry)
+        || (entry.mediaType !== 'movie' && entry.mediaType !== 'tv')
+        || !Number.isInteger(entry.tmdbId)
+        || typeof entry.title !== 'string') {
+        return null;
+    }
+    const isTime = value => Number.isFinite(value) && value > 0;
+    const imported = {
+        key: getWatchlistKey(entry.mediaType, entry.tmdbId),
+        mediaType: entry.mediaType,
+        tmdbId: entry.tmdbId,
+        title: entry.title,
+        year: Number.isInteger(entry.year) ? entry.year : 'N/A',
+        snapshot: readImportedSnapshot(entry.snapshot, offerKeys),
+        addedAt: isTime(entry.addedAt) ? entry.addedAt : Date.now(),
+        checkedAt: isTime(entry.checkedAt) ? entry.checkedAt : null,
+        changes: (Array.isArray(entry.changes) ? entry.changes : [])
+            .filter(change => isPlainObject(change)
+                && (change.change === 'added' || change.change === 'removed')
+                && offerKeys.includes(change.offer)
+                && typeof change.providerName === 'string'
+                && Array.isArray(change.countries)
+                && change.countries.every(country => typeof country === 'string'))
+            .map(change => ({ change: change.change, offer: change.offer, providerName: change.providerName, countries: change.countries.slice() }))
+    };
+    if (isTime(entry.previousCheckedAt)) imported.previousCheckedAt = entry.previousCheckedAt;
+    return imported;
+}
+
+/**
+ * Rebuilds an imported watch/providers snapshot, keeping only the offer lists and the provider fields the
+ * watchlist compares.
+ * @param {*} snapshot - The snapshot from the file, keyed by country code.
+ * @param {Array<string>} offerKeys - The offer types to keep.
+ * @returns {object} The snapshot.
+ */
+function readImportedSnapshot(snapshot, offerKeys) {
+    const rebuilt = {};
+    if (!isPlainObject(snapshot)) return rebuilt;
+    Object.entries(snapshot).forEach(([country, offers]) => {
+        if (!/^[A-Z]{2}$/.test(country) || !isPlainObject(offers)) return;
+        rebuilt[country] = {};
+        offerKeys.forEach(offer => {
+            if (!Array.isArray(offers[offer])) return;
+            rebuilt[country][offer] = offers[offer]
+                .filter(provider => isPlainObject(provider) && Number.isInteger(provider.provider_id) && typeof provider.provider_name === 'string')
+                .map(provider => ({
+                    provider_id: provider.provider_id,
+                    provider_name: provider.provider_name,
+                    logo_path: typeof provider.logo_path === 'string' ? provider.logo_path : null
+                }));
+        });
+    });
+    return rebuilt;
+}
+
+/**
+ * @param {*} value - Any value.
+ * @returns {boolean} Whether the value is an object, not an array or null.
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}